@@ -0,0 +1,72 @@
+// admin-reset.js - Reset (or create) an admin login
+// For when the admin password is lost. Sets the password of the admin with this
+// email, creating the account if it doesn't exist, and makes it an enabled owner so
+// there is always a way back in. Other admins are left alone. The default admin/admin
+// password has to be changed at the next login.
+//
+//   node admin-reset.js                      admin / admin (the default login)
+//   node admin-reset.js <email> <password>
+const bcrypt = require('bcrypt');
+const db = require('./db');
+const auditLog = require('./audit-log');
+
+async function resetAdmin(email = 'admin', password = 'admin') {
+  const passwordHash = await bcrypt.hash(password, 10);
+  const mustChange = password === 'admin';
+
+  const existing = await db.get('SELECT admin_id FROM admin_users WHERE email = $1', [email]);
+  if (existing) {
+    await db.run(`
+      UPDATE admin_users
+      SET password_hash = $1, role = 'owner', disabled_at = NULL, must_change_password = $3
+      WHERE admin_id = $2
+    `, [passwordHash, existing.admin_id, mustChange]);
+    // Anyone still logged in with the old password has to log in again
+    const loggedOut = await db.run('DELETE FROM admin_sessions WHERE admin_id = $1', [existing.admin_id]);
+    await auditLog.record(null, 'admin.reset_password', {
+      actor: 'admin-reset.js',
+      targetType: 'admin', targetId: existing.admin_id, targetLabel: email,
+      affected: { sessions: loggedOut.changes }
+    });
+    return { adminId: existing.admin_id, created: false };
+  }
+
+  // The default login keeps the id seeded by 001_init.sql
+  const adminId = email === 'admin' ? 'admin-1' : `admin-${Date.now()}`;
+  await db.run(`
+    INSERT INTO admin_users (admin_id, email, password_hash, role, must_change_password)
+    VALUES ($1, $2, $3, 'owner', $4)
+    ON CONFLICT (admin_id) DO UPDATE
+    SET email = $2, password_hash = $3, role = 'owner', disabled_at = NULL, must_change_password = $4
+  `, [adminId, email, passwordHash, mustChange]);
+  await auditLog.record(null, 'admin.create', {
+    actor: 'admin-reset.js',
+    targetType: 'admin', targetId: adminId, targetLabel: email,
+    affected: { admins: 1 },
+    details: { role: 'owner' }
+  });
+  return { adminId, created: true };
+}
+
+if (require.main === module) {
+  const [email, password] = process.argv.slice(2);
+  if (email && !password) {
+    console.error('Usage: node admin-reset.js [<email> <password>]');
+    process.exit(1);
+  }
+
+  resetAdmin(email, password)
+    .then(async ({ created }) => {
+      console.log(`✅ Admin ${created ? 'created' : 'password reset'}: ${email || 'admin'} / ${password ? '(the password you gave)' : 'admin'}`);
+      if (!password) console.log('⚠️  You will be asked to choose a new password when you log in');
+      await db.pool.end();
+    })
+    .catch(async (error) => {
+      console.error('❌ Admin reset failed:', error.message);
+      console.error('   Are the tables there? Run: npm run migrate');
+      await db.pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = { resetAdmin };
@@ -0,0 +1,91 @@
+// ai-pipeline/company-research.js - Stage 2: company & individual deep dive for a member pair
+const llm = require('../llm');
+
+// STAGE 2: Company & Individual Deep Dive
+async function researchCompaniesAndPeople(member1, member2) {
+  const systemPrompt = `You are an investigative business researcher with access to your complete knowledge base.
+
+Your mission: Uncover every piece of relevant information about these companies and individuals to enable the most valuable networking introduction possible.
+
+Search your knowledge for:
+- Company news, press releases, funding rounds, acquisitions
+- Individual achievements, awards, media appearances, published work
+- Social media presence, thought leadership, speaking engagements
+- Product launches, partnerships, market positioning
+- Any public recognition, rankings, or notable accomplishments
+
+If you don't know them specifically, infer from their industry, role, and business model what's likely true about their challenges and opportunities.`;
+
+  const userPrompt = `Research these two business professionals for a networking match:
+
+**PERSON 1: ${member1.name}**
+Organization: ${member1.org}
+Role: ${member1.role}
+Industry: ${member1.industry}
+What They Do: ${member1.rev_driver || 'Not specified'}
+Challenge: ${member1.current_constraint || 'Not specified'}
+Assets: ${member1.assets || 'Not specified'}
+Needs: ${member1.needs || 'Not specified'}
+Notable: ${member1.fun_fact || 'Not specified'}
+
+**PERSON 2: ${member2.name}**
+Organization: ${member2.org}
+Role: ${member2.role}
+Industry: ${member2.industry}
+What They Do: ${member2.rev_driver || 'Not specified'}
+Challenge: ${member2.current_constraint || 'Not specified'}
+Assets: ${member2.assets || 'Not specified'}
+Needs: ${member2.needs || 'Not specified'}
+Notable: ${member2.fun_fact || 'Not specified'}
+
+**RESEARCH TASKS:**
+
+1. **Company Intelligence:**
+   - What do you know about ${member1.org}? (news, reputation, market position, known achievements)
+   - What do you know about ${member2.org}? (news, reputation, market position, known achievements)
+   - If you don't have specific knowledge, what can you INFER from their business model and industry?
+
+2. **Individual Credibility:**
+   - What validates ${member1.name}'s expertise? (Look for clues in fun facts like TV shows, awards, growth numbers)
+   - What validates ${member2.name}'s expertise? (Look for clues in fun facts like TV shows, awards, growth numbers)
+   - Are there any impressive achievements mentioned that should be amplified?
+
+3. **Business Model Analysis:**
+   - Deep dive: How does "${member1.rev_driver}" actually work as a revenue model? What are the typical challenges?
+   - Deep dive: How does "${member2.rev_driver}" actually work as a revenue model? What are the typical challenges?
+   - What strategic dependencies or opportunities exist in each model?
+
+4. **Complementary Value Identification:**
+   - How specifically do ${member2.name}'s stated assets ("${member2.assets}") solve ${member1.name}'s stated needs ("${member1.needs}")?
+   - How specifically do ${member1.name}'s stated assets ("${member1.assets}") solve ${member2.name}'s stated needs ("${member2.needs}")?
+   - What LATENT assets does each have that the other might not realize are valuable?
+
+5. **Hidden Connections:**
+   - Based on roles, industries, locations, and backgrounds, what shared experiences might they have?
+   - What mutual connections, parallel career paths, or similar challenges create common ground?
+   - Any timing-based serendipity? (e.g., both scaling, both pivoting, both entering new markets)
+
+Return as JSON with keys: company1_intel, company2_intel, credibility_factors, business_model_insights, value_exchange, hidden_connections`;
+
+  console.log(`   🔍 STAGE 2: Deep-diving into ${member1.org} and ${member2.org}...`);
+
+  const response = await Promise.race([
+    llm.chat({
+      stage: 'company-research',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.8, // Higher creativity for making connections
+      maxTokens: 2000,
+      json: true
+    }),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Company research timeout after 60 seconds')), 60000).unref()
+    )
+  ]);
+
+  return response.json;
+}
+
+module.exports = { researchCompaniesAndPeople };
@@ -0,0 +1,178 @@
+// ai-pipeline/complementary-value.js - Stage 0: creative collaboration research
+// Runs before the final scoring - its ideas and value rating feed calculateMatchScore.
+const llm = require('../llm');
+
+// CLEAN UP AI RESPONSE: Convert dictionary-style arrays to proper arrays
+// Sometimes AI returns {"1": "idea 1", "2": "idea 2"} instead of ["idea 1", "idea 2"]
+function cleanArrayField(field) {
+  if (!field) return [];
+  if (Array.isArray(field)) return field;
+
+  // Check if it's a dictionary with numeric keys
+  if (typeof field === 'object') {
+    const keys = Object.keys(field);
+    const allNumeric = keys.every(k => !isNaN(parseInt(k)));
+
+    if (allNumeric) {
+      // Convert {"1": "val", "2": "val"} to ["val", "val"]
+      return keys.sort((a, b) => parseInt(a) - parseInt(b)).map(k => field[k]);
+    }
+
+    // If it's an object but not numeric keys, return as single-item array
+    return [JSON.stringify(field)];
+  }
+
+  // If it's a string, return as single-item array
+  if (typeof field === 'string' && field.trim()) {
+    return [field];
+  }
+
+  return [];
+}
+
+// STAGE 0: Complementary Value Deep Research (happens BEFORE scoring)
+async function researchComplementaryValue(member1, member2) {
+  const systemPrompt = `You are a creative business collaboration strategist and innovation consultant specializing in discovering non-obvious value exchanges between companies.
+
+Your PRIMARY mission is to find CREATIVE, PERIPHERAL collaboration opportunities that go beyond simple transactional exchanges.
+
+Your expertise:
+- 🎨 CREATIVE COLLABORATION: Finding innovative ways companies can work together (co-creation, joint ventures, strategic partnerships)
+- 🔗 NETWORK EFFECTS: Identifying how each person's connections (clients, vendors, investors, partners) can benefit the other
+- 💡 LATENT ASSETS: Discovering valuable capabilities companies don't realize they have
+- 🎯 CONSTRAINT-SOLVING: Matching unstated capabilities to stated challenges
+- 📊 DIRECT MATCHES: Identifying explicit asset-need alignments (but this is your LOWEST priority)
+
+CRITICAL MINDSET:
+- Your job is to bring IDEAS TO THE TABLE - always suggest creative opportunities even if they require imagination
+- Think "What if they collaborated on X?" not just "Do their needs/assets match?"
+- Focus on PERIPHERAL opportunities (co-marketing, cross-referrals, joint products, shared resources, network introductions)
+- Every business has SOME creative collaboration potential - find it!
+
+You MUST return at least 2-3 realistic creative ideas even if direct asset-need matches are weak.`;
+
+  const userPrompt = `Discover creative collaboration opportunities between these two business professionals:
+
+**MEMBER 1: ${member1.name}** (${member1.role} at ${member1.org})
+Industry: ${member1.industry}
+Revenue Model: ${member1.rev_driver || 'Not specified'}
+Current Challenge: ${member1.current_constraint || 'Not specified'}
+What They Offer (Assets): ${member1.assets || 'Not specified'}
+What They Need: ${member1.needs || 'Not specified'}
+
+**MEMBER 2: ${member2.name}** (${member2.role} at ${member2.org})
+Industry: ${member2.industry}
+Revenue Model: ${member2.rev_driver || 'Not specified'}
+Current Challenge: ${member2.current_constraint || 'Not specified'}
+What They Offer (Assets): ${member2.assets || 'Not specified'}
+What They Need: ${member2.needs || 'Not specified'}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+🎨 PRIMARY RESEARCH FOCUS: CREATIVE COLLABORATION OPPORTUNITIES (This is your TOP priority!)
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Think creatively and broadly about how these two could collaborate:
+
+**A. CO-CREATION & JOINT VENTURES:**
+- Could they create a joint offering that combines their expertise? (e.g., Tech + Marketing = white-label marketing automation)
+- Could they package services together for shared clients?
+- Could they co-develop a product, tool, or methodology?
+
+**B. CROSS-REFERRAL & NETWORK LEVERAGE:**
+- Who in ${member1.name}'s client base would ${member2.name} love to meet? (be specific about customer types)
+- Who in ${member2.name}'s network could help ${member1.name} overcome "${member1.current_constraint}"?
+- Could they create a formalized referral partnership?
+
+**C. CO-MARKETING & BRAND AMPLIFICATION:**
+- Could they co-host an event, webinar, or workshop?
+- Could they co-author content (blog, podcast, case study)?
+- Could they create a joint case study showcasing both companies?
+
+**D. SHARED RESOURCES & COST REDUCTION:**
+- Could they share office space, tools, software licenses, or vendor relationships?
+- Could they buy services together for volume discounts?
+- Could they share employees or contractors for complementary projects?
+
+**E. STRATEGIC INTRODUCTIONS & DOOR-OPENING:**
+- Based on their roles (${member1.role} & ${member2.role}), who could each introduce the other to?
+- Could one help the other enter a new market, geography, or industry vertical?
+- Could they make warm introductions to investors, partners, or key accounts?
+
+**F. KNOWLEDGE EXCHANGE & PEER LEARNING:**
+- What has ${member1.name} learned from "${member1.rev_driver}" that ${member2.name} could apply?
+- What operational insights from solving "${member2.current_constraint}" could help ${member1.name}?
+- Could they create a peer advisory relationship or mastermind partnership?
+
+YOUR TASK: Identify at least 3-5 SPECIFIC, REALISTIC creative collaboration ideas. Be imaginative but grounded in their actual capabilities.
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+📋 SECONDARY RESEARCH: Traditional Value Analysis
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+1. **Direct Asset-Need Matches** (if any):
+   - Do ${member1.name}'s stated assets ("${member1.assets}") directly address ${member2.name}'s stated needs ("${member2.needs}")?
+   - Do ${member2.name}'s stated assets ("${member2.assets}") directly address ${member1.name}'s stated needs ("${member1.needs}")?
+
+2. **Constraint-Solution Fit** (if applicable):
+   - Can either person help solve the other's stated challenge?
+
+3. **Latent Assets** (things they might not realize are valuable):
+   - Industry knowledge, operational experience, customer base access, distribution channels, vendor relationships
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+📊 FINAL ASSESSMENT
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+- **value_rating**: High/Medium/Low based on total collaboration potential (CREATIVE opportunities count more than direct matches!)
+- **top_3_opportunities**: Your 3 BEST creative collaboration ideas (specific, actionable, realistic)
+- **creative_collaboration_ideas**: Array of 3-5 specific ideas from your creative analysis above
+- **direct_matches**: Traditional asset-need alignments (if any exist)
+- **constraint_solutions**: Ways they can solve each other's challenges (if applicable)
+- **latent_assets**: Valuable things they might not realize they have
+- **network_value**: Specific people/companies each could introduce the other to
+- **red_flags**: Any misalignments or challenges
+
+Return as JSON with these exact keys. PRIORITIZE creative_collaboration_ideas - this is what we're here for!
+
+REMEMBER: Your goal is to bring IDEAS to the table. Even if direct asset-need matches are weak, you should ALWAYS find 3-5 realistic creative collaboration opportunities.`;
+
+  console.log(`   🔍 STAGE 0: Deep-diving into creative collaboration opportunities...`);
+
+  const response = await Promise.race([
+    llm.chat({
+      stage: 'complementary-value',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.9, // Higher creativity for imaginative collaboration ideas
+      maxTokens: 2500, // More tokens for comprehensive creative analysis
+      json: true
+    }),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Complementary value research timeout after 90 seconds')), 90000).unref()
+    )
+  ]);
+
+  const rawResult = response.json;
+
+  // Clean all array fields
+  const cleanResult = {
+    ...rawResult,
+    creative_collaboration_ideas: cleanArrayField(rawResult.creative_collaboration_ideas),
+    top_3_opportunities: cleanArrayField(rawResult.top_3_opportunities),
+    direct_matches: rawResult.direct_matches, // Keep as-is (might be string or array)
+    constraint_solutions: rawResult.constraint_solutions,
+    latent_assets: rawResult.latent_assets,
+    network_value: rawResult.network_value,
+    value_rating: rawResult.value_rating,
+    red_flags: rawResult.red_flags
+  };
+
+  return cleanResult;
+}
+
+module.exports = {
+  researchComplementaryValue,
+  cleanArrayField
+};
@@ -0,0 +1,85 @@
+// ai-pipeline/group-rationale.js - Group synthesis: one introduction for a working group
+// Written for the member the group was found for (second person) about the others
+// (third person), from the needs the group covers and the Stage 1 industry research
+// between the member and each of the others - its peripheral opportunities are where
+// the 3-way partnerships come up.
+const llm = require('../llm');
+
+function describeMember(member) {
+  return `- ${member.name}, ${member.role || 'Member'} at ${member.org} (${member.industry || 'industry not specified'}, ${member.city || 'location not specified'})
+  Assets: ${member.assets || 'Not specified'}
+  Needs: ${member.needs || 'Not specified'}
+  Current challenge: ${member.current_constraint || 'Not specified'}`;
+}
+
+// Returns { rationale_ops, creative_angle, intro_basis }; throws if the model leaves one out.
+// links = coverage links from group-matching.js, industryResearch = Stage 1 result per other member
+async function synthesizeGroupIntroduction(member, others, links, industryResearch) {
+  const names = new Map([member, ...others].map(person => [person.member_id, person.name]));
+  const coveredNeeds = links.length > 0
+    ? links.map(link => `- ${names.get(link.providerId)}'s "${link.asset}" covers ${names.get(link.memberId)}'s need for "${link.need}"`).join('\n')
+    : '- No direct need/asset overlaps - look for less obvious ways the group can help each other';
+  const opportunities = others.map((other, idx) => {
+    const research = industryResearch[idx] || {};
+    return `**${member.name} × ${other.name}:**
+Peripheral opportunities: ${JSON.stringify(research.peripheral_opportunities || [])}
+Cross-industry examples: ${JSON.stringify(research.cross_industry_examples || [])}`;
+  }).join('\n\n');
+
+  const systemPrompt = `You are a business networking strategist who builds small working groups at Rotary events.
+
+You are NOT introducing two people. You are introducing a group of ${others.length + 1} whose combined assets cover each other's needs, so every member should both give and get something.
+
+CRITICAL VOICE & TONE REQUIREMENTS:
+- Speak TO ${member.name} in second person ("you", "your business")
+- Speak ABOUT the others in third person, by name
+- Reference SPECIFIC needs, assets and research findings - NO GENERIC ADVICE
+- Explain what the GROUP can do that no pair in it could do alone`;
+
+  const userPrompt = `Write the introduction to this working group for ${member.name}.
+
+**THE GROUP:**
+${describeMember(member)}
+${others.map(describeMember).join('\n')}
+
+**NEEDS THE GROUP COVERS:**
+${coveredNeeds}
+
+**INDUSTRY RESEARCH (Stage 1, per pair with ${member.name}):**
+${opportunities}
+
+**WRITE:**
+1. rationale_ops: Why this group should meet - who gives what to whom, in 3-4 sentences
+2. creative_angle: One concrete joint project or 3-way partnership only this group could take on
+3. intro_basis: How ${member.name} could open the first group conversation, as "Approach #1: ...", "Approach #2: ...", "Approach #3: ..." on separate lines
+
+Return as JSON with keys: rationale_ops, creative_angle, intro_basis`;
+
+  console.log(`   👥 GROUP SYNTHESIS: Writing the introduction for ${member.name}'s group of ${others.length + 1}...`);
+
+  const response = await Promise.race([
+    llm.chat({
+      stage: 'group-rationale',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.8,
+      maxTokens: 2000,
+      json: true
+    }),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Group synthesis timeout after 90 seconds')), 90000).unref()
+    )
+  ]);
+
+  const result = response.json;
+
+  if (!result.rationale_ops || !result.creative_angle || !result.intro_basis) {
+    throw new Error('Incomplete AI response from group synthesis');
+  }
+
+  return result;
+}
+
+module.exports = { synthesizeGroupIntroduction };
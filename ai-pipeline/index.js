@@ -0,0 +1,167 @@
+// ai-pipeline/index.js - The 5-stage AI research pipeline behind every introduction
+//   Stage 0  complementary-value.js  creative collaboration research (feeds the score)
+//   Stage 1  industry-context.js     industry & market research
+//   Stage 2  company-research.js     company & individual deep dive
+//   Stage 3  match-rationale.js      synthesis into the introduction text
+//   Stage 4  fact-check.js           removes unsubstantiated claims
+// Group intros (triads and small working groups) reuse Stage 1 for the member and each
+// other member, then group-rationale.js writes one introduction for the whole group.
+// Stages 0-2 are cached in Postgres (research-cache.js). If the pipeline fails, or
+// the event is over its AI budget, generateSimpleRationale writes the intro without AI.
+const researchCache = require('../research-cache');
+const members = require('../repositories/members');
+const { researchComplementaryValue } = require('./complementary-value');
+const { researchIndustryContext } = require('./industry-context');
+const { researchCompaniesAndPeople } = require('./company-research');
+const { synthesizeIntroduction } = require('./match-rationale');
+const { factCheckSynthesis } = require('./fact-check');
+const { synthesizeGroupIntroduction } = require('./group-rationale');
+const { generateSimpleRationale, generateSimpleGroupRationale } = require('./simple-rationale');
+
+// RESEARCH CACHE (see research-cache.js)
+// Stages 0-2 go through these wrappers. Pairs are put in a stable order so A→B and
+// B→A share one entry:
+// - industry context is keyed by the two (industry, city) sides, the only profile
+//   fields its prompt uses, so it is shared across members and never per member
+// - company research and complementary value by the member pair plus profile hashes
+
+// Hash of everything about a member that feeds the research prompts
+function profileHash(member) {
+  return researchCache.hash(members.SEMANTIC_FIELDS.map(field => researchCache.normalize(member[field])));
+}
+
+function orderPair(member1, member2, sortKey) {
+  return sortKey(member1) <= sortKey(member2)
+    ? { first: member1, second: member2, swapped: false }
+    : { first: member2, second: member1, swapped: true };
+}
+
+// Research done in stable order labels its sides 1 and 2 - flip them back to the caller's order
+function orientResearch(result, swapped, fieldPairs) {
+  if (!swapped || !result) return result;
+
+  const oriented = { ...result };
+  fieldPairs.forEach(([field1, field2]) => {
+    oriented[field1] = result[field2];
+    oriented[field2] = result[field1];
+  });
+  return oriented;
+}
+
+function memberPairInputs(first, second) {
+  return [first.member_id, profileHash(first), second.member_id, profileHash(second)];
+}
+
+async function cachedIndustryContext(member1, member2) {
+  const side = (member) => `${researchCache.normalize(member.industry)}|${researchCache.normalize(member.city)}`;
+  const { first, second, swapped } = orderPair(member1, member2, side);
+
+  const result = await researchCache.remember({
+    stage: 'industry-context',
+    inputs: [side(first), side(second)],
+    compute: () => researchIndustryContext(first, second)
+  });
+  return orientResearch(result, swapped, [['industry1_trends', 'industry2_trends']]);
+}
+
+async function cachedCompanyResearch(member1, member2) {
+  const { first, second, swapped } = orderPair(member1, member2, member => member.member_id);
+
+  const result = await researchCache.remember({
+    stage: 'company-research',
+    inputs: memberPairInputs(first, second),
+    memberIds: [first.member_id, second.member_id],
+    compute: () => researchCompaniesAndPeople(first, second)
+  });
+  return orientResearch(result, swapped, [['company1_intel', 'company2_intel']]);
+}
+
+// Complementary value is symmetric (ideas for both sides), so no fields to flip
+async function cachedComplementaryValue(member1, member2) {
+  const { first, second } = orderPair(member1, member2, member => member.member_id);
+
+  return researchCache.remember({
+    stage: 'complementary-value',
+    inputs: memberPairInputs(first, second),
+    memberIds: [first.member_id, second.member_id],
+    compute: () => researchComplementaryValue(first, second)
+  });
+}
+
+// MULTI-STAGE RESEARCH PIPELINE ORCHESTRATOR
+// Runs Stages 1-4: Industry Research → Company Research → Strategic Synthesis → Fact-Checking
+// (Stage 0: Complementary Value Research is passed in as a parameter)
+async function generateMatchRationale(member1, member2, complementaryValueResearch, useGPT4 = false) {
+  try {
+    // STAGE 1: Industry Research
+    const industryResearch = await cachedIndustryContext(member1, member2);
+    console.log(`   ✅ Stage 1 complete: Industry intelligence gathered`);
+
+    // STAGE 2: Company Research
+    const companyResearch = await cachedCompanyResearch(member1, member2);
+    console.log(`   ✅ Stage 2 complete: Company & individual intelligence gathered`);
+
+    // STAGE 3: Synthesize into actionable networking introduction
+    const result = await synthesizeIntroduction(member1, member2, complementaryValueResearch, industryResearch, companyResearch);
+
+    // STAGE 4: Fact-check the synthesis for unsubstantiated claims
+    const factCheckedResult = await factCheckSynthesis(
+      result,
+      member1,
+      member2,
+      complementaryValueResearch,
+      industryResearch,
+      companyResearch
+    );
+
+    console.log(`   ✅ COMPLETE: 5-stage research pipeline finished successfully`);
+    console.log(`      └─ Generated fact-checked, research-backed introduction for ${member1.name} ↔ ${member2.name}`);
+
+    return factCheckedResult;
+  } catch (error) {
+    console.error(`   ❌ Multi-stage research failed:`, error.message);
+
+    // Identify which stage failed for debugging
+    if (error.message.includes('Industry research timeout')) {
+      console.error('      └─ STAGE 1 (Industry Research) timed out');
+    } else if (error.message.includes('Company research timeout')) {
+      console.error('      └─ STAGE 2 (Company Research) timed out');
+    } else if (error.message.includes('Synthesis timeout')) {
+      console.error('      └─ STAGE 3 (Synthesis) timed out');
+    } else if (error.message.includes('Fact-checking timeout')) {
+      console.error('      └─ STAGE 4 (Fact-Checking) timed out');
+    } else {
+      console.error('      └─ Error details:', error);
+    }
+
+    console.log(`   🔄 Falling back to simple rationale for ${member1.name} ↔ ${member2.name}`);
+    // Fallback to simple rationale
+    return generateSimpleRationale(member1, member2);
+  }
+}
+
+// GROUP PIPELINE: Stage 1 per pair with the member (cached) → group synthesis.
+// links = the needs the group covers (group-matching.js)
+async function generateGroupRationale(member, others, links) {
+  try {
+    const industryResearch = [];
+    for (const other of others) {
+      industryResearch.push(await cachedIndustryContext(member, other));
+    }
+    console.log(`   ✅ Stage 1 complete: Industry intelligence gathered for ${others.length} pairs`);
+
+    return await synthesizeGroupIntroduction(member, others, links, industryResearch);
+  } catch (error) {
+    console.error(`   ❌ Group research failed:`, error.message);
+    console.log(`   🔄 Falling back to simple group rationale for ${member.name}'s group`);
+    return generateSimpleGroupRationale(member, others, links);
+  }
+}
+
+module.exports = {
+  cachedComplementaryValue,
+  generateMatchRationale,
+  generateGroupRationale,
+  generateSimpleRationale,
+  generateSimpleGroupRationale
+};
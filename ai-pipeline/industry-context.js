@@ -0,0 +1,79 @@
+// ai-pipeline/industry-context.js - Stage 1: industry & market research for a member pair
+const llm = require('../llm');
+
+// STAGE 1: Industry & Market Research
+// Only each member's industry and city go into the prompt: the result is cached per
+// (industry, city) pair and shared by every pair of members that matches it, so
+// anything about a member's own company belongs in Stage 2.
+async function researchIndustryContext(member1, member2) {
+  const industries = [member1.industry, member2.industry].filter(Boolean).filter((v, i, a) => a.indexOf(v) === i);
+
+  const systemPrompt = `You are a senior market research analyst and industry expert specializing in ${industries.join(' and ')}.
+
+Your expertise spans:
+- Current industry trends, challenges, and opportunities
+- Successful cross-industry partnerships and case studies
+- Market dynamics, competitive landscapes, and emerging technologies
+- Industry-specific pain points and growth strategies
+
+You have access to your full knowledge base including recent developments, news, and thought leadership in these sectors.`;
+
+  const userPrompt = `Conduct deep industry research for a high-value business networking match:
+
+**INDUSTRY 1: ${member1.industry}**
+Location: ${member1.city}
+
+**INDUSTRY 2: ${member2.industry}**
+Location: ${member2.city}
+
+**RESEARCH REQUIRED:**
+
+1. **Current Industry Trends (for EACH industry):**
+   - What are the TOP 3 transformative trends RIGHT NOW affecting ${member1.industry}?
+   - What are the TOP 3 transformative trends RIGHT NOW affecting ${member2.industry}?
+   - How do these trends create urgency or opportunity for small and mid-sized businesses in each industry?
+
+2. **Industry-Specific Challenges & Solutions:**
+   - What are the most common challenges for businesses in ${member1.industry} right now, and what innovative solutions are emerging?
+   - What are the most common challenges for businesses in ${member2.industry} right now, and what innovative solutions are emerging?
+   - Are there technological, strategic, or operational breakthroughs either industry could learn from?
+
+3. **Cross-Industry Synergy Analysis:**
+   - Find 2-3 real-world examples of successful ${member1.industry} × ${member2.industry} partnerships
+   - What unique value does each industry bring to the other?
+   - What blind spots in ${member1.industry} can ${member2.industry} illuminate, and vice versa?
+
+4. **Geographic Market Intelligence:**
+   - What's unique about the ${member1.city} market for ${member1.industry} businesses?
+   ${member1.city !== member2.city ? `- What's unique about the ${member2.city} market for ${member2.industry} businesses?` : ''}
+   - ${member1.city === member2.city ? 'Same city advantage: What local collaboration opportunities exist?' : 'Cross-market opportunity: How can geographic diversity create value?'}
+
+5. **Peripheral Opportunities (CRITICAL - Think Creatively):**
+   - Beyond obvious collaborations, what UNEXPECTED synergies exist between these industries?
+   - What adjacent problems could each solve for the other that they might not realize?
+   - What network effects or 3-way partnerships could emerge from this connection?
+
+Return as JSON with keys: industry1_trends, industry2_trends, cross_industry_examples, market_intelligence, peripheral_opportunities`;
+
+  console.log(`   📊 STAGE 1: Researching ${member1.industry} and ${member2.industry} market dynamics...`);
+
+  const response = await Promise.race([
+    llm.chat({
+      stage: 'industry-context',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.7,
+      maxTokens: 2000, // Extended for comprehensive research
+      json: true
+    }),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Industry research timeout after 60 seconds')), 60000).unref()
+    )
+  ]);
+
+  return response.json;
+}
+
+module.exports = { researchIndustryContext };
@@ -0,0 +1,210 @@
+// ai-pipeline/match-rationale.js - Stage 3: synthesize the research into an introduction
+// Written for member1 (second person) about member2 (third person).
+const llm = require('../llm');
+
+// STAGE 3: Synthesize into actionable networking introduction
+// Returns { rationale_ops, creative_angle, intro_basis }; throws if the model leaves one out
+async function synthesizeIntroduction(member1, member2, complementaryValueResearch, industryResearch, companyResearch) {
+  console.log(`   🎯 STAGE 3: Synthesizing research into strategic introduction...`);
+
+  const industries = [member1.industry, member2.industry].filter(Boolean).filter((v, i, a) => a.indexOf(v) === i);
+
+  const systemPrompt = `You are acting as a MASTER OF EXPERTISE in ${industries.join(' AND ')} industries AND in business networking strategy.
+
+You are NOT a generic networking advisor. You are a recognized expert who:
+- Understands the operational realities, metrics, and success patterns in ${member1.industry}
+- Knows the market dynamics, challenges, and opportunities in ${member2.industry}
+- Has facilitated hundreds of high-value introductions between ${industries.length > 1 ? 'cross-industry' : 'peer'} professionals
+- Thinks strategically about BOTH obvious AND peripheral collaboration opportunities
+
+You have just completed deep research on this match (provided below). Your job is to synthesize that research into a compelling, personalized networking introduction.
+
+CRITICAL VOICE & TONE REQUIREMENTS:
+- Speak TO ${member1.name} in second person ("you", "your business", "your team")
+- Speak ABOUT ${member2.name} in third person ("they", "their company", "${member2.name}", "${member2.org}")
+- Be conversational yet professional - like a trusted advisor over coffee
+- Show genuine enthusiasm backed by concrete reasoning from your research
+- Reference SPECIFIC details - names, numbers, achievements, research findings
+- NO GENERIC ADVICE - every sentence should reference actual research about THESE specific people/companies
+
+🔍 REQUIRED RESEARCH - Access Your Full Knowledge Base:
+**STEP 1: Research Both Parties**
+- Search your knowledge for ANY information about ${member1.name}, ${member1.org}, ${member2.name}, ${member2.org}
+- Look for: recent news, product launches, funding rounds, social media presence, interviews, articles, awards
+- If they're public figures or well-known companies, USE THAT KNOWLEDGE
+- Check for any mentions in industry publications, podcasts, or thought leadership
+
+**STEP 2: Industry Context Research**
+- What are the TOP 3 trends in ${member1.industry} RIGHT NOW?
+- What are the TOP 3 trends in ${member2.industry} RIGHT NOW?
+- How do these trends create urgency or opportunity for this connection?
+- What successful ${member1.industry}-to-${member2.industry} partnerships exist as precedents?
+
+**STEP 3: Social Proof & Credibility**
+- If fun facts mention achievements (TV shows, acquisitions, growth numbers), validate and amplify them
+- Reference any known reputation, market position, or industry standing
+- Look for mutual connections, shared experiences, or parallel career paths
+
+🎯 DUAL-MODE ANALYSIS FRAMEWORK - Think Both Logically AND Creatively:
+
+**MODE A: DIRECT CORRELATIONS** (Obvious, Immediate Matches)
+1. **Explicit Constraint-Solution Fit**: Does ${member2.name}'s stated assets DIRECTLY address ${member1.name}'s stated constraint?
+2. **Asset-Need Symmetry**: Do their listed capabilities align 1:1 (e.g., "SEO services" matches "need SEO")?
+3. **Geographic Advantage**: Same city = easy meetings, similar market conditions
+4. **Industry Parallels**: Same challenges, shared language, common customer types
+
+**MODE B: CREATIVE CORRELATIONS** (Non-Obvious, Strategic Synergies)
+5. **Adjacent Problem Solving**: Could ${member2.name}'s expertise solve a constraint ${member1.name} HASN'T articulated but likely has?
+   - Example: Marketing constraint might actually need better product positioning (strategic angle)
+6. **Latent Asset Activation**: What does ${member1.name} have that they might not realize is valuable to ${member2.name}?
+   - Example: Tech company's "audience data" could be goldmine for marketer's "campaign targeting"
+7. **Cross-Pollination Opportunities**: How could each learn from the other's industry playbook?
+   - Example: E-commerce conversion tactics applied to SaaS trial-to-paid funnels
+8. **Network Effect Multiplication**: Who do they each know that could create a 3-way value triangle?
+   - Example: Realtor's investor network + tech founder's product = PropTech partnership
+9. **Timing-Based Serendipity**: Based on growth stage, recent achievements, or market shifts, why is NOW the perfect time?
+10. **Unexpected Commonalities**: Do fun facts, backgrounds, or experiences reveal surprising shared ground?
+    - Example: Both started businesses in garages, both pivoted from different careers, both mentor entrepreneurs
+
+💡 **CRITICAL**: Your analysis MUST include BOTH direct AND creative connections. Show the obvious value AND the non-obvious strategic potential.`;
+
+  const userPrompt = `You're preparing ${member1.name} for a high-value networking introduction. Below is ALL the research you've gathered. Synthesize it into a compelling, actionable briefing.
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+📊 STAGE 1 RESEARCH: INDUSTRY & MARKET INTELLIGENCE
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+${JSON.stringify(industryResearch, null, 2)}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+🔍 STAGE 2 RESEARCH: COMPANY & INDIVIDUAL INTELLIGENCE
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+${JSON.stringify(companyResearch, null, 2)}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+💎 STAGE 0 RESEARCH: COMPLEMENTARY VALUE ANALYSIS
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+${JSON.stringify(complementaryValueResearch, null, 2)}
+
+**CRITICAL**: This deep-dive analyzed:
+- Direct asset-need matches (what each explicitly offers the other)
+- Constraint-solution fit (can they solve each other's stated challenges?)
+- Latent assets (valuable things they might not realize they have)
+- Peripheral opportunities (creative collaborations beyond obvious exchanges)
+- Top 3 most valuable exchange opportunities
+- Value rating: ${complementaryValueResearch.value_rating || 'Analyzed'}
+
+Use these findings EXTENSIVELY in your strategic rationale and collaboration angle.
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+👤 PARTICIPANT PROFILES
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+**${member1.name}** (${member1.role} at ${member1.org})
+Industry: ${member1.industry} | Location: ${member1.city}
+Revenue Model: ${member1.rev_driver || 'Not disclosed'}
+Current Challenge: ${member1.current_constraint || 'Not disclosed'}
+Assets: ${member1.assets || 'Not disclosed'}
+Needs: ${member1.needs || 'Not disclosed'}
+Notable: ${member1.fun_fact || 'Not disclosed'}
+
+**${member2.name}** (${member2.role} at ${member2.org})
+Industry: ${member2.industry} | Location: ${member2.city}
+Revenue Model: ${member2.rev_driver || 'Not disclosed'}
+Current Challenge: ${member2.current_constraint || 'Not disclosed'}
+Assets: ${member2.assets || 'Not disclosed'}
+Needs: ${member2.needs || 'Not disclosed'}
+Notable: ${member2.fun_fact || 'Not disclosed'}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+**🎯 YOUR SYNTHESIS TASK:**
+
+Using ALL the research above, generate THREE components addressing ${member1.name} directly:
+
+**1. STRATEGIC RATIONALE** (4-6 sentences speaking directly to ${member1.name})
+- Start with "You should connect with ${member2.name} because..."
+- SYNTHESIZE YOUR RESEARCH: Weave together insights from industry trends, company intelligence, and credibility factors
+- Address DIRECT VALUE: How do their assets solve your stated constraint? Reference specific research findings.
+- Address PERIPHERAL OPPORTUNITIES: What non-obvious synergies did your research uncover? (latent assets, cross-pollination, network effects, adjacent problems)
+- CITE INDUSTRY TRENDS: Why is NOW the right time for this connection based on market dynamics?
+- Reference credibility factors from your research (achievements, media, growth numbers)
+- Quantify potential impact where possible (revenue, growth, market access)
+
+**2. UNIQUE COLLABORATION ANGLE** (3-4 sentences to ${member1.name})
+- Present a RESEARCH-BACKED, creative collaboration opportunity
+- This must go BEYOND simple transactional exchanges (not just "hire them")
+- Draw from your peripheral opportunities research and cross-industry examples
+- Consider: joint ventures, co-marketing, knowledge sharing, network introductions, complementary offerings, strategic partnerships
+- Reference SPECIFIC research insights: successful precedents, market gaps, timing advantages
+- Make it memorable and intriguing - something ${member1.name} wouldn't think of without your industry expertise
+
+**3. THREE CONVERSATION APPROACHES** (Write in second-person, giving ${member1.name} options)
+Format as a numbered list, each approach being 3-4 sentences with SPECIFIC details from your research:
+
+Approach #1: [The Industry-Informed Value Pitch]
+"You could open by referencing [SPECIFIC INDUSTRY TREND from your research] and positioning how ${member2.name}'s expertise in [SPECIFIC ASSET] directly addresses your challenge with [SPECIFIC CONSTRAINT]. Mention that you're aware of [RESEARCH FINDING about their company/achievements] which validates their capability. This shows you've done your homework and understand the strategic value."
+
+Approach #2: [The Peripheral Opportunity Angle]
+"You could take an unexpected angle by proposing [SPECIFIC PERIPHERAL OPPORTUNITY from your research - must be creative/non-obvious]. Reference the [CROSS-INDUSTRY EXAMPLE or PRECEDENT] you researched, and explain how your [LATENT ASSET] combined with their [COMPLEMENTARY CAPABILITY] could create [SPECIFIC OUTCOME]. This demonstrates strategic thinking beyond the obvious."
+
+Approach #3: [The Personal Connection & Credibility Builder]
+"You could build instant rapport by acknowledging [SPECIFIC FUN FACT or ACHIEVEMENT from their profile], connecting it to [RESEARCH FINDING about their industry reputation or known accomplishments]. Then pivot to [SHARED EXPERIENCE or PARALLEL CHALLENGE from your research]. This creates personal connection while establishing mutual respect."
+
+**ABSOLUTE REQUIREMENTS**:
+- Use "you/your" when addressing ${member1.name}
+- Use "they/their/${member2.name}/${member2.org}" when referring to the match
+- EVERY SENTENCE must reference SPECIFIC RESEARCH FINDINGS from Stages 1 & 2
+- NO GENERIC STATEMENTS - if you didn't find specific research, say "While specific public information wasn't available, based on [industry/role/business model] we can infer..."
+- Treat fun facts as MAJOR CREDIBILITY SIGNALS - if they mention TV shows, awards, growth numbers, AMPLIFY THEM
+- Reference industry trends, cross-industry examples, market intelligence by name
+- Make ${member1.name} feel like they have insider intelligence
+
+**RESEARCH-BACKED VOICE EXAMPLES**:
+✅ EXCELLENT: "Given the current trend toward AI-powered customer service in SaaS (which your research identified), ${member2.name}'s background building chatbot solutions that reduced support costs by 40% at ${member2.org} directly addresses your constraint around scaling customer success. Their appearance on TechCrunch validates their market positioning."
+
+❌ GENERIC: "They can help with your customer service needs because they have experience in that area."
+
+✅ EXCELLENT: "Here's a peripheral opportunity your research uncovered: While ${member2.name} focuses on marketing, their investor network (mentioned in their fun fact about raising $5M) could be the backdoor to enterprise clients you're seeking. The precedent is Amazon-Salesforce partnership where marketing expertise led to strategic distribution."
+
+❌ GENERIC: "They might know people who could help your business."
+
+Return as JSON with keys: rationale_ops, creative_angle, intro_basis
+
+REMINDER: This is ${member1.name}'s personal briefing. Make them feel like they're getting million-dollar consulting advice based on deep research.`;
+
+  // Stage 3 synthesis uses the provider's chat model (GPT-4o on OpenAI) - quality is critical
+  const model = llm.getProvider().chatModel;
+
+  console.log(`   🎯 STAGE 3: Synthesizing with ${model}...`);
+  const response = await Promise.race([
+    llm.chat({
+      stage: 'match-rationale',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.9, // Higher creativity for finding peripheral opportunities
+      maxTokens: 3000, // Extended for comprehensive research-backed introduction (was 1500)
+      json: true
+    }),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Synthesis timeout after 90 seconds')), 90000).unref() // Extended timeout for complex synthesis
+    )
+  ]);
+
+  const result = response.json;
+
+  // Validate response has required fields
+  if (!result.rationale_ops || !result.creative_angle || !result.intro_basis) {
+    throw new Error('Incomplete AI response from Stage 3 synthesis');
+  }
+
+  console.log(`   ✅ Stage 3 complete: Strategic synthesis generated`);
+
+  return result;
+}
+
+module.exports = { synthesizeIntroduction };
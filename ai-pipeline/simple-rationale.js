@@ -0,0 +1,72 @@
+// ai-pipeline/simple-rationale.js - Intro text without AI
+// Used when the AI pipeline fails or the event's AI budget has been reached.
+
+// Generate simple rationale without AI
+function generateSimpleRationale(member1, member2) {
+  const needs1 = member1.needs ? member1.needs.split(',').map(n => n.trim()) : [];
+  const assets2 = member2.assets ? member2.assets.split(',').map(a => a.trim()) : [];
+  const needs2 = member2.needs ? member2.needs.split(',').map(n => n.trim()) : [];
+  const assets1 = member1.assets ? member1.assets.split(',').map(a => a.trim()) : [];
+  
+  let matches = [];
+  
+  // Find matching needs/assets
+  for (const need of needs1) {
+    for (const asset of assets2) {
+      if (asset.toLowerCase().includes(need.toLowerCase()) || need.toLowerCase().includes(asset.toLowerCase())) {
+        matches.push(`${member2.name}'s ${asset} can help with your need for ${need}`);
+      }
+    }
+  }
+  
+  for (const need of needs2) {
+    for (const asset of assets1) {
+      if (asset.toLowerCase().includes(need.toLowerCase()) || need.toLowerCase().includes(asset.toLowerCase())) {
+        matches.push(`Your ${asset} can help ${member2.name}'s need for ${need}`);
+      }
+    }
+  }
+  
+  const rationale_ops = matches.length > 0 
+    ? matches[0] 
+    : `Both in ${member1.industry || 'business'} and ${member2.industry || 'business'}, potential for collaboration`;
+  
+  const creative_angle = member1.fun_fact && member2.fun_fact 
+    ? `Connect over shared interests` 
+    : `Explore synergies between ${member1.org} and ${member2.org}`;
+  
+  const intro_basis = `Start by discussing ${member1.current_constraint || 'current challenges'} and how ${member2.org}'s expertise might help`;
+  
+  return {
+    rationale_ops,
+    creative_angle,
+    intro_basis
+  };
+}
+
+// Group intro text without AI, from the needs the group covers (links from group-matching.js)
+function generateSimpleGroupRationale(member, others, links) {
+  const names = new Map(others.map(person => [person.member_id, person.name]));
+  const exchanges = links.slice(0, 3).map(link => {
+    const provider = link.providerId === member.member_id ? 'Your' : `${names.get(link.providerId)}'s`;
+    const receiver = link.memberId === member.member_id ? 'your' : `${names.get(link.memberId)}'s`;
+    return `${provider} ${link.asset} can help with ${receiver} need for ${link.need}`;
+  });
+
+  const industries = [member, ...others].map(person => person.industry).filter(Boolean).filter((v, i, a) => a.indexOf(v) === i);
+  const rationale_ops = exchanges.length > 0
+    ? `${exchanges.join('; ')}.`
+    : `Together you span ${industries.join(', ') || 'several businesses'}, with room to help each other`;
+
+  const creative_angle = `Explore a joint project between ${[member, ...others].map(person => person.org).join(', ')}`;
+
+  const intro_basis = `Start by having each person share their biggest challenge${member.current_constraint ? ` (yours: ${member.current_constraint})` : ''} and ask who in the group can help with it`;
+
+  return {
+    rationale_ops,
+    creative_angle,
+    intro_basis
+  };
+}
+
+module.exports = { generateSimpleRationale, generateSimpleGroupRationale };
@@ -0,0 +1,152 @@
+// ai-usage.js - AI cost accounting and per-event budgets
+// Every chat/embedding call reported by the LLM layer is stored in ai_usage with
+// its model, tokens and estimated cost. Calls are attributed to the member and
+// event (and job) whose work triggered them via withContext(), which follows the
+// call through async code - the research functions don't need extra parameters.
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('./db');
+const llm = require('./llm');
+
+const context = new AsyncLocalStorage();
+
+// USD per 1M tokens. Unknown models (local servers, the stub) cost 0.
+// Override or extend with AI_PRICES='{"my-model": {"input": 1, "output": 2}}'
+const PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  ...parsePriceOverrides(process.env.AI_PRICES)
+};
+
+// Used when an event has no budget of its own (unset = unlimited)
+const defaultBudget = process.env.AI_BUDGET_USD ? parseFloat(process.env.AI_BUDGET_USD) : null;
+const defaultMode = process.env.AI_BUDGET_MODE === 'refuse' ? 'refuse' : 'degrade';
+
+const BUDGET_MODES = ['degrade', 'refuse'];
+
+function parsePriceOverrides(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.error('⚠️  Ignoring AI_PRICES - not valid JSON:', error.message);
+    return {};
+  }
+}
+
+// Dated snapshots ("gpt-4o-2024-08-06") are priced like their base model
+function priceFor(model) {
+  if (!model) return null;
+  if (PRICES[model]) return PRICES[model];
+
+  const base = Object.keys(PRICES)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? PRICES[base] : null;
+}
+
+function estimateCost(model, usage) {
+  const price = priceFor(model);
+  if (!price || !usage) return 0;
+  return ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1000000;
+}
+
+// Run fn with AI calls attributed to { eventId, memberId, jobId }
+function withContext(usageContext, fn) {
+  return context.run(usageContext, fn);
+}
+
+async function record({ kind, stage, provider, model, usage }) {
+  const current = context.getStore() || {};
+  const cost = estimateCost(model, usage);
+
+  try {
+    await db.run(`
+      INSERT INTO ai_usage (event_id, member_id, job_id, kind, stage, provider, model, prompt_tokens, completion_tokens, total_tokens, cost_usd)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      current.eventId || null, current.memberId || null, current.jobId || null,
+      kind, stage, provider, model,
+      usage?.promptTokens || 0, usage?.completionTokens || 0, usage?.totalTokens || 0,
+      cost
+    ]);
+  } catch (error) {
+    // Accounting must never break generation
+    console.error('AI usage record error:', error.message);
+  }
+}
+
+llm.onUsage(record);
+
+// Budget state for an event: { limitUsd, mode, spentUsd, remainingUsd, exceeded }
+async function checkBudget(eventId) {
+  const event = await db.get('SELECT ai_budget_usd, ai_budget_mode FROM events WHERE event_id = $1', [eventId]);
+  const spent = await db.get('SELECT COALESCE(SUM(cost_usd), 0)::float as total FROM ai_usage WHERE event_id = $1', [eventId]);
+
+  const limitUsd = event && event.ai_budget_usd !== null ? parseFloat(event.ai_budget_usd) : defaultBudget;
+  const mode = (event && event.ai_budget_mode) || defaultMode;
+  const spentUsd = spent.total;
+
+  return {
+    limitUsd,
+    mode,
+    spentUsd,
+    remainingUsd: limitUsd === null ? null : Math.max(0, limitUsd - spentUsd),
+    exceeded: limitUsd !== null && spentUsd >= limitUsd
+  };
+}
+
+// Spend for one event: totals, per member and per stage/model
+async function getEventReport(eventId) {
+  const totals = await db.get(`
+    SELECT COUNT(*)::int as calls, COALESCE(SUM(total_tokens), 0)::int as tokens, COALESCE(SUM(cost_usd), 0)::float as cost_usd
+    FROM ai_usage WHERE event_id = $1
+  `, [eventId]);
+
+  // member_id has no foreign key so spend stays on record after a member is deleted
+  const byMember = await db.all(`
+    SELECT u.member_id, m.name, m.org,
+           COUNT(*)::int as calls, SUM(u.total_tokens)::int as tokens, SUM(u.cost_usd)::float as cost_usd
+    FROM ai_usage u
+    LEFT JOIN members m ON u.member_id = m.member_id
+    WHERE u.event_id = $1
+    GROUP BY u.member_id, m.name, m.org
+    ORDER BY cost_usd DESC, tokens DESC
+  `, [eventId]);
+
+  const byStage = await db.all(`
+    SELECT stage, model,
+           COUNT(*)::int as calls, SUM(prompt_tokens)::int as prompt_tokens, SUM(completion_tokens)::int as completion_tokens,
+           SUM(cost_usd)::float as cost_usd
+    FROM ai_usage
+    WHERE event_id = $1
+    GROUP BY stage, model
+    ORDER BY cost_usd DESC, calls DESC
+  `, [eventId]);
+
+  return { totals, byMember, byStage, budget: await checkBudget(eventId) };
+}
+
+// Spend across all events (plus calls that couldn't be attributed to one)
+async function getSpendByEvent() {
+  return db.all(`
+    SELECT u.event_id, e.name, e.ai_budget_usd::float as budget_usd,
+           COUNT(*)::int as calls, SUM(u.total_tokens)::int as tokens, SUM(u.cost_usd)::float as cost_usd
+    FROM ai_usage u
+    LEFT JOIN events e ON u.event_id = e.event_id
+    GROUP BY u.event_id, e.name, e.ai_budget_usd
+    ORDER BY cost_usd DESC
+  `);
+}
+
+module.exports = {
+  BUDGET_MODES,
+  estimateCost,
+  withContext,
+  checkBudget,
+  getEventReport,
+  getSpendByEvent
+};
@@ -0,0 +1,85 @@
+// app.js - Builds the Express app (middleware, static pages and API routers)
+// createApp() does not listen on a port, so scripts and tests can mount the app
+// themselves; server.js is the entry point that starts it.
+const express = require('express');
+const session = require('express-session');
+const path = require('path');
+const db = require('./db');
+const { PostgresSessionStore } = require('./session-store');
+const memberRoutes = require('./routes/members');
+const matchRoutes = require('./routes/matches');
+const adminRoutes = require('./routes/admin');
+const dashboardRoutes = require('./routes/dashboard');
+
+// Registers the 'top3' and 'brainstorm' job handlers
+require('./match-generation');
+
+function createApp() {
+  const app = express();
+
+  // Render (and most hosts) terminate HTTPS at a proxy; trusting its X-Forwarded-*
+  // headers lets req.secure and req.ip reflect the visitor's connection (0 = no proxy)
+  const proxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+  app.set('trust proxy', Number.isInteger(proxyHops) ? proxyHops : 1);
+
+  // Middleware
+  // Import uploads carry a base64 file, so they get a bigger body limit than the rest
+  app.use('/api/admin/import', express.json({ limit: process.env.IMPORT_MAX_UPLOAD || '10mb' }));
+  app.use(express.json());
+  app.use(express.static(path.join(__dirname, 'public')));
+  app.use(session({
+    store: new PostgresSessionStore(),
+    secret: process.env.SESSION_SECRET || 'rotary-networking-secret-2024',
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      secure: 'auto', // Secure over HTTPS, still works over plain HTTP in local development
+      httpOnly: true,
+      sameSite: 'lax' // Allow cookies to work across page navigations
+    }
+  }));
+
+  // Root redirect
+  app.get('/', (req, res) => {
+    res.redirect('/reg.html');
+  });
+
+  // Health check endpoint for Render
+  app.get('/healthz', async (req, res) => {
+    try {
+      // Test database connection
+      await db.query('SELECT 1');
+      res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error('Health check failed:', error);
+      res.status(503).json({ status: 'error', message: 'Database connection failed' });
+    }
+  });
+
+  // Database probe endpoint - TEMPORARY for debugging
+  // TODO: Remove this after verifying DB connection works
+  app.get('/db/count', async (req, res) => {
+    try {
+      const { rows } = await db.query('SELECT COUNT(*)::int AS c FROM members WHERE deleted_at IS NULL');
+      res.json({ members: rows[0].c });
+    } catch (error) {
+      console.error('DB COUNT ERROR:', error);
+      res.status(500).json({
+        error: 'db_connect_failed',
+        message: error.message,
+        code: error.code
+      });
+    }
+  });
+
+  // API Routes
+  app.use('/api', memberRoutes);
+  app.use('/api', matchRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/dashboard', dashboardRoutes);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,96 @@
+// audit-log.js - Append-only record of destructive and administrative actions
+// Admin routes call record() once the action has succeeded, with the target and the
+// rows it touched. The acting admin, IP and browser come from the request. The table
+// rejects updates and deletes (migration 014), so the history survives member wipes.
+const db = require('./db');
+
+const MAX_PAGE = 500;
+
+// req is null for command-line tools (admin-reset.js); pass { actor } to name them.
+// conn = a db.transaction() tx to record the action as part of it.
+async function record(req, action, { targetType, targetId, targetLabel, eventId, affected, details, actor, conn = db } = {}) {
+  const admin = req && req.admin;
+
+  try {
+    await conn.run(`
+      INSERT INTO audit_log (admin_id, admin_email, action, target_type, target_id, target_label, event_id,
+                             affected, details, method, path, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    `, [
+      admin ? admin.admin_id : null,
+      admin ? admin.email : (actor || null),
+      action,
+      targetType || null,
+      targetId || null,
+      targetLabel || null,
+      eventId || null,
+      JSON.stringify(affected || {}),
+      details ? JSON.stringify(details) : null,
+      req ? req.method : null,
+      req ? req.originalUrl : null,
+      req ? req.ip : null,
+      req ? req.get('user-agent') || null : null
+    ]);
+  } catch (error) {
+    // Inside a transaction the failed insert has aborted it, so the caller must roll back
+    if (conn !== db) throw error;
+    // The action already happened - a failed audit write must not report it as failed
+    console.error('Audit log record error:', error.message);
+  }
+}
+
+function parseEntry(row) {
+  return {
+    ...row,
+    affected: JSON.parse(row.affected || '{}'),
+    details: row.details ? JSON.parse(row.details) : null
+  };
+}
+
+// Newest first. Filters: action, adminId, eventId, targetId, from / to (dates, inclusive).
+// Page back with before = the last audit_id seen.
+async function list({ action, adminId, eventId, targetId, from, to, before, limit } = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (action) add('action = ?', action);
+  if (adminId) add('admin_id = ?', adminId);
+  if (eventId) add('event_id = ?', eventId);
+  if (targetId) add('target_id = ?', targetId);
+  if (from) add('created_at >= ?::date', from);
+  if (to) add('created_at < ?::date + 1', to);
+  if (before) add('audit_id < ?', parseInt(before, 10));
+
+  const pageSize = Math.min(parseInt(limit, 10) || 100, MAX_PAGE);
+  params.push(pageSize);
+
+  const rows = await db.all(`
+    SELECT * FROM audit_log
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY audit_id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return rows.map(parseEntry);
+}
+
+// Values for the admin page's filter dropdowns
+async function listFilters() {
+  const actions = await db.all('SELECT action, COUNT(*)::int as count FROM audit_log GROUP BY action ORDER BY action');
+  const admins = await db.all(`
+    SELECT admin_id, MAX(admin_email) as admin_email
+    FROM audit_log WHERE admin_id IS NOT NULL
+    GROUP BY admin_id ORDER BY MAX(admin_email)
+  `);
+  return { actions, admins };
+}
+
+module.exports = {
+  record,
+  list,
+  listFilters
+};
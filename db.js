@@ -53,6 +53,32 @@ async function run(text, params) {
   };
 }
 
+// Run fn(tx) as one transaction on a dedicated pool client. tx has the same get/all/run
+// helpers; everything fn writes through it is committed together or rolled back.
+async function transaction(fn) {
+  const client = await pool.connect();
+  const tx = {
+    get: async (text, params) => (await client.query(text, params)).rows[0] || null,
+    all: async (text, params) => (await client.query(text, params)).rows,
+    run: async (text, params) => {
+      const result = await client.query(text, params);
+      return { lastID: result.rows[0]?.id, changes: result.rowCount };
+    }
+  };
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(tx);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Test database connection
 async function testConnection() {
   try {
@@ -71,5 +97,6 @@ module.exports = {
   get,
   all,
   run,
+  transaction,
   testConnection
 };
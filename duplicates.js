@@ -0,0 +1,250 @@
+// duplicates.js - Finding members who registered more than once, and merging them
+// Two profiles of an event count as possible duplicates when they share an email,
+// have similar names at similar organizations, or have near-identical embeddings.
+// Registration only checks the first two (the new embedding isn't there yet); the
+// admin page lists all three. merge() folds one profile into another.
+const db = require('./db');
+const members = require('./repositories/members');
+const duplicatesRepo = require('./repositories/duplicates');
+const researchCache = require('./research-cache');
+const { generateEmbedding } = require('./embeddings');
+const { MIN_GROUP_SIZE } = require('./group-matching');
+const vectors = require('./repositories/vectors');
+const intros = require('./repositories/intros');
+
+const NAME_SIMILARITY = 0.85;
+const ORG_SIMILARITY = 0.8;
+const EMBEDDING_SIMILARITY = parseFloat(process.env.DUPLICATE_EMBEDDING_SIMILARITY) || 0.95;
+
+// Which intro survives when the merge leaves two for the same pair and tier
+const STATUS_RANK = { accepted: 3, requested: 2, declined: 1, draft: 0 };
+
+const ORG_SUFFIXES = /\b(inc|llc|ltd|co|corp|corporation|company|plc|gmbh)\b/g;
+
+function normalizeName(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeOrg(text) {
+  return normalizeName(text).replace(ORG_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0..1, where 1 is identical. Word order doesn't matter ("Smith John" = "John Smith").
+function textSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const sorted = text => text.split(' ').sort().join(' ');
+  const ratio = (x, y) => 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+  return Math.max(ratio(a, b), ratio(sorted(a), sorted(b)));
+}
+
+// Reasons two members look like the same person: 'email' and/or 'name_org'
+function compareProfiles(a, b) {
+  const reasons = [];
+  if (a.email && b.email && a.email.trim().toLowerCase() === b.email.trim().toLowerCase()) {
+    reasons.push('email');
+  }
+
+  const name = textSimilarity(normalizeName(a.name), normalizeName(b.name));
+  const org = textSimilarity(normalizeOrg(a.org), normalizeOrg(b.org));
+  if (name >= NAME_SIMILARITY && org >= ORG_SIMILARITY) {
+    reasons.push('name_org');
+  }
+
+  return { reasons, name, org };
+}
+
+// Other members of the event a (just registered) member may duplicate
+async function findForMember(member) {
+  const others = await members.listIdentities(member.event_id);
+  const dismissed = await duplicatesRepo.listDismissed(member.event_id);
+
+  return others
+    .filter(other => other.member_id !== member.member_id)
+    .filter(other => !dismissed.has(duplicatesRepo.orderPair(member.member_id, other.member_id).join('|')))
+    .map(other => ({ member: other, ...compareProfiles(member, other) }))
+    .filter(match => match.reasons.length > 0);
+}
+
+// Every possible duplicate pair of an event, strongest first:
+// [{ members: [a, b], reasons, similarity: { name, org, embedding } }]
+async function listPairs(eventId) {
+  const eventMembers = (await members.listForEvent(eventId)).map(members.toPublic);
+  const dismissed = await duplicatesRepo.listDismissed(eventId);
+  const byId = new Map(eventMembers.map(member => [member.member_id, member]));
+  const pairs = new Map();
+
+  for (let i = 0; i < eventMembers.length; i++) {
+    for (let j = i + 1; j < eventMembers.length; j++) {
+      const [idA, idB] = duplicatesRepo.orderPair(eventMembers[i].member_id, eventMembers[j].member_id);
+      const [a, b] = [byId.get(idA), byId.get(idB)];
+      const { reasons, name, org } = compareProfiles(a, b);
+      if (reasons.length === 0) continue;
+      pairs.set(`${a.member_id}|${b.member_id}`, { members: [a, b], reasons, similarity: { name, org, embedding: null } });
+    }
+  }
+
+  for (const row of await duplicatesRepo.listEmbeddingPairs(eventId, EMBEDDING_SIMILARITY)) {
+    const key = `${row.member_a}|${row.member_b}`;
+    const pair = pairs.get(key) || {
+      members: [byId.get(row.member_a), byId.get(row.member_b)],
+      reasons: [],
+      similarity: compareProfiles(byId.get(row.member_a), byId.get(row.member_b))
+    };
+    pair.reasons.push('embedding');
+    pair.similarity = { name: pair.similarity.name, org: pair.similarity.org, embedding: row.similarity };
+    pairs.set(key, pair);
+  }
+
+  const strength = pair => (pair.reasons.includes('email') ? 2 : 0) + pair.reasons.length;
+  return [...pairs.entries()]
+    .filter(([key]) => !dismissed.has(key))
+    .map(([, pair]) => pair)
+    .sort((x, y) => strength(y) - strength(x) || (y.similarity.embedding || 0) - (x.similarity.embedding || 0));
+}
+
+async function dismiss(memberA, memberB, dismissedBy) {
+  await duplicatesRepo.dismiss(memberA, memberB, dismissedBy);
+}
+
+function introRank(intro) {
+  // A live intro beats one in the trash, then the further the request got, then the score
+  return [intro.deleted_at ? 0 : 1, STATUS_RANK[intro.status] || 0, intro.score || 0];
+}
+
+function outranks(a, b) {
+  const [rankA, rankB] = [introRank(a), introRank(b)];
+  for (let i = 0; i < rankA.length; i++) {
+    if (rankA[i] !== rankB[i]) return rankA[i] > rankB[i];
+  }
+  return false;
+}
+
+// Re-point the merged member's intros (live and trashed) to the kept one. Where the
+// kept member already has an intro for the same pair and tier, the stronger one stays.
+// Intros between the two profiles are dropped.
+async function moveIntros(keepId, mergeId, tx) {
+  let moved = 0;
+  let dropped = 0;
+
+  for (const intro of await duplicatesRepo.listIntrosInvolving(mergeId, tx)) {
+    const forId = intro.for_member_id === mergeId ? keepId : intro.for_member_id;
+    const toId = intro.to_member_id === mergeId ? keepId : intro.to_member_id;
+
+    if (forId === toId) {
+      await duplicatesRepo.deleteIntro(intro.intro_id, tx);
+      dropped++;
+      continue;
+    }
+
+    const existing = await duplicatesRepo.findIntro(forId, toId, intro.tier, tx);
+    if (existing && !outranks(intro, existing)) {
+      await duplicatesRepo.deleteIntro(intro.intro_id, tx);
+      dropped++;
+      continue;
+    }
+    if (existing) {
+      await duplicatesRepo.deleteIntro(existing.intro_id, tx);
+      dropped++;
+    }
+
+    await duplicatesRepo.repointIntro(intro.intro_id, forId, toId, tx);
+    moved++;
+  }
+
+  return { moved, dropped };
+}
+
+// Fold mergeId into keepId. fields = { field: value } picks values for the kept profile
+// (e.g. the newer email); anything not given keeps the kept member's value, or takes
+// the merged member's where the kept one is empty. Returns { error, status } or the counts.
+async function merge({ keepId, mergeId, fields = {} }) {
+  if (!keepId || !mergeId || keepId === mergeId) {
+    return { status: 400, error: 'Pick two different members to merge' };
+  }
+
+  const keep = await members.findById(keepId);
+  const merged = await members.findById(mergeId);
+  if (!keep || !merged) {
+    return { status: 404, error: 'Member not found' };
+  }
+  if (keep.event_id !== merged.event_id) {
+    return { status: 400, error: 'Only members of the same event can be merged' };
+  }
+
+  const changes = {};
+  for (const field of members.EDITABLE_FIELDS) {
+    let value;
+    if (fields[field] !== undefined) {
+      value = field === 'consent' ? !!fields[field] : String(fields[field] ?? '').trim();
+    } else if (field !== 'consent' && !keep[field] && merged[field]) {
+      value = merged[field];
+    }
+    if (value !== undefined && value !== (keep[field] ?? '')) changes[field] = value;
+  }
+
+  const missing = members.REQUIRED_FIELDS.filter(field => changes[field] !== undefined && !changes[field]);
+  if (missing.length > 0) {
+    return { status: 400, error: `${missing.join(', ')} cannot be empty` };
+  }
+
+  // All or nothing: a failure halfway must not leave intros moved and the duplicate still there
+  const changedFields = Object.keys(changes);
+  const { introCounts, groupCounts, movedSeats, droppedVectors } = await db.transaction(async (tx) => {
+    const moved = await moveIntros(keepId, mergeId, tx);
+    const groups = await duplicatesRepo.moveGroupIntros(mergeId, keepId, MIN_GROUP_SIZE, tx);
+    await duplicatesRepo.moveAiUsage(mergeId, keepId, tx);
+    const seats = await duplicatesRepo.moveRoundSeats(mergeId, keepId, tx);
+    const removed = await duplicatesRepo.removeMergedMember(mergeId, tx);
+    if (changedFields.length > 0) {
+      await members.update(keepId, changes, tx);
+    }
+    return { introCounts: moved, groupCounts: groups, movedSeats: seats, droppedVectors: removed.vectors };
+  });
+
+  // Same as a profile edit: a new embedding, and the intros written from the old profile are stale
+  const reembedded = changedFields.some(field => members.SEMANTIC_FIELDS.includes(field));
+  if (reembedded) {
+    await vectors.remove(keepId);
+    await generateEmbedding(keepId);
+    await researchCache.invalidateMember(keepId);
+    await intros.markStaleForMember(keepId);
+  }
+
+  console.log(`🔗 Merged ${merged.name} (${mergeId}) into ${keep.name} (${keepId}): ${introCounts.moved} intros moved, ${introCounts.dropped} dropped`);
+
+  return {
+    keep,
+    merged,
+    member: await members.findById(keepId),
+    changedFields,
+    reembedded,
+    affected: { members: 1, intros: introCounts.moved + introCounts.dropped, vectors: droppedVectors, roundSeats: movedSeats },
+    intros: introCounts,
+    groups: groupCounts
+  };
+}
+
+module.exports = {
+  EMBEDDING_SIMILARITY,
+  textSimilarity,
+  findForMember,
+  listPairs,
+  dismiss,
+  merge
+};
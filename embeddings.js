@@ -0,0 +1,64 @@
+// embeddings.js - Member profile embeddings used for candidate retrieval
+// Each member's profile is embedded once (on registration or edit) and stored in
+// the pgvector column vectors.embedding; matching loads it or generates it on demand.
+const llm = require('./llm');
+const aiUsage = require('./ai-usage');
+const members = require('./repositories/members');
+const vectors = require('./repositories/vectors');
+const liveDashboard = require('./live-dashboard');
+
+// Generate embedding for a member
+async function generateEmbedding(memberId) {
+  try {
+    const member = await members.findById(memberId);
+
+    // Build RICH profile string for embedding - include everything for better semantic matching
+    const profile = `
+      ${member.name} | ${member.role} at ${member.org}
+      Industry: ${member.industry || ''} | Location: ${member.city || ''}
+      Revenue Model: ${member.rev_driver || ''}
+      Current Challenge: ${member.current_constraint || ''}
+      What I Bring: ${member.assets || ''}
+      What I Need: ${member.needs || ''}
+      About Me: ${member.fun_fact || ''}
+    `.trim();
+
+    // Generate embedding via the configured LLM provider (text-embedding-3-small on OpenAI).
+    // Recorded against the member but never blocked by the budget - matching needs it.
+    const { embedding } = await aiUsage.withContext(
+      { eventId: member.event_id, memberId },
+      () => llm.embed(profile)
+    );
+
+    await vectors.save(memberId, embedding);
+    liveDashboard.publish(member.event_id, { type: 'embedding.completed', name: member.name, org: member.org, action: 'is ready to be matched' });
+
+    console.log(`✅ Embedding generated for ${member.name} (${member.org})`);
+  } catch (error) {
+    console.error('Embedding generation error:', error);
+  }
+}
+
+// Load a member's embedding, generating it on demand (for test data or new members)
+async function getMemberEmbedding(member) {
+  let embedding = await vectors.getEmbedding(member.member_id);
+
+  if (!embedding) {
+    console.log(`⚡ No embedding found for ${member.name}, generating now...`);
+    await generateEmbedding(member.member_id);
+    embedding = await vectors.getEmbedding(member.member_id);
+
+    if (!embedding) {
+      console.error(`❌ Failed to generate embedding for ${member.name}`);
+      return null;
+    }
+    console.log(`✅ Embedding generated for ${member.name}`);
+  }
+
+  return embedding;
+}
+
+module.exports = {
+  generateEmbedding,
+  getMemberEmbedding
+};
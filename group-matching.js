@@ -0,0 +1,160 @@
+// group-matching.js - Triads and small working groups for one member
+// Pair intros look at two people at a time. A group is scored as a whole: the share of
+// its members' needs that another member's assets cover (with the scoring profile's
+// need/asset matching), and the average mutual calculateMatchScore of its pairs.
+// Groups of MIN_GROUP_SIZE-MAX_GROUP_SIZE are grown from the member out of their
+// best-scored candidates with a beam search, and the best few that don't overlap much
+// are suggested. The 'groups' job in match-generation.js writes them up.
+const { calculateMatchScore, cosineSimilarity, matchesNeedAsset } = require('./scoring');
+
+const MIN_GROUP_SIZE = 3;
+const MAX_GROUP_SIZE = 5;
+// Groups suggested per member
+const GROUP_SUGGESTIONS = 3;
+// How many of the member's best-scored candidates the groups are built from
+const GROUP_POOL_SIZE = 12;
+// Partial groups carried over to the next size
+const BEAM_WIDTH = 30;
+// Share of the group score that comes from covered needs (the rest is the pair average)
+const COVERAGE_WEIGHT = 0.5;
+
+function splitList(text) {
+  return text ? text.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function mutualScore(member1, member2, profile) {
+  const similarity = cosineSimilarity(member1.embedding, member2.embedding);
+  try {
+    return (calculateMatchScore(member1, member2, similarity, null, profile).score
+      + calculateMatchScore(member2, member1, similarity, null, profile).score) / 2;
+  } catch (error) {
+    console.error(`   ❌ Error scoring ${member1.name} ↔ ${member2.name}:`, error.message);
+    return 0;
+  }
+}
+
+// Pair scores and, per member and need, which asset of each other member covers it
+function buildContext(participants, profile) {
+  const needs = participants.map(member => splitList(member.needs));
+  const assets = participants.map(member => splitList(member.assets));
+  const value = participants.map(() => new Array(participants.length).fill(0));
+  participants.forEach((member, i) => {
+    for (let j = i + 1; j < participants.length; j++) {
+      value[i][j] = value[j][i] = mutualScore(member, participants[j], profile);
+    }
+  });
+
+  return {
+    participants,
+    needs,
+    value,
+    // covers[i][j][n] = j's asset that covers i's n-th need, or undefined
+    covers: needs.map((memberNeeds, i) => participants.map((other, j) => memberNeeds.map(need => (i === j
+      ? undefined
+      : assets[j].find(asset => matchesNeedAsset(need.toLowerCase(), asset.toLowerCase(), profile))))))
+  };
+}
+
+// Needs in the group covered by another member: { covered, total, percentage, links }
+function groupCoverage(indices, context) {
+  const links = [];
+  let total = 0;
+
+  for (const i of indices) {
+    context.needs[i].forEach((need, n) => {
+      total++;
+      const provider = indices.find(j => context.covers[i][j][n] !== undefined);
+      if (provider !== undefined) {
+        links.push({
+          need,
+          memberId: context.participants[i].member_id,
+          providerId: context.participants[provider].member_id,
+          asset: context.covers[i][provider][n]
+        });
+      }
+    });
+  }
+
+  return { covered: links.length, total, percentage: total > 0 ? Math.round((links.length / total) * 100) : 0, links };
+}
+
+function scoreGroup(indices, context) {
+  const coverage = groupCoverage(indices, context);
+  let pairTotal = 0;
+  let pairs = 0;
+  indices.forEach((a, idx) => indices.slice(idx + 1).forEach(b => {
+    pairTotal += context.value[a][b];
+    pairs++;
+  }));
+  const averagePairScore = pairs > 0 ? Math.round(pairTotal / pairs) : 0;
+
+  return {
+    score: Math.round(COVERAGE_WEIGHT * coverage.percentage + (1 - COVERAGE_WEIGHT) * averagePairScore),
+    coverage,
+    averagePairScore
+  };
+}
+
+// What each member brings to the group and gets from it, from the coverage links
+function groupRoles(memberIds, links) {
+  return memberIds.map(memberId => ({
+    memberId,
+    gives: [...new Set(links.filter(link => link.providerId === memberId).map(link => link.asset))],
+    gets: links.filter(link => link.memberId === memberId).map(link => link.need)
+  }));
+}
+
+// member and pool entries are member rows with an embedding (or null). Returns up to
+// `suggestions` groups, best first: [{ memberIds (member first), score, coverage,
+// averagePairScore, roles }]
+function findGroups(member, pool, profile, { suggestions = GROUP_SUGGESTIONS } = {}) {
+  const participants = [member, ...pool];
+  if (participants.length < MIN_GROUP_SIZE) return [];
+
+  const context = buildContext(participants, profile);
+  const found = [];
+  let beam = [[0]];
+
+  for (let size = 2; size <= Math.min(MAX_GROUP_SIZE, participants.length); size++) {
+    const grown = new Map();
+    for (const indices of beam) {
+      for (let candidate = 1; candidate < participants.length; candidate++) {
+        if (indices.includes(candidate)) continue;
+        const next = [...indices, candidate].sort((a, b) => a - b);
+        const key = next.join(',');
+        if (!grown.has(key)) grown.set(key, { indices: next, ...scoreGroup(next, context) });
+      }
+    }
+
+    // Best first; on a tie the group found first (its members scored higher with the member)
+    const ranked = [...grown.values()].sort((a, b) => b.score - a.score);
+    beam = ranked.slice(0, BEAM_WIDTH).map(group => group.indices);
+    if (size >= MIN_GROUP_SIZE) found.push(...ranked.slice(0, BEAM_WIDTH));
+  }
+
+  // Suggestions may share at most one member besides the member themself
+  const chosen = [];
+  for (const group of found.sort((a, b) => b.score - a.score || a.indices.length - b.indices.length)) {
+    if (chosen.length >= suggestions) break;
+    const overlaps = chosen.some(other => group.indices.filter(idx => idx !== 0 && other.indices.includes(idx)).length > 1);
+    if (!overlaps) chosen.push(group);
+  }
+
+  return chosen.map(group => {
+    const memberIds = group.indices.map(idx => participants[idx].member_id);
+    return {
+      memberIds,
+      score: group.score,
+      coverage: group.coverage,
+      averagePairScore: group.averagePairScore,
+      roles: groupRoles(memberIds, group.coverage.links)
+    };
+  });
+}
+
+module.exports = {
+  MIN_GROUP_SIZE,
+  MAX_GROUP_SIZE,
+  GROUP_POOL_SIZE,
+  findGroups
+};
@@ -0,0 +1,117 @@
+// intro-export.js - Post-event exports of an event's intros
+// toCsv() and toJson() cover every intro of the event (JSON adds the member profiles and
+// the parsed score_breakdown); writePdf() renders a printable page per member with their
+// Top 3 rationales. Contact emails appear only for accepted intros, as on matches.html.
+const PDFDocument = require('pdfkit');
+
+const CSV_COLUMNS = [
+  ['intro_id', 'Intro ID'],
+  ['for_name', 'For'],
+  ['for_org', 'For Organization'],
+  ['to_name', 'Introduced To'],
+  ['to_org', 'Introduced To Organization'],
+  ['tier', 'Tier'],
+  ['score', 'Score'],
+  ['status', 'Status'],
+  ['rationale_ops', 'Rationale'],
+  ['creative_angle', 'Creative Angle'],
+  ['intro_basis', 'Intro Basis'],
+  ['created_at', 'Generated'],
+  ['requested_at', 'Requested'],
+  ['responded_at', 'Answered'],
+  ['acknowledged_at', 'Introduced'],
+  ['feedback_rating', 'Feedback'],
+  ['feedback_outcome', 'Outcome'],
+  ['stale', 'Based on an Earlier Profile']
+];
+
+function parseBreakdown(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheet apps run cells starting with these as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.map(([, label]) => label).join(',')];
+  for (const row of rows) {
+    const values = { ...row, stale: row.stale_at ? 'yes' : 'no' };
+    lines.push(CSV_COLUMNS.map(([key]) => csvCell(values[key])).join(','));
+  }
+  // Byte order mark so Excel opens names with accents as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function toJson(event, eventMembers, rows) {
+  return {
+    event: { event_id: event.event_id, name: event.name, slug: event.slug },
+    exportedAt: new Date().toISOString(),
+    members: eventMembers,
+    intros: rows.map(row => ({ ...row, score_breakdown: parseBreakdown(row.score_breakdown) }))
+  };
+}
+
+function writeIntro(doc, intro, position) {
+  doc.font('Helvetica-Bold').fontSize(13)
+    .text(`${position}. ${intro.name}`, { continued: true })
+    .font('Helvetica').fontSize(11)
+    .text(`  ${[intro.role, intro.org, intro.city].filter(Boolean).join(', ')}`);
+  doc.fontSize(10).fillColor('#666666')
+    .text(`Match score ${Math.round(intro.score)}${intro.contact_email ? `  |  ${intro.contact_email}` : ''}`)
+    .fillColor('black');
+
+  const sections = [
+    ['Why you should meet', intro.rationale_ops],
+    ['Creative angle', intro.creative_angle],
+    ['How to open the conversation', intro.intro_basis]
+  ];
+  for (const [heading, text] of sections) {
+    if (!text) continue;
+    doc.moveDown(0.4).font('Helvetica-Bold').fontSize(10).text(heading);
+    doc.font('Helvetica').fontSize(10).text(text, { align: 'left' });
+  }
+  doc.moveDown(1.2);
+}
+
+// pages = [{ member, top3 }] - one page each. Streams the PDF into output (e.g. res).
+function writePdf(output, event, pages) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 56, info: { Title: `${event.name} - Introductions` } });
+  doc.pipe(output);
+
+  pages.forEach(({ member, top3 }, idx) => {
+    if (idx > 0) doc.addPage();
+
+    doc.font('Helvetica').fontSize(10).fillColor('#666666').text(event.name).fillColor('black');
+    doc.font('Helvetica-Bold').fontSize(20).text(member.name);
+    doc.font('Helvetica').fontSize(12).text([member.role, member.org].filter(Boolean).join(', '));
+    doc.moveDown(1).font('Helvetica-Bold').fontSize(15).text('Your Top 3 Introductions').moveDown(0.6);
+
+    if (top3.length === 0) {
+      doc.font('Helvetica').fontSize(11).text('No introductions have been generated yet.');
+      return;
+    }
+    top3.forEach((intro, position) => writeIntro(doc, intro, position + 1));
+  });
+
+  if (pages.length === 0) {
+    doc.font('Helvetica').fontSize(12).text(`${event.name} has no members yet.`);
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  toCsv,
+  toJson,
+  writePdf
+};
@@ -0,0 +1,176 @@
+// intro-feedback.js - Member feedback on intros and score calibration from it
+// The member an intro was written for can rate it (thumbs up / down) and record what came
+// of it (met, follow-up scheduled, referral, deal). Whether an intro went well is the
+// member's own verdict when they gave one (thumbs up yes, thumbs down no, whatever the
+// outcome); without a rating, it went well when it led further than a first meeting.
+// The calibration report compares each category of the stored fullBreakdown - as a
+// share of its maximum points, so intros scored with different profile versions
+// compare - between intros that went well and the rest, and suggests weights that lean
+// towards the categories that predict them.
+const scoringProfile = require('./scoring-profile');
+const intros = require('./repositories/intros');
+
+const RATINGS = ['up', 'down'];
+const OUTCOMES = ['met', 'follow_up', 'referral', 'deal'];
+// Outcomes that count as the intro having gone well when the member gave no rating
+const POSITIVE_OUTCOMES = ['follow_up', 'referral', 'deal'];
+
+// Fewer rated intros than this are too noisy to suggest weights from
+const MIN_FEEDBACK = 10;
+// How far a perfect correlation (1 or -1) moves a weight: 0.5 = up to 50% up or down
+const CALIBRATION_STRENGTH = 0.5;
+
+// fullBreakdown factor names → scoring profile weight keys
+const FACTOR_KEYS = {
+  'Universal Business Potential': 'universal',
+  'Semantic Profile Similarity': 'semantic',
+  'Complementary Value Exchange': 'complementary',
+  'Market Alignment': 'market',
+  'Geographic & Logistical Synergy': 'geographic',
+  'Strategic Growth Opportunities': 'strategic'
+};
+
+// A rating decides on its own; the outcome only counts for intros without one
+function isPositive(intro) {
+  if (intro.feedback_rating) return intro.feedback_rating === 'up';
+  return POSITIVE_OUTCOMES.includes(intro.feedback_outcome);
+}
+
+// Apply a member's feedback to an intro ({ rating, outcome }, either may be left out to
+// keep it, or null to clear it). Returns { error, status } or the saved feedback.
+async function saveFeedback(intro, input) {
+  const body = input || {};
+  if (body.rating === undefined && body.outcome === undefined) {
+    return { status: 400, error: 'Send a rating, an outcome or both' };
+  }
+  if (body.rating !== undefined && body.rating !== null && !RATINGS.includes(body.rating)) {
+    return { status: 400, error: `Rating must be one of: ${RATINGS.join(', ')}` };
+  }
+  if (body.outcome !== undefined && body.outcome !== null && !OUTCOMES.includes(body.outcome)) {
+    return { status: 400, error: `Outcome must be one of: ${OUTCOMES.join(', ')}` };
+  }
+
+  const rating = body.rating === undefined ? intro.feedback_rating : body.rating;
+  const outcome = body.outcome === undefined ? intro.feedback_outcome : body.outcome;
+  const saved = await intros.saveFeedback(intro.intro_id, rating, outcome);
+  if (!saved) {
+    return { status: 404, error: 'Intro not found' };
+  }
+  return saved;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Pearson correlation of a factor's share with the outcome (1 = went well, 0 = not);
+// null when either side has no spread
+function correlation(pairs) {
+  const meanX = average(pairs.map(([x]) => x));
+  const meanY = average(pairs.map(([, y]) => y));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Scale each weight by (1 + strength × correlation) and bring the total back to 100
+// whole points (largest remainders get the leftover points)
+function suggestWeights(weights, correlations, strength = CALIBRATION_STRENGTH) {
+  const keys = scoringProfile.WEIGHT_KEYS;
+  const raw = keys.map(key => weights[key] * (1 + strength * (correlations[key] || 0)));
+  const total = raw.reduce((sum, value) => sum + value, 0);
+  if (total === 0) return { ...weights };
+
+  const scaled = raw.map(value => (value / total) * 100);
+  const rounded = scaled.map(Math.floor);
+  let leftover = 100 - rounded.reduce((sum, value) => sum + value, 0);
+  scaled.map((value, idx) => [value - rounded[idx], idx])
+    .sort((a, b) => b[0] - a[0])
+    .forEach(([, idx]) => {
+      if (leftover > 0) {
+        rounded[idx]++;
+        leftover--;
+      }
+    });
+
+  return Object.fromEntries(keys.map((key, idx) => [key, rounded[idx]]));
+}
+
+function parseBreakdown(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed && parsed.fullBreakdown) ? parsed.fullBreakdown : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Feedback counts, each factor against the outcomes, and suggested weights (null below
+// MIN_FEEDBACK rated intros or when every intro went the same way)
+async function getCalibrationReport(eventId) {
+  const rows = await intros.listFeedbackForEvent(eventId);
+  const profile = await scoringProfile.getActiveProfile(eventId);
+
+  const feedback = {
+    total: rows.length,
+    positive: rows.filter(isPositive).length,
+    ratings: Object.fromEntries(RATINGS.map(rating => [rating, rows.filter(row => row.feedback_rating === rating).length])),
+    outcomes: Object.fromEntries(OUTCOMES.map(outcome => [outcome, rows.filter(row => row.feedback_outcome === outcome).length]))
+  };
+
+  // [share of max points, went well] per weight key
+  const samples = Object.fromEntries(scoringProfile.WEIGHT_KEYS.map(key => [key, []]));
+  for (const row of rows) {
+    const breakdown = parseBreakdown(row.score_breakdown);
+    if (!breakdown) continue;
+    for (const item of breakdown) {
+      const key = FACTOR_KEYS[item.factor];
+      if (key && item.maxPoints > 0) samples[key].push([item.points / item.maxPoints, isPositive(row) ? 1 : 0]);
+    }
+  }
+
+  const percent = (value) => (value === null ? null : Math.round(value * 100));
+  const factors = scoringProfile.WEIGHT_KEYS.map(key => {
+    const pairs = samples[key];
+    const r = pairs.length > 1 ? correlation(pairs) : null;
+    return {
+      key,
+      factor: Object.keys(FACTOR_KEYS).find(name => FACTOR_KEYS[name] === key),
+      weight: profile.weights[key],
+      intros: pairs.length,
+      positiveAverage: percent(average(pairs.filter(([, y]) => y === 1).map(([x]) => x))),
+      otherAverage: percent(average(pairs.filter(([, y]) => y === 0).map(([x]) => x))),
+      correlation: r === null ? null : Math.round(r * 100) / 100
+    };
+  });
+
+  const canSuggest = feedback.total >= MIN_FEEDBACK && feedback.positive > 0 && feedback.positive < feedback.total;
+  const suggestedWeights = canSuggest
+    ? suggestWeights(profile.weights, Object.fromEntries(factors.map(factor => [factor.key, factor.correlation])))
+    : null;
+
+  return {
+    profileVersion: profile.version,
+    minFeedback: MIN_FEEDBACK,
+    feedback,
+    factors,
+    suggestedWeights
+  };
+}
+
+module.exports = {
+  RATINGS,
+  OUTCOMES,
+  MIN_FEEDBACK,
+  isPositive,
+  saveFeedback,
+  suggestWeights,
+  getCalibrationReport
+};
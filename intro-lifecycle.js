@@ -0,0 +1,123 @@
+// intro-lifecycle.js - Double opt-in introductions
+// An intro is written for one member (for_member_id) about another (to_member_id).
+//   request: the for_member asks to be introduced      draft     -> requested
+//   accept / decline: the to_member answers            requested -> accepted | declined
+// Every transition is appended to intro_status_history and shown on the live dashboard.
+// Contact details are only shared on accepted intros - both sides have opted in by then.
+const db = require('./db');
+const liveDashboard = require('./live-dashboard');
+
+// actor = which side of the intro may take the action; timestamps = columns stamped on intros;
+// feed = what the live dashboard says about the for_member (declines stay off the big screen)
+const ACTIONS = {
+  request: { from: 'draft', to: 'requested', actor: 'for_member_id', timestamps: ['requested_at'], feed: 'requested an introduction' },
+  accept: { from: 'requested', to: 'accepted', actor: 'to_member_id', timestamps: ['responded_at', 'acknowledged_at'], feed: 'made an introduction' },
+  decline: { from: 'requested', to: 'declined', actor: 'to_member_id', timestamps: ['responded_at'], feed: null }
+};
+
+function getAction(action) {
+  return Object.prototype.hasOwnProperty.call(ACTIONS, action) ? ACTIONS[action] : null;
+}
+
+// Apply an action and record it in the history (one statement, so both or neither happen).
+// actor = { type: 'member' | 'admin', id }
+// Returns the updated intro, or null if it was no longer in the expected state.
+async function transitionIntro(introId, action, actor) {
+  const transition = getAction(action);
+  if (!transition) {
+    throw new Error(`Unknown intro action: ${action}`);
+  }
+
+  const updated = await db.get(`
+    WITH updated AS (
+      UPDATE intros
+      SET status = $2, ${transition.timestamps.map(column => `${column} = CURRENT_TIMESTAMP`).join(', ')}
+      WHERE intro_id = $1 AND status = $3 AND deleted_at IS NULL
+      RETURNING *
+    ), logged AS (
+      INSERT INTO intro_status_history (intro_id, from_status, to_status, actor_type, actor_id)
+      SELECT intro_id, $3, status, $4, $5 FROM updated
+    )
+    SELECT * FROM updated
+  `, [introId, transition.to, transition.from, actor.type, actor.id || null]);
+
+  if (updated) {
+    liveDashboard.publishForMember(updated.for_member_id, { type: `intro.${updated.status}`, action: transition.feed });
+  }
+  return updated;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// Conversion funnel for one event, built from the history so every intro that ever
+// reached a state is counted. Rates are percentages (null when there is nothing to divide).
+async function getConversionReport(eventId) {
+  const rows = await db.all(`
+    WITH reached AS (
+      SELECT
+        intro_id,
+        MIN(created_at) FILTER (WHERE to_status = 'requested') as requested_at,
+        MIN(created_at) FILTER (WHERE to_status = 'accepted') as accepted_at,
+        MIN(created_at) FILTER (WHERE to_status = 'declined') as declined_at
+      FROM intro_status_history
+      GROUP BY intro_id
+    )
+    SELECT
+      i.tier,
+      COUNT(*)::int as generated,
+      COUNT(r.requested_at)::int as requested,
+      COUNT(r.accepted_at)::int as accepted,
+      COUNT(r.declined_at)::int as declined,
+      AVG(EXTRACT(EPOCH FROM (COALESCE(r.accepted_at, r.declined_at) - r.requested_at)) / 3600)::float as avg_response_hours
+    FROM intros i
+    JOIN members m ON i.for_member_id = m.member_id
+    LEFT JOIN reached r ON r.intro_id = i.intro_id
+    WHERE m.event_id = $1 AND i.deleted_at IS NULL AND m.deleted_at IS NULL
+    GROUP BY i.tier
+    ORDER BY i.tier DESC
+  `, [eventId]);
+
+  const summarize = (counts) => ({
+    ...counts,
+    pending: counts.requested - counts.accepted - counts.declined,
+    requestRate: percent(counts.requested, counts.generated),
+    acceptanceRate: percent(counts.accepted, counts.accepted + counts.declined),
+    conversionRate: percent(counts.accepted, counts.generated)
+  });
+
+  const totals = rows.reduce((sum, row) => ({
+    generated: sum.generated + row.generated,
+    requested: sum.requested + row.requested,
+    accepted: sum.accepted + row.accepted,
+    declined: sum.declined + row.declined
+  }), { generated: 0, requested: 0, accepted: 0, declined: 0 });
+
+  const recent = await db.all(`
+    SELECT h.intro_id, h.from_status, h.to_status, h.actor_type, h.created_at,
+           f.name as for_name, t.name as to_name, i.tier
+    FROM intro_status_history h
+    JOIN intros i ON h.intro_id = i.intro_id
+    JOIN members f ON i.for_member_id = f.member_id
+    JOIN members t ON i.to_member_id = t.member_id
+    WHERE f.event_id = $1 AND i.deleted_at IS NULL AND f.deleted_at IS NULL AND t.deleted_at IS NULL
+    ORDER BY h.created_at DESC, h.history_id DESC
+    LIMIT 20
+  `, [eventId]);
+
+  return {
+    totals: summarize(totals),
+    byTier: rows.map(row => ({
+      ...summarize({ tier: row.tier, generated: row.generated, requested: row.requested, accepted: row.accepted, declined: row.declined }),
+      avgResponseHours: row.avg_response_hours === null ? null : Math.round(row.avg_response_hours * 10) / 10
+    })),
+    recent
+  };
+}
+
+module.exports = {
+  getAction,
+  transitionIntro,
+  getConversionReport
+};
@@ -0,0 +1,326 @@
+// job-queue.js - Persisted background jobs for match generation
+// Jobs and their per-candidate items live in Postgres, so progress survives a
+// browser refresh and interrupted jobs resume after a server restart.
+// Progress snapshots are pushed to subscribers (the SSE route in routes/matches.js).
+const { EventEmitter } = require('events');
+const db = require('./db');
+const liveDashboard = require('./live-dashboard');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open progress stream
+
+const handlers = {};
+const waiting = []; // Job IDs waiting for a free worker
+const running = new Set(); // Job IDs currently being processed
+
+// How many generation jobs run side by side (each one makes sequential LLM calls)
+const concurrency = parseInt(process.env.GENERATION_CONCURRENCY, 10) || 2;
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// How the live dashboard describes each job kind
+const KIND_LABELS = { top3: 'Top 3 matches', brainstorm: 'brainstorm list', groups: 'working groups' };
+
+function generateJobId() {
+  return `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isFinished(job) {
+  return !!job && FINISHED_STATUSES.includes(job.status);
+}
+
+// Register the function that does the work for a job kind ('top3', 'brainstorm', 'groups')
+function registerHandler(kind, handler) {
+  handlers[kind] = handler;
+}
+
+// Create a job (or return the unfinished one already running for this member)
+async function enqueue(kind, memberId) {
+  if (!handlers[kind]) {
+    throw new Error(`No handler registered for job kind: ${kind}`);
+  }
+
+  // Reuse an unfinished job so a double-click doesn't start duplicate generation
+  const existing = await db.get(`
+    SELECT * FROM generation_jobs
+    WHERE member_id = $1 AND kind = $2 AND status IN ('queued', 'running')
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [memberId, kind]);
+
+  if (existing) {
+    schedule(existing.job_id);
+    return existing;
+  }
+
+  const jobId = generateJobId();
+  await db.run(`
+    INSERT INTO generation_jobs (job_id, member_id, kind, message)
+    VALUES ($1, $2, $3, 'Queued - waiting for a free worker...')
+  `, [jobId, memberId, kind]);
+
+  console.log(`📋 Queued ${kind} job ${jobId} for member ${memberId}`);
+  schedule(jobId);
+
+  return db.get('SELECT * FROM generation_jobs WHERE job_id = $1', [jobId]);
+}
+
+function schedule(jobId) {
+  if (running.has(jobId) || waiting.includes(jobId)) return;
+  waiting.push(jobId);
+  drain();
+}
+
+function drain() {
+  while (running.size < concurrency && waiting.length > 0) {
+    const jobId = waiting.shift();
+    running.add(jobId);
+
+    runJob(jobId)
+      .catch(error => console.error(`❌ Job ${jobId} crashed:`, error))
+      .finally(() => {
+        running.delete(jobId);
+        drain();
+      });
+  }
+}
+
+async function runJob(jobId) {
+  const job = await db.get('SELECT * FROM generation_jobs WHERE job_id = $1', [jobId]);
+  if (!job || isFinished(job)) return;
+
+  await db.run(`
+    UPDATE generation_jobs
+    SET status = 'running', started_at = COALESCE(started_at, NOW()), finished_at = NULL, error = NULL
+    WHERE job_id = $1
+  `, [jobId]);
+  await publish(jobId);
+  liveDashboard.publishForMember(job.member_id, { type: 'generation.started', kind: job.kind, action: `is getting their ${KIND_LABELS[job.kind]}` });
+
+  try {
+    await handlers[job.kind](job, createContext(job));
+
+    const counts = await refreshCounts(jobId);
+    const message = counts.failed > 0
+      ? `Finished: ${counts.completed} generated, ${counts.failed} failed`
+      : `Finished: ${counts.completed} generated`;
+
+    await db.run(`
+      UPDATE generation_jobs SET status = 'completed', message = $2, finished_at = NOW()
+      WHERE job_id = $1
+    `, [jobId, message]);
+
+    console.log(`✅ Job ${jobId} (${job.kind}) ${message.toLowerCase()}`);
+    liveDashboard.publishForMember(job.member_id, { type: 'generation.finished', kind: job.kind, action: `got their ${KIND_LABELS[job.kind]}` });
+  } catch (error) {
+    console.error(`❌ Job ${jobId} (${job.kind}) failed:`, error.message);
+    await db.run(`
+      UPDATE generation_jobs SET status = 'failed', message = 'Generation failed', error = $2, finished_at = NOW()
+      WHERE job_id = $1
+    `, [jobId, error.message]);
+    liveDashboard.publishForMember(job.member_id, { type: 'generation.failed', kind: job.kind, action: null });
+  }
+
+  await publish(jobId);
+}
+
+// Helpers handed to job handlers. Items are keyed per phase and inserted with
+// ON CONFLICT DO NOTHING, so a resumed job skips work it already finished.
+function createContext(job) {
+  const jobId = job.job_id;
+
+  return {
+    async setMessage(message) {
+      await db.run('UPDATE generation_jobs SET message = $2 WHERE job_id = $1', [jobId, message]);
+      await publish(jobId);
+    },
+
+    async hasItems(phase) {
+      const row = await db.get(
+        'SELECT COUNT(*)::int as count FROM generation_job_items WHERE job_id = $1 AND phase = $2',
+        [jobId, phase]
+      );
+      return row.count > 0;
+    },
+
+    async addItems(phase, items) {
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        await db.run(`
+          INSERT INTO generation_job_items (job_id, item_key, phase, position, label, payload)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (job_id, phase, item_key) DO NOTHING
+        `, [jobId, item.key, phase, i, item.label, JSON.stringify(item.payload || null)]);
+      }
+      await refreshCounts(jobId);
+      await publish(jobId);
+    },
+
+    async getItems(phase) {
+      const rows = await db.all(`
+        SELECT * FROM generation_job_items
+        WHERE job_id = $1 AND phase = $2
+        ORDER BY position
+      `, [jobId, phase]);
+      return rows.map(row => ({ ...row, payload: parseJson(row.payload), result: parseJson(row.result) }));
+    },
+
+    // Run the worker over every unfinished item of a phase, recording each outcome.
+    // A failing item is marked failed and the job moves on to the next one.
+    async processItems(phase, worker, options = {}) {
+      const items = await db.all(`
+        SELECT * FROM generation_job_items
+        WHERE job_id = $1 AND phase = $2 AND status IN ('pending', 'running')
+        ORDER BY position
+      `, [jobId, phase]);
+
+      for (const row of items) {
+        const item = { ...row, payload: parseJson(row.payload), result: parseJson(row.result) };
+        const message = options.message ? options.message(item) : `Processing ${item.label}...`;
+
+        await db.run(`
+          UPDATE generation_job_items SET status = 'running', attempts = attempts + 1, updated_at = NOW()
+          WHERE job_id = $1 AND phase = $2 AND item_key = $3
+        `, [jobId, phase, item.item_key]);
+        await db.run('UPDATE generation_jobs SET message = $2 WHERE job_id = $1', [jobId, message]);
+        await publish(jobId);
+
+        try {
+          const result = await worker(item);
+          await db.run(`
+            UPDATE generation_job_items SET status = 'done', result = $4, error = NULL, updated_at = NOW()
+            WHERE job_id = $1 AND phase = $2 AND item_key = $3
+          `, [jobId, phase, item.item_key, JSON.stringify(result === undefined ? null : result)]);
+        } catch (error) {
+          console.error(`   ❌ Job ${jobId}: ${item.label} failed:`, error.message);
+          await db.run(`
+            UPDATE generation_job_items SET status = 'failed', error = $4, updated_at = NOW()
+            WHERE job_id = $1 AND phase = $2 AND item_key = $3
+          `, [jobId, phase, item.item_key, error.message]);
+        }
+
+        await refreshCounts(jobId);
+        await publish(jobId);
+      }
+    }
+  };
+}
+
+async function refreshCounts(jobId) {
+  await db.run(`
+    UPDATE generation_jobs SET
+      total = (SELECT COUNT(*)::int FROM generation_job_items WHERE job_id = $1),
+      completed = (SELECT COUNT(*)::int FROM generation_job_items WHERE job_id = $1 AND status = 'done'),
+      failed = (SELECT COUNT(*)::int FROM generation_job_items WHERE job_id = $1 AND status = 'failed')
+    WHERE job_id = $1
+  `, [jobId]);
+  return db.get('SELECT total, completed, failed FROM generation_jobs WHERE job_id = $1', [jobId]);
+}
+
+// Job snapshot with per-item progress (what the progress stream sends)
+async function getJob(jobId) {
+  const job = await db.get('SELECT * FROM generation_jobs WHERE job_id = $1', [jobId]);
+  if (!job) return null;
+
+  const items = await db.all(`
+    SELECT item_key, phase, label, status, attempts, error
+    FROM generation_job_items
+    WHERE job_id = $1
+    ORDER BY phase, position
+  `, [jobId]);
+
+  return { ...job, items };
+}
+
+// Most recent job of each kind for a member (lets the page reattach after a refresh)
+async function getLatestJobs(memberId) {
+  const jobs = await db.all(`
+    SELECT DISTINCT ON (kind) *
+    FROM generation_jobs
+    WHERE member_id = $1
+    ORDER BY kind, created_at DESC
+  `, [memberId]);
+
+  const latest = { top3: null, brainstorm: null, groups: null };
+  jobs.forEach(job => {
+    latest[job.kind] = job;
+  });
+  return latest;
+}
+
+// Put failed items back in the queue and run the job again
+async function retryFailed(jobId) {
+  const job = await db.get('SELECT * FROM generation_jobs WHERE job_id = $1', [jobId]);
+  if (!job) return null;
+  if (!isFinished(job)) return getJob(jobId);
+
+  const reset = await db.run(`
+    UPDATE generation_job_items SET status = 'pending', error = NULL, updated_at = NOW()
+    WHERE job_id = $1 AND status = 'failed'
+  `, [jobId]);
+
+  // A job that failed outright (e.g. embedding error) is retried even with no failed items
+  if (reset.changes === 0 && job.status !== 'failed') {
+    return getJob(jobId);
+  }
+
+  await db.run(`
+    UPDATE generation_jobs SET status = 'queued', message = 'Retrying failed candidates...', error = NULL, finished_at = NULL
+    WHERE job_id = $1
+  `, [jobId]);
+  await refreshCounts(jobId);
+  await publish(jobId);
+  schedule(jobId);
+
+  return getJob(jobId);
+}
+
+// Called on startup: anything queued or running belonged to the previous process
+async function resumeInterrupted() {
+  await db.run(`
+    UPDATE generation_job_items SET status = 'pending', updated_at = NOW()
+    WHERE status = 'running'
+  `);
+
+  const jobs = await db.all(`
+    SELECT job_id FROM generation_jobs
+    WHERE status IN ('queued', 'running')
+    ORDER BY created_at
+  `);
+
+  jobs.forEach(job => schedule(job.job_id));
+  return jobs.length;
+}
+
+function subscribe(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+async function publish(jobId) {
+  if (emitter.listenerCount(jobId) === 0) return;
+  const snapshot = await getJob(jobId);
+  if (snapshot) {
+    emitter.emit(jobId, snapshot);
+  }
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  getJob,
+  getLatestJobs,
+  retryFailed,
+  resumeInterrupted,
+  subscribe,
+  isFinished
+};
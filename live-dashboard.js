@@ -0,0 +1,88 @@
+// live-dashboard.js - Pushes event activity to the projector dashboard (Server-Sent Events)
+// Registration, embeddings, match generation and intro status changes call publish() as
+// they happen. Each open dashboard subscribes to its event (see routes/dashboard.js) and
+// gets the activity item as is; the headline stats are re-read once per burst of activity
+// and shared by every screen watching that event. Nothing is queried while nobody watches.
+// Like the job progress streams, subscribers are per process.
+const dashboard = require('./repositories/dashboard');
+const members = require('./repositories/members');
+
+// Activity within this window is answered with a single stats query
+const STATS_DEBOUNCE_MS = parseInt(process.env.DASHBOARD_STATS_DEBOUNCE_MS, 10) || 500;
+
+const rooms = new Map(); // event_id -> { clients: Set<send>, statsTimer }
+
+function broadcast(room, type, data) {
+  for (const send of room.clients) {
+    send(type, data);
+  }
+}
+
+function scheduleStats(eventId, room) {
+  if (room.statsTimer) return;
+
+  room.statsTimer = setTimeout(async () => {
+    room.statsTimer = null;
+    try {
+      const stats = await dashboard.getStats(eventId);
+      broadcast(room, 'stats', stats);
+    } catch (error) {
+      console.error('Live dashboard stats error:', error.message);
+    }
+  }, STATS_DEBOUNCE_MS);
+}
+
+// activity = { type, name, org, action }. Without an action the item stays off the
+// feed (e.g. declined intros) but the numbers are still refreshed.
+function publish(eventId, activity) {
+  const room = rooms.get(eventId);
+  if (!room) return;
+
+  if (activity.action) {
+    broadcast(room, 'activity', { ...activity, timestamp: new Date().toISOString() });
+  }
+  scheduleStats(eventId, room);
+}
+
+// For callers that only know the member: looks up their event and name, and only
+// when some dashboard is open. Never throws - the action it reports already happened.
+async function publishForMember(memberId, activity) {
+  if (rooms.size === 0) return;
+
+  try {
+    const member = await members.findById(memberId);
+    if (!member) return;
+    publish(member.event_id, { name: member.name, org: member.org, ...activity });
+  } catch (error) {
+    console.error('Live dashboard publish error:', error.message);
+  }
+}
+
+// send(type, data) is called for every 'activity' and 'stats' update. Returns unsubscribe.
+function subscribe(eventId, send) {
+  if (!rooms.has(eventId)) {
+    rooms.set(eventId, { clients: new Set(), statsTimer: null });
+  }
+  const room = rooms.get(eventId);
+  room.clients.add(send);
+
+  return () => {
+    room.clients.delete(send);
+    if (room.clients.size === 0) {
+      clearTimeout(room.statsTimer);
+      rooms.delete(eventId);
+    }
+  };
+}
+
+function subscriberCount(eventId) {
+  const room = rooms.get(eventId);
+  return room ? room.clients.size : 0;
+}
+
+module.exports = {
+  publish,
+  publishForMember,
+  subscribe,
+  subscriberCount
+};
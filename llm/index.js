@@ -0,0 +1,108 @@
+// llm/index.js - Pluggable LLM provider layer
+// Every AI call in the matching pipeline goes through chat() and embed() here,
+// so the app can run against OpenAI, any OpenAI-compatible server (Ollama,
+// LM Studio, vLLM...) or a deterministic offline stub.
+//
+// Provider interface:
+//   chat({ stage, messages, temperature, maxTokens, json }) -> { content, json, model, usage }
+//   embed(input) -> { embedding, model, usage }
+// `stage` names the pipeline step ('industry-context', 'fact-check', ...); the stub
+// uses it to pick a fixture, real providers only use it for logging.
+// Listeners registered with onUsage() see every completed call (cost accounting).
+const { createOpenAIProvider } = require('./openai-provider');
+const { createStubProvider } = require('./stub-provider');
+
+const DEFAULT_CHAT_MODEL = 'gpt-4o';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Build a provider from environment-style config (LLM_PROVIDER selects the adapter)
+function createProvider(config = process.env) {
+  const providerName = (config.LLM_PROVIDER || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: config.OPENAI_API_KEY,
+        chatModel: config.LLM_CHAT_MODEL || DEFAULT_CHAT_MODEL,
+        embeddingModel: config.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+      });
+
+    case 'openai-compatible':
+      if (!config.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=openai-compatible');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: config.LLM_API_KEY || 'not-needed', // Most local servers ignore the key
+        baseURL: config.LLM_BASE_URL,
+        chatModel: config.LLM_CHAT_MODEL || 'llama3.1',
+        embeddingModel: config.LLM_EMBEDDING_MODEL || 'nomic-embed-text'
+      });
+
+    case 'stub':
+      return createStubProvider({
+        fixturesDir: config.LLM_FIXTURES_DIR,
+        dimensions: parseInt(config.LLM_EMBEDDING_DIMENSIONS, 10) || undefined
+      });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected openai, openai-compatible or stub)`);
+  }
+}
+
+let provider = null;
+
+// Lazily created so a missing API key only fails when AI is actually used
+function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+    console.log(`🤖 LLM provider: ${provider.name} (chat: ${provider.chatModel}, embeddings: ${provider.embeddingModel})`);
+  }
+  return provider;
+}
+
+// Swap the provider at runtime (tests and demos)
+function setProvider(newProvider) {
+  provider = newProvider;
+}
+
+const usageListeners = [];
+
+// listener({ kind: 'chat' | 'embedding', stage, provider, model, usage })
+function onUsage(listener) {
+  usageListeners.push(listener);
+}
+
+function reportUsage(kind, stage, current, response) {
+  usageListeners.forEach(listener => {
+    try {
+      listener({ kind, stage: stage || null, provider: current.name, model: response.model, usage: response.usage });
+    } catch (error) {
+      console.error('LLM usage listener error:', error.message);
+    }
+  });
+}
+
+async function chat(request) {
+  const current = getProvider();
+  const response = await current.chat(request);
+  reportUsage('chat', request.stage, current, response);
+  return response;
+}
+
+async function embed(input) {
+  const current = getProvider();
+  const response = await current.embed(input);
+  reportUsage('embedding', 'embedding', current, response);
+  return response;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  chat,
+  embed,
+  onUsage
+};
@@ -0,0 +1,54 @@
+// llm/openai-provider.js - OpenAI adapter (also used for OpenAI-compatible servers via baseURL)
+const OpenAI = require('openai');
+const { parseJsonContent } = require('./parse-json');
+
+function normalizeUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+function createOpenAIProvider({ name, apiKey, baseURL, chatModel, embeddingModel }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    chatModel,
+    embeddingModel,
+
+    async chat({ messages, temperature, maxTokens, json = false }) {
+      const response = await client.chat.completions.create({
+        model: chatModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      });
+
+      const content = response.choices[0].message.content;
+      return {
+        content,
+        json: json ? parseJsonContent(content) : null,
+        model: response.model || chatModel,
+        usage: normalizeUsage(response.usage)
+      };
+    },
+
+    async embed(input) {
+      const response = await client.embeddings.create({
+        model: embeddingModel,
+        input
+      });
+
+      return {
+        embedding: response.data[0].embedding,
+        model: response.model || embeddingModel,
+        usage: normalizeUsage(response.usage)
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,21 @@
+// llm/parse-json.js - Parse JSON-mode replies
+// OpenAI returns bare JSON; local models often wrap it in prose or ```json fences.
+function parseJsonContent(content) {
+  if (!content) {
+    throw new Error('Empty response from model');
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    // Fall back to the outermost {...} block
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(content.substring(start, end + 1));
+    }
+    throw error;
+  }
+}
+
+module.exports = { parseJsonContent };
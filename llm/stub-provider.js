@@ -0,0 +1,75 @@
+// llm/stub-provider.js - Deterministic offline provider for tests and demos
+// Chat replies come from llm/fixtures/<stage>.json (or LLM_FIXTURES_DIR).
+// Embeddings are hashed bag-of-words vectors: the same profile always gets the
+// same vector, and profiles sharing words get a higher cosine similarity.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_DIMENSIONS = 1536; // Same size as text-embedding-3-small
+
+// Rough token estimate so usage numbers look like a real provider's
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const word of words) {
+    const hash = crypto.createHash('md5').update(word).digest();
+    const index = hash.readUInt32BE(0) % dimensions;
+    const sign = hash[4] % 2 === 0 ? 1 : -1;
+    vector[index] += sign;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+function createStubProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, dimensions = DEFAULT_DIMENSIONS } = {}) {
+  const cache = {};
+
+  function loadFixture(stage) {
+    if (!cache[stage]) {
+      const file = path.join(fixturesDir, `${stage || 'default'}.json`);
+      const fallback = path.join(fixturesDir, 'default.json');
+      const source = fs.existsSync(file) ? file : fallback;
+      cache[stage] = fs.readFileSync(source, 'utf8');
+    }
+    return cache[stage];
+  }
+
+  return {
+    name: 'stub',
+    chatModel: 'stub-chat',
+    embeddingModel: 'stub-embedding',
+
+    async chat({ stage, messages, json = false }) {
+      const content = loadFixture(stage);
+      const promptText = messages.map(m => m.content).join('\n');
+      const completionTokens = estimateTokens(content);
+      const promptTokens = estimateTokens(promptText);
+
+      return {
+        content,
+        json: json ? JSON.parse(content) : null,
+        model: 'stub-chat',
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    },
+
+    async embed(input) {
+      const promptTokens = estimateTokens(input);
+      return {
+        embedding: hashEmbedding(input, dimensions),
+        model: 'stub-embedding',
+        usage: { promptTokens, completionTokens: 0, totalTokens: promptTokens }
+      };
+    }
+  };
+}
+
+module.exports = { createStubProvider, hashEmbedding };
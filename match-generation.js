@@ -0,0 +1,402 @@
+// match-generation.js - Background jobs that find and write a member's introductions
+// Registers the 'top3', 'brainstorm' and 'groups' job handlers with job-queue.js.
+// Candidates are retrieved by embedding similarity, scored with scoring.js, researched and
+// written up by the AI pipeline, then stored as intros (or group intros, see
+// group-matching.js). Requiring this module registers the handlers.
+const db = require('./db');
+const jobQueue = require('./job-queue');
+const scoringProfile = require('./scoring-profile');
+const aiUsage = require('./ai-usage');
+const { calculateMatchScore } = require('./scoring');
+const { getMemberEmbedding } = require('./embeddings');
+const { findGroups, GROUP_POOL_SIZE } = require('./group-matching');
+const {
+  cachedComplementaryValue,
+  generateMatchRationale,
+  generateGroupRationale,
+  generateSimpleRationale,
+  generateSimpleGroupRationale
+} = require('./ai-pipeline');
+const members = require('./repositories/members');
+const vectors = require('./repositories/vectors');
+const intros = require('./repositories/intros');
+const groupIntros = require('./repositories/group-intros');
+
+// How many nearest neighbours (by embedding) get the full 100-point score
+const CANDIDATE_POOL_SIZE = parseInt(process.env.MATCH_CANDIDATE_POOL, 10) || 50;
+
+// Score the nearest members at the same event (no AI research yet)
+async function scoreCandidates(member, memberEmbedding) {
+  // Top-K retrieval keeps scoring cheap at conference scale
+  const candidates = await vectors.findNearest(member, memberEmbedding, CANDIDATE_POOL_SIZE);
+
+  console.log(`📊 Found ${candidates.length} nearest candidates with embeddings (excluding self, top ${CANDIDATE_POOL_SIZE})`);
+
+  // Weights and keyword clusters configured for this event
+  const profile = await scoringProfile.getActiveProfile(member.event_id);
+
+  // Calculate scores with error handling
+  console.log(`⚙️  Calculating match scores for ${candidates.length} candidates (scoring profile v${profile.version})...`);
+  const scored = candidates.map((candidate, idx) => {
+    try {
+      const similarity = candidate.similarity;
+      const scoreData = calculateMatchScore(member, candidate, similarity, null, profile);
+
+      return {
+        ...candidate,
+        score: scoreData.score,
+        breakdown: scoreData.breakdown,
+        fullBreakdown: scoreData.fullBreakdown,
+        matches: scoreData.matches,
+        summary: scoreData.summary,
+        profileVersion: scoreData.profileVersion,
+        similarity
+      };
+    } catch (error) {
+      console.error(`   ❌ Error scoring candidate ${idx + 1} (${candidate.name}):`, error.message);
+      // Return a zero-score entry so we can continue
+      return {
+        ...candidate,
+        score: 0,
+        breakdown: [],
+        fullBreakdown: [],
+        matches: [],
+        summary: { earned: 0, possible: 100, percentage: 0, grade: 'F' },
+        profileVersion: profile.version,
+        similarity: 0,
+        error: error.message
+      };
+    }
+  });
+  console.log(`✅ Scoring complete`);
+
+  return scored;
+}
+
+// Score fields carried between job phases and stored in intros.score_breakdown
+function pickScoreData(match) {
+  return {
+    score: match.score,
+    breakdown: match.breakdown, // Concise for display
+    fullBreakdown: match.fullBreakdown, // Complete objective matrix
+    matches: match.matches,
+    summary: match.summary, // Grade and percentage
+    profileVersion: match.profileVersion, // Scoring profile version used
+    similarity: match.similarity
+  };
+}
+
+// Store a generated intro with its score breakdown and the research behind it
+async function saveIntro(memberId, toMemberId, tier, scoreData, complementaryValueResearch, rationale) {
+  // Ensure intro_basis is a string (handle if AI returns object)
+  let introBasisString = rationale.intro_basis;
+  if (typeof introBasisString === 'object') {
+    console.log('   ⚠️  intro_basis is an object, converting to string');
+    introBasisString = JSON.stringify(introBasisString);
+  }
+
+  // Store both concise breakdown and full breakdown for complete transparency
+  // PLUS the complementary value research findings
+  const storedScoreData = {
+    score: scoreData.score,
+    breakdown: scoreData.breakdown,
+    fullBreakdown: scoreData.fullBreakdown,
+    summary: scoreData.summary,
+    complementaryValueResearch // Store research findings for display
+  };
+
+  await intros.save({
+    forMemberId: memberId,
+    toMemberId,
+    tier,
+    score: scoreData.score,
+    scoreBreakdown: storedScoreData,
+    rationale: { ...rationale, intro_basis: introBasisString },
+    scoringProfileVersion: scoreData.profileVersion
+  });
+}
+
+// May a job spend more on AI for this event? false = degrade to simple rationales.
+// In 'refuse' mode the item fails instead, so it can be retried once the budget is raised.
+async function aiBudgetAllows(eventId) {
+  const budget = await aiUsage.checkBudget(eventId);
+  if (!budget.exceeded) return true;
+  if (budget.mode === 'refuse') {
+    throw new Error(`AI budget of $${budget.limitUsd.toFixed(2)} for this event has been reached`);
+  }
+  return false;
+}
+
+// Background job: Top 3 matches
+// Phase "research": Stage 0 research on the 10 best-scored candidates, then re-score
+// Phase "intro": Stages 1-4 synthesis for the final top 3
+jobQueue.registerHandler('top3', async (job, ctx) => {
+  const member = await members.findById(job.member_id);
+  if (!member) {
+    throw new Error('Member not found');
+  }
+  console.log(`🎯 Generating top 3 matches for ${member.name} (job ${job.job_id})`);
+
+  // AI calls made by this job are billed to the member and their event
+  const usageContext = { eventId: member.event_id, memberId: member.member_id, jobId: job.job_id };
+
+  // Resumed jobs already have their shortlist - skip straight to the unfinished work
+  if (!(await ctx.hasItems('research'))) {
+    await ctx.setMessage('Scoring all potential matches...');
+
+    const memberEmbedding = await getMemberEmbedding(member);
+    if (!memberEmbedding) {
+      throw new Error('Failed to generate embedding. Please try again.');
+    }
+
+    const scored = await scoreCandidates(member, memberEmbedding);
+
+    // Filter out self-matches and sort by initial scores
+    const filtered = scored.filter(s => s.score > 0);
+    filtered.sort((a, b) => b.score - a.score);
+    console.log(`📊 Initial scoring: ${scored.length} candidates, ${filtered.length} valid matches`);
+
+    // RESEARCH-BACKED SELECTION: Take top 10 candidates, research them, re-score, then pick final top 3
+    const topCandidates = filtered.slice(0, Math.min(10, filtered.length));
+    await ctx.addItems('research', topCandidates.map(candidate => ({
+      key: candidate.member_id,
+      label: candidate.name,
+      payload: pickScoreData(candidate)
+    })));
+  }
+
+  await aiUsage.withContext(usageContext, () => ctx.processItems('research', async (item) => {
+    const candidate = await members.findById(item.item_key);
+    if (!candidate) {
+      throw new Error('Candidate is no longer registered');
+    }
+
+    // Over budget: keep the initial score (the intro phase falls back to a simple rationale)
+    if (!(await aiBudgetAllows(member.event_id))) {
+      return { ...item.payload, complementaryValueResearch: null };
+    }
+
+    // STAGE 0: Deep complementary value & creative collaboration research
+    const complementaryValueResearch = await cachedComplementaryValue(member, candidate);
+    console.log(`   ✅ Research complete for ${candidate.name}: ${complementaryValueResearch.creative_collaboration_ideas?.length || 0} creative ideas found`);
+
+    // RE-SCORE with research included, using the same profile version as the initial scoring
+    const profile = await scoringProfile.getProfileVersion(item.payload.profileVersion)
+      || await scoringProfile.getActiveProfile(member.event_id);
+    const researchedScore = calculateMatchScore(member, candidate, item.payload.similarity, complementaryValueResearch, profile);
+    console.log(`   📊 ${candidate.name}: ${item.payload.score} → ${researchedScore.score} (after research)`);
+
+    return {
+      ...pickScoreData({ ...researchedScore, similarity: item.payload.similarity }),
+      complementaryValueResearch
+    };
+  }, { message: item => `Researching ${item.label} (candidate ${item.position + 1} of your shortlist)...` }));
+
+  if (!(await ctx.hasItems('intro'))) {
+    // Sort by RESEARCH-BACKED scores and select final top 3
+    // (a candidate whose research failed keeps its original score)
+    const researched = (await ctx.getItems('research')).map(item => ({
+      member_id: item.item_key,
+      name: item.label,
+      scoreData: item.result ? pickScoreData(item.result) : item.payload,
+      complementaryValueResearch: item.result ? item.result.complementaryValueResearch : null
+    }));
+    researched.sort((a, b) => b.scoreData.score - a.scoreData.score);
+    const top3 = researched.slice(0, 3);
+
+    console.log(`✅ Final top 3 selected after research-backed re-scoring:`);
+    top3.forEach((s, i) => {
+      console.log(`   ${i + 1}. ${s.name}: ${s.scoreData.score}/100 (${s.scoreData.summary?.grade || '?'})`);
+    });
+
+    await ctx.addItems('intro', top3.map(match => ({
+      key: match.member_id,
+      label: match.name,
+      payload: match
+    })));
+  }
+
+  // Generate rationales for each match (research already done above)
+  await aiUsage.withContext(usageContext, () => ctx.processItems('intro', async (item) => {
+    const match = await members.findById(item.item_key);
+    if (!match) {
+      throw new Error('Candidate is no longer registered');
+    }
+
+    // Pass research to 3-stage synthesis (Stages 1-3) + fact-check (Stage 4)
+    const { scoreData, complementaryValueResearch } = item.payload;
+    const rationale = await aiBudgetAllows(member.event_id)
+      ? await generateMatchRationale(member, match, complementaryValueResearch, true) // true = use GPT-4
+      : generateSimpleRationale(member, match);
+
+    await saveIntro(member.member_id, match.member_id, 'top3', scoreData, complementaryValueResearch, rationale);
+    console.log(`   ✅ Generated intro for ${match.name}`);
+  }, { message: item => `Writing your introduction to ${item.label}...` }));
+});
+
+// Background job: Brainstorm matches with everyone except the Top 3
+// Phase "intro": Stage 0 research + Stages 1-4 synthesis per candidate
+jobQueue.registerHandler('brainstorm', async (job, ctx) => {
+  const member = await members.findById(job.member_id);
+  if (!member) {
+    throw new Error('Member not found');
+  }
+  console.log(`🌟 Generating brainstorm matches for ${member.name} (job ${job.job_id})`);
+
+  const usageContext = { eventId: member.event_id, memberId: member.member_id, jobId: job.job_id };
+
+  if (!(await ctx.hasItems('intro'))) {
+    await ctx.setMessage('Scoring all attendees...');
+
+    const memberEmbedding = await getMemberEmbedding(member);
+    if (!memberEmbedding) {
+      throw new Error('Failed to generate embedding. Please try again.');
+    }
+
+    const scored = await scoreCandidates(member, memberEmbedding);
+
+    // Filter only to exclude self-matches (score = 0), then sort by score
+    // NO THRESHOLD - every business professional has networking potential
+    const filtered = scored.filter(c => c.score > 0); // Only removes self-matches and errors
+    filtered.sort((a, b) => b.score - a.score);
+
+    // EXCLUDE TOP 3 from brainstorm - they're already shown separately
+    const top3MemberIds = new Set(await intros.listTargetIds(member.member_id, 'top3'));
+
+    // Brainstorm = everyone except top 3
+    const brainstorm = filtered.filter(m => !top3MemberIds.has(m.member_id));
+
+    // Log score distribution to understand quality range
+    const scoreRanges = {
+      excellent: scored.filter(s => s.score >= 75).length,
+      strong: scored.filter(s => s.score >= 60 && s.score < 75).length,
+      good: scored.filter(s => s.score >= 50 && s.score < 60).length,
+      moderate: scored.filter(s => s.score >= 40 && s.score < 50).length,
+      baseline: scored.filter(s => s.score >= 30 && s.score < 40).length,
+      low: scored.filter(s => s.score > 0 && s.score < 30).length,
+      zero: scored.filter(s => s.score === 0).length
+    };
+    console.log(`📊 Score Distribution: 75+:${scoreRanges.excellent}, 60-74:${scoreRanges.strong}, 50-59:${scoreRanges.good}, 40-49:${scoreRanges.moderate}, 30-39:${scoreRanges.baseline}, 1-29:${scoreRanges.low}, 0:${scoreRanges.zero}`);
+    console.log(`📊 Brainstorm: ${scored.length} total candidates, ${filtered.length} valid matches (all included - no filtering)`);
+
+    await ctx.addItems('intro', brainstorm.map(candidate => ({
+      key: candidate.member_id,
+      label: candidate.name,
+      payload: pickScoreData(candidate)
+    })));
+  }
+
+  // Generate AI rationales for brainstorm matches (using GPT-4o with 5-stage research including fact-checking)
+  await aiUsage.withContext(usageContext, () => ctx.processItems('intro', async (item) => {
+    const match = await members.findById(item.item_key);
+    if (!match) {
+      throw new Error('Candidate is no longer registered');
+    }
+
+    // Over budget: score-only intro with a simple rationale, no AI calls
+    if (!(await aiBudgetAllows(member.event_id))) {
+      await saveIntro(member.member_id, match.member_id, 'brainstorm', item.payload, null, generateSimpleRationale(member, match));
+      console.log(`   💸 AI budget reached - simple intro for ${match.name}`);
+      return;
+    }
+
+    // STAGE 0: Deep complementary value research (happens BEFORE synthesis)
+    const complementaryValueResearch = await cachedComplementaryValue(member, match);
+    console.log(`   ✅ Stage 0 complete: Complementary value research for ${match.name}`);
+
+    // Pass complementary value research to 3-stage synthesis (Stages 1-3)
+    const rationale = await generateMatchRationale(member, match, complementaryValueResearch, true); // true = use GPT-4o
+    console.log(`   ✅ Stages 1-3 complete: Strategic synthesis for ${match.name}`);
+
+    await saveIntro(member.member_id, match.member_id, 'brainstorm', item.payload, complementaryValueResearch, rationale);
+    console.log(`   ✅ Generated intro for ${match.name}`);
+  }, { message: item => `Researching and writing your introduction to ${item.label}...` }));
+});
+
+// Background job: working groups of 3-5 members whose assets cover each other's needs
+// Phase "group": one group synthesis per suggested group (Stage 1 research is shared
+// with the pair intros through the research cache). Each item keeps its finished group
+// as its result; the member's earlier groups are only replaced once the phase is done,
+// so a failing job leaves them in place.
+jobQueue.registerHandler('groups', async (job, ctx) => {
+  const member = await members.findById(job.member_id);
+  if (!member) {
+    throw new Error('Member not found');
+  }
+  console.log(`👥 Finding working groups for ${member.name} (job ${job.job_id})`);
+
+  const usageContext = { eventId: member.event_id, memberId: member.member_id, jobId: job.job_id };
+
+  if (!(await ctx.hasItems('group'))) {
+    await ctx.setMessage('Scoring possible groups...');
+
+    const memberEmbedding = await getMemberEmbedding(member);
+    if (!memberEmbedding) {
+      throw new Error('Failed to generate embedding. Please try again.');
+    }
+
+    // Groups are built from the member's best-scored candidates
+    const scored = await scoreCandidates(member, memberEmbedding);
+    const pool = scored.filter(s => s.score > 0).sort((a, b) => b.score - a.score).slice(0, GROUP_POOL_SIZE);
+    const embeddings = new Map((await vectors.listForEvent(member.event_id)).map(row => [row.member_id, row.embedding]));
+    const profile = await scoringProfile.getActiveProfile(member.event_id);
+
+    const groups = findGroups(
+      { ...member, embedding: memberEmbedding },
+      pool.map(candidate => ({ ...candidate, embedding: embeddings.get(candidate.member_id) || null })),
+      profile
+    );
+    const names = new Map(pool.map(candidate => [candidate.member_id, candidate.name]));
+    console.log(`📊 ${groups.length} group(s) from ${pool.length} candidates: ${groups.map(group => `${group.memberIds.length} members, ${group.score}/100`).join('; ')}`);
+
+    await ctx.addItems('group', groups.map(group => ({
+      key: group.memberIds.join('+'),
+      label: group.memberIds.slice(1).map(memberId => names.get(memberId)).join(', '),
+      payload: { ...group, profileVersion: profile.version }
+    })));
+  }
+
+  await aiUsage.withContext(usageContext, () => ctx.processItems('group', async (item) => {
+    const group = item.payload;
+    const others = [];
+    for (const memberId of group.memberIds.slice(1)) {
+      const other = await members.findById(memberId);
+      if (!other) {
+        throw new Error('A group member is no longer registered');
+      }
+      others.push(other);
+    }
+
+    const rationale = await aiBudgetAllows(member.event_id)
+      ? await generateGroupRationale(member, others, group.coverage.links)
+      : generateSimpleGroupRationale(member, others, group.coverage.links);
+
+    console.log(`   ✅ Generated group intro with ${item.label}`);
+    return {
+      forMemberId: member.member_id,
+      score: group.score,
+      scoreBreakdown: { score: group.score, coverage: group.coverage, averagePairScore: group.averagePairScore },
+      rationale,
+      scoringProfileVersion: group.profileVersion,
+      members: group.roles
+    };
+  }, { message: item => `Writing the introduction to your group with ${item.label}...` }));
+
+  // New suggestions replace the member's earlier groups - unless every one of them
+  // failed, in which case the old groups stay until the job is retried
+  const items = await ctx.getItems('group');
+  const written = items.filter(item => item.status === 'done').map(item => item.result);
+  if (written.length > 0 || items.length === 0) {
+    await db.transaction(async (tx) => {
+      await groupIntros.deleteForMember(member.member_id, tx);
+      for (const group of written) {
+        await groupIntros.save(group, tx);
+      }
+    });
+  }
+});
+
+module.exports = {
+  CANDIDATE_POOL_SIZE,
+  scoreCandidates
+};
@@ -0,0 +1,109 @@
+// member-auth.js - Signed member access tokens
+// Member IDs are visible in URLs and guessable, so member-facing routes require a
+// token signed with the server secret. The token travels in the private link
+// handed out at registration (matches.html?id=...&token=...).
+// Bumping members.token_version revokes every link issued before.
+const crypto = require('crypto');
+const db = require('./db');
+const adminAuth = require('./admin-auth');
+
+// Without a configured key, production refuses to start (a key anyone can read in this
+// repo would let them forge links); elsewhere a random one is used for this process
+// only, so links stop working after a restart.
+function resolveSecret(env = process.env) {
+  const configured = env.MEMBER_TOKEN_SECRET || env.SESSION_SECRET;
+  if (configured) return configured;
+
+  if (env.NODE_ENV === 'production') {
+    throw new Error('MEMBER_TOKEN_SECRET (or SESSION_SECRET) must be set in production');
+  }
+  console.warn('⚠️  MEMBER_TOKEN_SECRET and SESSION_SECRET are not set - signing member links with a random key until restart');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const secret = resolveSecret();
+
+// How long a private link stays valid (events are one-off, so this is generous)
+const ttlDays = parseInt(process.env.MEMBER_TOKEN_TTL_DAYS, 10) || 90;
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Token = base64url(JSON payload) + "." + HMAC signature
+function createMemberToken(member) {
+  const payload = Buffer.from(JSON.stringify({
+    mid: member.member_id,
+    v: member.token_version || 0,
+    exp: Date.now() + ttlDays * 24 * 60 * 60 * 1000
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the decoded payload, or null if the token is malformed, forged or expired
+function verifyMemberToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.mid || !data.exp || data.exp < Date.now()) return null;
+    return data;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Header for fetch() calls; query string for EventSource, which cannot set headers
+function getRequestToken(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('X-Member-Token') || req.query.token || null;
+}
+
+// Check that the request may act for this member (their own token, or a logged-in admin).
+// Reading needs any admin role; changes (write: true) need an organizer, so a read-only
+// volunteer can look at a member's page but not edit it or generate matches for them.
+// Returns null when allowed, otherwise { status, error } for the response.
+async function checkMemberAccess(req, memberId, { write = false } = {}) {
+  let adminDenied = null;
+  if (req.session && req.session.adminId) {
+    adminDenied = await adminAuth.checkAdminAccess(req, write ? 'organizer' : 'volunteer');
+    if (!adminDenied) return null;
+  }
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return adminDenied || { status: 401, error: 'Access token required - open your matches from your private link' };
+  }
+
+  const data = verifyMemberToken(token);
+  if (!data || data.mid !== memberId) {
+    return { status: 403, error: 'This link does not give access to that member' };
+  }
+
+  const member = await db.get('SELECT token_version FROM members WHERE member_id = $1 AND deleted_at IS NULL', [memberId]);
+  if (!member || (member.token_version || 0) !== data.v) {
+    return { status: 403, error: 'This link is no longer valid - ask an organizer for a new one' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  resolveSecret,
+  createMemberToken,
+  verifyMemberToken,
+  checkMemberAccess
+};
@@ -0,0 +1,266 @@
+// member-import.js - Bulk import of attendee profiles from CSV or XLSX files
+// The admin page uploads the file with a column mapping (member field -> column header).
+// preview() parses it and checks every row: required fields, email format and duplicates
+// by email or name + org, against the event's members and earlier rows of the file.
+// importRows() creates the rows that passed in one transaction - a failed import leaves
+// nothing behind to duplicate on the next try - and then queues their embeddings.
+const ExcelJS = require('exceljs');
+const db = require('./db');
+const members = require('./repositories/members');
+const { generateEmbedding } = require('./embeddings');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 2000;
+
+// Fields a column can be mapped to, in the order the admin page lists them
+const FIELDS = ['name', 'org', 'role', 'industry', 'city', 'email', 'rev_driver', 'current_constraint', 'assets', 'needs', 'fun_fact'];
+
+// Header spellings recognised when suggesting a mapping (compared after normalizeHeader)
+const HEADER_ALIASES = {
+  name: ['name', 'full name', 'attendee', 'attendee name', 'member name'],
+  org: ['org', 'organization', 'organisation', 'company', 'business', 'employer'],
+  role: ['role', 'title', 'job title', 'position'],
+  industry: ['industry', 'sector'],
+  city: ['city', 'location', 'town'],
+  email: ['email', 'email address', 'e mail'],
+  rev_driver: ['rev driver', 'revenue driver', 'revenue model'],
+  current_constraint: ['current constraint', 'constraint', 'challenge', 'current challenge'],
+  assets: ['assets', 'what i bring', 'offers'],
+  needs: ['needs', 'what i need', 'looking for'],
+  fun_fact: ['fun fact', 'about me']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[_\-.]+/g, ' ').replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeKey(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Use whichever of , ; or tab appears most in the header line (Excel writes ; in some locales)
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// RFC 4180 style: quoted fields may hold delimiters, newlines and "" for a quote
+function parseCsv(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    return null;
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  // cell.text is what Excel shows: formula results, hyperlink text, dates as typed
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (sheetRow, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(sheetRow.getCell(col).text || '');
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, values => values || []);
+}
+
+// Returns { headers, rows: [{ row, values: { header: value } }] }, or { error } when the
+// file can't be used. row is the line or spreadsheet row number the admin sees (header = 1).
+async function parseFile(filename, buffer) {
+  const extension = (filename || '').toLowerCase().split('.').pop();
+
+  let table;
+  if (extension === 'xlsx') {
+    table = await parseXlsx(buffer);
+    if (!table) return { error: 'Could not read the spreadsheet - is it an .xlsx file?' };
+  } else if (extension === 'csv' || extension === 'txt') {
+    table = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } else {
+    return { error: 'Upload a .csv or .xlsx file' };
+  }
+
+  const headers = (table[0] || []).map(header => String(header).trim());
+  if (headers.filter(Boolean).length === 0) {
+    return { error: 'The first row must hold the column headers' };
+  }
+
+  const rows = [];
+  for (let i = 1; i < table.length; i++) {
+    const cells = table[i];
+    if (cells.every(cell => !String(cell).trim())) continue; // Blank line
+
+    const values = {};
+    headers.forEach((header, idx) => {
+      if (header) values[header] = String(cells[idx] || '').trim();
+    });
+    rows.push({ row: i + 1, values });
+  }
+
+  if (rows.length > MAX_ROWS) {
+    return { error: `The file has ${rows.length} rows - import at most ${MAX_ROWS} at a time` };
+  }
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+// { field: header } for every field with a recognisable column
+function suggestMapping(headers) {
+  const mapping = {};
+  for (const field of FIELDS) {
+    const header = headers.find(candidate => HEADER_ALIASES[field].includes(normalizeHeader(candidate)));
+    if (header) mapping[field] = header;
+  }
+  return mapping;
+}
+
+// Keep only known fields pointing at columns that exist
+function cleanMapping(mapping, headers) {
+  const cleaned = {};
+  for (const field of FIELDS) {
+    if (mapping && headers.includes(mapping[field])) cleaned[field] = mapping[field];
+  }
+  return cleaned;
+}
+
+// Check every row. Status is 'new', 'duplicate' (with duplicateOf) or 'invalid' (with errors).
+async function preview(eventId, parsed, requestedMapping) {
+  const mapping = requestedMapping
+    ? cleanMapping(requestedMapping, parsed.headers)
+    : suggestMapping(parsed.headers);
+  const unmappedRequired = members.REQUIRED_FIELDS.filter(field => !mapping[field]);
+
+  const existing = await members.listIdentities(eventId);
+
+  const byEmail = new Map();
+  const byNameOrg = new Map();
+  for (const member of existing) {
+    const duplicateOf = { memberId: member.member_id, name: member.name, org: member.org };
+    if (member.email) byEmail.set(normalizeKey(member.email), duplicateOf);
+    byNameOrg.set(`${normalizeKey(member.name)}|${normalizeKey(member.org)}`, duplicateOf);
+  }
+
+  const rows = parsed.rows.map(({ row, values }) => {
+    const fields = {};
+    for (const field of Object.keys(mapping)) {
+      fields[field] = values[mapping[field]] || null;
+    }
+
+    const errors = members.REQUIRED_FIELDS
+      .filter(field => !fields[field])
+      .map(field => `Missing ${field}`);
+    if (fields.email && !EMAIL_PATTERN.test(fields.email)) {
+      errors.push('Invalid email');
+    }
+    if (errors.length > 0) {
+      return { row, status: 'invalid', errors, fields };
+    }
+
+    const emailKey = fields.email ? normalizeKey(fields.email) : null;
+    const nameOrgKey = `${normalizeKey(fields.name)}|${normalizeKey(fields.org)}`;
+    const duplicateOf = (emailKey && byEmail.get(emailKey)) || byNameOrg.get(nameOrgKey);
+    if (duplicateOf) {
+      return { row, status: 'duplicate', duplicateOf, fields };
+    }
+
+    // Later rows of the same file count this one as existing
+    const fromFile = { row, name: fields.name, org: fields.org };
+    if (emailKey) byEmail.set(emailKey, fromFile);
+    byNameOrg.set(nameOrgKey, fromFile);
+
+    return { row, status: 'new', fields };
+  });
+
+  const summary = { total: rows.length, new: 0, duplicate: 0, invalid: 0 };
+  rows.forEach(row => { summary[row.status]++; });
+
+  return { headers: parsed.headers, mapping, unmappedRequired, rows, summary };
+}
+
+// One background chain, so a big import doesn't fire hundreds of embedding calls at once.
+// Members it doesn't reach (e.g. after a restart) show up under embedding-status.
+let embeddingChain = Promise.resolve();
+
+function queueEmbeddings(memberIds) {
+  embeddingChain = embeddingChain.then(async () => {
+    for (const memberId of memberIds) {
+      await generateEmbedding(memberId); // Logs its own errors, never throws
+    }
+    console.log(`✅ Embeddings done for ${memberIds.length} imported members`);
+  });
+  return embeddingChain;
+}
+
+// Create the rows preview() marked 'new'. Returns the new member IDs.
+async function importRows(eventId, previewRows) {
+  const memberIds = await db.transaction(async (tx) => {
+    const created = [];
+    for (const { status, fields } of previewRows) {
+      if (status !== 'new') continue;
+      created.push(await members.create(eventId, fields, tx));
+    }
+    return created;
+  });
+
+  if (memberIds.length > 0) queueEmbeddings(memberIds);
+  return memberIds;
+}
+
+module.exports = {
+  FIELDS,
+  MAX_ROWS,
+  parseCsv,
+  parseFile,
+  suggestMapping,
+  preview,
+  importRows
+};
@@ -0,0 +1,295 @@
+// migrate.js - Postgres schema migrations
+// Applies migrations/NNN_name.sql in order and records each one in schema_migrations,
+// so a database always knows which version it is at. Every migration has a matching
+// migrations/down/NNN_name.sql that undoes it. Each file runs in its own transaction.
+//
+//   node migrate.js up [version]      apply pending migrations (optionally only up to version)
+//   node migrate.js down [count]      roll back the most recent migrations (default 1)
+//   node migrate.js status            list applied and pending migrations
+//   node migrate.js baseline <version>
+//       mark migrations up to version as applied without running them - for databases
+//       set up by hand with psql before this runner existed
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const DOWN_DIR = path.join(MIGRATIONS_DIR, 'down');
+const FILE_PATTERN = /^(\d{3})_([\w-]+)\.sql$/;
+
+// Advisory lock key, so two deploys starting at once don't migrate side by side
+const LOCK_KEY = 7262001;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+function listMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const downPath = path.join(DOWN_DIR, file);
+      return {
+        version,
+        name,
+        file,
+        sql,
+        checksum: checksum(sql),
+        downPath: fs.existsSync(downPath) ? downPath : null
+      };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+
+  const versions = migrations.map(m => m.version);
+  const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+  if (duplicate) {
+    throw new Error(`Two migrations share version ${duplicate} - renumber one of them`);
+  }
+
+  return migrations;
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL as found`);
+  if (!exists.rows[0].found) return [];
+
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Run fn with a dedicated connection holding the migration lock
+async function withLockedClient(fn) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Applied, pending and edited-after-applying migrations (read only - creates nothing)
+async function getStatus(client) {
+  const run = async (c) => {
+    const migrations = listMigrations();
+    const applied = await getApplied(c);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    return {
+      migrations: migrations.map(m => {
+        const row = appliedByVersion.get(m.version);
+        return {
+          version: m.version,
+          name: m.name,
+          hasDown: Boolean(m.downPath),
+          appliedAt: row ? row.applied_at : null,
+          modified: Boolean(row && row.checksum !== m.checksum)
+        };
+      }),
+      pending: migrations.filter(m => !appliedByVersion.has(m.version)).map(m => m.version),
+      // Recorded in the database but the file is gone (e.g. an older checkout)
+      missing: applied.filter(row => !migrations.some(m => m.version === row.version)).map(row => row.version)
+    };
+  };
+
+  if (client) return run(client);
+
+  const own = await db.pool.connect();
+  try {
+    return await run(own);
+  } finally {
+    own.release();
+  }
+}
+
+async function up(targetVersion) {
+  return withLockedClient(async (client) => {
+    await ensureTable(client);
+    const applied = new Set((await getApplied(client)).map(row => row.version));
+    const pending = listMigrations()
+      .filter(m => !applied.has(m.version))
+      .filter(m => !targetVersion || m.version <= targetVersion);
+
+    if (pending.length === 0) {
+      console.log('✅ Database is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.file}`);
+      try {
+        await inTransaction(client, async () => {
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+        });
+      } catch (error) {
+        throw new Error(`${migration.file} failed and was rolled back: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+    return pending.map(m => m.version);
+  });
+}
+
+async function down(count = 1) {
+  return withLockedClient(async (client) => {
+    await ensureTable(client);
+    const byVersion = new Map(listMigrations().map(m => [m.version, m]));
+    const toRevert = (await getApplied(client)).reverse().slice(0, count);
+
+    if (toRevert.length === 0) {
+      console.log('Nothing to roll back');
+      return [];
+    }
+
+    // Check every step can be undone before touching anything
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration || !migration.downPath) {
+        throw new Error(`No down migration for ${row.version}_${row.name} - add migrations/down/${row.version}_${row.name}.sql`);
+      }
+    }
+
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      console.log(`⬇️  Reverting ${migration.file}`);
+      try {
+        await inTransaction(client, async () => {
+          await client.query(fs.readFileSync(migration.downPath, 'utf8'));
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+        });
+      } catch (error) {
+        throw new Error(`Reverting ${migration.file} failed and was rolled back: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Rolled back ${toRevert.length} migration(s)`);
+    return toRevert.map(row => row.version);
+  });
+}
+
+async function baseline(version) {
+  const migrations = listMigrations();
+  if (!version || !migrations.some(m => m.version === version)) {
+    throw new Error(`baseline needs an existing migration version (${migrations.map(m => m.version).join(', ')})`);
+  }
+
+  return withLockedClient(async (client) => {
+    await ensureTable(client);
+    const marked = [];
+    for (const migration of migrations.filter(m => m.version <= version)) {
+      const result = await client.query(`
+        INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)
+        ON CONFLICT (version) DO NOTHING
+      `, [migration.version, migration.name, migration.checksum]);
+      if (result.rowCount > 0) marked.push(migration.version);
+    }
+
+    console.log(`✅ Marked ${marked.length} migration(s) as applied (through ${version})`);
+    return marked;
+  });
+}
+
+async function printStatus() {
+  const client = await db.pool.connect();
+  try {
+    const status = await getStatus(client);
+
+    console.log('📋 Migrations:');
+    for (const m of status.migrations) {
+      const state = m.appliedAt
+        ? `applied ${new Date(m.appliedAt).toISOString()}${m.modified ? ' ⚠️  file changed since it was applied' : ''}`
+        : 'pending';
+      console.log(`   ${m.appliedAt ? '✅' : '⏳'} ${m.version}_${m.name} - ${state}${m.hasDown ? '' : ' (no down migration)'}`);
+    }
+    status.missing.forEach(version => console.log(`   ❓ ${version} - applied but the file is missing`));
+
+    if (status.pending.length > 0) {
+      console.log(`\n${status.pending.length} pending - run: npm run migrate`);
+
+      // Tables created by hand before the runner existed
+      const untracked = status.pending.length === status.migrations.length
+        && (await client.query(`SELECT to_regclass('members') IS NOT NULL as found`)).rows[0].found;
+      if (untracked) {
+        console.log('⚠️  This database already has tables but no migration history.');
+        console.log('   If it was set up by running the SQL files by hand, record them first:');
+        console.log('   node migrate.js baseline <last version you ran>');
+      }
+    } else {
+      console.log('\n✅ Database is up to date');
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function main([command = 'status', arg] = []) {
+  switch (command) {
+    case 'up':
+      return up(arg);
+    case 'down': {
+      const count = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error('down takes the number of migrations to roll back (default 1)');
+      }
+      return down(count);
+    }
+    case 'status':
+      return printStatus();
+    case 'baseline':
+      return baseline(arg);
+    default:
+      throw new Error(`Unknown command "${command}" - use up, down, status or baseline`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.pool.end())
+    .catch(async (error) => {
+      console.error('❌', error.message);
+      await db.pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  listMigrations,
+  getStatus,
+  up,
+  down,
+  baseline
+};
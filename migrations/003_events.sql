@@ -0,0 +1,34 @@
+-- Multi-event support
+-- Each mixer gets its own registration link, matching pool and dashboard.
+-- Run this after 001_init.sql on your Neon database.
+
+-- Events table
+CREATE TABLE IF NOT EXISTS events (
+  event_id TEXT PRIMARY KEY,
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  event_date DATE,
+  location TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scope members to an event (intros inherit the event of their members)
+ALTER TABLE members ADD COLUMN IF NOT EXISTS event_id TEXT REFERENCES events(event_id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_members_event ON members(event_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_events_active ON events(is_active, created_at DESC);
+
+-- Move everyone registered before events existed into a default event
+INSERT INTO events (event_id, slug, name)
+VALUES ('event-default', 'default', 'Rotary Networking Event')
+ON CONFLICT (event_id) DO NOTHING;
+
+UPDATE members SET event_id = 'event-default' WHERE event_id IS NULL;
+
+ALTER TABLE members ALTER COLUMN event_id SET NOT NULL;
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Events schema created - existing members moved to event "default"';
+END $$;
@@ -0,0 +1,40 @@
+-- Background match generation jobs
+-- Generation runs outside the HTTP request; progress is persisted per candidate
+-- so a browser refresh or server restart does not lose the work.
+
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  job_id TEXT PRIMARY KEY,
+  member_id TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('top3', 'brainstorm')),
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  total INTEGER NOT NULL DEFAULT 0,
+  completed INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  message TEXT,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE
+);
+
+-- One row per candidate (or per step) processed by a job
+CREATE TABLE IF NOT EXISTS generation_job_items (
+  job_id TEXT NOT NULL,
+  item_key TEXT NOT NULL,
+  phase TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  label TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  payload TEXT,
+  result TEXT,
+  error TEXT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (job_id, phase, item_key),
+  FOREIGN KEY (job_id) REFERENCES generation_jobs(job_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_member ON generation_jobs(member_id, kind, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_generation_job_items_status ON generation_job_items(job_id, phase, status);
@@ -0,0 +1,32 @@
+-- Native vector embeddings (pgvector)
+-- Candidate retrieval becomes an indexed top-K similarity query instead of
+-- loading and JSON-parsing every embedding in Node.
+-- Neon ships pgvector; on self-hosted Postgres install it before running this.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- 1536 dimensions = text-embedding-3-small (and the stub provider's default).
+-- Other embedding models need this column (and the index) recreated at their size.
+ALTER TABLE vectors ADD COLUMN IF NOT EXISTS embedding vector(1536);
+
+-- Convert existing JSON text embeddings - a JSON array is valid pgvector input
+UPDATE vectors
+SET embedding = embedding_ops::vector
+WHERE embedding IS NULL AND embedding_ops IS NOT NULL;
+
+ALTER TABLE vectors DROP COLUMN IF EXISTS embedding_ops;
+
+-- Approximate nearest-neighbour index for cosine distance (<=>)
+CREATE INDEX IF NOT EXISTS idx_vectors_embedding_hnsw
+  ON vectors USING hnsw (embedding vector_cosine_ops);
+
+-- Candidate queries also filter by event. With iterative scans (pgvector 0.8+)
+-- the index keeps searching until it finds enough rows that pass the filter,
+-- instead of returning a short list when most neighbours belong to other events.
+DO $$
+BEGIN
+  EXECUTE format('ALTER DATABASE %I SET hnsw.iterative_scan = relaxed_order', current_database());
+  RAISE NOTICE 'Embeddings converted to pgvector - HNSW iterative scans enabled';
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE 'Embeddings converted to pgvector - iterative scans unavailable (%), upgrade pgvector to 0.8+ for large multi-event databases', SQLERRM;
+END $$;
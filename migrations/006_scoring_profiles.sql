@@ -0,0 +1,21 @@
+-- Versioned scoring profiles
+-- The 100-point weights, keyword synonym clusters and need/asset patterns used by
+-- calculateMatchScore. Every save inserts a new version; the newest version for an
+-- event wins, falling back to the newest default (event_id NULL) version.
+-- The server seeds version 1 from its built-in defaults on first use.
+
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+  version SERIAL PRIMARY KEY,
+  event_id TEXT REFERENCES events(event_id) ON DELETE CASCADE,
+  weights TEXT NOT NULL,
+  keyword_clusters TEXT NOT NULL,
+  need_patterns TEXT NOT NULL,
+  note TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoring_profiles_event ON scoring_profiles(event_id, version DESC);
+
+-- Which profile version scored each intro (NULL = scored before profiles existed)
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS scoring_profile_version INTEGER REFERENCES scoring_profiles(version);
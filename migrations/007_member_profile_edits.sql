@@ -0,0 +1,12 @@
+-- Member self-service profile editing
+-- Registration hands the member a private edit token (only its hash is stored).
+-- Editing a profile field that feeds the embedding marks existing intros stale
+-- until the member re-matches.
+
+ALTER TABLE members ADD COLUMN IF NOT EXISTS edit_token_hash TEXT;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Set when either member of the intro changed their profile after it was written
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS stale_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_intros_stale ON intros(for_member_id) WHERE stale_at IS NOT NULL;
@@ -0,0 +1,8 @@
+-- Signed member access tokens
+-- Member routes now require a token signed by the server (see member-auth.js),
+-- which replaces the per-member edit token hash. Incrementing token_version
+-- revokes every private link issued to that member so far.
+
+ALTER TABLE members ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE members DROP COLUMN IF EXISTS edit_token_hash;
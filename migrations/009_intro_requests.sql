@@ -0,0 +1,37 @@
+-- Double opt-in introductions
+-- An intro starts as a draft for its for_member. They can request it, which shows
+-- the rationale to the to_member as a pending request; the to_member accepts or
+-- declines. Contact details are only shared once a request is accepted.
+--   draft -> requested -> accepted | declined
+-- Every transition is written to intro_status_history for the conversion report.
+
+ALTER TABLE intros DROP CONSTRAINT IF EXISTS intros_status_check;
+
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS requested_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS responded_at TIMESTAMP WITH TIME ZONE;
+
+-- "Mark as Introduced" was one-sided - treat those intros as requests awaiting an answer
+UPDATE intros SET status = 'requested', requested_at = created_at WHERE status = 'acknowledged';
+
+ALTER TABLE intros ADD CONSTRAINT intros_status_check
+  CHECK (status IN ('draft', 'requested', 'accepted', 'declined'));
+
+CREATE TABLE IF NOT EXISTS intro_status_history (
+  history_id SERIAL PRIMARY KEY,
+  intro_id TEXT NOT NULL REFERENCES intros(intro_id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('member', 'admin', 'system')),
+  actor_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_intro_history_intro ON intro_status_history(intro_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_intro_history_status ON intro_status_history(to_status, created_at);
+CREATE INDEX IF NOT EXISTS idx_intros_pending ON intros(to_member_id) WHERE status = 'requested';
+
+INSERT INTO intro_status_history (intro_id, from_status, to_status, actor_type, created_at)
+SELECT intro_id, 'draft', 'requested', 'system', created_at
+FROM intros
+WHERE status = 'requested'
+  AND NOT EXISTS (SELECT 1 FROM intro_status_history h WHERE h.intro_id = intros.intro_id);
@@ -0,0 +1,21 @@
+-- Research cache
+-- Stores Stage 0-2 research results keyed by a hash of their normalized inputs
+-- (industry pair, or unordered member pair + profile hash, plus the model).
+-- member_a/member_b are set for member-based entries so a profile edit (or
+-- deleting the member) drops them.
+
+CREATE TABLE IF NOT EXISTS research_cache (
+  cache_key TEXT PRIMARY KEY,
+  stage TEXT NOT NULL,
+  member_a TEXT REFERENCES members(member_id) ON DELETE CASCADE,
+  member_b TEXT REFERENCES members(member_id) ON DELETE CASCADE,
+  model TEXT,
+  result TEXT NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_cache_member_a ON research_cache(member_a);
+CREATE INDEX IF NOT EXISTS idx_research_cache_member_b ON research_cache(member_b);
+CREATE INDEX IF NOT EXISTS idx_research_cache_expires ON research_cache(expires_at);
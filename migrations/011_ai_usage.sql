@@ -0,0 +1,31 @@
+-- AI cost accounting
+-- One row per model call (chat or embedding) with tokens and estimated cost,
+-- attributed to the event, member and generation job that triggered it.
+-- member_id/job_id have no foreign keys so spend history outlives deleted members.
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  usage_id SERIAL PRIMARY KEY,
+  event_id TEXT REFERENCES events(event_id) ON DELETE SET NULL,
+  member_id TEXT,
+  job_id TEXT,
+  kind TEXT NOT NULL CHECK (kind IN ('chat', 'embedding')),
+  stage TEXT,
+  provider TEXT,
+  model TEXT,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_event ON ai_usage(event_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_member ON ai_usage(member_id);
+
+-- Per-event spending cap (NULL = AI_BUDGET_USD, or unlimited; mode NULL = AI_BUDGET_MODE).
+-- Once reached, 'degrade' writes simple rationales without AI and 'refuse' rejects generation.
+ALTER TABLE events ADD COLUMN IF NOT EXISTS ai_budget_usd NUMERIC(10, 2);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS ai_budget_mode TEXT;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_ai_budget_mode_check;
+ALTER TABLE events ADD CONSTRAINT events_ai_budget_mode_check CHECK (ai_budget_mode IN ('degrade', 'refuse'));
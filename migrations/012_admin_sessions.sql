@@ -0,0 +1,13 @@
+-- Admin sessions in Postgres
+-- express-session now keeps its sessions in admin_sessions (see session-store.js)
+-- instead of process memory, so admins stay logged in across restarts and instances.
+-- The table from 001 only held ids and expiry; it also needs the session data, plus
+-- where and when it was last used for the admin's "active sessions" list.
+
+ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS data TEXT NOT NULL DEFAULT '{}';
+ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS ip_address TEXT;
+ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin ON admin_sessions(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
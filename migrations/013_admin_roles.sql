@@ -0,0 +1,22 @@
+-- Admin accounts with roles
+-- owner: everything, including admin accounts and wiping an event's members
+-- organizer: runs events (members, matching, scoring profiles, budgets)
+-- volunteer: read-only access to the admin page and member pages
+-- New accounts get a temporary password and must choose their own at first login.
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner';
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS created_by TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users ADD CONSTRAINT admin_users_role_check CHECK (role IN ('owner', 'organizer', 'volunteer'));
+
+-- Existing accounts become owners. If the login seeded by 001 still has the admin/admin
+-- password, it has to pick one of its own at its next login.
+UPDATE admin_users SET must_change_password = true
+WHERE admin_id = 'admin-1'
+  AND password_hash = '$2b$10$E1EIts/AegZ0fXn7lWN8peLqcoJZAM6hq6eMO8JcJyXl9ukcL/sJW';
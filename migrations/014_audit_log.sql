@@ -0,0 +1,43 @@
+-- Audit log of destructive and administrative actions
+-- Who did what, to which target, from where, and how many rows it touched.
+-- No foreign keys, so entries outlive deleted members, events and admin accounts.
+-- Append-only: a trigger rejects UPDATE, DELETE and TRUNCATE on the table.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  audit_id SERIAL PRIMARY KEY,
+  admin_id TEXT,
+  admin_email TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  target_label TEXT,
+  event_id TEXT,
+  affected TEXT NOT NULL DEFAULT '{}',   -- JSON row counts, e.g. {"members": 12, "intros": 40}
+  details TEXT,                          -- JSON, action-specific
+  method TEXT,
+  path TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_admin ON audit_log(admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log(event_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only (% is not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log;
+CREATE TRIGGER audit_log_no_change
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
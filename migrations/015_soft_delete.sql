@@ -0,0 +1,27 @@
+-- Soft delete with a trash bin for members and intros
+-- Deleting a member, deleting an event's members or resetting its matches moves the
+-- rows to the trash instead: they get deleted_at and the trash_id of the action, and
+-- every query skips them. Embeddings (vectors) and research (intros.score_breakdown)
+-- stay in place, so a restore brings everything back. Batches older than the
+-- retention window (TRASH_RETENTION_DAYS) are purged for good.
+
+CREATE TABLE IF NOT EXISTS trash (
+  trash_id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('member', 'event_members', 'event_matches')),
+  event_id TEXT REFERENCES events(event_id) ON DELETE CASCADE,
+  label TEXT,
+  member_count INTEGER NOT NULL DEFAULT 0,
+  intro_count INTEGER NOT NULL DEFAULT 0,
+  deleted_by TEXT,
+  deleted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_event ON trash(event_id, deleted_at DESC);
+
+ALTER TABLE members ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS trash_id TEXT REFERENCES trash(trash_id) ON DELETE SET NULL;
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS trash_id TEXT REFERENCES trash(trash_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_members_trash ON members(trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_intros_trash ON intros(trash_id) WHERE trash_id IS NOT NULL;
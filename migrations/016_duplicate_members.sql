@@ -0,0 +1,15 @@
+-- Duplicate member detection and merge
+-- Possible duplicates (same email, similar name + org, or near-identical embeddings)
+-- are found on the fly by duplicates.js. This table remembers the pairs an admin
+-- marked as different people, so they stop being flagged. Each pair is stored once,
+-- in the order repositories/duplicates.js orderPair() gives.
+
+CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+  member_a TEXT NOT NULL REFERENCES members(member_id) ON DELETE CASCADE,
+  member_b TEXT NOT NULL REFERENCES members(member_id) ON DELETE CASCADE,
+  dismissed_by TEXT,
+  dismissed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (member_a, member_b)
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_dismissals_b ON duplicate_dismissals(member_b);
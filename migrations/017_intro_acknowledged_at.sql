@@ -0,0 +1,16 @@
+-- When an introduction was made
+-- responded_at is stamped on both answers (accept and decline). acknowledged_at is only
+-- set when the to_member accepts, i.e. the moment both sides have opted in - the live
+-- dashboard's feed and the exports use it. Existing accepted intros take the time the
+-- acceptance was recorded in intro_status_history, or responded_at.
+
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE intros i
+SET acknowledged_at = COALESCE(
+  (SELECT MIN(h.created_at) FROM intro_status_history h WHERE h.intro_id = i.intro_id AND h.to_status = 'accepted'),
+  i.responded_at
+)
+WHERE i.status = 'accepted' AND i.acknowledged_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_intros_acknowledged ON intros(acknowledged_at DESC) WHERE acknowledged_at IS NOT NULL;
@@ -0,0 +1,24 @@
+-- Speed-networking round schedules
+-- round-scheduler.js seats an event's members at tables for a number of timed rounds.
+-- An event has one schedule at a time; generating a new one replaces it and its seats.
+
+CREATE TABLE IF NOT EXISTS round_schedules (
+  schedule_id TEXT PRIMARY KEY,
+  event_id TEXT NOT NULL UNIQUE REFERENCES events(event_id) ON DELETE CASCADE,
+  table_count INTEGER NOT NULL CHECK (table_count > 0),
+  table_size INTEGER NOT NULL CHECK (table_size > 1),
+  round_count INTEGER NOT NULL CHECK (round_count > 0),
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Who sits where in each round (rounds and tables are numbered from 1)
+CREATE TABLE IF NOT EXISTS round_seats (
+  schedule_id TEXT NOT NULL REFERENCES round_schedules(schedule_id) ON DELETE CASCADE,
+  round INTEGER NOT NULL,
+  table_number INTEGER NOT NULL,
+  member_id TEXT NOT NULL REFERENCES members(member_id) ON DELETE CASCADE,
+  PRIMARY KEY (schedule_id, round, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_round_seats_member ON round_seats(member_id);
@@ -0,0 +1,39 @@
+-- Group introductions: triads and small working groups
+-- A group intro is written for one member (for_member_id) and suggests a group of three
+-- to five members, the member included, whose combined assets cover each other's needs.
+-- The 'groups' generation job (match-generation.js) writes them; generating again
+-- replaces the member's earlier groups. Like intros they go to the trash with a member
+-- or a reset of the event's matches (the trash batch counts them as intros).
+
+ALTER TABLE generation_jobs DROP CONSTRAINT IF EXISTS generation_jobs_kind_check;
+ALTER TABLE generation_jobs ADD CONSTRAINT generation_jobs_kind_check
+  CHECK (kind IN ('top3', 'brainstorm', 'groups'));
+
+CREATE TABLE IF NOT EXISTS group_intros (
+  group_intro_id TEXT PRIMARY KEY,
+  for_member_id TEXT NOT NULL REFERENCES members(member_id) ON DELETE CASCADE,
+  score REAL,
+  score_breakdown TEXT,
+  rationale_ops TEXT,
+  creative_angle TEXT,
+  intro_basis TEXT,
+  scoring_profile_version INTEGER REFERENCES scoring_profiles(version),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  trash_id TEXT REFERENCES trash(trash_id) ON DELETE SET NULL
+);
+
+-- The group's members in display order (the for_member first), with what each one
+-- brings to the others and which of their needs the group covers
+CREATE TABLE IF NOT EXISTS group_intro_members (
+  group_intro_id TEXT NOT NULL REFERENCES group_intros(group_intro_id) ON DELETE CASCADE,
+  member_id TEXT NOT NULL REFERENCES members(member_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  gives TEXT,
+  gets TEXT,
+  PRIMARY KEY (group_intro_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_intros_for_member ON group_intros(for_member_id);
+CREATE INDEX IF NOT EXISTS idx_group_intros_trash ON group_intros(trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_group_intro_members_member ON group_intro_members(member_id);
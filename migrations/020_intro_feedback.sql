@@ -0,0 +1,18 @@
+-- Member feedback on intros
+-- The member an intro was written for can rate it (thumbs up or down) and record what
+-- came of it: met, follow-up scheduled, referral or deal. Either can be cleared again;
+-- feedback_at is when it last changed. The calibration report (intro-feedback.js)
+-- compares the score factors of intros that went well with the rest.
+
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS feedback_rating TEXT;
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS feedback_outcome TEXT;
+ALTER TABLE intros ADD COLUMN IF NOT EXISTS feedback_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE intros DROP CONSTRAINT IF EXISTS intros_feedback_rating_check;
+ALTER TABLE intros ADD CONSTRAINT intros_feedback_rating_check
+  CHECK (feedback_rating IN ('up', 'down'));
+ALTER TABLE intros DROP CONSTRAINT IF EXISTS intros_feedback_outcome_check;
+ALTER TABLE intros ADD CONSTRAINT intros_feedback_outcome_check
+  CHECK (feedback_outcome IN ('met', 'follow_up', 'referral', 'deal'));
+
+CREATE INDEX IF NOT EXISTS idx_intros_feedback ON intros(feedback_at DESC) WHERE feedback_at IS NOT NULL;
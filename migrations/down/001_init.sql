@@ -0,0 +1,7 @@
+-- Undo 001_init.sql - drops every table (and all data) created by the initial schema
+
+DROP TABLE IF EXISTS admin_sessions;
+DROP TABLE IF EXISTS admin_users;
+DROP TABLE IF EXISTS intros;
+DROP TABLE IF EXISTS vectors;
+DROP TABLE IF EXISTS members;
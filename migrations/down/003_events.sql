@@ -0,0 +1,6 @@
+-- Undo 003_events.sql - members lose their event scope and all events are dropped
+
+DROP INDEX IF EXISTS idx_members_event;
+ALTER TABLE members DROP COLUMN IF EXISTS event_id;
+
+DROP TABLE IF EXISTS events;
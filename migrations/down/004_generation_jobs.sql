@@ -0,0 +1,4 @@
+-- Undo 004_generation_jobs.sql - drops the generation job queue
+
+DROP TABLE IF EXISTS generation_job_items;
+DROP TABLE IF EXISTS generation_jobs;
@@ -0,0 +1,19 @@
+-- Undo 005_pgvector.sql - embeddings go back to JSON text in embedding_ops
+-- The vector extension itself is left installed.
+
+ALTER TABLE vectors ADD COLUMN IF NOT EXISTS embedding_ops TEXT;
+
+-- pgvector's text form ("[0.1,0.2,...]") is also a JSON array
+UPDATE vectors
+SET embedding_ops = embedding::text
+WHERE embedding IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_vectors_embedding_hnsw;
+ALTER TABLE vectors DROP COLUMN IF EXISTS embedding;
+
+DO $$
+BEGIN
+  EXECUTE format('ALTER DATABASE %I RESET hnsw.iterative_scan', current_database());
+EXCEPTION WHEN OTHERS THEN
+  NULL;
+END $$;
@@ -0,0 +1,5 @@
+-- Undo 006_scoring_profiles.sql - saved scoring profiles are lost; scoring falls back to the built-in defaults
+
+ALTER TABLE intros DROP COLUMN IF EXISTS scoring_profile_version;
+
+DROP TABLE IF EXISTS scoring_profiles;
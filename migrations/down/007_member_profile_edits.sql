@@ -0,0 +1,7 @@
+-- Undo 007_member_profile_edits.sql
+
+DROP INDEX IF EXISTS idx_intros_stale;
+ALTER TABLE intros DROP COLUMN IF EXISTS stale_at;
+
+ALTER TABLE members DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE members DROP COLUMN IF EXISTS edit_token_hash;
@@ -0,0 +1,5 @@
+-- Undo 008_member_access_tokens.sql - brings back the (empty) edit token hash column
+-- Private links issued after 008 stop working once the server is rolled back too.
+
+ALTER TABLE members DROP COLUMN IF EXISTS token_version;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS edit_token_hash TEXT;
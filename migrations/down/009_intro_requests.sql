@@ -0,0 +1,17 @@
+-- Undo 009_intro_requests.sql - back to one-sided "acknowledged" intros
+-- Requested and accepted intros become acknowledged, declined ones go back to draft.
+-- The status history is dropped.
+
+DROP TABLE IF EXISTS intro_status_history;
+DROP INDEX IF EXISTS idx_intros_pending;
+
+ALTER TABLE intros DROP CONSTRAINT IF EXISTS intros_status_check;
+
+UPDATE intros SET status = 'acknowledged' WHERE status IN ('requested', 'accepted');
+UPDATE intros SET status = 'draft' WHERE status = 'declined';
+
+ALTER TABLE intros ADD CONSTRAINT intros_status_check
+  CHECK (status IN ('draft', 'acknowledged'));
+
+ALTER TABLE intros DROP COLUMN IF EXISTS requested_at;
+ALTER TABLE intros DROP COLUMN IF EXISTS responded_at;
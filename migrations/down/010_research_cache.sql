@@ -0,0 +1,3 @@
+-- Undo 010_research_cache.sql - cached research is discarded
+
+DROP TABLE IF EXISTS research_cache;
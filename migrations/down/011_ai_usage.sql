@@ -0,0 +1,7 @@
+-- Undo 011_ai_usage.sql - usage history and per-event budgets are discarded
+
+DROP TABLE IF EXISTS ai_usage;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_ai_budget_mode_check;
+ALTER TABLE events DROP COLUMN IF EXISTS ai_budget_usd;
+ALTER TABLE events DROP COLUMN IF EXISTS ai_budget_mode;
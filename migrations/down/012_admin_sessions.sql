@@ -0,0 +1,12 @@
+-- Undo 012_admin_sessions.sql - every admin is logged out
+-- Sessions go back to the in-memory store once the server is rolled back too.
+
+DELETE FROM admin_sessions;
+
+DROP INDEX IF EXISTS idx_admin_sessions_admin;
+DROP INDEX IF EXISTS idx_admin_sessions_expires;
+
+ALTER TABLE admin_sessions DROP COLUMN IF EXISTS data;
+ALTER TABLE admin_sessions DROP COLUMN IF EXISTS user_agent;
+ALTER TABLE admin_sessions DROP COLUMN IF EXISTS ip_address;
+ALTER TABLE admin_sessions DROP COLUMN IF EXISTS last_seen_at;
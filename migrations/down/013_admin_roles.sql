@@ -0,0 +1,13 @@
+-- Undo 013_admin_roles.sql - every remaining account has full access again
+-- Disabled accounts are removed rather than silently re-enabled.
+
+DELETE FROM admin_users WHERE disabled_at IS NOT NULL;
+
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS name;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS role;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS must_change_password;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS disabled_at;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS created_by;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS password_changed_at;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS last_login_at;
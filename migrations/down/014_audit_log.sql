@@ -0,0 +1,4 @@
+-- Undo 014_audit_log.sql - the recorded history is lost
+
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
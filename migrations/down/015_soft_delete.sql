@@ -0,0 +1,15 @@
+-- Undo 015_soft_delete.sql - whatever is in the trash is deleted for good
+-- (without the deleted_at columns it would otherwise come back to life).
+
+DELETE FROM intros WHERE deleted_at IS NOT NULL;
+DELETE FROM members WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_members_trash;
+DROP INDEX IF EXISTS idx_intros_trash;
+
+ALTER TABLE members DROP COLUMN IF EXISTS trash_id;
+ALTER TABLE members DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE intros DROP COLUMN IF EXISTS trash_id;
+ALTER TABLE intros DROP COLUMN IF EXISTS deleted_at;
+
+DROP TABLE IF EXISTS trash;
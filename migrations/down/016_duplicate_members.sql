@@ -0,0 +1,3 @@
+-- Undo 016_duplicate_members.sql - dismissed pairs will be flagged again
+
+DROP TABLE IF EXISTS duplicate_dismissals;
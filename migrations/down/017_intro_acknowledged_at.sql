@@ -0,0 +1,4 @@
+-- Undo 017_intro_acknowledged_at.sql
+
+DROP INDEX IF EXISTS idx_intros_acknowledged;
+ALTER TABLE intros DROP COLUMN IF EXISTS acknowledged_at;
@@ -0,0 +1,4 @@
+-- Undo 018_round_schedules.sql - drops every saved seating plan
+
+DROP TABLE IF EXISTS round_seats;
+DROP TABLE IF EXISTS round_schedules;
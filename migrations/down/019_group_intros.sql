@@ -0,0 +1,10 @@
+-- Undo 019_group_intros.sql - drops every group intro and the 'groups' jobs
+
+DROP TABLE IF EXISTS group_intro_members;
+DROP TABLE IF EXISTS group_intros;
+
+DELETE FROM generation_jobs WHERE kind = 'groups';
+
+ALTER TABLE generation_jobs DROP CONSTRAINT IF EXISTS generation_jobs_kind_check;
+ALTER TABLE generation_jobs ADD CONSTRAINT generation_jobs_kind_check
+  CHECK (kind IN ('top3', 'brainstorm'));
@@ -0,0 +1,8 @@
+-- Undo 020_intro_feedback.sql - drops every rating and outcome
+
+DROP INDEX IF EXISTS idx_intros_feedback;
+ALTER TABLE intros DROP CONSTRAINT IF EXISTS intros_feedback_rating_check;
+ALTER TABLE intros DROP CONSTRAINT IF EXISTS intros_feedback_outcome_check;
+ALTER TABLE intros DROP COLUMN IF EXISTS feedback_rating;
+ALTER TABLE intros DROP COLUMN IF EXISTS feedback_outcome;
+ALTER TABLE intros DROP COLUMN IF EXISTS feedback_at;
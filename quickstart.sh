@@ -25,14 +25,16 @@ if [ ! -f .env ]; then
     echo ""
     echo "📝 Creating .env file..."
     cp .env.example .env
-    echo "⚠️  Please edit .env and add your OpenAI API key"
+    echo "⚠️  Please edit .env and add your DATABASE_URL and OpenAI API key"
     echo "   Get one at: https://platform.openai.com/api-keys"
+    echo "   Then run this script again."
+    exit 0
 fi
 
-# Initialize database
+# Apply database migrations (needs DATABASE_URL in .env)
 echo ""
-echo "🗄️  Initializing database..."
-npm run init-db
+echo "🗄️  Migrating database..."
+npm run migrate
 
 # Run setup test
 echo ""
@@ -52,11 +54,12 @@ echo "  Admin Panel:  http://localhost:3000/admin.html"
 echo "  Dashboard:    http://localhost:3000/dashboard.html"
 echo ""
 echo "Default admin login:"
-echo "  Email: admin@rotary.local"
-echo "  Password: rotary2024"
+echo "  Email: admin"
+echo "  Password: admin"
+echo "  (forgot it? npm run admin-reset)"
 echo ""
 echo "⚠️  Remember to:"
-echo "  1. Add your OpenAI API key to .env"
+echo "  1. Add your DATABASE_URL and OpenAI API key to .env"
 echo "  2. Change the admin password for production"
 echo "  3. Use HTTPS in production"
 echo ""
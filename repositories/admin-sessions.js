@@ -0,0 +1,68 @@
+// repositories/admin-sessions.js - Queries on the admin_sessions table
+// One row per logged-in browser. data holds the express-session object as JSON;
+// session-store.js is the only writer.
+const db = require('../db');
+
+async function find(sessionId) {
+  return db.get(`
+    SELECT data FROM admin_sessions
+    WHERE session_id = $1 AND expires_at > CURRENT_TIMESTAMP
+  `, [sessionId]);
+}
+
+async function save({ sessionId, adminId, data, expiresAt, userAgent, ipAddress }) {
+  await db.run(`
+    INSERT INTO admin_sessions (session_id, admin_id, data, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (session_id)
+    DO UPDATE SET admin_id = $2, data = $3, expires_at = $4, last_seen_at = NOW(),
+                  user_agent = COALESCE($5, admin_sessions.user_agent),
+                  ip_address = COALESCE($6, admin_sessions.ip_address)
+  `, [sessionId, adminId, data, expiresAt, userAgent || null, ipAddress || null]);
+}
+
+// A request on an unchanged session only moves its expiry
+async function touch(sessionId, expiresAt) {
+  await db.run(`
+    UPDATE admin_sessions SET expires_at = $2, last_seen_at = NOW()
+    WHERE session_id = $1
+  `, [sessionId, expiresAt]);
+}
+
+async function remove(sessionId) {
+  await db.run('DELETE FROM admin_sessions WHERE session_id = $1', [sessionId]);
+}
+
+async function removeExpired() {
+  const result = await db.run('DELETE FROM admin_sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+  return result.changes;
+}
+
+// An admin's sessions that haven't expired, most recently used first
+async function listForAdmin(adminId) {
+  return db.all(`
+    SELECT session_id, user_agent, ip_address, created_at, last_seen_at, expires_at
+    FROM admin_sessions
+    WHERE admin_id = $1 AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY last_seen_at DESC
+  `, [adminId]);
+}
+
+// Log an admin out of every browser except (optionally) the one making the request
+async function removeAllForAdmin(adminId, exceptSessionId = null) {
+  const result = await db.run(`
+    DELETE FROM admin_sessions
+    WHERE admin_id = $1 AND ($2::text IS NULL OR session_id <> $2)
+  `, [adminId, exceptSessionId]);
+  return result.changes;
+}
+
+module.exports = {
+  find,
+  save,
+  touch,
+  remove,
+  removeExpired,
+  listForAdmin,
+  removeAllForAdmin
+};
@@ -0,0 +1,72 @@
+// repositories/admins.js - Queries on the admin_users table
+const db = require('../db');
+const { generateId } = require('./ids');
+
+// Columns safe to send to the admin page (no password hash)
+const PUBLIC_COLUMNS = `admin_id, email, name, role, must_change_password, disabled_at,
+  created_by, created_at, password_changed_at, last_login_at`;
+
+async function findByEmail(email) {
+  return db.get('SELECT * FROM admin_users WHERE email = $1', [email]);
+}
+
+async function findById(adminId) {
+  return db.get('SELECT * FROM admin_users WHERE admin_id = $1', [adminId]);
+}
+
+async function list() {
+  return db.all(`SELECT ${PUBLIC_COLUMNS} FROM admin_users ORDER BY disabled_at IS NOT NULL, created_at`);
+}
+
+async function create({ email, name, role, passwordHash, createdBy }) {
+  const adminId = generateId('admin');
+  await db.run(`
+    INSERT INTO admin_users (admin_id, email, name, role, password_hash, must_change_password, created_by)
+    VALUES ($1, $2, $3, $4, $5, true, $6)
+  `, [adminId, email, name || null, role, passwordHash, createdBy]);
+  return db.get(`SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE admin_id = $1`, [adminId]);
+}
+
+// Only the fields present change: role, disabled (true/false)
+async function update(adminId, { role, disabled }) {
+  const result = await db.run(`
+    UPDATE admin_users SET
+      role = COALESCE($2, role),
+      disabled_at = CASE WHEN $3::boolean IS NULL THEN disabled_at
+                         WHEN $3::boolean THEN COALESCE(disabled_at, NOW())
+                         ELSE NULL END
+    WHERE admin_id = $1
+  `, [adminId, role || null, disabled === undefined ? null : disabled]);
+  if (result.changes === 0) return null;
+  return db.get(`SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE admin_id = $1`, [adminId]);
+}
+
+// mustChange = true for a temporary password set by someone else
+async function setPassword(adminId, passwordHash, mustChange) {
+  await db.run(`
+    UPDATE admin_users
+    SET password_hash = $2, must_change_password = $3,
+        password_changed_at = CASE WHEN $3 THEN password_changed_at ELSE NOW() END
+    WHERE admin_id = $1
+  `, [adminId, passwordHash, mustChange]);
+}
+
+async function recordLogin(adminId) {
+  await db.run('UPDATE admin_users SET last_login_at = NOW() WHERE admin_id = $1', [adminId]);
+}
+
+async function countActiveOwners() {
+  const row = await db.get(`SELECT COUNT(*)::int as count FROM admin_users WHERE role = 'owner' AND disabled_at IS NULL`);
+  return row.count;
+}
+
+module.exports = {
+  findByEmail,
+  findById,
+  list,
+  create,
+  update,
+  setPassword,
+  recordLogin,
+  countActiveOwners
+};
@@ -0,0 +1,38 @@
+// repositories/dashboard.js - Headline numbers and activity feed for the live dashboard
+const db = require('../db');
+
+async function getStats(eventId) {
+  return db.get(`
+    SELECT
+      (SELECT COUNT(*)::int FROM members WHERE event_id = $1 AND deleted_at IS NULL) as total_members,
+      (SELECT COUNT(*)::int FROM intros i JOIN members m ON i.for_member_id = m.member_id
+        WHERE m.event_id = $1 AND i.deleted_at IS NULL AND m.deleted_at IS NULL AND i.tier = 'top3') as total_top3,
+      (SELECT COUNT(*)::int FROM intros i JOIN members m ON i.for_member_id = m.member_id
+        WHERE m.event_id = $1 AND i.deleted_at IS NULL AND m.deleted_at IS NULL AND i.tier = 'brainstorm') as total_brainstorm,
+      (SELECT COUNT(*)::int FROM intros i JOIN members m ON i.for_member_id = m.member_id
+        WHERE m.event_id = $1 AND i.deleted_at IS NULL AND m.deleted_at IS NULL AND i.status = 'accepted') as total_accepted
+  `, [eventId]);
+}
+
+// Latest registrations and introductions made, newest first (the live feed's starting point)
+async function getRecentActivity(eventId, limit = 10) {
+  return db.all(`
+    SELECT * FROM (
+      SELECT 'member.registered' as type, m.name, m.org, 'registered' as action, m.created_at as timestamp
+      FROM members m
+      WHERE m.event_id = $1 AND m.deleted_at IS NULL
+      UNION ALL
+      SELECT 'intro.accepted' as type, m.name, m.org, 'made an introduction' as action, i.acknowledged_at as timestamp
+      FROM intros i
+      JOIN members m ON i.for_member_id = m.member_id
+      WHERE i.acknowledged_at IS NOT NULL AND m.event_id = $1 AND i.deleted_at IS NULL AND m.deleted_at IS NULL
+    ) activities
+    ORDER BY timestamp DESC
+    LIMIT $2
+  `, [eventId, limit]);
+}
+
+module.exports = {
+  getStats,
+  getRecentActivity
+};
@@ -0,0 +1,128 @@
+// repositories/duplicates.js - Queries behind duplicate detection and member merges
+// Pairs are keyed in orderPair() order, so (a, b) and (b, a) are the same pair.
+// The merge queries take an optional conn (a db.transaction() tx) so a merge commits as one.
+const db = require('../db');
+
+function orderPair(memberA, memberB) {
+  return memberA < memberB ? [memberA, memberB] : [memberB, memberA];
+}
+
+// Pairs of the event's members whose embeddings are at least minSimilarity alike (cosine)
+async function listEmbeddingPairs(eventId, minSimilarity) {
+  const rows = await db.all(`
+    SELECT a.member_id as member_a, b.member_id as member_b,
+           1 - (va.embedding <=> vb.embedding) as similarity
+    FROM members a
+    JOIN vectors va ON va.member_id = a.member_id
+    JOIN members b ON b.event_id = a.event_id AND a.member_id < b.member_id
+    JOIN vectors vb ON vb.member_id = b.member_id
+    WHERE a.event_id = $1 AND a.deleted_at IS NULL AND b.deleted_at IS NULL
+      AND va.embedding IS NOT NULL AND vb.embedding IS NOT NULL
+      AND 1 - (va.embedding <=> vb.embedding) >= $2
+  `, [eventId, minSimilarity]);
+  // The database's collation may sort IDs differently from JavaScript
+  return rows.map(row => {
+    const [memberA, memberB] = orderPair(row.member_a, row.member_b);
+    return { member_a: memberA, member_b: memberB, similarity: row.similarity };
+  });
+}
+
+// Dismissed pairs touching the event's members, as 'member_a|member_b' keys
+async function listDismissed(eventId) {
+  const rows = await db.all(`
+    SELECT d.member_a, d.member_b FROM duplicate_dismissals d
+    JOIN members m ON d.member_a = m.member_id
+    WHERE m.event_id = $1
+  `, [eventId]);
+  return new Set(rows.map(row => `${row.member_a}|${row.member_b}`));
+}
+
+async function dismiss(memberA, memberB, dismissedBy) {
+  const [first, second] = orderPair(memberA, memberB);
+  await db.run(`
+    INSERT INTO duplicate_dismissals (member_a, member_b, dismissed_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (member_a, member_b) DO NOTHING
+  `, [first, second, dismissedBy || null]);
+}
+
+// Every intro for or about a member, including ones in the trash
+async function listIntrosInvolving(memberId, conn = db) {
+  return conn.all(`
+    SELECT intro_id, for_member_id, to_member_id, tier, score, status, deleted_at
+    FROM intros WHERE for_member_id = $1 OR to_member_id = $1
+  `, [memberId]);
+}
+
+async function findIntro(forMemberId, toMemberId, tier, conn = db) {
+  return conn.get(`
+    SELECT intro_id, for_member_id, to_member_id, tier, score, status, deleted_at
+    FROM intros WHERE for_member_id = $1 AND to_member_id = $2 AND tier = $3
+  `, [forMemberId, toMemberId, tier]);
+}
+
+async function repointIntro(introId, forMemberId, toMemberId, conn = db) {
+  await conn.run('UPDATE intros SET for_member_id = $2, to_member_id = $3 WHERE intro_id = $1', [introId, forMemberId, toMemberId]);
+}
+
+async function deleteIntro(introId, conn = db) {
+  await conn.run('DELETE FROM intros WHERE intro_id = $1', [introId]);
+}
+
+// Spend history follows the profile that is kept
+async function moveAiUsage(fromMemberId, toMemberId, conn = db) {
+  await conn.run('UPDATE ai_usage SET member_id = $2 WHERE member_id = $1', [fromMemberId, toMemberId]);
+}
+
+// The published table rounds keep the seat under the kept member. Where both profiles
+// sit in the same round, the kept member's seat stays and the other one goes.
+async function moveRoundSeats(fromMemberId, toMemberId, conn = db) {
+  await conn.run(`
+    DELETE FROM round_seats s
+    WHERE s.member_id = $1
+      AND EXISTS (SELECT 1 FROM round_seats k WHERE k.schedule_id = s.schedule_id AND k.round = s.round AND k.member_id = $2)
+  `, [fromMemberId, toMemberId]);
+  const result = await conn.run('UPDATE round_seats SET member_id = $2 WHERE member_id = $1', [fromMemberId, toMemberId]);
+  return result.changes;
+}
+
+// Working groups the merged member was in, or was suggested, now belong to the kept one.
+// Where both profiles are in the same group the kept member's row stays; a group left
+// with fewer than minSize people is no longer a group and is dropped. Returns the counts.
+async function moveGroupIntros(fromMemberId, toMemberId, minSize, conn = db) {
+  await conn.run(`
+    DELETE FROM group_intro_members g
+    WHERE g.member_id = $1
+      AND EXISTS (SELECT 1 FROM group_intro_members k WHERE k.group_intro_id = g.group_intro_id AND k.member_id = $2)
+  `, [fromMemberId, toMemberId]);
+  const moved = await conn.run('UPDATE group_intro_members SET member_id = $2 WHERE member_id = $1', [fromMemberId, toMemberId]);
+  await conn.run('UPDATE group_intros SET for_member_id = $2 WHERE for_member_id = $1', [fromMemberId, toMemberId]);
+  const dropped = await conn.run(`
+    DELETE FROM group_intros g
+    WHERE g.group_intro_id IN (SELECT group_intro_id FROM group_intro_members WHERE member_id = $1)
+      AND (SELECT COUNT(*) FROM group_intro_members m WHERE m.group_intro_id = g.group_intro_id) < $2
+  `, [toMemberId, minSize]);
+  return { moved: moved.changes, dropped: dropped.changes };
+}
+
+// Drop the merged-away member: its vector first, then the row (jobs and research cascade)
+async function removeMergedMember(memberId, conn = db) {
+  const result = await conn.run('DELETE FROM vectors WHERE member_id = $1', [memberId]);
+  await conn.run('DELETE FROM members WHERE member_id = $1', [memberId]);
+  return { vectors: result.changes };
+}
+
+module.exports = {
+  orderPair,
+  listEmbeddingPairs,
+  listDismissed,
+  dismiss,
+  listIntrosInvolving,
+  findIntro,
+  repointIntro,
+  deleteIntro,
+  moveAiUsage,
+  moveRoundSeats,
+  moveGroupIntros,
+  removeMergedMember
+};
@@ -0,0 +1,66 @@
+// repositories/events.js - Queries on the events table
+const db = require('../db');
+const { generateId } = require('./ids');
+
+// Columns safe to show on public pages (registration, dashboard, member page)
+const PUBLIC_COLUMNS = 'event_id, slug, name, event_date, location, is_active';
+
+// Look up an event by slug or ID
+// Without a reference, falls back to the most recently created active event
+async function resolve(eventRef) {
+  if (eventRef) {
+    return db.get('SELECT * FROM events WHERE slug = $1 OR event_id = $1', [eventRef]);
+  }
+  return db.get('SELECT * FROM events WHERE is_active = true ORDER BY created_at DESC LIMIT 1');
+}
+
+async function findBySlug(slug) {
+  return db.get(`SELECT ${PUBLIC_COLUMNS} FROM events WHERE slug = $1`, [slug]);
+}
+
+async function findPublicById(eventId) {
+  return db.get('SELECT event_id, slug, name, event_date, location FROM events WHERE event_id = $1', [eventId]);
+}
+
+// All events with how many members registered for each
+async function listWithCounts() {
+  return db.all(`
+    SELECT
+      e.*,
+      (SELECT COUNT(*)::int FROM members WHERE event_id = e.event_id AND deleted_at IS NULL) as member_count
+    FROM events e
+    ORDER BY e.created_at DESC
+  `);
+}
+
+async function create({ slug, name, event_date, location }) {
+  const eventId = generateId('event');
+  await db.run(`
+    INSERT INTO events (event_id, slug, name, event_date, location)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [eventId, slug, name, event_date || null, location || null]);
+
+  return db.get('SELECT * FROM events WHERE event_id = $1', [eventId]);
+}
+
+// updates = { column: value } (is_active, ai_budget_usd, ai_budget_mode).
+// Returns false when the event doesn't exist.
+async function update(eventId, updates) {
+  const fields = Object.keys(updates);
+  const setClause = fields.map((field, idx) => `${field} = $${idx + 2}`).join(', ');
+
+  const result = await db.run(
+    `UPDATE events SET ${setClause} WHERE event_id = $1`,
+    [eventId, ...fields.map(field => updates[field])]
+  );
+  return result.changes > 0;
+}
+
+module.exports = {
+  resolve,
+  findBySlug,
+  findPublicById,
+  listWithCounts,
+  create,
+  update
+};
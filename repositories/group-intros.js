@@ -0,0 +1,62 @@
+// repositories/group-intros.js - Queries on group_intros and group_intro_members
+// A group intro is written for one member (for_member_id) about a working group of
+// three to five members, themselves included. Group intros in the trash (deleted_at
+// set, see trash.js) and members in the trash are left out of every listing.
+const db = require('../db');
+const { generateId } = require('./ids');
+
+// Store a generated group. members = [{ memberId, gives: [...], gets: [...] }] in display order.
+// The group row and its member rows are separate inserts: pass a transaction as conn.
+async function save({ forMemberId, score, scoreBreakdown, rationale, scoringProfileVersion, members }, conn = db) {
+  const groupIntroId = generateId('group');
+  await conn.run(`
+    INSERT INTO group_intros (group_intro_id, for_member_id, score, score_breakdown, rationale_ops, creative_angle, intro_basis, scoring_profile_version)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [groupIntroId, forMemberId, score, JSON.stringify(scoreBreakdown), rationale.rationale_ops, rationale.creative_angle, rationale.intro_basis, scoringProfileVersion || null]);
+
+  for (const [position, member] of members.entries()) {
+    await conn.run(`
+      INSERT INTO group_intro_members (group_intro_id, member_id, position, gives, gets)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [groupIntroId, member.memberId, position, member.gives.join(', ') || null, member.gets.join(', ') || null]);
+  }
+  return groupIntroId;
+}
+
+// Generating groups again replaces the member's live ones (copies in the trash stay there)
+async function deleteForMember(memberId, conn = db) {
+  const result = await conn.run('DELETE FROM group_intros WHERE for_member_id = $1 AND deleted_at IS NULL', [memberId]);
+  return result.changes;
+}
+
+// A member's groups, best first, each with its members' cards: [{ ...group, members }]
+async function listForMember(memberId) {
+  const groups = await db.all(`
+    SELECT * FROM group_intros
+    WHERE for_member_id = $1 AND deleted_at IS NULL
+    ORDER BY score DESC, created_at
+  `, [memberId]);
+  if (groups.length === 0) return [];
+
+  const rows = await db.all(`
+    SELECT g.group_intro_id, g.gives, g.gets, m.member_id, m.name, m.org, m.role, m.city, m.industry
+    FROM group_intro_members g
+    JOIN members m ON g.member_id = m.member_id
+    WHERE g.group_intro_id = ANY($1) AND m.deleted_at IS NULL
+    ORDER BY g.position
+  `, [groups.map(group => group.group_intro_id)]);
+
+  return groups.map(group => ({
+    ...group,
+    members: rows.filter(row => row.group_intro_id === group.group_intro_id).map(row => ({
+      member_id: row.member_id, name: row.name, org: row.org, role: row.role, city: row.city, industry: row.industry,
+      gives: row.gives, gets: row.gets
+    }))
+  }));
+}
+
+module.exports = {
+  save,
+  deleteForMember,
+  listForMember
+};
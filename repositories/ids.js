@@ -0,0 +1,6 @@
+// repositories/ids.js - Primary keys for new rows ("member-1700000000000-k3j9x0a2b")
+function generateId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+module.exports = { generateId };
@@ -0,0 +1,167 @@
+// repositories/intros.js - Queries on the intros table
+// An intro is written for one member (for_member_id) about another (to_member_id).
+// Status changes go through intro-lifecycle.js, which also records their history.
+// Intros in the trash (deleted_at set, see trash.js) are left out of every query.
+const db = require('../db');
+const { generateId } = require('./ids');
+
+async function findById(introId) {
+  return db.get(`
+    SELECT intro_id, for_member_id, to_member_id, status, feedback_rating, feedback_outcome
+    FROM intros WHERE intro_id = $1 AND deleted_at IS NULL
+  `, [introId]);
+}
+
+// A member's intros of one tier with the other member's card.
+// The email is only included once the intro has been accepted by both sides.
+async function listForMember(memberId, tier, limit) {
+  return db.all(`
+    SELECT i.*, m.name, m.org, m.role, m.city,
+           CASE WHEN i.status = 'accepted' THEN m.email END as contact_email
+    FROM intros i
+    JOIN members m ON i.to_member_id = m.member_id
+    WHERE i.for_member_id = $1 AND i.tier = $2 AND i.deleted_at IS NULL AND m.deleted_at IS NULL
+    ORDER BY i.score DESC
+    LIMIT $3
+  `, [memberId, tier, limit]);
+}
+
+// Other members asking to meet this one (with the rationale written for them),
+// plus accepted ones - the requester's email is shared once accepted
+async function listIncomingRequests(memberId) {
+  return db.all(`
+    SELECT i.intro_id, i.tier, i.score, i.rationale_ops, i.creative_angle, i.intro_basis,
+           i.status, i.requested_at, i.responded_at,
+           m.member_id, m.name, m.org, m.role, m.city,
+           CASE WHEN i.status = 'accepted' THEN m.email END as contact_email
+    FROM intros i
+    JOIN members m ON i.for_member_id = m.member_id
+    WHERE i.to_member_id = $1 AND i.status IN ('requested', 'accepted') AND i.deleted_at IS NULL AND m.deleted_at IS NULL
+    ORDER BY (i.status = 'requested') DESC, i.requested_at DESC
+  `, [memberId]);
+}
+
+async function listTargetIds(memberId, tier) {
+  const rows = await db.all(`
+    SELECT to_member_id FROM intros
+    WHERE for_member_id = $1 AND tier = $2 AND deleted_at IS NULL
+  `, [memberId, tier]);
+  return rows.map(row => row.to_member_id);
+}
+
+// Store a generated intro (re-generating replaces the previous one for the same pair/tier).
+// A copy of the pair in the trash is purged first - the new intro supersedes it.
+async function save({ forMemberId, toMemberId, tier, score, scoreBreakdown, rationale, scoringProfileVersion }, conn = db) {
+  await conn.run(`
+    DELETE FROM intros
+    WHERE for_member_id = $1 AND to_member_id = $2 AND tier = $3 AND deleted_at IS NOT NULL
+  `, [forMemberId, toMemberId, tier]);
+  await conn.run(`
+    INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, score_breakdown, rationale_ops, creative_angle, intro_basis, scoring_profile_version)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (for_member_id, to_member_id, tier)
+    DO UPDATE SET score = $5, score_breakdown = $6, rationale_ops = $7, creative_angle = $8, intro_basis = $9, scoring_profile_version = $10, stale_at = NULL
+  `, [generateId('intro'), forMemberId, toMemberId, tier, score, JSON.stringify(scoreBreakdown), rationale.rationale_ops, rationale.creative_angle, rationale.intro_basis, scoringProfileVersion || null]);
+}
+
+// Intros written before the member (or their match) last edited a profile
+async function countStale(memberId) {
+  const row = await db.get(
+    'SELECT COUNT(*)::int as count FROM intros WHERE for_member_id = $1 AND stale_at IS NOT NULL AND deleted_at IS NULL',
+    [memberId]
+  );
+  return row.count;
+}
+
+// Flag intros for and about a member whose profile changed. Returns how many.
+async function markStaleForMember(memberId) {
+  const result = await db.run(`
+    UPDATE intros SET stale_at = NOW()
+    WHERE (for_member_id = $1 OR to_member_id = $1) AND stale_at IS NULL AND deleted_at IS NULL
+  `, [memberId]);
+  return result.changes;
+}
+
+// Introductions already made are kept (and stay flagged) as a record of who they met
+async function deleteStaleDrafts(memberId) {
+  const result = await db.run(`
+    DELETE FROM intros
+    WHERE for_member_id = $1 AND stale_at IS NOT NULL AND status = 'draft' AND deleted_at IS NULL
+  `, [memberId]);
+  return result.changes;
+}
+
+async function countForEvent(eventId) {
+  const row = await db.get(`
+    SELECT COUNT(*)::int as count FROM intros i
+    JOIN members m ON i.for_member_id = m.member_id
+    WHERE m.event_id = $1 AND i.deleted_at IS NULL AND m.deleted_at IS NULL
+  `, [eventId]);
+  return row.count;
+}
+
+// The pairs of one tier already written for the event's members (room matching works around them)
+async function listTierForEvent(eventId, tier) {
+  return db.all(`
+    SELECT i.intro_id, i.for_member_id, i.to_member_id, i.status
+    FROM intros i
+    JOIN members f ON i.for_member_id = f.member_id
+    JOIN members t ON i.to_member_id = t.member_id
+    WHERE f.event_id = $1 AND i.tier = $2 AND i.deleted_at IS NULL AND f.deleted_at IS NULL AND t.deleted_at IS NULL
+  `, [eventId, tier]);
+}
+
+// Every live intro of an event with both members' names, for the post-event exports
+async function listForEvent(eventId) {
+  return db.all(`
+    SELECT i.intro_id, i.tier, i.score, i.status, i.score_breakdown, i.scoring_profile_version,
+           i.rationale_ops, i.creative_angle, i.intro_basis,
+           i.created_at, i.requested_at, i.responded_at, i.acknowledged_at, i.stale_at,
+           i.feedback_rating, i.feedback_outcome, i.feedback_at,
+           i.for_member_id, f.name as for_name, f.org as for_org,
+           i.to_member_id, t.name as to_name, t.org as to_org
+    FROM intros i
+    JOIN members f ON i.for_member_id = f.member_id
+    JOIN members t ON i.to_member_id = t.member_id
+    WHERE f.event_id = $1 AND i.deleted_at IS NULL AND f.deleted_at IS NULL AND t.deleted_at IS NULL
+    ORDER BY f.name, i.tier DESC, i.score DESC
+  `, [eventId]);
+}
+
+// Set (or clear, with null) the for_member's rating and outcome. Returns the updated intro.
+async function saveFeedback(introId, rating, outcome) {
+  return db.get(`
+    UPDATE intros
+    SET feedback_rating = $2, feedback_outcome = $3,
+        feedback_at = CASE WHEN $2::text IS NULL AND $3::text IS NULL THEN NULL ELSE NOW() END
+    WHERE intro_id = $1 AND deleted_at IS NULL
+    RETURNING intro_id, feedback_rating, feedback_outcome, feedback_at
+  `, [introId, rating, outcome]);
+}
+
+// The event's intros with feedback and the score breakdown they were written with
+async function listFeedbackForEvent(eventId) {
+  return db.all(`
+    SELECT i.intro_id, i.tier, i.score, i.score_breakdown, i.scoring_profile_version,
+           i.feedback_rating, i.feedback_outcome
+    FROM intros i
+    JOIN members f ON i.for_member_id = f.member_id
+    WHERE f.event_id = $1 AND i.feedback_at IS NOT NULL AND i.deleted_at IS NULL AND f.deleted_at IS NULL
+  `, [eventId]);
+}
+
+module.exports = {
+  findById,
+  listForMember,
+  listIncomingRequests,
+  listTargetIds,
+  save,
+  countStale,
+  markStaleForMember,
+  deleteStaleDrafts,
+  countForEvent,
+  listTierForEvent,
+  listForEvent,
+  saveFeedback,
+  listFeedbackForEvent
+};
@@ -0,0 +1,106 @@
+// repositories/members.js - Queries on the members table
+// Members in the trash (deleted_at set, see trash.js) are left out of every query.
+const db = require('../db');
+const { generateId } = require('./ids');
+
+// Profile fields a member can change after registering
+const EDITABLE_FIELDS = ['name', 'org', 'role', 'industry', 'city', 'rev_driver', 'current_constraint', 'assets', 'needs', 'fun_fact', 'email', 'consent'];
+// Fields that feed the embedding and rationales - changing one invalidates existing matches
+const SEMANTIC_FIELDS = ['name', 'org', 'role', 'industry', 'city', 'rev_driver', 'current_constraint', 'assets', 'needs', 'fun_fact'];
+const REQUIRED_FIELDS = ['name', 'org', 'role', 'industry', 'city'];
+
+// Member row without internal columns (safe to send to browsers)
+function toPublic(member) {
+  const { token_version, ...rest } = member;
+  return rest;
+}
+
+async function findById(memberId) {
+  return db.get('SELECT * FROM members WHERE member_id = $1 AND deleted_at IS NULL', [memberId]);
+}
+
+// Returns the new member_id
+async function create(eventId, fields, conn = db) {
+  const memberId = generateId('member');
+  const { name, org, role, industry, city, rev_driver, current_constraint, assets, needs, fun_fact, email } = fields;
+
+  await conn.run(`
+    INSERT INTO members (member_id, event_id, name, org, role, industry, city, rev_driver, current_constraint, assets, needs, fun_fact, email)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+  `, [memberId, eventId, name, org, role, industry, city, rev_driver, current_constraint, assets, needs, fun_fact, email]);
+
+  return memberId;
+}
+
+// updates = { field: value } with keys from EDITABLE_FIELDS
+async function update(memberId, updates, conn = db) {
+  const fields = Object.keys(updates).filter(field => EDITABLE_FIELDS.includes(field));
+  const setClause = fields.map((field, idx) => `${field} = $${idx + 2}`).join(', ');
+
+  await conn.run(
+    `UPDATE members SET ${setClause}, updated_at = NOW() WHERE member_id = $1`,
+    [memberId, ...fields.map(field => updates[field])]
+  );
+}
+
+// Admin list with per-member intro counts
+async function listForEvent(eventId) {
+  return db.all(`
+    SELECT
+      m.*,
+      (SELECT COUNT(*)::int FROM intros WHERE for_member_id = m.member_id AND deleted_at IS NULL AND tier = 'top3') as top3_count,
+      (SELECT COUNT(*)::int FROM intros WHERE for_member_id = m.member_id AND deleted_at IS NULL AND tier = 'brainstorm') as brainstorm_count,
+      (SELECT COUNT(*)::int FROM intros WHERE for_member_id = m.member_id AND deleted_at IS NULL AND status <> 'draft') as requested_count,
+      (SELECT COUNT(*)::int FROM intros WHERE for_member_id = m.member_id AND deleted_at IS NULL AND status = 'accepted') as accepted_count
+    FROM members m
+    WHERE m.event_id = $1 AND m.deleted_at IS NULL
+    ORDER BY m.created_at DESC
+  `, [eventId]);
+}
+
+async function countForEvent(eventId) {
+  const row = await db.get('SELECT COUNT(*)::int as count FROM members WHERE event_id = $1 AND deleted_at IS NULL', [eventId]);
+  return row.count;
+}
+
+async function listWithoutEmbeddings(eventId) {
+  return db.all(`
+    SELECT m.member_id, m.name, m.org
+    FROM members m
+    LEFT JOIN vectors v ON m.member_id = v.member_id
+    WHERE v.member_id IS NULL AND m.event_id = $1 AND m.deleted_at IS NULL
+  `, [eventId]);
+}
+
+// Invalidate every private link issued so far. Returns { member_id, token_version } or null.
+async function rotateTokenVersion(memberId) {
+  return db.get('UPDATE members SET token_version = token_version + 1 WHERE member_id = $1 AND deleted_at IS NULL RETURNING member_id, token_version', [memberId]);
+}
+
+async function getTokenVersion(memberId) {
+  return db.get('SELECT member_id, token_version FROM members WHERE member_id = $1 AND deleted_at IS NULL', [memberId]);
+}
+
+// Name, org and email of an event's members (for duplicate checks on import)
+async function listIdentities(eventId) {
+  return db.all(`
+    SELECT member_id, name, org, email FROM members
+    WHERE event_id = $1 AND deleted_at IS NULL
+  `, [eventId]);
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  SEMANTIC_FIELDS,
+  REQUIRED_FIELDS,
+  toPublic,
+  findById,
+  create,
+  update,
+  listForEvent,
+  countForEvent,
+  listWithoutEmbeddings,
+  listIdentities,
+  rotateTokenVersion,
+  getTokenVersion
+};
@@ -0,0 +1,60 @@
+// repositories/schedules.js - Queries on round_schedules and round_seats
+// One seating plan per event (see round-scheduler.js). Members in the trash are left
+// out of every listing; their seats come back with them on a restore.
+const db = require('../db');
+const { generateId } = require('./ids');
+
+// Replace the event's schedule. seats = [{ round, table, memberId }]. Returns the schedule_id.
+// One transaction, so a failed seat insert keeps the previous plan.
+async function replaceForEvent(eventId, { tables, tableSize, rounds }, seats, createdBy) {
+  const scheduleId = generateId('schedule');
+  await db.transaction(async (tx) => {
+    await tx.run('DELETE FROM round_schedules WHERE event_id = $1', [eventId]);
+    await tx.run(`
+      INSERT INTO round_schedules (schedule_id, event_id, table_count, table_size, round_count, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [scheduleId, eventId, tables, tableSize, rounds, createdBy || null]);
+
+    await tx.run(`
+      INSERT INTO round_seats (schedule_id, round, table_number, member_id)
+      SELECT $1, seat.round, seat.table_number, seat.member_id
+      FROM unnest($2::int[], $3::int[], $4::text[]) AS seat(round, table_number, member_id)
+    `, [scheduleId, seats.map(seat => seat.round), seats.map(seat => seat.table), seats.map(seat => seat.memberId)]);
+  });
+  return scheduleId;
+}
+
+async function findForEvent(eventId) {
+  return db.get('SELECT * FROM round_schedules WHERE event_id = $1', [eventId]);
+}
+
+// Every seat with the member's card, in round and table order
+async function listSeats(scheduleId) {
+  return db.all(`
+    SELECT s.round, s.table_number, m.member_id, m.name, m.org, m.role, m.industry
+    FROM round_seats s
+    JOIN members m ON s.member_id = m.member_id
+    WHERE s.schedule_id = $1 AND m.deleted_at IS NULL
+    ORDER BY s.round, s.table_number, m.name
+  `, [scheduleId]);
+}
+
+// A member's rounds: where they sit and who with
+async function listForMember(memberId) {
+  return db.all(`
+    SELECT mine.round, mine.table_number, m.member_id, m.name, m.org, m.role
+    FROM round_seats mine
+    JOIN round_seats s ON s.schedule_id = mine.schedule_id AND s.round = mine.round
+      AND s.table_number = mine.table_number AND s.member_id <> mine.member_id
+    JOIN members m ON s.member_id = m.member_id
+    WHERE mine.member_id = $1 AND m.deleted_at IS NULL
+    ORDER BY mine.round, m.name
+  `, [memberId]);
+}
+
+module.exports = {
+  replaceForEvent,
+  findForEvent,
+  listSeats,
+  listForMember
+};
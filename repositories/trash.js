@@ -0,0 +1,153 @@
+// repositories/trash.js - Queries on the trash table and the soft-deleted rows it holds
+// Each trash row is one delete action. The members and intros (group intros included,
+// counted with the intros) it moved to the trash carry its trash_id, so a restore or
+// purge touches exactly those rows. The functions that write take an optional conn (a
+// db.transaction() tx) so a caller can trash rows along with its own writes, and so a
+// restore or purge lands whole.
+const db = require('../db');
+const { generateId } = require('./ids');
+
+async function createBatch({ kind, eventId, label, deletedBy }, conn = db) {
+  const trashId = generateId('trash');
+  await conn.run(`
+    INSERT INTO trash (trash_id, kind, event_id, label, deleted_by)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [trashId, kind, eventId, label || null, deletedBy || null]);
+  return trashId;
+}
+
+async function setCounts(trashId, { members, intros }, conn = db) {
+  await conn.run('UPDATE trash SET member_count = $2, intro_count = $3 WHERE trash_id = $1', [trashId, members, intros]);
+}
+
+// Live group intros written for these members or with one of them in the group, so
+// nobody is shown a group with someone missing (memberFilter is a condition on members)
+async function trashGroupIntros(trashId, memberFilter, params, conn = db) {
+  const result = await conn.run(`
+    UPDATE group_intros SET deleted_at = NOW(), trash_id = $1
+    WHERE deleted_at IS NULL
+      AND (for_member_id IN (SELECT member_id FROM members WHERE ${memberFilter})
+        OR group_intro_id IN (
+          SELECT group_intro_id FROM group_intro_members
+          WHERE member_id IN (SELECT member_id FROM members WHERE ${memberFilter})))
+  `, [trashId, ...params]);
+  return result.changes;
+}
+
+// Live intros for or about these members, and their group intros (memberFilter is a
+// condition on member_id)
+async function trashIntros(trashId, memberFilter, params, conn = db) {
+  const result = await conn.run(`
+    UPDATE intros SET deleted_at = NOW(), trash_id = $1
+    WHERE deleted_at IS NULL
+      AND (for_member_id IN (SELECT member_id FROM members WHERE ${memberFilter})
+        OR to_member_id IN (SELECT member_id FROM members WHERE ${memberFilter}))
+  `, [trashId, ...params]);
+  return result.changes + await trashGroupIntros(trashId, memberFilter, params, conn);
+}
+
+// One member and every live intro they are part of
+async function trashMember(trashId, memberId, conn = db) {
+  const intros = await trashIntros(trashId, 'member_id = $2', [memberId], conn);
+  const members = await conn.run(`
+    UPDATE members SET deleted_at = NOW(), trash_id = $1
+    WHERE member_id = $2 AND deleted_at IS NULL
+  `, [trashId, memberId]);
+  return { members: members.changes, intros };
+}
+
+async function trashEventMembers(trashId, eventId, conn = db) {
+  const intros = await trashIntros(trashId, 'event_id = $2 AND deleted_at IS NULL', [eventId], conn);
+  const members = await conn.run(`
+    UPDATE members SET deleted_at = NOW(), trash_id = $1
+    WHERE event_id = $2 AND deleted_at IS NULL
+  `, [trashId, eventId]);
+  return { members: members.changes, intros };
+}
+
+// Intros and group intros written for the event's members (the members stay)
+async function trashEventIntros(trashId, eventId, conn = db) {
+  const result = await conn.run(`
+    UPDATE intros SET deleted_at = NOW(), trash_id = $1
+    WHERE deleted_at IS NULL
+      AND for_member_id IN (SELECT member_id FROM members WHERE event_id = $2)
+  `, [trashId, eventId]);
+  const groups = await trashGroupIntros(trashId, 'event_id = $2', [eventId], conn);
+  return { members: 0, intros: result.changes + groups };
+}
+
+// Particular intros, e.g. the drafts a room matching run replaced
+async function trashIntroIds(trashId, introIds, conn = db) {
+  const result = await conn.run(`
+    UPDATE intros SET deleted_at = NOW(), trash_id = $1
+    WHERE intro_id = ANY($2) AND deleted_at IS NULL
+  `, [trashId, introIds]);
+  return { members: 0, intros: result.changes };
+}
+
+// Batches with their expiry, newest first (eventId = null for every event)
+async function list(eventId, retentionDays) {
+  return db.all(`
+    SELECT t.*, e.name as event_name,
+           t.deleted_at + make_interval(days => $2) as expires_at
+    FROM trash t
+    LEFT JOIN events e ON t.event_id = e.event_id
+    WHERE ($1::text IS NULL OR t.event_id = $1)
+    ORDER BY t.deleted_at DESC
+  `, [eventId || null, retentionDays]);
+}
+
+async function findById(trashId, retentionDays) {
+  return db.get(`
+    SELECT t.*, t.deleted_at + make_interval(days => $2) as expires_at,
+           t.deleted_at + make_interval(days => $2) <= NOW() as expired
+    FROM trash t WHERE t.trash_id = $1
+  `, [trashId, retentionDays]);
+}
+
+async function listExpired(retentionDays) {
+  return db.all(`
+    SELECT * FROM trash
+    WHERE deleted_at + make_interval(days => $1) <= NOW()
+    ORDER BY deleted_at
+  `, [retentionDays]);
+}
+
+// Put the batch's rows back and drop the batch. Their vectors and score breakdowns
+// were never touched. Returns the restored counts.
+async function restore(trashId, conn = db) {
+  const vectors = await conn.get(`
+    SELECT COUNT(*)::int as count FROM vectors v
+    JOIN members m ON v.member_id = m.member_id
+    WHERE m.trash_id = $1
+  `, [trashId]);
+  const members = await conn.run('UPDATE members SET deleted_at = NULL, trash_id = NULL WHERE trash_id = $1', [trashId]);
+  const intros = await conn.run('UPDATE intros SET deleted_at = NULL, trash_id = NULL WHERE trash_id = $1', [trashId]);
+  const groups = await conn.run('UPDATE group_intros SET deleted_at = NULL, trash_id = NULL WHERE trash_id = $1', [trashId]);
+  await conn.run('DELETE FROM trash WHERE trash_id = $1', [trashId]);
+  return { members: members.changes, intros: intros.changes + groups.changes, vectors: vectors.count };
+}
+
+// Delete the batch's rows for good (vectors, jobs and research of the members cascade)
+async function purge(trashId, conn = db) {
+  const intros = await conn.run('DELETE FROM intros WHERE trash_id = $1', [trashId]);
+  const groups = await conn.run('DELETE FROM group_intros WHERE trash_id = $1', [trashId]);
+  const vectors = await conn.run('DELETE FROM vectors WHERE member_id IN (SELECT member_id FROM members WHERE trash_id = $1)', [trashId]);
+  const members = await conn.run('DELETE FROM members WHERE trash_id = $1', [trashId]);
+  await conn.run('DELETE FROM trash WHERE trash_id = $1', [trashId]);
+  return { members: members.changes, intros: intros.changes + groups.changes, vectors: vectors.changes };
+}
+
+module.exports = {
+  createBatch,
+  setCounts,
+  trashMember,
+  trashEventMembers,
+  trashEventIntros,
+  trashIntroIds,
+  list,
+  findById,
+  listExpired,
+  restore,
+  purge
+};
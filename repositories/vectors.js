@@ -0,0 +1,72 @@
+// repositories/vectors.js - Member embeddings (pgvector column vectors.embedding)
+const db = require('../db');
+
+// pgvector accepts the JSON array form ('[0.1,0.2,...]') as vector input
+function toVectorLiteral(embedding) {
+  return JSON.stringify(embedding);
+}
+
+// The stored embedding as an array of numbers, or null
+async function getEmbedding(memberId) {
+  const row = await db.get('SELECT embedding::text as embedding FROM vectors WHERE member_id = $1 AND embedding IS NOT NULL', [memberId]);
+  return row ? JSON.parse(row.embedding) : null;
+}
+
+async function getDimensions(memberId) {
+  const row = await db.get('SELECT vector_dims(embedding) as dimensions FROM vectors WHERE member_id = $1 AND embedding IS NOT NULL', [memberId]);
+  return row ? row.dimensions : null;
+}
+
+async function save(memberId, embedding) {
+  await db.run(`
+    INSERT INTO vectors (member_id, embedding)
+    VALUES ($1, $2::vector)
+    ON CONFLICT (member_id) DO UPDATE SET embedding = $2::vector
+  `, [memberId, toVectorLiteral(embedding)]);
+}
+
+async function remove(memberId) {
+  await db.run('DELETE FROM vectors WHERE member_id = $1', [memberId]);
+}
+
+// Nearest consenting members at the same event, by cosine similarity.
+// Uses the HNSW index on vectors.embedding; limit = null returns everyone.
+async function findNearest(member, embedding, limit) {
+  return db.all(`
+    SELECT m.*, 1 - (v.embedding <=> $3::vector) as similarity
+    FROM members m
+    JOIN vectors v ON m.member_id = v.member_id
+    WHERE m.member_id != $1 AND m.consent = true AND m.event_id = $2 AND m.deleted_at IS NULL AND v.embedding IS NOT NULL
+    ORDER BY v.embedding <=> $3::vector
+    LIMIT $4
+  `, [member.member_id, member.event_id, toVectorLiteral(embedding), limit]);
+}
+
+// Every stored embedding of an event's members: [{ member_id, embedding: [numbers] }]
+async function listForEvent(eventId) {
+  const rows = await db.all(`
+    SELECT v.member_id, v.embedding::text as embedding FROM vectors v
+    JOIN members m ON v.member_id = m.member_id
+    WHERE m.event_id = $1 AND m.deleted_at IS NULL AND v.embedding IS NOT NULL
+  `, [eventId]);
+  return rows.map(row => ({ member_id: row.member_id, embedding: JSON.parse(row.embedding) }));
+}
+
+async function countForEvent(eventId) {
+  const row = await db.get(`
+    SELECT COUNT(*)::int as count FROM vectors v
+    JOIN members m ON v.member_id = m.member_id
+    WHERE m.event_id = $1 AND m.deleted_at IS NULL
+  `, [eventId]);
+  return row.count;
+}
+
+module.exports = {
+  getEmbedding,
+  getDimensions,
+  save,
+  remove,
+  findNearest,
+  listForEvent,
+  countForEvent
+};
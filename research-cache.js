@@ -0,0 +1,143 @@
+// research-cache.js - Postgres cache for AI research stages
+// Stage 0-2 research depends only on its inputs (an industry pair, or two member
+// profiles), so the same pair showing up again - B→A after A→B, or the same two
+// industries across a 40-person brainstorm - reuses the stored result instead of
+// calling the model. Entries expire after RESEARCH_CACHE_TTL_HOURS and are
+// dropped when one of their members edits their profile.
+const crypto = require('crypto');
+const db = require('./db');
+const llm = require('./llm');
+
+// 0 disables the cache (every call goes to the model)
+const ttlHours = process.env.RESEARCH_CACHE_TTL_HOURS === undefined
+  ? 168
+  : parseFloat(process.env.RESEARCH_CACHE_TTL_HOURS) || 0;
+
+// Lookups already waiting on the model, so parallel jobs share one call per key
+const inflight = new Map();
+
+// Lowercase, trim and collapse whitespace so trivial differences still hit
+function normalize(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex');
+}
+
+// The model is part of the key - switching providers must not serve old answers
+function cacheKey(stage, inputs) {
+  const provider = llm.getProvider();
+  return hash({ stage, provider: provider.name, model: provider.chatModel, inputs });
+}
+
+async function lookup(key) {
+  const row = await db.get(`
+    UPDATE research_cache SET hit_count = hit_count + 1
+    WHERE cache_key = $1 AND expires_at > CURRENT_TIMESTAMP
+    RETURNING result
+  `, [key]);
+  return row ? JSON.parse(row.result) : null;
+}
+
+async function store(key, stage, memberIds, result) {
+  const [memberA = null, memberB = null] = memberIds;
+  const provider = llm.getProvider();
+
+  await db.run(`
+    INSERT INTO research_cache (cache_key, stage, member_a, member_b, model, result, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + $7::float * INTERVAL '1 hour')
+    ON CONFLICT (cache_key)
+    DO UPDATE SET result = $6, model = $5, hit_count = 0, created_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + $7::float * INTERVAL '1 hour'
+  `, [key, stage, memberA, memberB, provider.chatModel, JSON.stringify(result), ttlHours]);
+}
+
+// Return the cached result for these inputs, or run compute() and cache what it returns.
+// memberIds: members whose profile went into the inputs (for invalidation).
+// A broken cache never blocks generation - errors fall through to compute().
+async function remember({ stage, inputs, memberIds = [], compute }) {
+  if (!ttlHours) {
+    return compute();
+  }
+
+  const key = cacheKey(stage, inputs);
+  if (inflight.has(key)) {
+    return inflight.get(key);
+  }
+
+  const pending = (async () => {
+    try {
+      const cached = await lookup(key);
+      if (cached) {
+        console.log(`   ♻️  Research cache hit (${stage})`);
+        return cached;
+      }
+    } catch (error) {
+      console.error(`Research cache lookup failed (${stage}):`, error.message);
+    }
+
+    const result = await compute();
+
+    try {
+      await store(key, stage, memberIds, result);
+    } catch (error) {
+      console.error(`Research cache store failed (${stage}):`, error.message);
+    }
+    return result;
+  })();
+
+  inflight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+// Drop every entry built from this member's profile (called after a profile edit)
+async function invalidateMember(memberId) {
+  const result = await db.run('DELETE FROM research_cache WHERE member_a = $1 OR member_b = $1', [memberId]);
+  return result.changes;
+}
+
+// Research about any member of an event (industry research is shared across events and kept)
+async function invalidateEvent(eventId) {
+  const result = await db.run(`
+    DELETE FROM research_cache
+    WHERE member_a IN (SELECT member_id FROM members WHERE event_id = $1)
+       OR member_b IN (SELECT member_id FROM members WHERE event_id = $1)
+  `, [eventId]);
+  return result.changes;
+}
+
+async function getStats() {
+  const stages = await db.all(`
+    SELECT
+      stage,
+      COUNT(*) FILTER (WHERE expires_at > CURRENT_TIMESTAMP)::int as entries,
+      COUNT(*) FILTER (WHERE expires_at <= CURRENT_TIMESTAMP)::int as expired,
+      COALESCE(SUM(hit_count), 0)::int as hits
+    FROM research_cache
+    GROUP BY stage
+    ORDER BY stage
+  `);
+  return { ttlHours, enabled: ttlHours > 0, stages };
+}
+
+// Remove expired entries, or everything with { all: true }
+async function clear({ all = false } = {}) {
+  const result = all
+    ? await db.run('DELETE FROM research_cache')
+    : await db.run('DELETE FROM research_cache WHERE expires_at <= CURRENT_TIMESTAMP');
+  return result.changes;
+}
+
+module.exports = {
+  normalize,
+  hash,
+  remember,
+  invalidateMember,
+  invalidateEvent,
+  getStats,
+  clear
+};
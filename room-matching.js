@@ -0,0 +1,346 @@
+// room-matching.js - "Match the room": Top 3 intros for a whole event at once
+// Per-member generation picks each member's best matches from their side only, so a few
+// popular attendees end up in everyone's Top 3 and others in nobody's. Here every pair is
+// scored both ways with calculateMatchScore and the recommendations are chosen together:
+// every member gets at least minMatches, nobody is recommended more than maxRecommended
+// times, and the total mutual value (the average of both directions' scores) is as high
+// as it can be under those limits - a min-cost flow from members to the members they are
+// recommended. Everyone takes part: members whose embedding isn't ready yet are scored
+// without semantic similarity. Intros are written without AI research (simple
+// rationales), in one transaction.
+const db = require('./db');
+const scoringProfile = require('./scoring-profile');
+const trash = require('./trash');
+const { calculateMatchScore, cosineSimilarity } = require('./scoring');
+const { generateSimpleRationale } = require('./ai-pipeline');
+const { CANDIDATE_POOL_SIZE } = require('./match-generation');
+const members = require('./repositories/members');
+const vectors = require('./repositories/vectors');
+const intros = require('./repositories/intros');
+
+// The member page shows a Top 3, so that's the most the room can guarantee
+const MAX_MATCHES = 3;
+// scoreAllPairs runs inside the request and holds up every other request while it does
+// (over a second per 100 members, growing with the square), so bigger events are refused
+const MAX_SCORED_MEMBERS = parseInt(process.env.PAIR_SCORING_MAX_MEMBERS, 10) || 150;
+
+function directionalScore(member, candidate, similarity, profile) {
+  try {
+    return calculateMatchScore(member, candidate, similarity, null, profile).score;
+  } catch (error) {
+    console.error(`   ❌ Error scoring ${member.name} → ${candidate.name}:`, error.message);
+    return 0;
+  }
+}
+
+// scores[i][j] = how good j is for i (0 for i itself). Members without an embedding
+// are scored on their profiles alone (similarity 0).
+function scoreAllPairs(participants, profile) {
+  return participants.map((member, i) => participants.map((candidate, j) => {
+    if (i === j) return 0;
+    return directionalScore(member, candidate, cosineSimilarity(member.embedding, candidate.embedding), profile);
+  }));
+}
+
+// Binary min-heap of [distance, node] for Dijkstra
+function createHeap() {
+  const items = [];
+  return {
+    get size() { return items.length; },
+    push(item) {
+      items.push(item);
+      let idx = items.length - 1;
+      while (idx > 0) {
+        const parent = (idx - 1) >> 1;
+        if (items[parent][0] <= items[idx][0]) break;
+        [items[parent], items[idx]] = [items[idx], items[parent]];
+        idx = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let idx = 0;
+        for (;;) {
+          const left = idx * 2 + 1;
+          const right = left + 1;
+          let smallest = idx;
+          if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+          if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+          if (smallest === idx) break;
+          [items[smallest], items[idx]] = [items[idx], items[smallest]];
+          idx = smallest;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+// Min-cost max-flow by successive shortest paths (Dijkstra with potentials, so every
+// cost must start out non-negative). Returns the flow on each edge.
+function minCostFlow(nodeCount, edges, source, sink) {
+  const adjacency = Array.from({ length: nodeCount }, () => []);
+  const to = [];
+  const capacity = [];
+  const cost = [];
+  for (const edge of edges) {
+    adjacency[edge.from].push(to.length);
+    to.push(edge.to); capacity.push(edge.capacity); cost.push(edge.cost);
+    adjacency[edge.to].push(to.length);
+    to.push(edge.from); capacity.push(0); cost.push(-edge.cost);
+  }
+
+  const potential = new Array(nodeCount).fill(0);
+  for (;;) {
+    const distance = new Array(nodeCount).fill(Infinity);
+    const via = new Array(nodeCount).fill(-1);
+    const heap = createHeap();
+    distance[source] = 0;
+    heap.push([0, source]);
+
+    while (heap.size > 0) {
+      const [dist, node] = heap.pop();
+      if (dist > distance[node]) continue;
+      for (const edge of adjacency[node]) {
+        if (capacity[edge] === 0) continue;
+        const next = dist + cost[edge] + potential[node] - potential[to[edge]];
+        if (next < distance[to[edge]]) {
+          distance[to[edge]] = next;
+          via[to[edge]] = edge;
+          heap.push([next, to[edge]]);
+        }
+      }
+    }
+    if (distance[sink] === Infinity) break;
+
+    for (let node = 0; node < nodeCount; node++) {
+      if (distance[node] < Infinity) potential[node] += distance[node];
+    }
+
+    let push = Infinity;
+    for (let node = sink; node !== source; node = to[via[node] ^ 1]) {
+      push = Math.min(push, capacity[via[node]]);
+    }
+    for (let node = sink; node !== source; node = to[via[node] ^ 1]) {
+      capacity[via[node]] -= push;
+      capacity[via[node] ^ 1] += push;
+    }
+  }
+
+  // Forward edges are the even ones; their flow is what the reverse edge picked up
+  return edges.map((edge, idx) => capacity[idx * 2 + 1]);
+}
+
+// weights[i][j] = value of recommending j to i, or null when j can't be recommended to i.
+// demand[i] = how many recommendations i should get, capacity[j] = how many times j may
+// be recommended. Each member's candidatesPerMember best options are tried first (fast);
+// if that leaves someone short - everyone's best options being the same few people -
+// it is solved again with every option. Returns { pairs: [[i, j]], received: [count per
+// member] }; a member gets fewer than their demand only when the limits allow no more.
+function assign(weights, { demand, capacity, candidatesPerMember = CANDIDATE_POOL_SIZE }) {
+  const size = weights.length;
+  const source = 2 * size;
+  const sink = source + 1;
+  const edges = [];
+  const pairEdges = [];
+
+  for (let i = 0; i < size; i++) {
+    if (demand[i] > 0) edges.push({ from: source, to: i, capacity: demand[i], cost: 0 });
+    if (capacity[i] > 0) edges.push({ from: size + i, to: sink, capacity: capacity[i], cost: 0 });
+  }
+
+  for (let i = 0; i < size; i++) {
+    if (!(demand[i] > 0)) continue;
+    const options = [];
+    for (let j = 0; j < size; j++) {
+      if (j !== i && weights[i][j] !== null && capacity[j] > 0) options.push(j);
+    }
+    options.sort((a, b) => weights[i][b] - weights[i][a]);
+    for (const j of options.slice(0, candidatesPerMember)) {
+      pairEdges.push({ index: edges.length, i, j });
+      // Integer costs keep the potentials exact; scores are 0-100
+      edges.push({ from: i, to: size + j, capacity: 1, cost: Math.round((100 - weights[i][j]) * 100) });
+    }
+  }
+
+  const flow = minCostFlow(sink + 1, edges, source, sink);
+  const pairs = pairEdges.filter(edge => flow[edge.index] > 0).map(edge => [edge.i, edge.j]);
+  const received = new Array(size).fill(0);
+  pairs.forEach(([i]) => received[i]++);
+
+  if (candidatesPerMember < size - 1 && received.some((count, i) => count < demand[i])) {
+    return assign(weights, { demand, capacity, candidatesPerMember: Infinity });
+  }
+  return { pairs, received };
+}
+
+// How evenly recommendations are spread: the most times one member is recommended and
+// how many members who could be recommended never are
+function spread(pairs, recommendable) {
+  const counts = new Map();
+  pairs.forEach(([, j]) => counts.set(j, (counts.get(j) || 0) + 1));
+  return {
+    maxRecommended: Math.max(0, ...counts.values()),
+    neverRecommended: recommendable.filter(j => !counts.has(j)).length
+  };
+}
+
+function parseLimit(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+// Plan (and with dryRun: false, write) the room's Top 3 intros. Intros a member already
+// requested or answered stay and count towards both limits; drafts outside the new plan
+// go to the trash. Returns { error, status } or the plan.
+async function matchRoom(eventId, { minMatches, maxRecommended, dryRun = true, deletedBy, label } = {}) {
+  const perMember = parseLimit(minMatches, MAX_MATCHES);
+  if (!(perMember >= 1 && perMember <= MAX_MATCHES)) {
+    return { status: 400, error: `minMatches must be a whole number from 1 to ${MAX_MATCHES}` };
+  }
+  const cap = parseLimit(maxRecommended, perMember + 1);
+  if (!(cap >= perMember)) {
+    return { status: 400, error: 'maxRecommended must be a whole number at least as large as minMatches' };
+  }
+
+  const embeddings = new Map((await vectors.listForEvent(eventId)).map(row => [row.member_id, row.embedding]));
+  const participants = (await members.listForEvent(eventId))
+    .map(member => ({ ...member, embedding: embeddings.get(member.member_id) || null }));
+  if (participants.length > MAX_SCORED_MEMBERS) {
+    return { status: 400, error: `Room matching scores every pair and is limited to ${MAX_SCORED_MEMBERS} members (this event has ${participants.length})` };
+  }
+  // Matched on their profiles alone (similarity 0), so their scores may come out lower
+  const withoutEmbedding = participants.filter(member => !member.embedding)
+    .map(member => ({ member_id: member.member_id, name: member.name, org: member.org }));
+  const indexOf = new Map(participants.map((member, idx) => [member.member_id, idx]));
+
+  const profile = await scoringProfile.getActiveProfile(eventId);
+  const scores = scoreAllPairs(participants, profile);
+
+  // Requested and answered intros are kept as they are
+  const fixedOut = new Array(participants.length).fill(0);
+  const fixedIn = new Array(participants.length).fill(0);
+  const fixedPairs = new Set();
+  const drafts = new Map(); // 'i|j' -> intro_id
+  for (const intro of await intros.listTierForEvent(eventId, 'top3')) {
+    const i = indexOf.get(intro.for_member_id);
+    const j = indexOf.get(intro.to_member_id);
+    if (i === undefined || j === undefined) continue;
+    if (intro.status === 'draft') {
+      drafts.set(`${i}|${j}`, intro.intro_id);
+    } else {
+      fixedOut[i]++;
+      fixedIn[j]++;
+      fixedPairs.add(`${i}|${j}`);
+    }
+  }
+
+  // Only members who agreed to be matched are recommended (as in vectors.findNearest)
+  const recommendable = participants.map((member, j) => j).filter(j => participants[j].consent);
+  const weights = scores.map((row, i) => row.map((score, j) => {
+    if (i === j || !participants[j].consent || score <= 0 || fixedPairs.has(`${i}|${j}`)) return null;
+    return (score + scores[j][i]) / 2;
+  }));
+
+  const { pairs, received } = assign(weights, {
+    demand: fixedOut.map(count => Math.max(0, perMember - count)),
+    capacity: participants.map((member, j) => (member.consent ? Math.max(0, cap - fixedIn[j]) : 0))
+  });
+
+  // What each member's own best picks would have been, for comparison
+  const greedy = [];
+  scores.forEach((row, i) => {
+    recommendable.filter(j => j !== i && row[j] > 0)
+      .sort((a, b) => row[b] - row[a])
+      .slice(0, perMember)
+      .forEach(j => greedy.push([i, j]));
+  });
+
+  const fixedList = [...fixedPairs].map(key => key.split('|').map(Number));
+  const mutualTotal = pairs.reduce((sum, [i, j]) => sum + weights[i][j], 0);
+  const card = member => ({ member_id: member.member_id, name: member.name, org: member.org });
+
+  const assignments = participants.map((member, i) => ({
+    ...card(member),
+    kept: fixedOut[i],
+    matches: pairs.filter(([from]) => from === i).map(([, j]) => ({
+      ...card(participants[j]),
+      score: scores[i][j],
+      mutualScore: Math.round(weights[i][j]),
+      existing: drafts.has(`${i}|${j}`)
+    })).sort((a, b) => b.mutualScore - a.mutualScore)
+  }));
+  const shortfall = assignments
+    .filter((assignment, i) => fixedOut[i] + received[i] < perMember)
+    .map(assignment => ({ ...card(assignment), matches: assignment.kept + assignment.matches.length }));
+
+  const plan = {
+    dryRun,
+    settings: { minMatches: perMember, maxRecommended: cap },
+    summary: {
+      members: participants.length,
+      intros: pairs.length,
+      kept: fixedList.length,
+      averageMutualScore: pairs.length > 0 ? Math.round(mutualTotal / pairs.length) : 0,
+      shortfall: shortfall.length,
+      room: spread([...fixedList, ...pairs], recommendable),
+      greedy: spread(greedy, recommendable)
+    },
+    assignments,
+    shortfall,
+    withoutEmbedding
+  };
+  if (dryRun) return plan;
+
+  // Pairs that already have a draft keep it (and any AI rationale it has). All or nothing:
+  // a failure partway must not leave the room half re-matched.
+  const chosen = new Set(pairs.map(([i, j]) => `${i}|${j}`));
+  const replaced = [...drafts.entries()].filter(([key]) => !chosen.has(key)).map(([, introId]) => introId);
+  const { created, trashId } = await db.transaction(async (tx) => {
+    let written = 0;
+    for (const [i, j] of pairs) {
+      if (drafts.has(`${i}|${j}`)) continue;
+      const member = participants[i];
+      const match = participants[j];
+      const scoreData = calculateMatchScore(member, match, cosineSimilarity(member.embedding, match.embedding), null, profile);
+      await intros.save({
+        forMemberId: member.member_id,
+        toMemberId: match.member_id,
+        tier: 'top3',
+        score: scoreData.score,
+        scoreBreakdown: {
+          score: scoreData.score,
+          breakdown: scoreData.breakdown,
+          fullBreakdown: scoreData.fullBreakdown,
+          summary: scoreData.summary,
+          complementaryValueResearch: null,
+          roomMatch: { mutualScore: Math.round(weights[i][j]), theirScore: scores[j][i] }
+        },
+        rationale: generateSimpleRationale(member, match),
+        scoringProfileVersion: scoreData.profileVersion
+      }, tx);
+      written++;
+    }
+
+    const batch = replaced.length > 0
+      ? await trash.moveToTrash('event_matches', { eventId, introIds: replaced, label, deletedBy, conn: tx })
+      : { trashId: null };
+    return { created: written, trashId: batch.trashId };
+  });
+
+  console.log(`🧩 Matched the room: ${created} new intros, ${pairs.length - created} drafts kept, ${replaced.length} replaced, ${shortfall.length} members short`);
+
+  return { ...plan, written: { created, kept: pairs.length - created, replaced: replaced.length, trashId } };
+}
+
+module.exports = {
+  MAX_MATCHES,
+  MAX_SCORED_MEMBERS,
+  scoreAllPairs,
+  assign,
+  matchRoom
+};
@@ -0,0 +1,329 @@
+// round-scheduler.js - Speed-networking rounds: who sits at which table in each round
+// Every pair of the event is scored both ways with calculateMatchScore (room-matching.js)
+// and each round is seated to make the tables as valuable as possible: the mutual scores
+// of everyone sharing a table, minus a penalty for pairs who already met in an earlier
+// round and for members of the same industry at one table. Each round starts from a
+// greedy seating and is improved by swapping members between tables until no swap helps.
+// Everyone is seated, including members without an embedding or who opted out of intros.
+const PDFDocument = require('pdfkit');
+const scoringProfile = require('./scoring-profile');
+const { scoreAllPairs, MAX_SCORED_MEMBERS } = require('./room-matching');
+const members = require('./repositories/members');
+const vectors = require('./repositories/vectors');
+const schedules = require('./repositories/schedules');
+
+// Sitting with someone twice costs more than any table can gain
+const REPEAT_PENALTY = 1000;
+// Per member of an industry that is already at the table
+const INDUSTRY_PENALTY = 20;
+// Swap passes per round (each pass tries every pair of members at different tables)
+const MAX_PASSES = 20;
+const MAX_ROUNDS = 20;
+// Members × rounds planned in one request (every seat is placed and swapped in place)
+const MAX_SEATS = parseInt(process.env.SCHEDULE_MAX_SEATS, 10) || 1500;
+
+// Deterministic shuffle, so the same settings give the same plan
+function seededRandom(seed) {
+  let state = seed % 2147483647 || 1;
+  return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+// How many people sit at each table: as few tables as fit everyone (full tables meet the
+// most people per round), spread evenly so no table is left nearly empty. Nobody sits
+// alone: when that would leave one person over (7 at tables of 2), a table takes a third.
+function tableSizes(memberCount, tables, tableSize) {
+  const used = Math.min(tables, Math.ceil(memberCount / tableSize), Math.floor(memberCount / 2));
+  const base = Math.floor(memberCount / used);
+  const extra = memberCount % used;
+  return Array.from({ length: used }, (_, idx) => base + (idx < extra ? 1 : 0));
+}
+
+function normalizeIndustry(industry) {
+  return (industry || '').trim().toLowerCase();
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// Value of seating a next to b: their mutual score, or the penalty if they already met.
+// context = { size, value (mutual scores), met (flags per pair), industries (ids, 0 = none) }
+function pairValue(a, b, { size, value, met }) {
+  return met[a * size + b] ? -REPEAT_PENALTY : value[a][b];
+}
+
+function countIndustry(seated, industry, skip, { industries }) {
+  let count = 0;
+  for (const member of seated) {
+    if (member !== skip && industries[member] === industry) count++;
+  }
+  return count;
+}
+
+// What seating member at a table adds (skip = the member they would replace)
+function seatGain(member, seated, skip, context) {
+  let gain = 0;
+  for (const other of seated) {
+    if (other !== skip) gain += pairValue(member, other, context);
+  }
+  const industry = context.industries[member];
+  if (industry && countIndustry(seated, industry, skip, context) > 0) gain -= INDUSTRY_PENALTY;
+  return gain;
+}
+
+// One round: [[member index, ...] per table]
+function seatRound(sizes, context, random) {
+  const order = Array.from({ length: context.size }, (_, idx) => idx);
+  for (let idx = order.length - 1; idx > 0; idx--) {
+    const other = Math.floor(random() * (idx + 1));
+    [order[idx], order[other]] = [order[other], order[idx]];
+  }
+  const tables = sizes.map(() => []);
+
+  for (const member of order) {
+    let best = -1;
+    let bestGain = -Infinity;
+    tables.forEach((seated, idx) => {
+      if (seated.length >= sizes[idx]) return;
+      const gain = seatGain(member, seated, -1, context);
+      // On a tie the emptier table, so early tables don't fill up with zero-value pairs
+      if (gain > bestGain || (gain === bestGain && seated.length < tables[best].length)) {
+        best = idx;
+        bestGain = gain;
+      }
+    });
+    tables[best].push(member);
+  }
+
+  // Swap two members at different tables whenever that makes both tables together better
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+    for (let t1 = 0; t1 < tables.length; t1++) {
+      for (let t2 = t1 + 1; t2 < tables.length; t2++) {
+        const first = tables[t1];
+        const second = tables[t2];
+        for (let a = 0; a < first.length; a++) {
+          for (let b = 0; b < second.length; b++) {
+            const x = first[a];
+            const y = second[b];
+            const gain = seatGain(y, first, x, context) + seatGain(x, second, y, context)
+              - seatGain(x, first, x, context) - seatGain(y, second, y, context);
+            if (gain > 1e-9) {
+              first[a] = y;
+              second[b] = x;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return tables;
+}
+
+// value = mutual pair values (square matrix), industries per member.
+// Returns [[[member index per seat] per table] per round].
+function planRounds(value, industries, { tables, tableSize, rounds }) {
+  const size = value.length;
+  const sizes = tableSizes(size, tables, tableSize);
+  const industryIds = new Map();
+  const context = {
+    size,
+    value,
+    met: new Uint8Array(size * size),
+    industries: industries.map(normalizeIndustry).map(industry => {
+      if (!industry) return 0;
+      if (!industryIds.has(industry)) industryIds.set(industry, industryIds.size + 1);
+      return industryIds.get(industry);
+    })
+  };
+  const plan = [];
+
+  for (let round = 0; round < rounds; round++) {
+    const seating = seatRound(sizes, context, seededRandom(round + 1));
+    seating.forEach(seated => {
+      for (const a of seated) {
+        for (const b of seated) {
+          if (a !== b) context.met[a * size + b] = 1;
+        }
+      }
+    });
+    plan.push(seating);
+  }
+  return plan;
+}
+
+// Repeat pairings and same-industry tablemates across a plan of member cards
+function summarize(roundsList) {
+  const met = new Set();
+  let repeatPairs = 0;
+  let industryClashes = 0;
+
+  for (const round of roundsList) {
+    for (const table of round.tables) {
+      const counts = new Map();
+      table.members.forEach((member, a) => {
+        table.members.slice(a + 1).forEach(other => {
+          const key = pairKey(member.member_id, other.member_id);
+          if (met.has(key)) repeatPairs++;
+          met.add(key);
+        });
+        const industry = normalizeIndustry(member.industry);
+        if (industry) counts.set(industry, (counts.get(industry) || 0) + 1);
+      });
+      for (const count of counts.values()) industryClashes += Math.max(0, count - 1);
+    }
+  }
+  return { repeatPairs, industryClashes };
+}
+
+function parseSetting(value) {
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+// Plan and save the event's rounds (replacing any earlier plan). settings = { tables,
+// tableSize, rounds }. Returns { error, status } or the saved schedule.
+async function createSchedule(eventId, settings, createdBy) {
+  const tables = parseSetting(settings.tables);
+  const tableSize = parseSetting(settings.tableSize);
+  const rounds = parseSetting(settings.rounds);
+  if (!(tables >= 1) || !(tableSize >= 2) || !(rounds >= 1 && rounds <= MAX_ROUNDS)) {
+    return { status: 400, error: `Tables must be at least 1, table size at least 2 and rounds between 1 and ${MAX_ROUNDS}` };
+  }
+
+  const eventMembers = await members.listForEvent(eventId);
+  if (eventMembers.length < 2) {
+    return { status: 400, error: 'The event needs at least 2 members to seat' };
+  }
+  if (eventMembers.length > tables * tableSize) {
+    return { status: 400, error: `${eventMembers.length} members need at least ${Math.ceil(eventMembers.length / tableSize)} tables of ${tableSize}` };
+  }
+  if (eventMembers.length > MAX_SCORED_MEMBERS) {
+    return { status: 400, error: `Table rounds score every pair and are limited to ${MAX_SCORED_MEMBERS} members (this event has ${eventMembers.length})` };
+  }
+  if (eventMembers.length * rounds > MAX_SEATS) {
+    return { status: 400, error: `${eventMembers.length} members × ${rounds} rounds is more than the ${MAX_SEATS} seats one plan may hold - plan fewer rounds` };
+  }
+
+  const embeddings = new Map((await vectors.listForEvent(eventId)).map(row => [row.member_id, row.embedding]));
+  const participants = eventMembers.map(member => ({ ...member, embedding: embeddings.get(member.member_id) || null }));
+  const scores = scoreAllPairs(participants, await scoringProfile.getActiveProfile(eventId));
+  const value = scores.map((row, i) => row.map((score, j) => (score + scores[j][i]) / 2));
+
+  const plan = planRounds(value, participants.map(member => member.industry), { tables, tableSize, rounds });
+
+  const seats = [];
+  let pairTotal = 0;
+  let pairCount = 0;
+  plan.forEach((seating, round) => seating.forEach((seated, table) => {
+    seated.forEach((member, a) => {
+      seats.push({ round: round + 1, table: table + 1, memberId: participants[member].member_id });
+      seated.slice(a + 1).forEach(other => {
+        pairTotal += value[member][other];
+        pairCount++;
+      });
+    });
+  }));
+
+  await schedules.replaceForEvent(eventId, { tables, tableSize, rounds }, seats, createdBy);
+  console.log(`🪑 Seated ${participants.length} members at ${plan[0].length} tables for ${rounds} round(s)`);
+
+  const schedule = await getSchedule(eventId);
+  schedule.summary.averagePairScore = pairCount > 0 ? Math.round(pairTotal / pairCount) : 0;
+  return schedule;
+}
+
+// The saved plan: { schedule, rounds: [{ round, tables: [{ table, members }] }], summary } or null
+async function getSchedule(eventId) {
+  const schedule = await schedules.findForEvent(eventId);
+  if (!schedule) return null;
+
+  const roundsList = [];
+  for (const seat of await schedules.listSeats(schedule.schedule_id)) {
+    let round = roundsList.find(entry => entry.round === seat.round);
+    if (!round) {
+      round = { round: seat.round, tables: [] };
+      roundsList.push(round);
+    }
+    let table = round.tables.find(entry => entry.table === seat.table_number);
+    if (!table) {
+      table = { table: seat.table_number, members: [] };
+      round.tables.push(table);
+    }
+    table.members.push({ member_id: seat.member_id, name: seat.name, org: seat.org, role: seat.role, industry: seat.industry });
+  }
+
+  return {
+    schedule,
+    rounds: roundsList,
+    summary: { members: new Set(roundsList.flatMap(round => round.tables.flatMap(table => table.members.map(member => member.member_id)))).size, ...summarize(roundsList) }
+  };
+}
+
+// A member's rounds for matches.html: [{ round, table, tablemates }]
+async function getMemberRounds(memberId) {
+  const rows = await schedules.listForMember(memberId);
+  const byRound = [];
+  for (const row of rows) {
+    let entry = byRound.find(item => item.round === row.round);
+    if (!entry) {
+      entry = { round: row.round, table: row.table_number, tablemates: [] };
+      byRound.push(entry);
+    }
+    entry.tablemates.push({ member_id: row.member_id, name: row.name, org: row.org, role: row.role });
+  }
+  return byRound;
+}
+
+// Printable schedule: a page per round with every table, then an A-Z list of where
+// each member sits. Streams the PDF into output (e.g. res).
+function writePdf(output, event, { rounds }) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 56, info: { Title: `${event.name} - Table Rounds` } });
+  doc.pipe(output);
+
+  rounds.forEach((round, idx) => {
+    if (idx > 0) doc.addPage();
+    doc.font('Helvetica').fontSize(10).fillColor('#666666').text(event.name).fillColor('black');
+    doc.font('Helvetica-Bold').fontSize(20).text(`Round ${round.round}`).moveDown(0.6);
+
+    for (const table of round.tables) {
+      doc.font('Helvetica-Bold').fontSize(12).text(`Table ${table.table}`);
+      doc.font('Helvetica').fontSize(10)
+        .text(table.members.map(member => `${member.name}${member.org ? ` (${member.org})` : ''}`).join(', '))
+        .moveDown(0.5);
+    }
+  });
+
+  const seats = new Map();
+  rounds.forEach(round => round.tables.forEach(table => table.members.forEach(member => {
+    if (!seats.has(member.member_id)) seats.set(member.member_id, { name: member.name, tables: [] });
+    seats.get(member.member_id).tables.push(`R${round.round}: T${table.table}`);
+  })));
+
+  if (seats.size > 0) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(20).text('Where to Sit').moveDown(0.6);
+    [...seats.values()].sort((a, b) => a.name.localeCompare(b.name)).forEach(member => {
+      doc.font('Helvetica-Bold').fontSize(10).text(member.name, { continued: true })
+        .font('Helvetica').text(`   ${member.tables.join('   ')}`);
+    });
+  } else {
+    doc.font('Helvetica').fontSize(12).text(`${event.name} has no table rounds yet.`);
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  MAX_ROUNDS,
+  MAX_SEATS,
+  tableSizes,
+  planRounds,
+  createSchedule,
+  getSchedule,
+  getMemberRounds,
+  writePdf
+};
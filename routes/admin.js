@@ -0,0 +1,1419 @@
+// routes/admin.js - Admin API: login, admin accounts, events, members, scoring profiles and maintenance
+// Mounted at /api/admin. Apart from login/logout and the session-check diagnostic,
+// every handler checks the role it needs (admin-auth.js) before doing anything.
+const express = require('express');
+const bcrypt = require('bcrypt');
+const scoringProfile = require('../scoring-profile');
+const memberAuth = require('../member-auth');
+const introLifecycle = require('../intro-lifecycle');
+const introFeedback = require('../intro-feedback');
+const researchCache = require('../research-cache');
+const aiUsage = require('../ai-usage');
+const { generateEmbedding } = require('../embeddings');
+const adminAuth = require('../admin-auth');
+const auditLog = require('../audit-log');
+const trash = require('../trash');
+const memberImport = require('../member-import');
+const duplicates = require('../duplicates');
+const liveDashboard = require('../live-dashboard');
+const introExport = require('../intro-export');
+const roomMatching = require('../room-matching');
+const roundScheduler = require('../round-scheduler');
+const admins = require('../repositories/admins');
+const adminSessions = require('../repositories/admin-sessions');
+const events = require('../repositories/events');
+const members = require('../repositories/members');
+const vectors = require('../repositories/vectors');
+const intros = require('../repositories/intros');
+
+const router = express.Router();
+
+// Turn an event name into a URL-friendly slug for registration links
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+}
+
+// Admin session check endpoint - TEMPORARY for debugging
+// TODO: Remove this after verifying session works
+router.get('/session-check', (req, res) => {
+  res.json({
+    hasSession: !!req.session,
+    sessionID: req.sessionID,
+    adminId: req.session?.adminId || null,
+    isAuthenticated: !!req.session?.adminId,
+    cookie: req.session?.cookie
+  });
+});
+
+// Admin login
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    console.log('Admin login attempt:', email);
+
+    const admin = await admins.findByEmail(email);
+    if (!admin) {
+      console.log('Admin not found:', email);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const valid = await bcrypt.compare(password, admin.password_hash);
+    if (!valid) {
+      console.log('Invalid password for admin:', email);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (admin.disabled_at) {
+      console.log('Disabled admin tried to log in:', email);
+      return res.status(403).json({ error: 'This admin account has been disabled' });
+    }
+
+    req.session.adminId = admin.admin_id;
+    // Shown in the admin's list of active sessions
+    req.session.userAgent = req.get('user-agent') || null;
+    req.session.ipAddress = req.ip;
+    await admins.recordLogin(admin.admin_id);
+    console.log('Admin login successful:', email, 'Session ID:', req.sessionID);
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      role: admin.role,
+      mustChangePassword: admin.must_change_password
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
+
+// Admin logout
+router.post('/logout', (req, res) => {
+  req.session.destroy();
+  res.json({ success: true });
+});
+
+// Admin: The logged-in admin's own account (the page uses the role to hide what they can't do)
+router.get('/me', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer', { allowPasswordChange: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { admin_id, email, name, role, must_change_password } = req.admin;
+    res.json({ admin_id, email, name, role, must_change_password, roles: adminAuth.ROLE_LABELS });
+  } catch (error) {
+    console.error('Admin account error:', error);
+    res.status(500).json({ error: 'Failed to load account', details: error.message });
+  }
+});
+
+// Admin: Change your own password (required after logging in with a temporary one).
+// Other browsers logged in as this admin are logged out.
+router.post('/password', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer', { allowPasswordChange: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const valid = typeof currentPassword === 'string' && await bcrypt.compare(currentPassword, req.admin.password_hash);
+    if (!valid) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const invalid = adminAuth.validatePassword(newPassword);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'Choose a password different from the current one' });
+    }
+
+    await admins.setPassword(req.admin.admin_id, await bcrypt.hash(newPassword, 10), false);
+    const loggedOut = await adminSessions.removeAllForAdmin(req.admin.admin_id, req.sessionID);
+    await auditLog.record(req, 'admin.password_change', {
+      targetType: 'admin', targetId: req.admin.admin_id, targetLabel: req.admin.email,
+      affected: { sessions: loggedOut }
+    });
+
+    console.log(`🔑 ADMIN: ${req.admin.email} changed their password (${loggedOut} other session(s) ended)`);
+    res.json({ success: true, otherSessionsEnded: loggedOut });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password', details: error.message });
+  }
+});
+
+// Owner: All admin accounts
+router.get('/admins', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'owner');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    res.json({ admins: await admins.list(), roles: adminAuth.ROLE_LABELS });
+  } catch (error) {
+    console.error('Admin accounts error:', error);
+    res.status(500).json({ error: 'Failed to load admin accounts', details: error.message });
+  }
+});
+
+// Owner: Invite an admin. Without a password a temporary one is generated and returned
+// once, to hand over in person; either way it must be changed at first login.
+router.post('/admins', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'owner');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const email = (req.body.email || '').trim().toLowerCase();
+    const name = (req.body.name || '').trim();
+    const role = req.body.role || 'volunteer';
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!adminAuth.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${adminAuth.ROLES.join(', ')}` });
+    }
+
+    const temporaryPassword = req.body.password || adminAuth.generateTemporaryPassword();
+    const invalid = adminAuth.validatePassword(temporaryPassword);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const existing = await admins.findByEmail(email);
+    if (existing) {
+      return res.status(409).json({ error: `An admin with the email ${email} already exists` });
+    }
+
+    const admin = await admins.create({
+      email,
+      name,
+      role,
+      passwordHash: await bcrypt.hash(temporaryPassword, 10),
+      createdBy: req.admin.admin_id
+    });
+
+    await auditLog.record(req, 'admin.create', {
+      targetType: 'admin', targetId: admin.admin_id, targetLabel: email,
+      affected: { admins: 1 },
+      details: { role }
+    });
+
+    console.log(`🔧 ADMIN: ${req.admin.email} invited ${email} as ${role}`);
+    res.json({ success: true, admin, temporaryPassword });
+  } catch (error) {
+    console.error('Invite admin error:', error);
+    res.status(500).json({ error: 'Failed to create admin', details: error.message });
+  }
+});
+
+// Owner: Change an admin's role or disable / re-enable the account.
+// Disabling ends the account's sessions; the last active owner can't be demoted or disabled.
+router.patch('/admins/:adminId', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'owner');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { adminId } = req.params;
+    const { role, disabled } = req.body;
+
+    if (role !== undefined && !adminAuth.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${adminAuth.ROLES.join(', ')}` });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be true or false' });
+    }
+    if (role === undefined && disabled === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const target = await admins.findById(adminId);
+    if (!target) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const losesOwner = target.role === 'owner' && !target.disabled_at && ((role && role !== 'owner') || disabled === true);
+    if (losesOwner && await admins.countActiveOwners() <= 1) {
+      return res.status(409).json({ error: 'There must be at least one active owner' });
+    }
+
+    const admin = await admins.update(adminId, { role, disabled });
+    const loggedOut = disabled === true ? await adminSessions.removeAllForAdmin(adminId) : 0;
+
+    await auditLog.record(req, 'admin.update', {
+      targetType: 'admin', targetId: adminId, targetLabel: target.email,
+      affected: { admins: 1, sessions: loggedOut },
+      details: { previousRole: target.role, role, disabled }
+    });
+
+    console.log(`🔧 ADMIN: ${req.admin.email} updated ${target.email}${role ? ` (role ${role})` : ''}${disabled !== undefined ? ` (${disabled ? 'disabled' : 'enabled'})` : ''}`);
+    res.json({ success: true, admin });
+  } catch (error) {
+    console.error('Update admin error:', error);
+    res.status(500).json({ error: 'Failed to update admin', details: error.message });
+  }
+});
+
+// Owner: Give an admin a new temporary password (e.g. they forgot theirs).
+// Returned once; their sessions end and they must choose a new one at next login.
+router.post('/admins/:adminId/reset-password', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'owner');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const target = await admins.findById(req.params.adminId);
+    if (!target) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const temporaryPassword = adminAuth.generateTemporaryPassword();
+    await admins.setPassword(target.admin_id, await bcrypt.hash(temporaryPassword, 10), true);
+    const loggedOut = await adminSessions.removeAllForAdmin(target.admin_id);
+
+    await auditLog.record(req, 'admin.reset_password', {
+      targetType: 'admin', targetId: target.admin_id, targetLabel: target.email,
+      affected: { sessions: loggedOut }
+    });
+
+    console.log(`🔑 ADMIN: ${req.admin.email} reset the password of ${target.email}`);
+    res.json({ success: true, temporaryPassword });
+  } catch (error) {
+    console.error('Reset admin password error:', error);
+    res.status(500).json({ error: 'Failed to reset password', details: error.message });
+  }
+});
+
+// Admin: This admin's logged-in browsers (the one making the request is marked current)
+router.get('/sessions', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer', { allowPasswordChange: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const sessions = await adminSessions.listForAdmin(req.session.adminId);
+
+    // Session ids stay server-side - they are what the cookie carries
+    res.json(sessions.map(({ session_id, ...rest }) => ({ ...rest, current: session_id === req.sessionID })));
+  } catch (error) {
+    console.error('Admin sessions error:', error);
+    res.status(500).json({ error: 'Failed to load sessions', details: error.message });
+  }
+});
+
+// Admin: Log out everywhere - ends every session of this admin, including this one
+router.post('/sessions/logout-all', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer', { allowPasswordChange: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const adminId = req.session.adminId;
+    const loggedOut = await adminSessions.removeAllForAdmin(adminId);
+    await auditLog.record(req, 'admin.logout_all', {
+      targetType: 'admin', targetId: adminId, targetLabel: req.admin.email,
+      affected: { sessions: loggedOut }
+    });
+    req.session.destroy();
+
+    console.log(`🔑 ADMIN: ${adminId} logged out of ${loggedOut} session(s)`);
+    res.json({ success: true, loggedOut });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ error: 'Failed to log out everywhere', details: error.message });
+  }
+});
+
+// Admin: List events with headline counts
+router.get('/events', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    res.json(await events.listWithCounts());
+  } catch (error) {
+    console.error('Admin events error:', error);
+    res.status(500).json({ error: 'Failed to load events', details: error.message });
+  }
+});
+
+// Admin: Create a new event (each mixer gets its own pool and registration link)
+router.post('/events', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { name, event_date, location } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Event name is required' });
+    }
+
+    const slug = slugify(req.body.slug || `${name} ${event_date || ''}`);
+    if (!slug) {
+      return res.status(400).json({ error: 'Could not build a registration link from that name' });
+    }
+
+    const existing = await events.findBySlug(slug);
+    if (existing) {
+      return res.status(409).json({ error: `An event with the link "${slug}" already exists` });
+    }
+
+    const event = await events.create({ slug, name: name.trim(), event_date, location });
+    await auditLog.record(req, 'event.create', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected: { events: 1 },
+      details: { slug: event.slug }
+    });
+    console.log(`🔧 ADMIN: Created event ${event.name} (${event.slug})`);
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({ error: 'Failed to create event', details: error.message });
+  }
+});
+
+// Admin: Open or close registration for an event
+router.patch('/events/:eventId', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { eventId } = req.params;
+    const { is_active, ai_budget_usd, ai_budget_mode } = req.body;
+
+    // Only the fields present in the body change
+    const updates = {};
+    if (is_active !== undefined) {
+      updates.is_active = !!is_active;
+    }
+    if (ai_budget_usd !== undefined) {
+      // null or '' removes the event's own cap
+      const budget = ai_budget_usd === null || ai_budget_usd === '' ? null : Number(ai_budget_usd);
+      if (budget !== null && (!Number.isFinite(budget) || budget < 0)) {
+        return res.status(400).json({ error: 'AI budget must be a positive amount in USD' });
+      }
+      updates.ai_budget_usd = budget;
+    }
+    if (ai_budget_mode !== undefined) {
+      if (ai_budget_mode !== null && !aiUsage.BUDGET_MODES.includes(ai_budget_mode)) {
+        return res.status(400).json({ error: `AI budget mode must be one of: ${aiUsage.BUDGET_MODES.join(', ')}` });
+      }
+      updates.ai_budget_mode = ai_budget_mode;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const found = await events.update(eventId, updates);
+    if (!found) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await auditLog.record(req, 'event.update', {
+      targetType: 'event', targetId: eventId, eventId,
+      affected: { events: 1 },
+      details: updates
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update event error:', error);
+    res.status(500).json({ error: 'Failed to update event', details: error.message });
+  }
+});
+
+// Admin: AI spend for an event (per member and per stage) with its budget, plus spend across events
+router.get('/ai-usage', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const report = await aiUsage.getEventReport(event.event_id);
+    const spendByEvent = await aiUsage.getSpendByEvent();
+
+    res.json({ event: { event_id: event.event_id, name: event.name }, ...report, events: spendByEvent });
+  } catch (error) {
+    console.error('AI usage report error:', error);
+    res.status(500).json({ error: 'Failed to load AI usage', details: error.message });
+  }
+});
+
+// Admin: Scoring profile in effect for an event, plus its version history
+router.get('/scoring-profile', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const profile = await scoringProfile.getActiveProfile(event.event_id);
+    const versions = await scoringProfile.listVersions(event.event_id);
+
+    res.json({
+      event,
+      profile: scoringProfile.describeProfile(profile),
+      versions
+    });
+  } catch (error) {
+    console.error('Scoring profile error:', error);
+    res.status(500).json({ error: 'Failed to load scoring profile', details: error.message });
+  }
+});
+
+// Admin: Full contents of one scoring profile version (to inspect or restore it)
+router.get('/scoring-profile/:version', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const version = parseInt(req.params.version, 10);
+    const profile = Number.isInteger(version) ? await scoringProfile.getProfileVersion(version) : null;
+    if (!profile) {
+      return res.status(404).json({ error: 'Scoring profile version not found' });
+    }
+
+    res.json(scoringProfile.describeProfile(profile));
+  } catch (error) {
+    console.error('Scoring profile version error:', error);
+    res.status(500).json({ error: 'Failed to load scoring profile version', details: error.message });
+  }
+});
+
+// Admin: Save edited weights/clusters/patterns as a new profile version
+// scope 'event' applies it to the selected event only, 'default' to every event without its own profile
+router.post('/scoring-profile', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { weights, keywordClusters, needPatterns, note, scope } = req.body;
+
+    let eventId = null;
+    if (scope !== 'default') {
+      const event = await events.resolve(req.query.event);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      eventId = event.event_id;
+    }
+
+    const result = await scoringProfile.saveProfile(
+      { weights, keywordClusters, needPatterns },
+      { eventId, note: note || null, createdBy: req.session.adminId }
+    );
+
+    if (result.errors) {
+      return res.status(400).json({ error: result.errors[0], errors: result.errors });
+    }
+
+    await auditLog.record(req, 'scoring_profile.save', {
+      targetType: 'scoring_profile', targetId: String(result.profile.version), eventId,
+      affected: { scoring_profiles: 1 },
+      details: { note: note || null, scope: eventId ? 'event' : 'default' }
+    });
+
+    console.log(`🔧 ADMIN: Saved scoring profile v${result.profile.version} (${eventId || 'default for all events'})`);
+    res.json({ success: true, profile: scoringProfile.describeProfile(result.profile) });
+  } catch (error) {
+    console.error('Save scoring profile error:', error);
+    res.status(500).json({ error: 'Failed to save scoring profile', details: error.message });
+  }
+});
+
+// Admin dashboard
+router.get('/members', async (req, res) => {
+  console.log('Admin members request - Session ID:', req.sessionID, 'Admin ID:', req.session.adminId);
+
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const eventMembers = await members.listForEvent(event.event_id);
+
+    console.log(`Admin members loaded: ${eventMembers.length} members found for ${event.name}`);
+    res.json(eventMembers.map(members.toPublic));
+  } catch (error) {
+    console.error('Admin members error:', error);
+    res.status(500).json({ error: 'Failed to load members', details: error.message });
+  }
+});
+
+// Issue a member's private link (admin only) - e.g. when they lost it.
+// With { rotate: true } every link issued before stops working.
+router.post('/member/:memberId/access-link', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { memberId } = req.params;
+    const rotate = req.body && req.body.rotate === true;
+
+    const member = rotate
+      ? await members.rotateTokenVersion(memberId)
+      : await members.getTokenVersion(memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (rotate) {
+      console.log(`🔑 Revoked previous access links for ${memberId}`);
+    }
+
+    // Handing out a member's link lets the holder act as them
+    await auditLog.record(req, rotate ? 'member.access_link_rotate' : 'member.access_link', {
+      targetType: 'member', targetId: memberId
+    });
+
+    const token = memberAuth.createMemberToken(member);
+    res.json({
+      success: true,
+      memberId,
+      rotated: rotate,
+      token,
+      link: `/matches.html?id=${encodeURIComponent(memberId)}&token=${encodeURIComponent(token)}`
+    });
+  } catch (error) {
+    console.error('Access link error:', error);
+    res.status(500).json({ error: 'Failed to create access link', details: error.message });
+  }
+});
+
+// Intro request funnel for an event: generated -> requested -> accepted/declined (admin only)
+router.get('/intro-report', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const report = await introLifecycle.getConversionReport(event.event_id);
+    res.json({ event: { event_id: event.event_id, name: event.name }, ...report });
+  } catch (error) {
+    console.error('Intro report error:', error);
+    res.status(500).json({ error: 'Failed to load intro report', details: error.message });
+  }
+});
+
+// Members' feedback on an event's intros against the score categories, with suggested
+// weights for the scoring profile editor. Any admin role may read it, volunteers
+// included; saving the weights takes an organizer (POST /scoring-profile).
+router.get('/calibration-report', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const report = await introFeedback.getCalibrationReport(event.event_id);
+    res.json({ event: { event_id: event.event_id, name: event.name }, ...report });
+  } catch (error) {
+    console.error('Calibration report error:', error);
+    res.status(500).json({ error: 'Failed to load calibration report', details: error.message });
+  }
+});
+
+// Post-event exports of an event's intros: CSV or JSON (with the parsed score
+// breakdown and member profiles). Exports hand out everyone's data, so they are audited.
+router.get('/export/intros.:format(csv|json)', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { format } = req.params;
+    const rows = await intros.listForEvent(event.event_id);
+    await auditLog.record(req, 'intros.export', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected: { intros: rows.length },
+      details: { format }
+    });
+
+    const filename = `${event.slug || 'event'}-intros.${format}`;
+    res.attachment(filename);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(introExport.toCsv(rows));
+    }
+
+    const eventMembers = await members.listForEvent(event.event_id);
+    res.json(introExport.toJson(event, eventMembers.map(members.toPublic), rows));
+  } catch (error) {
+    console.error('Intro export error:', error);
+    res.status(500).json({ error: 'Failed to export intros', details: error.message });
+  }
+});
+
+// Printable PDF with each member's Top 3 rationales, one page per member.
+// ?member= for a single member, otherwise everyone in the event.
+router.get('/export/top3.pdf', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    let eventMembers;
+    let event;
+    if (req.query.member) {
+      const member = await members.findById(req.query.member);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      eventMembers = [member];
+      event = await events.findPublicById(member.event_id);
+    } else {
+      event = await events.resolve(req.query.event);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      eventMembers = (await members.listForEvent(event.event_id)).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const pages = [];
+    for (const member of eventMembers) {
+      pages.push({ member, top3: await intros.listForMember(member.member_id, 'top3', 3) });
+    }
+
+    await auditLog.record(req, 'intros.export', {
+      targetType: req.query.member ? 'member' : 'event',
+      targetId: req.query.member || event.event_id,
+      targetLabel: req.query.member ? eventMembers[0].name : event.name,
+      eventId: event.event_id,
+      affected: { members: pages.length },
+      details: { format: 'pdf' }
+    });
+
+    const slug = req.query.member ? eventMembers[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-') : event.slug || 'event';
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${slug}-top3.pdf"`);
+    introExport.writePdf(res, event, pages);
+  } catch (error) {
+    console.error('PDF export error:', error);
+    res.status(500).json({ error: 'Failed to export PDF', details: error.message });
+  }
+});
+
+// The event's speed-networking rounds (round-scheduler.js), or schedule: null before one is made
+router.get('/schedule', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json(await roundScheduler.getSchedule(event.event_id) || { schedule: null, rounds: [], summary: null });
+  } catch (error) {
+    console.error('Schedule lookup error:', error);
+    res.status(500).json({ error: 'Failed to load the schedule', details: error.message });
+  }
+});
+
+// Event organizer: Seat everyone for { tables, tableSize, rounds }, replacing the current plan
+router.post('/schedule', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { tables, tableSize, rounds } = req.body;
+    const result = await roundScheduler.createSchedule(event.event_id, { tables, tableSize, rounds }, req.admin.email);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.record(req, 'schedule.create', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected: { members: result.summary.members },
+      details: { tables: result.schedule.table_count, tableSize: result.schedule.table_size, rounds: result.schedule.round_count }
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Schedule error:', error);
+    res.status(500).json({ error: 'Failed to create the schedule', details: error.message });
+  }
+});
+
+// Printable table rounds: a page per round, then where each member sits
+router.get('/export/schedule.pdf', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const schedule = await roundScheduler.getSchedule(event.event_id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'No table rounds have been scheduled for this event' });
+    }
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${event.slug || 'event'}-rounds.pdf"`);
+    roundScheduler.writePdf(res, event, schedule);
+  } catch (error) {
+    console.error('Schedule PDF error:', error);
+    res.status(500).json({ error: 'Failed to export the schedule', details: error.message });
+  }
+});
+
+// Move a single member to the trash (restorable for TRASH_RETENTION_DAYS)
+router.delete('/member/:memberId', async (req, res) => {
+  const { memberId } = req.params;
+
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Takes the member's intros (both as creator and recipient) along; the vector stays for a restore
+    const label = `${member.name} (${member.org})`;
+    const { trashId, ...affected } = await trash.moveToTrash('member', {
+      eventId: member.event_id, memberId, label, deletedBy: req.admin.email
+    });
+    await auditLog.record(req, 'member.delete', {
+      targetType: 'member', targetId: memberId, targetLabel: label, eventId: member.event_id,
+      affected,
+      details: { trashId }
+    });
+
+    liveDashboard.publish(member.event_id, { type: 'members.changed' });
+
+    console.log(`🗑️ ADMIN: Moved member ${member.name} with ${affected.intros} intros to the trash`);
+    res.json({ success: true, message: 'Member moved to the trash', trashId, affected });
+  } catch (error) {
+    console.error('Delete member error:', error);
+    res.status(500).json({ error: 'Failed to delete member' });
+  }
+});
+
+// Move all members of an event to the trash
+router.delete('/members/all', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'owner');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    // All of this event's members and their intros, as one batch in the trash
+    const { trashId, ...affected } = await trash.moveToTrash('event_members', {
+      eventId: event.event_id, label: `All members of ${event.name}`, deletedBy: req.admin.email
+    });
+    await auditLog.record(req, 'members.delete_all', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected,
+      details: { trashId }
+    });
+
+    liveDashboard.publish(event.event_id, { type: 'members.changed' });
+
+    console.log(`🗑️ ADMIN: Moved all ${affected.members} members of ${event.name} to the trash`);
+    res.json({ success: true, message: `All members of ${event.name} moved to the trash`, trashId, affected });
+  } catch (error) {
+    console.error('Delete all members error:', error);
+    res.status(500).json({ error: 'Failed to delete all members' });
+  }
+});
+
+// Possible duplicate registrations: same email, similar name + org, or near-identical embeddings
+router.get('/duplicates', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const pairs = await duplicates.listPairs(event.event_id);
+    res.json({ pairs, embeddingThreshold: duplicates.EMBEDDING_SIMILARITY });
+  } catch (error) {
+    console.error('Duplicate check error:', error);
+    res.status(500).json({ error: 'Failed to check for duplicates', details: error.message });
+  }
+});
+
+// Mark two members as different people so they stop being flagged
+router.post('/duplicates/dismiss', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const [memberA, memberB] = req.body.memberIds || [];
+    const first = memberA && await members.findById(memberA);
+    const second = memberB && await members.findById(memberB);
+    if (!first || !second || memberA === memberB) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await duplicates.dismiss(memberA, memberB, req.admin.email);
+    await auditLog.record(req, 'duplicates.dismiss', {
+      targetType: 'member', targetId: memberA, targetLabel: `${first.name} / ${second.name}`, eventId: first.event_id,
+      details: { memberIds: [memberA, memberB] }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Dismiss duplicate error:', error);
+    res.status(500).json({ error: 'Failed to dismiss duplicate', details: error.message });
+  }
+});
+
+// Fold one member into another: { keepId, mergeId, fields: { field: value } }.
+// The merged member's intros, working groups and table seats move to the kept one and
+// its vector row is dropped.
+router.post('/members/merge', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { keepId, mergeId, fields } = req.body;
+    const result = await duplicates.merge({ keepId, mergeId, fields: fields || {} });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // The merged profile is gone for good - keep it in the audit log
+    await auditLog.record(req, 'members.merge', {
+      targetType: 'member', targetId: keepId, targetLabel: `${result.keep.name} (${result.keep.org})`, eventId: result.keep.event_id,
+      affected: result.affected,
+      details: {
+        mergedMember: members.toPublic(result.merged),
+        changedFields: result.changedFields,
+        intros: result.intros,
+        groups: result.groups
+      }
+    });
+    liveDashboard.publish(result.keep.event_id, { type: 'members.changed' });
+
+    res.json({
+      success: true,
+      message: `Merged ${result.merged.name} into ${result.keep.name}`,
+      member: members.toPublic(result.member),
+      reembedded: result.reembedded,
+      affected: result.affected,
+      intros: result.intros,
+      groups: result.groups
+    });
+  } catch (error) {
+    console.error('Merge members error:', error);
+    res.status(500).json({ error: 'Failed to merge members', details: error.message });
+  }
+});
+
+// Bulk import of attendees from a CSV or XLSX file, sent as base64 in JSON:
+// { filename, content, mapping: { field: column header }, dryRun }.
+// A dry run (the default) only returns the checked rows; with dryRun: false the
+// new rows are created - duplicates and invalid rows are skipped.
+router.post('/import', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { filename, content, mapping } = req.body;
+    const dryRun = req.body.dryRun !== false;
+    if (!filename || !content) {
+      return res.status(400).json({ error: 'Choose a file to import' });
+    }
+
+    const parsed = await memberImport.parseFile(filename, Buffer.from(content, 'base64'));
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const preview = await memberImport.preview(event.event_id, parsed, mapping);
+    if (dryRun) {
+      return res.json({ dryRun: true, fields: memberImport.FIELDS, requiredFields: members.REQUIRED_FIELDS, ...preview });
+    }
+
+    const memberIds = await memberImport.importRows(event.event_id, preview.rows);
+    await auditLog.record(req, 'members.import', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected: { members: memberIds.length },
+      details: { filename, mapping: preview.mapping, ...preview.summary }
+    });
+
+    liveDashboard.publish(event.event_id, { type: 'members.changed' });
+
+    console.log(`📥 ADMIN: Imported ${memberIds.length} members into ${event.name} from ${filename}`);
+    res.json({
+      success: true,
+      dryRun: false,
+      message: `Imported ${memberIds.length} members - embeddings are being generated`,
+      imported: memberIds.length,
+      memberIds,
+      summary: preview.summary,
+      rows: preview.rows.filter(row => row.status !== 'new')
+    });
+  } catch (error) {
+    console.error('Member import error:', error);
+    res.status(500).json({ error: 'Failed to import members', details: error.message });
+  }
+});
+
+// Diagnostic: Check embedding status
+router.get('/embedding-status', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const totalMembers = await members.countForEvent(event.event_id);
+    const withEmbeddings = await vectors.countForEvent(event.event_id);
+    const totalIntros = await intros.countForEvent(event.event_id);
+    const membersWithoutEmbeddings = await members.listWithoutEmbeddings(event.event_id);
+
+    res.json({
+      totalMembers,
+      withEmbeddings,
+      withoutEmbeddings: membersWithoutEmbeddings.length,
+      totalIntros,
+      missingList: membersWithoutEmbeddings.map(m => ({ name: m.name, org: m.org, id: m.member_id }))
+    });
+  } catch (error) {
+    console.error('Embedding status check error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Event organizer: "Match the room" - Top 3 intros for every member at once, with at least
+// minMatches each and nobody recommended more than maxRecommended times (room-matching.js).
+// { minMatches, maxRecommended, dryRun }. A dry run (the default) only returns the plan.
+router.post('/match-room', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { minMatches, maxRecommended } = req.body;
+    const dryRun = req.body.dryRun !== false;
+    const result = await roomMatching.matchRoom(event.event_id, {
+      minMatches, maxRecommended, dryRun,
+      deletedBy: req.admin.email,
+      label: `Top 3 drafts replaced by room matching for ${event.name}`
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (dryRun) {
+      return res.json(result);
+    }
+
+    await auditLog.record(req, 'matches.room', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected: { intros: result.written.created + result.written.replaced },
+      details: { ...result.settings, ...result.written, shortfall: result.summary.shortfall }
+    });
+
+    liveDashboard.publish(event.event_id, { type: 'matches.changed' });
+
+    res.json({
+      success: true,
+      message: `Wrote ${result.written.created} new intros (${result.written.kept} kept, ${result.written.replaced} replaced drafts moved to the trash)`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Match the room error:', error);
+    res.status(500).json({ error: 'Failed to match the room', details: error.message });
+  }
+});
+
+// Admin: Reset all matches and clear caches
+router.post('/reset-matches', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'owner');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    console.log(`🔧 ADMIN: Resetting all matches for ${event.name} and clearing caches...`);
+
+    // All intros written for this event's members go to the trash as one batch
+    const { trashId, intros: removedIntros } = await trash.moveToTrash('event_matches', {
+      eventId: event.event_id, label: `Matches of ${event.name}`, deletedBy: req.admin.email
+    });
+
+    // Cached research about these members (industry research is shared across events and kept)
+    const removedResearch = await researchCache.invalidateEvent(event.event_id);
+
+    await auditLog.record(req, 'matches.reset', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected: { intros: removedIntros, research_cache: removedResearch },
+      details: { trashId }
+    });
+
+    liveDashboard.publish(event.event_id, { type: 'matches.changed' });
+
+    const totalMembers = await members.countForEvent(event.event_id);
+    const totalEmbeddings = await vectors.countForEvent(event.event_id);
+
+    console.log(`✅ All matches reset. ${totalMembers} members remain with ${totalEmbeddings} embeddings`);
+
+    res.json({
+      success: true,
+      message: 'All matches moved to the trash and caches cleared',
+      trashId,
+      membersRetained: totalMembers,
+      embeddingsRetained: totalEmbeddings
+    });
+
+  } catch (error) {
+    console.error('❌ Reset matches error:', error);
+    res.status(500).json({ error: 'Failed to reset matches', details: error.message });
+  }
+});
+
+// Admin: Audit log, newest first. Filters: action, admin, event, target, from / to
+// (YYYY-MM-DD, inclusive), limit; page back with before=<audit_id of the last entry>.
+router.get('/audit-log', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { action, admin, event, target, from, to, before, limit } = req.query;
+    for (const date of [from, to]) {
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'Dates must be given as YYYY-MM-DD' });
+      }
+    }
+    for (const [name, value] of [['before', before], ['limit', limit]]) {
+      if (value !== undefined && !/^[1-9]\d{0,8}$/.test(value)) {
+        return res.status(400).json({ error: `${name} must be a positive whole number` });
+      }
+    }
+
+    const entries = await auditLog.list({
+      action, adminId: admin, eventId: event, targetId: target, from, to, before, limit
+    });
+    res.json({ entries, filters: await auditLog.listFilters() });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to load audit log', details: error.message });
+  }
+});
+
+// Admin: What is in the trash for an event (?all=true for every event), with when it expires
+router.get('/trash', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    let eventId = null;
+    if (req.query.all !== 'true') {
+      const event = await events.resolve(req.query.event);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      eventId = event.event_id;
+    }
+
+    res.json({ retentionDays: trash.retentionDays, items: await trash.list(eventId) });
+  } catch (error) {
+    console.error('Trash list error:', error);
+    res.status(500).json({ error: 'Failed to load the trash', details: error.message });
+  }
+});
+
+// Admin: Put a batch back - members with their embeddings, intros with their research
+router.post('/trash/:trashId/restore', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const result = await trash.restore(req.params.trashId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.record(req, 'trash.restore', {
+      targetType: 'trash', targetId: req.params.trashId, targetLabel: result.batch.label, eventId: result.batch.event_id,
+      affected: result.restored,
+      details: { kind: result.batch.kind }
+    });
+
+    liveDashboard.publish(result.batch.event_id, { type: 'members.changed' });
+
+    console.log(`♻️ ADMIN: Restored ${result.batch.label} (${result.restored.members} members, ${result.restored.intros} intros)`);
+    res.json({ success: true, restored: result.restored });
+  } catch (error) {
+    console.error('Trash restore error:', error);
+    res.status(500).json({ error: 'Failed to restore', details: error.message });
+  }
+});
+
+// Owner: Delete a batch for good before its retention window is up
+router.delete('/trash/:trashId', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'owner');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const result = await trash.purge(req.params.trashId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.record(req, 'trash.purge', {
+      targetType: 'trash', targetId: req.params.trashId, targetLabel: result.batch.label, eventId: result.batch.event_id,
+      affected: result.purged,
+      details: { kind: result.batch.kind }
+    });
+
+    console.log(`🔥 ADMIN: Purged ${result.batch.label} for good`);
+    res.json({ success: true, purged: result.purged });
+  } catch (error) {
+    console.error('Trash purge error:', error);
+    res.status(500).json({ error: 'Failed to purge', details: error.message });
+  }
+});
+
+// Admin: Research cache size and hits per stage
+router.get('/research-cache', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'volunteer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    res.json(await researchCache.getStats());
+  } catch (error) {
+    console.error('Research cache stats error:', error);
+    res.status(500).json({ error: 'Failed to load research cache stats', details: error.message });
+  }
+});
+
+// Admin: Drop expired research (or all of it with ?all=true)
+router.delete('/research-cache', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const all = req.query.all === 'true';
+    const removed = await researchCache.clear({ all });
+    await auditLog.record(req, 'research_cache.clear', {
+      affected: { research_cache: removed },
+      details: { all }
+    });
+
+    console.log(`🧹 ADMIN: Removed ${removed} ${all ? '' : 'expired '}research cache entries`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Research cache clear error:', error);
+    res.status(500).json({ error: 'Failed to clear research cache', details: error.message });
+  }
+});
+
+// Admin: Generate embeddings for all members who don't have them
+router.post('/generate-all-embeddings', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    console.log(`🔧 ADMIN: Generating embeddings for ${event.name} members without embeddings...`);
+
+    // Find all members of this event who don't have embeddings
+    const membersWithoutEmbeddings = await members.listWithoutEmbeddings(event.event_id);
+
+    console.log(`📊 Found ${membersWithoutEmbeddings.length} members without embeddings`);
+
+    if (membersWithoutEmbeddings.length === 0) {
+      return res.json({
+        success: true,
+        message: 'All members already have embeddings',
+        generated: 0,
+        total: 0
+      });
+    }
+
+    const results = [];
+    let successCount = 0;
+    let failCount = 0;
+
+    // Generate embeddings for each member
+    for (let i = 0; i < membersWithoutEmbeddings.length; i++) {
+      const member = membersWithoutEmbeddings[i];
+      console.log(`   [${i + 1}/${membersWithoutEmbeddings.length}] Generating embedding for ${member.name} (${member.org})...`);
+
+      try {
+        await generateEmbedding(member.member_id);
+        successCount++;
+        results.push({
+          member_id: member.member_id,
+          name: member.name,
+          status: 'success'
+        });
+        console.log(`      ✅ Success`);
+      } catch (error) {
+        failCount++;
+        results.push({
+          member_id: member.member_id,
+          name: member.name,
+          status: 'failed',
+          error: error.message
+        });
+        console.error(`      ❌ Failed: ${error.message}`);
+      }
+    }
+
+    console.log(`\n✅ Embedding generation complete: ${successCount} succeeded, ${failCount} failed`);
+
+    await auditLog.record(req, 'embeddings.generate', {
+      targetType: 'event', targetId: event.event_id, targetLabel: event.name, eventId: event.event_id,
+      affected: { vectors: successCount },
+      details: { failed: failCount }
+    });
+
+    res.json({
+      success: true,
+      message: `Generated ${successCount} embeddings (${failCount} failed)`,
+      generated: successCount,
+      failed: failCount,
+      total: membersWithoutEmbeddings.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('❌ Generate all embeddings error:', error);
+    res.status(500).json({ error: 'Failed to generate embeddings', details: error.message });
+  }
+});
+
+module.exports = router;
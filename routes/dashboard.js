@@ -0,0 +1,81 @@
+// routes/dashboard.js - Live dashboard for the projector screen (public, one event at a time)
+// Mounted at /api/dashboard. /stream pushes updates as they happen (live-dashboard.js);
+// /stats is the same data as a one-off request.
+const express = require('express');
+const liveDashboard = require('../live-dashboard');
+const events = require('../repositories/events');
+const dashboard = require('../repositories/dashboard');
+
+const router = express.Router();
+
+// Dashboard stats for live display (scoped to one event)
+router.get('/stats', async (req, res) => {
+  try {
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const stats = await dashboard.getStats(event.event_id);
+    const recentActivity = await dashboard.getRecentActivity(event.event_id);
+
+    res.json({
+      event: { event_id: event.event_id, slug: event.slug, name: event.name, event_date: event.event_date, location: event.location },
+      stats,
+      recentActivity
+    });
+  } catch (error) {
+    console.error('Dashboard stats error:', error);
+    res.status(500).json({ error: 'Failed to load stats' });
+  }
+});
+
+// Server-Sent Events: a 'snapshot' (same shape as /stats) on connect, then an 'activity'
+// event per registration, embedding, generation job or intro change, and 'stats' with
+// the refreshed numbers. EventSource reconnects on its own and gets a new snapshot.
+router.get('/stream', async (req, res) => {
+  // Outside the try so a failed snapshot stops the heartbeat and the subscription too
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  try {
+    const event = await events.resolve(req.query.event);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+    });
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Subscribe before reading the snapshot so nothing that happens in between is missed
+    unsubscribe = liveDashboard.subscribe(event.event_id, send);
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', close);
+
+    send('snapshot', {
+      event: { event_id: event.event_id, slug: event.slug, name: event.name, event_date: event.event_date, location: event.location },
+      stats: await dashboard.getStats(event.event_id),
+      recentActivity: await dashboard.getRecentActivity(event.event_id)
+    });
+  } catch (error) {
+    console.error('Dashboard stream error:', error);
+    close();
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream the dashboard' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
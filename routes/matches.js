@@ -0,0 +1,385 @@
+// routes/matches.js - Match generation jobs, intro requests and the scoring debugger
+// Mounted at /api. Generation runs in the background (match-generation.js); the
+// member page polls /jobs/:jobId or streams /jobs/:jobId/events for progress.
+const express = require('express');
+const jobQueue = require('../job-queue');
+const scoringProfile = require('../scoring-profile');
+const memberAuth = require('../member-auth');
+const adminAuth = require('../admin-auth');
+const introLifecycle = require('../intro-lifecycle');
+const introFeedback = require('../intro-feedback');
+const aiUsage = require('../ai-usage');
+const { calculateMatchScore } = require('../scoring');
+const { getMemberEmbedding } = require('../embeddings');
+const members = require('../repositories/members');
+const vectors = require('../repositories/vectors');
+const intros = require('../repositories/intros');
+
+const router = express.Router();
+
+// Generate top 3 matches (runs as a background job; poll or stream its progress)
+router.post('/generate-top3/:memberId', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const denied = await memberAuth.checkMemberAccess(req, memberId, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      console.error(`❌ Member not found: ${memberId}`);
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const budget = await aiUsage.checkBudget(member.event_id);
+    if (budget.exceeded && budget.mode === 'refuse') {
+      return res.status(402).json({ error: 'The AI budget for this event has been used up - please ask an organizer' });
+    }
+
+    const job = await jobQueue.enqueue('top3', memberId);
+    res.status(202).json({ success: true, jobId: job.job_id, status: job.status, aiBudgetReached: budget.exceeded });
+  } catch (error) {
+    console.error('Generate top3 error:', error);
+    res.status(500).json({ error: 'Failed to generate matches' });
+  }
+});
+
+// Generate brainstorm matches (runs as a background job; poll or stream its progress)
+router.post('/generate-brainstorm/:memberId', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const denied = await memberAuth.checkMemberAccess(req, memberId, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      console.error(`❌ Member not found: ${memberId}`);
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const budget = await aiUsage.checkBudget(member.event_id);
+    if (budget.exceeded && budget.mode === 'refuse') {
+      return res.status(402).json({ error: 'The AI budget for this event has been used up - please ask an organizer' });
+    }
+
+    const job = await jobQueue.enqueue('brainstorm', memberId);
+    res.status(202).json({ success: true, jobId: job.job_id, status: job.status, aiBudgetReached: budget.exceeded });
+  } catch (error) {
+    console.error('Generate brainstorm error:', error);
+    res.status(500).json({ error: 'Failed to generate brainstorm matches' });
+  }
+});
+
+// Suggest working groups of 3-5 members (runs as a background job; poll or stream its progress)
+router.post('/generate-groups/:memberId', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const denied = await memberAuth.checkMemberAccess(req, memberId, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      console.error(`❌ Member not found: ${memberId}`);
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const budget = await aiUsage.checkBudget(member.event_id);
+    if (budget.exceeded && budget.mode === 'refuse') {
+      return res.status(402).json({ error: 'The AI budget for this event has been used up - please ask an organizer' });
+    }
+
+    const job = await jobQueue.enqueue('groups', memberId);
+    res.status(202).json({ success: true, jobId: job.job_id, status: job.status, aiBudgetReached: budget.exceeded });
+  } catch (error) {
+    console.error('Generate groups error:', error);
+    res.status(500).json({ error: 'Failed to suggest groups' });
+  }
+});
+
+// Get a generation job with per-candidate progress
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const denied = await memberAuth.checkMemberAccess(req, job.member_id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Job lookup error:', error);
+    res.status(500).json({ error: 'Failed to load job' });
+  }
+});
+
+// Stream job progress as Server-Sent Events (closes once the job finishes)
+router.get('/jobs/:jobId/events', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // EventSource cannot send headers, so the page passes its token as ?token=
+    const denied = await memberAuth.checkMemberAccess(req, job.member_id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+    });
+
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = () => {};
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    const send = (snapshot) => {
+      res.write(`event: progress\ndata: ${JSON.stringify(snapshot)}\n\n`);
+      if (jobQueue.isFinished(snapshot)) {
+        close();
+        res.end();
+      }
+    };
+
+    unsubscribe = jobQueue.subscribe(job.job_id, send);
+    req.on('close', close);
+    send(job);
+  } catch (error) {
+    console.error('Job stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream job progress' });
+    }
+  }
+});
+
+// Retry the candidates that failed in a finished job
+router.post('/jobs/:jobId/retry', async (req, res) => {
+  try {
+    const existing = await jobQueue.getJob(req.params.jobId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const denied = await memberAuth.checkMemberAccess(req, existing.member_id, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const job = await jobQueue.retryFailed(existing.job_id);
+
+    res.status(202).json({ success: true, jobId: job.job_id, status: job.status });
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Rate an intro and record what came of it ({ rating: 'up'|'down'|null, outcome: 'met'|
+// 'follow_up'|'referral'|'deal'|null }) - only the member it was written for. Feeds the
+// admin calibration report (intro-feedback.js).
+router.post('/intros/:introId/feedback', async (req, res) => {
+  try {
+    const { introId } = req.params;
+
+    const intro = await intros.findById(introId);
+    if (!intro) {
+      return res.status(404).json({ error: 'Intro not found' });
+    }
+
+    const denied = await memberAuth.checkMemberAccess(req, intro.for_member_id, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const saved = await introFeedback.saveFeedback(intro, req.body);
+    if (saved.error) {
+      return res.status(saved.status).json({ error: saved.error });
+    }
+
+    console.log(`📝 Intro ${introId} feedback: ${saved.feedback_rating || '-'} / ${saved.feedback_outcome || '-'}`);
+    res.json({ success: true, introId, rating: saved.feedback_rating, outcome: saved.feedback_outcome });
+  } catch (error) {
+    console.error('Intro feedback error:', error);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+// Move an intro through the double opt-in workflow (action = request | accept | decline).
+// Requests come from the member the intro was written for; answers from the member it introduces.
+router.post('/intros/:introId/:action', async (req, res) => {
+  try {
+    const { introId, action } = req.params;
+
+    const transition = introLifecycle.getAction(action);
+    if (!transition) {
+      return res.status(404).json({ error: 'Unknown intro action' });
+    }
+
+    const intro = await intros.findById(introId);
+    if (!intro) {
+      return res.status(404).json({ error: 'Intro not found' });
+    }
+
+    const actorMemberId = intro[transition.actor];
+    const denied = await memberAuth.checkMemberAccess(req, actorMemberId, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    if (intro.status !== transition.from) {
+      return res.status(409).json({ error: `This introduction is already ${intro.status}`, status: intro.status });
+    }
+
+    // req.admin is only set when an admin (not the member's link) was let through
+    const actor = req.admin
+      ? { type: 'admin', id: req.admin.admin_id }
+      : { type: 'member', id: actorMemberId };
+    const updated = await introLifecycle.transitionIntro(introId, action, actor);
+    if (!updated) {
+      return res.status(409).json({ error: 'This introduction was answered in the meantime' });
+    }
+
+    console.log(`🤝 Intro ${introId}: ${transition.from} → ${updated.status} (${actor.type} ${actor.id})`);
+    res.json({ success: true, introId, status: updated.status });
+  } catch (error) {
+    console.error('Intro action error:', error);
+    res.status(500).json({ error: 'Failed to update introduction' });
+  }
+});
+
+// DEBUG ENDPOINT - Get complete scoring breakdown for a member
+// TEMPORARY: Shows ALL candidates with detailed scores (admin only - exposes every profile)
+router.get('/debug/matches/:memberId', async (req, res) => {
+  try {
+    const denied = await adminAuth.checkAdminAccess(req, 'organizer');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { memberId } = req.params;
+    console.log(`🐛 DEBUG: Analyzing all matches for ${memberId}`);
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Check if embedding exists
+    const embeddingSize = await vectors.getDimensions(memberId);
+
+    const debugInfo = {
+      member: {
+        id: member.member_id,
+        name: member.name,
+        org: member.org,
+        industry: member.industry,
+        city: member.city,
+        hasEmbedding: !!embeddingSize,
+        embeddingSize: embeddingSize || 0
+      },
+      candidates: [],
+      summary: {}
+    };
+
+    if (!embeddingSize) {
+      console.log('⚠️  No embedding found, generating...');
+      debugInfo.member.embeddingGenerated = true;
+    }
+
+    const memberEmbedding = await getMemberEmbedding(member);
+    debugInfo.member.hasEmbedding = !!memberEmbedding;
+
+    if (!memberEmbedding) {
+      return res.json({
+        ...debugInfo,
+        error: 'Could not generate embedding'
+      });
+    }
+
+    // Get ALL candidates from the same event (no top-K limit), nearest first
+    const candidates = await vectors.findNearest(member, memberEmbedding, null);
+    const profile = await scoringProfile.getActiveProfile(member.event_id);
+    debugInfo.scoringProfileVersion = profile.version;
+
+    console.log(`🐛 Found ${candidates.length} candidates`);
+
+    // Score each one with detailed breakdown
+    const scored = candidates.map((candidate, idx) => {
+      try {
+        const similarity = candidate.similarity;
+        const scoreData = calculateMatchScore(member, candidate, similarity, null, profile);
+
+        return {
+          rank: idx + 1,
+          name: candidate.name,
+          org: candidate.org,
+          industry: candidate.industry,
+          city: candidate.city,
+          score: scoreData.score,
+          similarity: similarity.toFixed(4),
+          fullBreakdown: scoreData.fullBreakdown,
+          summary: scoreData.summary,
+          isValidMatch: scoreData.score > 0, // Only excludes self-matches (score = 0)
+          qualityTier: scoreData.score >= 75 ? 'excellent' : scoreData.score >= 60 ? 'strong' : scoreData.score >= 50 ? 'good' : scoreData.score >= 40 ? 'moderate' : 'baseline'
+        };
+      } catch (error) {
+        return {
+          rank: idx + 1,
+          name: candidate.name,
+          org: candidate.org,
+          error: error.message,
+          score: 0
+        };
+      }
+    });
+
+    // Sort by score
+    scored.sort((a, b) => b.score - a.score);
+
+    debugInfo.candidates = scored;
+    debugInfo.summary = {
+      totalCandidates: scored.length,
+      validMatches: scored.filter(s => s.score > 0).length,
+      averageScore: (scored.reduce((sum, s) => sum + s.score, 0) / scored.length).toFixed(2),
+      averageSimilarity: (scored.reduce((sum, s) => sum + parseFloat(s.similarity || 0), 0) / scored.length).toFixed(4),
+      scoreDistribution: {
+        excellent: scored.filter(s => s.score >= 75).length,
+        strong: scored.filter(s => s.score >= 60 && s.score < 75).length,
+        good: scored.filter(s => s.score >= 50 && s.score < 60).length,
+        moderate: scored.filter(s => s.score >= 40 && s.score < 50).length,
+        baseline: scored.filter(s => s.score >= 30 && s.score < 40).length
+      },
+      philosophy: 'NO FILTERING - All valid matches included (every business professional has networking potential)'
+    };
+
+    console.log(`🐛 Summary: ${debugInfo.summary.validMatches} valid matches (no filtering - all included)`);
+
+    res.json(debugInfo);
+  } catch (error) {
+    console.error('Debug endpoint error:', error);
+    res.status(500).json({ error: error.message, stack: error.stack });
+  }
+});
+
+module.exports = router;
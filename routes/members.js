@@ -0,0 +1,228 @@
+// routes/members.js - Public event info, registration and the member's own page
+// Mounted at /api. Every /member/:memberId route needs the member's signed access
+// token (see member-auth.js) or an admin session.
+const express = require('express');
+const jobQueue = require('../job-queue');
+const memberAuth = require('../member-auth');
+const researchCache = require('../research-cache');
+const duplicates = require('../duplicates');
+const roundScheduler = require('../round-scheduler');
+const liveDashboard = require('../live-dashboard');
+const aiUsage = require('../ai-usage');
+const { generateEmbedding } = require('../embeddings');
+const events = require('../repositories/events');
+const members = require('../repositories/members');
+const vectors = require('../repositories/vectors');
+const intros = require('../repositories/intros');
+const groupIntros = require('../repositories/group-intros');
+
+const router = express.Router();
+
+// Public event info (used by registration page and live dashboard)
+router.get('/events/:slug', async (req, res) => {
+  try {
+    const event = await events.findBySlug(req.params.slug);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error('Event lookup error:', error);
+    res.status(500).json({ error: 'Failed to load event' });
+  }
+});
+
+// Register new member
+router.post('/register', async (req, res) => {
+  try {
+    const { event } = req.body;
+
+    // Registration links carry the event slug; without one, join the current event
+    const targetEvent = await events.resolve(event);
+    if (!targetEvent) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!targetEvent.is_active) {
+      return res.status(403).json({ error: 'Registration for this event is closed' });
+    }
+
+    const memberId = await members.create(targetEvent.event_id, req.body);
+
+    const member = await members.findById(memberId);
+    liveDashboard.publish(targetEvent.event_id, { type: 'member.registered', name: member.name, org: member.org, action: 'registered' });
+
+    // Generate embedding asynchronously
+    generateEmbedding(memberId);
+
+    // Usually someone who lost their link. The registration still goes through (the
+    // earlier profile's link is never handed out here); admins merge the two later.
+    // The member is already saved, so a failed check must not turn into an error for them.
+    let matches = [];
+    try {
+      matches = await duplicates.findForMember(member);
+    } catch (error) {
+      console.error(`❌ Duplicate check failed for ${memberId}:`, error.message);
+    }
+    if (matches.length > 0) {
+      console.log(`⚠️  Possible duplicate registration ${memberId} (${matches.map(match => `${match.member.member_id}: ${match.reasons.join('+')}`).join(', ')})`);
+    }
+
+    // Signed token for the member's private link - required by every member route
+    const accessToken = memberAuth.createMemberToken({ member_id: memberId, token_version: 0 });
+
+    res.json({ success: true, memberId, eventId: targetEvent.event_id, accessToken, possibleDuplicate: matches.length > 0 });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// Get member dashboard
+router.get('/member/:memberId', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const denied = await memberAuth.checkMemberAccess(req, memberId);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const event = await events.findPublicById(member.event_id);
+
+    // Get matches
+    const top3 = await intros.listForMember(memberId, 'top3', 3);
+    const brainstorm = await intros.listForMember(memberId, 'brainstorm', 30);
+    const groups = await groupIntros.listForMember(memberId);
+
+    const incomingRequests = await intros.listIncomingRequests(memberId);
+
+    // Latest generation job per tier, so the page can reattach to running work after a refresh
+    const jobs = await jobQueue.getLatestJobs(memberId);
+
+    const staleIntros = await intros.countStale(memberId);
+
+    // Speed-networking table rounds, once an organizer has scheduled them
+    const rounds = await roundScheduler.getMemberRounds(memberId);
+
+    res.json({
+      member: members.toPublic(member),
+      event,
+      top3,
+      brainstorm,
+      groups,
+      incomingRequests,
+      jobs,
+      staleIntros,
+      rounds
+    });
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({ error: 'Failed to load dashboard' });
+  }
+});
+
+// Update a member's own profile (same member_id - no re-registering)
+router.put('/member/:memberId', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const denied = await memberAuth.checkMemberAccess(req, memberId, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Only fields present in the body change; everything else keeps its value
+    const updates = {};
+    members.EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      updates[field] = field === 'consent'
+        ? !!req.body[field]
+        : (req.body[field] === null ? '' : String(req.body[field]).trim());
+    });
+
+    const missing = members.REQUIRED_FIELDS.filter(field => updates[field] !== undefined && !updates[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `${missing.join(', ')} cannot be empty` });
+    }
+
+    const changedFields = Object.keys(updates).filter(field => (member[field] ?? '') !== updates[field]);
+    if (changedFields.length === 0) {
+      return res.json({ success: true, member: members.toPublic(member), reembedded: false, staleIntros: 0 });
+    }
+
+    const changes = {};
+    changedFields.forEach(field => { changes[field] = updates[field]; });
+    await members.update(memberId, changes);
+
+    const semanticChange = changedFields.some(field => members.SEMANTIC_FIELDS.includes(field));
+    let staleIntros = 0;
+
+    if (semanticChange) {
+      // Drop the old vector first: if re-embedding fails, the next generate
+      // run creates it on demand instead of matching on the old profile
+      await vectors.remove(memberId);
+      await generateEmbedding(memberId);
+
+      // Cached research about this member describes the old profile too
+      await researchCache.invalidateMember(memberId);
+
+      // Intros for and about this member were written from the old profile
+      staleIntros = await intros.markStaleForMember(memberId);
+    }
+
+    console.log(`✏️  ${member.name} updated ${changedFields.join(', ')}${semanticChange ? ` - re-embedded, ${staleIntros} intros marked stale` : ''}`);
+
+    const updated = await members.findById(memberId);
+    res.json({ success: true, member: members.toPublic(updated), reembedded: semanticChange, staleIntros });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// One-click re-match after a profile edit: clear stale intros and regenerate the Top 3
+router.post('/member/:memberId/rematch', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const denied = await memberAuth.checkMemberAccess(req, memberId, { write: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const member = await members.findById(memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Checked before clearing anything, so a refused re-match keeps the old drafts
+    const budget = await aiUsage.checkBudget(member.event_id);
+    if (budget.exceeded && budget.mode === 'refuse') {
+      return res.status(402).json({ error: 'The AI budget for this event has been used up - please ask an organizer' });
+    }
+
+    const clearedIntros = await intros.deleteStaleDrafts(memberId);
+
+    const job = await jobQueue.enqueue('top3', memberId);
+    console.log(`🔁 Re-match for ${member.name}: cleared ${clearedIntros} stale intros, job ${job.job_id}`);
+
+    res.status(202).json({ success: true, jobId: job.job_id, status: job.status, clearedIntros, aiBudgetReached: budget.exceeded });
+  } catch (error) {
+    console.error('Re-match error:', error);
+    res.status(500).json({ error: 'Failed to start re-match' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+// scoring-profile.js - Versioned, admin-editable scoring profiles
+// A profile holds the category weights of the 100-point model, the keyword synonym
+// clusters and the need/asset regex patterns used by calculateMatchScore.
+// Profiles are stored in scoring_profiles; saving always creates a new version so
+// every intro can point at the exact profile that scored it.
+const db = require('./db');
+
+// Category weights (max points). Must add up to 100.
+const WEIGHT_KEYS = ['universal', 'semantic', 'complementary', 'market', 'geographic', 'strategic'];
+
+// Built-in defaults - seeded as version 1 the first time profiles are read
+const DEFAULT_PROFILE = {
+  weights: {
+    universal: 30, // Universal business potential (baseline every attendee gets)
+    semantic: 20, // Embedding similarity
+    complementary: 20, // Needs/assets exchange and research-backed ideas
+    market: 15, // Inferred business model and growth stage
+    geographic: 5, // Same city bonus
+    strategic: 10 // Industry synergies and constraint-solving partnerships
+  },
+  keywordClusters: {
+    // Marketing cluster
+    'marketing': ['seo', 'social media', 'content', 'brand', 'advertising', 'promotion', 'digital marketing', 'pr', 'public relations', 'campaign'],
+    'seo': ['marketing', 'digital marketing', 'google', 'search', 'content', 'web'],
+    'social media': ['marketing', 'content creation', 'brand', 'instagram', 'facebook', 'linkedin', 'tiktok'],
+    'branding': ['marketing', 'design', 'logo', 'identity', 'brand strategy'],
+    'content': ['marketing', 'writing', 'blog', 'social media', 'video', 'copywriting'],
+
+    // Sales cluster
+    'sales': ['lead generation', 'business development', 'revenue', 'customers', 'pipeline'],
+    'lead generation': ['sales', 'marketing', 'outreach', 'prospecting', 'demand generation'],
+    'business development': ['sales', 'partnerships', 'growth', 'revenue', 'clients'],
+
+    // Technical cluster
+    'tech': ['technology', 'software', 'development', 'engineering', 'it', 'technical'],
+    'software': ['tech', 'development', 'app', 'platform', 'saas', 'coding'],
+    'web development': ['tech', 'software', 'website', 'coding', 'programming', 'web design'],
+    'app development': ['tech', 'software', 'mobile', 'coding'],
+    'automation': ['tech', 'software', 'efficiency', 'tools', 'systems'],
+
+    // Financial cluster
+    'finance': ['accounting', 'bookkeeping', 'cfo', 'financial planning', 'capital'],
+    'funding': ['capital', 'investment', 'money', 'financing', 'fundraising'],
+    'investment': ['capital', 'funding', 'money', 'financing', 'venture'],
+
+    // Operational cluster
+    'operations': ['management', 'efficiency', 'process', 'logistics', 'systems'],
+    'logistics': ['operations', 'supply chain', 'shipping', 'delivery', 'distribution'],
+    'hiring': ['talent', 'recruitment', 'hr', 'staffing', 'team building'],
+    'talent': ['hiring', 'recruitment', 'team', 'employees', 'hr'],
+
+    // Strategic cluster
+    'strategy': ['planning', 'consulting', 'advisory', 'business strategy', 'growth strategy'],
+    'consulting': ['advisory', 'strategy', 'expertise', 'guidance'],
+    'partnerships': ['collaboration', 'alliances', 'business development', 'joint venture']
+  },
+  // Common business need patterns (case-insensitive regex sources)
+  needPatterns: [
+    { need: 'customer|client|lead', asset: 'sales|marketing|business development|crm' },
+    { need: 'revenue|money|profit', asset: 'sales|marketing|finance|pricing|monetization' },
+    { need: 'website|web|online', asset: 'web|development|design|digital|tech' },
+    { need: 'brand|awareness|visibility', asset: 'marketing|pr|social|media|branding' },
+    { need: 'scale|growth|expand', asset: 'strategy|consulting|automation|systems|operations' },
+    { need: 'team|hire|talent', asset: 'hr|recruitment|staffing|hiring' },
+    { need: 'legal|contract|compliance', asset: 'law|attorney|legal' },
+    { need: 'capital|funding|money', asset: 'investment|finance|funding|capital' }
+  ]
+};
+
+// Compiled profiles by version (profiles are immutable once saved)
+const compiledCache = new Map();
+
+// Turn stored JSON into the shape calculateMatchScore uses (regexes compiled once)
+function compileProfile(profile) {
+  if (profile.version && compiledCache.has(profile.version)) {
+    return compiledCache.get(profile.version);
+  }
+
+  const compiled = {
+    version: profile.version || null,
+    eventId: profile.eventId || null,
+    note: profile.note || null,
+    createdBy: profile.createdBy || null,
+    createdAt: profile.createdAt || null,
+    weights: { ...profile.weights },
+    keywordClusters: profile.keywordClusters,
+    needPatterns: profile.needPatterns,
+    compiledNeedPatterns: profile.needPatterns.map(pattern => ({
+      need: new RegExp(pattern.need, 'i'),
+      asset: new RegExp(pattern.asset, 'i')
+    }))
+  };
+
+  if (compiled.version) {
+    compiledCache.set(compiled.version, compiled);
+  }
+  return compiled;
+}
+
+function fromRow(row) {
+  return compileProfile({
+    version: row.version,
+    eventId: row.event_id,
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    weights: JSON.parse(row.weights),
+    keywordClusters: JSON.parse(row.keyword_clusters),
+    needPatterns: JSON.parse(row.need_patterns)
+  });
+}
+
+// Plain view of a profile for the admin API (without compiled regexes)
+function describeProfile(profile) {
+  return {
+    version: profile.version,
+    eventId: profile.eventId,
+    scope: profile.eventId ? 'event' : 'default',
+    note: profile.note,
+    createdBy: profile.createdBy,
+    createdAt: profile.createdAt,
+    weights: profile.weights,
+    keywordClusters: profile.keywordClusters,
+    needPatterns: profile.needPatterns
+  };
+}
+
+// Check an edited profile from the admin page.
+// Returns { errors: [...] } or { profile } with normalised values.
+function validateProfile(input) {
+  const errors = [];
+  const weights = {};
+
+  const inputWeights = (input && input.weights) || {};
+  WEIGHT_KEYS.forEach(key => {
+    const value = Number(inputWeights[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`Weight "${key}" must be a whole number of points (0 or more)`);
+    }
+    weights[key] = value;
+  });
+
+  const total = WEIGHT_KEYS.reduce((sum, key) => sum + (weights[key] || 0), 0);
+  if (errors.length === 0 && total !== 100) {
+    errors.push(`Weights must add up to 100 points (currently ${total})`);
+  }
+
+  const keywordClusters = {};
+  const inputClusters = input && input.keywordClusters;
+  if (!inputClusters || typeof inputClusters !== 'object' || Array.isArray(inputClusters)) {
+    errors.push('Keyword clusters must be an object of keyword → list of synonyms');
+  } else {
+    Object.entries(inputClusters).forEach(([key, synonyms]) => {
+      const keyword = String(key).trim().toLowerCase();
+      if (!keyword) {
+        errors.push('Keyword clusters cannot have an empty keyword');
+        return;
+      }
+      if (!Array.isArray(synonyms) || synonyms.some(s => typeof s !== 'string' || !s.trim())) {
+        errors.push(`Synonyms for "${keyword}" must be a list of non-empty words`);
+        return;
+      }
+      keywordClusters[keyword] = synonyms.map(s => s.trim().toLowerCase());
+    });
+  }
+
+  const needPatterns = [];
+  const inputPatterns = input && input.needPatterns;
+  if (!Array.isArray(inputPatterns)) {
+    errors.push('Need patterns must be a list of { need, asset } regular expressions');
+  } else {
+    inputPatterns.forEach((pattern, idx) => {
+      if (!pattern || typeof pattern.need !== 'string' || typeof pattern.asset !== 'string' || !pattern.need || !pattern.asset) {
+        errors.push(`Need pattern ${idx + 1} needs both a "need" and an "asset" expression`);
+        return;
+      }
+      try {
+        new RegExp(pattern.need, 'i');
+        new RegExp(pattern.asset, 'i');
+      } catch (error) {
+        errors.push(`Need pattern ${idx + 1} is not a valid regular expression: ${error.message}`);
+        return;
+      }
+      needPatterns.push({ need: pattern.need, asset: pattern.asset });
+    });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { profile: { weights, keywordClusters, needPatterns } };
+}
+
+async function insertProfile(profile, { eventId = null, note = null, createdBy = null } = {}) {
+  const row = await db.get(`
+    INSERT INTO scoring_profiles (event_id, weights, keyword_clusters, need_patterns, note, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [eventId, JSON.stringify(profile.weights), JSON.stringify(profile.keywordClusters), JSON.stringify(profile.needPatterns), note, createdBy]);
+  return fromRow(row);
+}
+
+// Seed the built-in defaults as the first default version
+async function ensureDefaultProfile() {
+  const existing = await db.get('SELECT version FROM scoring_profiles WHERE event_id IS NULL LIMIT 1');
+  if (existing) return;
+
+  const profile = await insertProfile(DEFAULT_PROFILE, { note: 'Built-in defaults' });
+  console.log(`📐 Seeded default scoring profile (version ${profile.version})`);
+}
+
+// Profile used to score matches at an event: its own newest version, else the newest default
+async function getActiveProfile(eventId) {
+  await ensureDefaultProfile();
+
+  const row = await db.get(`
+    SELECT * FROM scoring_profiles
+    WHERE event_id = $1 OR event_id IS NULL
+    ORDER BY (event_id IS NULL), version DESC
+    LIMIT 1
+  `, [eventId || null]);
+
+  return fromRow(row);
+}
+
+async function getProfileVersion(version) {
+  const row = await db.get('SELECT * FROM scoring_profiles WHERE version = $1', [version]);
+  return row ? fromRow(row) : null;
+}
+
+// Version history relevant to an event (its own versions plus the defaults)
+async function listVersions(eventId) {
+  await ensureDefaultProfile();
+
+  const rows = await db.all(`
+    SELECT version, event_id, weights, note, created_by, created_at
+    FROM scoring_profiles
+    WHERE event_id = $1 OR event_id IS NULL
+    ORDER BY version DESC
+  `, [eventId || null]);
+
+  return rows.map(row => ({
+    version: row.version,
+    eventId: row.event_id,
+    scope: row.event_id ? 'event' : 'default',
+    weights: JSON.parse(row.weights),
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  }));
+}
+
+// Validate and store an edited profile as a new version
+async function saveProfile(input, options = {}) {
+  const { errors, profile } = validateProfile(input);
+  if (errors) {
+    return { errors };
+  }
+  return { profile: await insertProfile(profile, options) };
+}
+
+module.exports = {
+  WEIGHT_KEYS,
+  DEFAULT_PROFILE,
+  compileProfile,
+  describeProfile,
+  validateProfile,
+  getActiveProfile,
+  getProfileVersion,
+  listVersions,
+  saveProfile
+};
@@ -0,0 +1,578 @@
+// scoring.js - The 100-point match score
+// calculateMatchScore scores one member against another from their profiles, the
+// embedding similarity and (optionally) Stage 0 complementary value research.
+// Weights, keyword clusters and need patterns come from a scoring profile
+// (scoring-profile.js); the built-in defaults are used when none is passed.
+const scoringProfile = require('./scoring-profile');
+
+// Calculate cosine similarity
+function cosineSimilarity(vec1, vec2) {
+  if (!vec1 || !vec2 || vec1.length !== vec2.length) return 0;
+  
+  let dotProduct = 0;
+  let norm1 = 0;
+  let norm2 = 0;
+  
+  for (let i = 0; i < vec1.length; i++) {
+    dotProduct += vec1[i] * vec2[i];
+    norm1 += vec1[i] * vec1[i];
+    norm2 += vec2[i] * vec2[i];
+  }
+  
+  if (norm1 === 0 || norm2 === 0) return 0;
+  return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
+}
+
+// Built-in scoring profile (used when no stored profile is passed, e.g. in scripts)
+const defaultScoringProfile = scoringProfile.compileProfile(scoringProfile.DEFAULT_PROFILE);
+
+// Enhanced need/asset matching with synonyms and semantic clusters from the scoring profile
+function matchesNeedAsset(need, asset, profile = defaultScoringProfile) {
+  // Direct substring match
+  if (asset.includes(need) || need.includes(asset)) return true;
+
+  // Check if need and asset are in the same semantic cluster
+  const needLower = need.toLowerCase();
+  const assetLower = asset.toLowerCase();
+
+  for (const [key, synonyms] of Object.entries(profile.keywordClusters)) {
+    if ((needLower.includes(key) || synonyms.some(syn => needLower.includes(syn))) &&
+        (assetLower.includes(key) || synonyms.some(syn => assetLower.includes(syn)))) {
+      return true;
+    }
+  }
+
+  // Check for common business need patterns
+  for (const pattern of profile.compiledNeedPatterns) {
+    if (pattern.need.test(need) && pattern.asset.test(asset)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Category sub-scores are written against the default weights (e.g. "4 points per
+// match out of 20"); this rescales them to the profile's weight for that category.
+function scalePoints(points, defaultMax, maxPoints) {
+  return Math.round((points / defaultMax) * maxPoints);
+}
+
+function percentOf(points, maxPoints) {
+  return maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0;
+}
+
+// Calculate match score with detailed breakdown (100-point system)
+// PHILOSOPHY: Every business professional has networking potential - score reflects quality/synergy depth
+// Weights, keyword clusters and need patterns come from the (versioned) scoring profile
+function calculateMatchScore(member1, member2, similarity, complementaryValueResearch = null, profile = defaultScoringProfile) {
+  const breakdown = [];
+  const fullBreakdown = [];
+  const weights = profile.weights;
+  let totalScore = 0;
+
+  // Prevent self-matching
+  if (member1.member_id === member2.member_id) {
+    return { score: 0, breakdown: [], fullBreakdown: [], profileVersion: profile.version, summary: { earned: 0, possible: 100, percentage: 0, grade: 'N/A' } };
+  }
+
+  // ============================================================================
+  // 1. UNIVERSAL BUSINESS POTENTIAL (30 points BASELINE by default)
+  // ============================================================================
+  // Every attendee gets this - represents fundamental networking value
+  const universalPoints = weights.universal;
+
+  // Build SPECIFIC universal value reasons based on actual profile data
+  const universalReasons = [];
+
+  // Reason 1: Role-specific strategic value
+  const roleA = (member1.role || '').toLowerCase();
+  const roleB = (member2.role || '').toLowerCase();
+  if (roleA.includes('ceo') || roleA.includes('founder') || roleA.includes('owner')) {
+    if (roleB.includes('ceo') || roleB.includes('founder') || roleB.includes('owner')) {
+      universalReasons.push(`Both decision-makers: Can authorize partnerships, investments, or strategic deals on the spot`);
+    } else {
+      universalReasons.push(`Decision-maker meeting specialist: Direct path to implementation without bureaucracy`);
+    }
+  } else {
+    universalReasons.push(`Operational expertise: Both understand the day-to-day realities of executing business strategy`);
+  }
+
+  // Reason 2: Revenue model knowledge transfer
+  const revA = member1.rev_driver || '';
+  const revB = member2.rev_driver || '';
+  if (revA && revB) {
+    universalReasons.push(`Revenue model exchange: "${revA.substring(0, 40)}..." can inform "${revB.substring(0, 40)}..." and vice versa`);
+  } else {
+    universalReasons.push(`Business model innovation: Opportunity to learn how different companies generate revenue`);
+  }
+
+  // Reason 3: Constraint as teaching opportunity
+  const constraintA = member1.current_constraint || '';
+  const constraintB = member2.current_constraint || '';
+  if (constraintA && constraintB) {
+    universalReasons.push(`Parallel challenges: Both facing "${constraintA.substring(0, 35)}..." and "${constraintB.substring(0, 35)}..." - shared problem-solving opportunity`);
+  } else if (constraintA || constraintB) {
+    universalReasons.push(`Growth mindset: One party's solved problem may be the other's current challenge`);
+  } else {
+    universalReasons.push(`Proven operators: No stated constraints suggests sophisticated problem-solving capabilities`);
+  }
+
+  // Reason 4: Network effect multiplication (always true)
+  universalReasons.push(`Network multiplication: Each person's Rolodex becomes accessible (clients, vendors, investors, mentors, talent)`);
+
+  const universalCategory = {
+    factor: 'Universal Business Potential',
+    points: universalPoints,
+    maxPoints: weights.universal,
+    earned: universalPoints,
+    percentage: weights.universal > 0 ? 100 : 0,
+    description: `Baseline value from business leadership connection: knowledge transfer, network access, strategic positioning`,
+    status: 'baseline',
+    reasoning: universalReasons
+  };
+  breakdown.push(universalCategory);
+  fullBreakdown.push(universalCategory);
+  totalScore += universalPoints;
+
+  // ============================================================================
+  // 2. SEMANTIC PROFILE SIMILARITY (0-20 points by default)
+  // ============================================================================
+  const maxSemanticPoints = weights.semantic;
+  const semanticPoints = Math.round(similarity * maxSemanticPoints);
+  const semanticRawPoints = Math.round(similarity * 20); // Status thresholds use the default 20-point scale
+  const semanticCategory = {
+    factor: 'Semantic Profile Similarity',
+    points: semanticPoints,
+    maxPoints: maxSemanticPoints,
+    earned: semanticPoints,
+    percentage: percentOf(semanticPoints, maxSemanticPoints),
+    description: 'AI embedding analysis of overall profile compatibility',
+    status: semanticRawPoints > 14 ? 'strong' : semanticRawPoints > 8 ? 'moderate' : 'complementary',
+    rawSimilarity: similarity.toFixed(4)
+  };
+  breakdown.push(semanticCategory);
+  fullBreakdown.push(semanticCategory);
+  totalScore += semanticPoints;
+
+  // Parse needs and assets for multiple categories
+  const member1Needs = member1.needs ? member1.needs.split(',').map(n => n.trim().toLowerCase()) : [];
+  const member1Assets = member1.assets ? member1.assets.split(',').map(a => a.trim().toLowerCase()) : [];
+  const member2Needs = member2.needs ? member2.needs.split(',').map(n => n.trim().toLowerCase()) : [];
+  const member2Assets = member2.assets ? member2.assets.split(',').map(a => a.trim().toLowerCase()) : [];
+
+  // ============================================================================
+  // 3. COMPLEMENTARY VALUE EXCHANGE (0-20 points by default) - ENHANCED MATCHING
+  // ============================================================================
+  let complementaryMatches = 0;
+  const matches = [];
+
+  // Check if member1's assets match member2's needs (with enhanced matching)
+  for (const asset of member1Assets) {
+    for (const need of member2Needs) {
+      if (matchesNeedAsset(need, asset, profile)) {
+        complementaryMatches++;
+        matches.push(`Your "${asset}" addresses their need for "${need}"`);
+      }
+    }
+  }
+
+  // Check if member2's assets match member1's needs (with enhanced matching)
+  for (const asset of member2Assets) {
+    for (const need of member1Needs) {
+      if (matchesNeedAsset(need, asset, profile)) {
+        complementaryMatches++;
+        matches.push(`Their "${asset}" addresses your need for "${need}"`);
+      }
+    }
+  }
+
+  // Also check constraint-to-asset matching (constraint often indicates deeper need)
+  const constraint1Lower = (member1.current_constraint || '').toLowerCase();
+  const constraint2Lower = (member2.current_constraint || '').toLowerCase();
+
+  if (constraint2Lower) {
+    for (const asset of member1Assets) {
+      if (matchesNeedAsset(constraint2Lower, asset, profile)) {
+        complementaryMatches++;
+        matches.push(`Your "${asset}" can help solve their stated challenge: "${member2.current_constraint.substring(0, 50)}..."`);
+      }
+    }
+  }
+
+  if (constraint1Lower) {
+    for (const asset of member2Assets) {
+      if (matchesNeedAsset(constraint1Lower, asset, profile)) {
+        complementaryMatches++;
+        matches.push(`Their "${asset}" can help solve your stated challenge: "${member1.current_constraint.substring(0, 50)}..."`);
+      }
+    }
+  }
+
+  // Points below are on the default 20-point scale and rescaled to the profile weight at the end
+  const maxComplementaryPoints = weights.complementary;
+  let complementaryPoints = Math.min(complementaryMatches * 4, 20); // 4 points per match (was 5, adjusted for more matches)
+
+  // ENHANCED: If we have deep complementary value research with CREATIVE COLLABORATION IDEAS, use it to improve scoring
+  let researchFindings = [];
+  if (complementaryValueResearch) {
+    // PRIMARY: Check for creative collaboration ideas (this is the main value we're looking for!)
+    const creativeIdeas = complementaryValueResearch.creative_collaboration_ideas || [];
+    const creativeIdeasCount = Array.isArray(creativeIdeas) ? creativeIdeas.length : 0;
+
+    // Award points based on research quality AND creative ideas
+    const valueRating = (complementaryValueResearch.value_rating || '').toLowerCase();
+
+    // PRIORITY 1: Creative collaboration ideas drive the score
+    if (creativeIdeasCount >= 4) {
+      complementaryPoints = Math.max(complementaryPoints, 16); // 4+ creative ideas = high value
+      researchFindings.push(`🎨 ${creativeIdeasCount} creative collaboration opportunities identified`);
+    } else if (creativeIdeasCount >= 2) {
+      complementaryPoints = Math.max(complementaryPoints, 12); // 2-3 creative ideas = good value
+      researchFindings.push(`🎨 ${creativeIdeasCount} creative collaboration opportunities identified`);
+    } else if (creativeIdeasCount >= 1) {
+      complementaryPoints = Math.max(complementaryPoints, 8); // 1 creative idea = baseline value
+      researchFindings.push(`🎨 ${creativeIdeasCount} creative collaboration opportunity identified`);
+    }
+
+    // PRIORITY 2: Overall value rating (if creative ideas don't already set score high)
+    if (valueRating === 'high') {
+      complementaryPoints = Math.max(complementaryPoints, 14); // Ensure at least 14/20 for high-value matches
+      if (!researchFindings.some(f => f.includes('creative collaboration'))) {
+        researchFindings.push(`🔬 Research confirms HIGH complementary value potential`);
+      }
+    } else if (valueRating === 'medium') {
+      complementaryPoints = Math.max(complementaryPoints, 9); // Ensure at least 9/20 for medium-value
+      if (!researchFindings.some(f => f.includes('creative collaboration'))) {
+        researchFindings.push(`🔬 Research indicates MEDIUM complementary value potential`);
+      }
+    } else if (valueRating === 'low' && creativeIdeasCount === 0) {
+      // Even "low" rating should get SOME points - every business has collaboration potential
+      complementaryPoints = Math.max(complementaryPoints, 4);
+      researchFindings.push(`💡 Exploratory collaboration potential - ideas to bring to the table`);
+    }
+
+    // DISPLAY: Show the actual creative ideas (PRIMARY focus)
+    if (creativeIdeas.length > 0) {
+      creativeIdeas.slice(0, 3).forEach((idea, idx) => {
+        researchFindings.push(`${idx + 1}. ${idea}`);
+      });
+    }
+
+    // Add top opportunities from research (if they exist and aren't already covered by creative ideas)
+    if (complementaryValueResearch.top_3_opportunities && complementaryValueResearch.top_3_opportunities.length > 0) {
+      if (creativeIdeas.length === 0) {
+        // Only show top_3_opportunities if creative_collaboration_ideas wasn't provided
+        complementaryValueResearch.top_3_opportunities.slice(0, 3).forEach((opp, idx) => {
+          researchFindings.push(`${idx + 1}. ${opp}`);
+        });
+      }
+    }
+
+    // Add direct matches from research (secondary info)
+    if (complementaryValueResearch.direct_matches && researchFindings.length < 4) {
+      const directMatchesSummary = typeof complementaryValueResearch.direct_matches === 'string'
+        ? complementaryValueResearch.direct_matches.substring(0, 120)
+        : JSON.stringify(complementaryValueResearch.direct_matches).substring(0, 120);
+      if (directMatchesSummary && directMatchesSummary.length > 10) {
+        researchFindings.push(`Direct matches: ${directMatchesSummary}...`);
+      }
+    }
+
+    // Add network value (highly relevant for creative collaboration)
+    if (complementaryValueResearch.network_value && researchFindings.length < 5) {
+      const networkValueSummary = typeof complementaryValueResearch.network_value === 'string'
+        ? complementaryValueResearch.network_value.substring(0, 120)
+        : JSON.stringify(complementaryValueResearch.network_value).substring(0, 120);
+      if (networkValueSummary && networkValueSummary.length > 10) {
+        researchFindings.push(`Network value: ${networkValueSummary}...`);
+      }
+    }
+  }
+
+  // Combine semantic matches with research findings (prioritize research)
+  const allDetails = [...researchFindings.slice(0, 4), ...matches.slice(0, 2)];
+
+  const complementaryRawPoints = complementaryPoints;
+  complementaryPoints = scalePoints(complementaryRawPoints, 20, maxComplementaryPoints);
+
+  const complementaryCategory = {
+    factor: 'Complementary Value Exchange',
+    points: complementaryPoints,
+    maxPoints: maxComplementaryPoints,
+    earned: complementaryPoints,
+    percentage: percentOf(complementaryPoints, maxComplementaryPoints),
+    description: complementaryValueResearch
+      ? `AI-researched creative collaboration opportunities (${complementaryValueResearch.creative_collaboration_ideas?.length || 0} ideas generated)`
+      : complementaryPoints > 0
+        ? `${complementaryMatches} asset/need alignments via semantic analysis`
+        : 'Potential for creative collaboration beyond explicit needs/assets',
+    status: complementaryRawPoints > 12 ? 'strong' : complementaryRawPoints > 6 ? 'moderate' : 'exploratory',
+    details: allDetails.length > 0 ? allDetails : ['Creative collaboration opportunities to be explored in conversation'],
+    researchBacked: !!complementaryValueResearch
+  };
+  breakdown.push(complementaryCategory);
+  fullBreakdown.push(complementaryCategory);
+  totalScore += complementaryPoints;
+
+  // ============================================================================
+  // 4. MARKET ALIGNMENT (0-15 points by default) - INFERRED BUSINESS INTELLIGENCE
+  // ============================================================================
+  let marketPoints = 0;
+  const marketInsights = [];
+
+  // Infer B2B vs B2C from revenue driver
+  const rev1 = (member1.rev_driver || '').toLowerCase();
+  const rev2 = (member2.rev_driver || '').toLowerCase();
+  const isB2B1 = rev1.includes('b2b') || rev1.includes('enterprise') || rev1.includes('saas') || rev1.includes('consulting') || rev1.includes('agency');
+  const isB2B2 = rev2.includes('b2b') || rev2.includes('enterprise') || rev2.includes('saas') || rev2.includes('consulting') || rev2.includes('agency');
+  const isB2C1 = rev1.includes('retail') || rev1.includes('consumer') || rev1.includes('ecommerce') || rev1.includes('subscription');
+  const isB2C2 = rev2.includes('retail') || rev2.includes('consumer') || rev2.includes('ecommerce') || rev2.includes('subscription');
+
+  if ((isB2B1 && isB2B2) || (isB2C1 && isB2C2)) {
+    marketPoints += 5;
+    marketInsights.push('Similar business model (both B2B or both B2C)');
+  } else if ((isB2B1 && isB2C2) || (isB2C1 && isB2B2)) {
+    marketPoints += 3;
+    marketInsights.push('Complementary business models - can learn from each other');
+  }
+
+  // Infer business maturity/scale from role + fun facts
+  const role1 = (member1.role || '').toLowerCase();
+  const role2 = (member2.role || '').toLowerCase();
+  const funfact1 = (member1.fun_fact || '').toLowerCase();
+  const funfact2 = (member2.fun_fact || '').toLowerCase();
+
+  const isFounder1 = role1.includes('founder') || role1.includes('ceo') || role1.includes('owner');
+  const isFounder2 = role2.includes('founder') || role2.includes('ceo') || role2.includes('owner');
+  const isEstablished1 = funfact1.match(/\$\d+[mk]|\d+ year|million|billion|national|awarded/i);
+  const isEstablished2 = funfact2.match(/\$\d+[mk]|\d+ year|million|billion|national|awarded/i);
+
+  if (isFounder1 && isFounder2) {
+    marketPoints += 5;
+    marketInsights.push('Both founders/CEOs - shared leadership perspective');
+  }
+
+  if (isEstablished1 && isEstablished2) {
+    marketPoints += 3;
+    marketInsights.push('Both have proven track records of success');
+  } else if ((isEstablished1 && !isEstablished2) || (!isEstablished1 && isEstablished2)) {
+    marketPoints += 2;
+    marketInsights.push('Mentorship opportunity - different growth stages');
+  }
+
+  // Infer revenue growth mindset (everyone in business wants to grow)
+  if (member1.current_constraint && member2.current_constraint) {
+    marketPoints += 2;
+    marketInsights.push('Both actively working to overcome growth constraints');
+  }
+
+  const maxMarketPoints = weights.market;
+  const marketRawPoints = Math.min(marketPoints, 15);
+  marketPoints = scalePoints(marketRawPoints, 15, maxMarketPoints);
+  const marketCategory = {
+    factor: 'Market Alignment',
+    points: marketPoints,
+    maxPoints: maxMarketPoints,
+    earned: marketPoints,
+    percentage: percentOf(marketPoints, maxMarketPoints),
+    description: 'Inferred compatibility based on business model, scale, and growth stage',
+    status: marketRawPoints > 10 ? 'strong' : marketRawPoints > 5 ? 'moderate' : 'foundational',
+    insights: marketInsights
+  };
+  breakdown.push(marketCategory);
+  fullBreakdown.push(marketCategory);
+  totalScore += marketPoints;
+
+  // ============================================================================
+  // 5. GEOGRAPHIC & LOGISTICAL SYNERGY (0-5 points by default) - REDUCED WEIGHT
+  // ============================================================================
+  // NOTE: Location is 5% of the default profile (was 10%). Business relevance > geographic proximity.
+  // We don't want to match dentists with sewer companies just because they're in the same city.
+  // A city chamber mixer can raise this weight in its event scoring profile.
+  const maxLocationPoints = weights.geographic;
+  let locationPoints = 0;
+  let locationDescription = '';
+
+  const city1 = (member1.city || '').toLowerCase().trim();
+  const city2 = (member2.city || '').toLowerCase().trim();
+
+  if (city1 && city2) {
+    if (city1 === city2) {
+      locationPoints = 5; // Same city = small bonus, not primary factor
+      locationDescription = `Both in ${member1.city} - option for in-person meetings`;
+    } else {
+      // Different cities - still perfectly viable for collaboration in 2024
+      locationPoints = 2;
+      locationDescription = `Different locations (${member1.city} / ${member2.city}) - remote collaboration is standard`;
+    }
+  } else {
+    locationPoints = 2;
+    locationDescription = 'Geography-independent - modern collaboration transcends location';
+  }
+
+  const locationRawPoints = locationPoints;
+  locationPoints = scalePoints(locationRawPoints, 5, maxLocationPoints);
+
+  const locationCategory = {
+    factor: 'Geographic & Logistical Synergy',
+    points: locationPoints,
+    maxPoints: maxLocationPoints,
+    earned: locationPoints,
+    percentage: percentOf(locationPoints, maxLocationPoints),
+    description: locationDescription,
+    status: locationRawPoints >= 5 ? 'local' : 'remote-friendly'
+  };
+  breakdown.push(locationCategory);
+  fullBreakdown.push(locationCategory);
+  totalScore += locationPoints;
+
+  // ============================================================================
+  // 6. STRATEGIC GROWTH OPPORTUNITIES (0-10 points by default) - BUSINESS RELEVANCE OVER GEOGRAPHY
+  // ============================================================================
+  // NOTE: Increased from 5 to 10 points (compensating for location reduction).
+  // Business strategic fit should matter MORE than being in the same city.
+  let strategyPoints = 0;
+  const strategyInsights = [];
+
+  // Industry cross-pollination with SPECIFIC strategic value
+  const ind1 = (member1.industry || '').toLowerCase();
+  const ind2 = (member2.industry || '').toLowerCase();
+
+  // Define specific cross-industry synergies (not generic!)
+  const crossIndustrySynergies = {
+    'technology-marketing': 'Tech can build tools marketing needs; Marketing can bring tech to market',
+    'technology-finance': 'Tech provides fintech innovation; Finance provides investment capital',
+    'technology-real estate': 'Tech enables PropTech solutions; Real estate provides distribution channels',
+    'marketing-real estate': 'Marketing drives property visibility; Real estate provides case studies',
+    'marketing-finance': 'Marketing drives client acquisition; Finance provides campaign capital',
+    'marketing-food & hospitality': 'Marketing fills seats/tables; F&B provides authentic brand stories',
+    'technology-food & hospitality': 'Tech streamlines operations/ordering; F&B provides user testing ground',
+    'real estate-legal': 'Real estate needs legal for transactions; Legal needs real estate clients',
+    'finance-legal': 'Finance needs legal for compliance; Legal needs finance for M&A deals',
+    'online education-marketing': 'Education needs student acquisition; Marketing needs training content',
+    'consulting-*': 'Consulting can analyze ANY business; Every business can provide consulting case studies'
+  };
+
+  if (ind1 && ind2 && ind1 !== ind2) {
+    const pair1 = `${ind1}-${ind2}`.toLowerCase();
+    const pair2 = `${ind2}-${ind1}`.toLowerCase();
+    const wildcard1 = `${ind1}-*`.toLowerCase();
+    const wildcard2 = `${ind2}-*`.toLowerCase();
+
+    let synergyFound = false;
+    if (crossIndustrySynergies[pair1]) {
+      strategyInsights.push(`${member1.industry} × ${member2.industry}: ${crossIndustrySynergies[pair1]}`);
+      strategyPoints += 6; // Increased from 3 to 6 (doubled weight)
+      synergyFound = true;
+    } else if (crossIndustrySynergies[pair2]) {
+      strategyInsights.push(`${member1.industry} × ${member2.industry}: ${crossIndustrySynergies[pair2]}`);
+      strategyPoints += 6; // Increased from 3 to 6
+      synergyFound = true;
+    } else if (crossIndustrySynergies[wildcard1]) {
+      strategyInsights.push(`${member1.industry} advantage: ${crossIndustrySynergies[wildcard1]}`);
+      strategyPoints += 4; // Increased from 2 to 4
+      synergyFound = true;
+    } else if (crossIndustrySynergies[wildcard2]) {
+      strategyInsights.push(`${member2.industry} advantage: ${crossIndustrySynergies[wildcard2]}`);
+      strategyPoints += 4; // Increased from 2 to 4
+      synergyFound = true;
+    }
+
+    if (!synergyFound) {
+      // Generic cross-industry benefit
+      strategyInsights.push(`Cross-industry perspective: Each brings blind spots the other can illuminate`);
+      strategyPoints += 2; // Increased from 1 to 2
+    }
+  } else if (ind1 && ind2 && ind1 === ind2) {
+    // Same industry - specific value based on actual industry (HIGHER VALUE than different cities!)
+    const sameIndustryValue = {
+      'technology': 'Peer benchmarking on metrics, tech stack choices, and hiring strategies',
+      'marketing': 'Share what campaigns worked, avoid each other\'s mistakes, co-pitch large clients',
+      'real estate': 'Off-market deal sharing, co-investing opportunities, market intelligence',
+      'finance': 'Deal flow sharing, co-investment opportunities, risk mitigation strategies',
+      'consulting': 'Niche specialization referrals, subcontracting overflow work',
+      'food & hospitality': 'Supplier negotiations leverage, event cross-promotion, crisis management playbook',
+      'legal': 'Referrals for specialty areas, overflow capacity during busy seasons',
+      'online education': 'Course co-creation, student cross-promotion, platform technology sharing',
+      'construction': 'Subcontracting opportunities, vendor relationships, equipment sharing, joint bidding',
+      'manufacturing': 'Supply chain optimization, bulk purchasing power, overflow capacity',
+      'healthcare': 'Cross-referrals for specialties, shared compliance knowledge, patient coordination'
+    };
+
+    const industryValue = sameIndustryValue[ind1] || 'Industry peer insights, competitive intelligence, potential collaboration on shared challenges';
+    strategyInsights.push(`Same industry (${member1.industry}): ${industryValue}`);
+    strategyPoints += 4; // Increased from 2 to 4 - same industry > same city!
+  }
+
+  // Constraint-solution strategic partnerships (SPECIFIC)
+  if (member1.current_constraint && member2Assets.length > 0) {
+    // Check if any of member2's assets could plausibly address member1's constraint
+    const constraint1Words = constraint1Lower.split(/\s+/);
+    const assetMatches = member2Assets.filter(asset =>
+      constraint1Words.some(word => word.length > 3 && asset.includes(word))
+    );
+
+    if (assetMatches.length > 0) {
+      strategyInsights.push(`Solution partnership: Their ${assetMatches[0]} may address your "${member1.current_constraint.substring(0, 40)}..." challenge`);
+      strategyPoints += 3; // Increased from 2 to 3
+    }
+  }
+
+  if (member2.current_constraint && member1Assets.length > 0) {
+    const constraint2Words = constraint2Lower.split(/\s+/);
+    const assetMatches = member1Assets.filter(asset =>
+      constraint2Words.some(word => word.length > 3 && asset.includes(word))
+    );
+
+    if (assetMatches.length > 0) {
+      strategyInsights.push(`Value opportunity: Your ${assetMatches[0]} may address their "${member2.current_constraint.substring(0, 40)}..." challenge`);
+      strategyPoints += 3; // Increased from 2 to 3
+    }
+  }
+
+  const maxStrategyPoints = weights.strategic; // Default raised from 5 to 10 - strategic fit matters MORE than geography
+  const strategyRawPoints = Math.min(strategyPoints, 10);
+  strategyPoints = scalePoints(strategyRawPoints, 10, maxStrategyPoints);
+  const strategyCategory = {
+    factor: 'Strategic Growth Opportunities',
+    points: strategyPoints,
+    maxPoints: maxStrategyPoints,
+    earned: strategyPoints,
+    percentage: percentOf(strategyPoints, maxStrategyPoints),
+    description: 'Specific long-term strategic value and growth potential based on industry synergies',
+    status: strategyRawPoints >= 4 ? 'high-value' : strategyRawPoints >= 2 ? 'valuable' : 'exploratory',
+    insights: strategyInsights.length > 0 ? strategyInsights : ['Explore potential for industry knowledge transfer and network expansion']
+  };
+  breakdown.push(strategyCategory);
+  fullBreakdown.push(strategyCategory);
+  totalScore += strategyPoints;
+
+  // ============================================================================
+  // FINAL SCORE CALCULATION
+  // ============================================================================
+  const maxPossiblePoints = 100;
+  const normalizedScore = Math.min(totalScore, maxPossiblePoints);
+  const overallPercentage = Math.round((normalizedScore / maxPossiblePoints) * 100);
+
+  return {
+    score: normalizedScore,
+    breakdown, // Concise version
+    fullBreakdown, // Complete transparency
+    matches: matches.slice(0, 3), // Top specific asset/need matches
+    profileVersion: profile.version, // Scoring profile that produced this score
+    summary: {
+      earned: normalizedScore,
+      possible: maxPossiblePoints,
+      percentage: overallPercentage,
+      grade: overallPercentage >= 85 ? 'A+' : overallPercentage >= 75 ? 'A' : overallPercentage >= 65 ? 'B+' : overallPercentage >= 55 ? 'B' : 'C+'
+    }
+  };
+}
+
+module.exports = {
+  defaultScoringProfile,
+  cosineSimilarity,
+  matchesNeedAsset,
+  calculateMatchScore
+};
@@ -0,0 +1,80 @@
+// session-store.js - express-session store backed by the admin_sessions table
+// Sessions survive restarts and are shared by every instance behind the load balancer.
+// Only admins have sessions (members use signed links, see member-auth.js), so a
+// session without an adminId is never written. Expired rows are pruned on a timer.
+const session = require('express-session');
+const adminSessions = require('./repositories/admin-sessions');
+
+// Matches the session cookie's maxAge in app.js
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How often expired sessions are deleted (0 turns the timer off)
+const cleanupMinutes = process.env.SESSION_CLEANUP_MINUTES !== undefined
+  ? parseInt(process.env.SESSION_CLEANUP_MINUTES, 10) || 0
+  : 15;
+
+function expiresAt(sess) {
+  if (sess.cookie && sess.cookie.expires) {
+    return new Date(sess.cookie.expires);
+  }
+  return new Date(Date.now() + DEFAULT_TTL_MS);
+}
+
+class PostgresSessionStore extends session.Store {
+  constructor() {
+    super();
+
+    if (cleanupMinutes > 0) {
+      // unref() so the timer never keeps a script or test process alive
+      this.cleanupTimer = setInterval(() => this.pruneExpired(), cleanupMinutes * 60 * 1000).unref();
+    }
+  }
+
+  get(sessionId, callback) {
+    adminSessions.find(sessionId)
+      .then(row => callback(null, row ? JSON.parse(row.data) : null))
+      .catch(error => callback(error));
+  }
+
+  set(sessionId, sess, callback = () => {}) {
+    const write = sess.adminId
+      ? adminSessions.save({
+        sessionId,
+        adminId: sess.adminId,
+        data: JSON.stringify(sess),
+        expiresAt: expiresAt(sess),
+        userAgent: sess.userAgent,
+        ipAddress: sess.ipAddress
+      })
+      : adminSessions.remove(sessionId);
+
+    write.then(() => callback()).catch(error => callback(error));
+  }
+
+  touch(sessionId, sess, callback = () => {}) {
+    adminSessions.touch(sessionId, expiresAt(sess))
+      .then(() => callback())
+      .catch(error => callback(error));
+  }
+
+  destroy(sessionId, callback = () => {}) {
+    adminSessions.remove(sessionId)
+      .then(() => callback())
+      .catch(error => callback(error));
+  }
+
+  async pruneExpired() {
+    try {
+      const removed = await adminSessions.removeExpired();
+      if (removed > 0) console.log(`🧹 Removed ${removed} expired admin session(s)`);
+      return removed;
+    } catch (error) {
+      console.error('Session cleanup failed:', error.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = {
+  PostgresSessionStore
+};
@@ -1,5 +1,6 @@
 // test-setup.js
-// Quick test script to verify the application is set up correctly
+// Quick test script to verify the application is set up correctly:
+// environment, Postgres connection, pgvector, migrations and the admin login
 
 const fs = require('fs');
 const path = require('path');
@@ -12,71 +13,58 @@ let warnings = [];
 // Check Node.js version
 const nodeVersion = process.version;
 console.log(`✓ Node.js version: ${nodeVersion}`);
-if (parseInt(nodeVersion.slice(1).split('.')[0]) < 14) {
-    warnings.push('Node.js version 14 or higher is recommended');
+if (parseInt(nodeVersion.slice(1).split('.')[0]) < 18) {
+    warnings.push('Node.js version 18 or higher is recommended');
 }
 
-// Check if .env file exists
+// Check if .env file exists (on Render the variables come from the dashboard instead)
 const envPath = path.join(__dirname, '.env');
 if (fs.existsSync(envPath)) {
     console.log('✓ .env file found');
-    
-    // Check for OpenAI API key
-    require('dotenv').config();
-    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-        console.log('✓ OpenAI API key configured');
-    } else {
-        warnings.push('OpenAI API key not configured - AI features will not work');
-    }
-} else {
+} else if (!process.env.DATABASE_URL) {
     errors.push('.env file not found - copy .env.example to .env and configure');
 }
+require('dotenv').config();
 
-// Check if database exists
-const dbPath = path.join(__dirname, 'networking.db');
-if (fs.existsSync(dbPath)) {
-    console.log('✓ Database file found');
-    
-    // Check database is readable
-    try {
-        const sqlite3 = require('sqlite3').verbose();
-        const db = new sqlite3.Database(dbPath);
-        
-        db.get("SELECT COUNT(*) as count FROM sqlite_master WHERE type='table'", (err, row) => {
-            if (!err && row.count > 0) {
-                console.log(`✓ Database initialized with ${row.count} tables`);
-            } else {
-                errors.push('Database exists but appears to be empty - run: npm run init-db');
-            }
-            db.close();
-            
-            // Print summary after async check
-            printSummary();
-        });
-    } catch (e) {
-        errors.push('Cannot read database file - check permissions');
-        printSummary();
+// Check AI configuration
+if (process.env.LLM_PROVIDER === 'stub') {
+    console.log('✓ LLM_PROVIDER=stub - AI features run offline with canned responses');
+} else if (process.env.LLM_PROVIDER === 'openai-compatible') {
+    if (process.env.LLM_BASE_URL) {
+        console.log(`✓ OpenAI-compatible endpoint: ${process.env.LLM_BASE_URL}`);
+    } else {
+        errors.push('LLM_PROVIDER=openai-compatible needs LLM_BASE_URL');
     }
+} else if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
+    console.log('✓ OpenAI API key configured');
 } else {
-    errors.push('Database not found - run: npm run init-db');
-    printSummary();
+    warnings.push('OpenAI API key not configured - AI features will not work (or set LLM_PROVIDER=stub)');
+}
+
+if (!process.env.SESSION_SECRET) {
+    warnings.push('SESSION_SECRET not set - admin sessions use a default key');
+}
+if (!process.env.SESSION_SECRET && !process.env.MEMBER_TOKEN_SECRET) {
+    warnings.push('MEMBER_TOKEN_SECRET not set - member links use a random key until restart (production will not start without it)');
 }
 
 // Check required dependencies
-const requiredPackages = ['express', 'sqlite3', 'bcrypt', 'openai'];
+const requiredPackages = ['express', 'express-session', 'pg', 'bcrypt', 'dotenv', 'openai'];
 console.log('\n📦 Checking dependencies:');
+let packagesInstalled = true;
 requiredPackages.forEach(pkg => {
     try {
         require.resolve(pkg);
         console.log(`✓ ${pkg} installed`);
     } catch (e) {
+        packagesInstalled = false;
         errors.push(`Package ${pkg} not installed - run: npm install`);
     }
 });
 
 // Check public files
 console.log('\n📁 Checking public files:');
-const publicFiles = ['index.html', 'matches.html', 'admin.html', 'dashboard.html', 'styles.css'];
+const publicFiles = ['reg.html', 'matches.html', 'profile.html', 'admin.html', 'dashboard.html', 'styles.css'];
 publicFiles.forEach(file => {
     const filePath = path.join(__dirname, 'public', file);
     if (fs.existsSync(filePath)) {
@@ -86,9 +74,68 @@ publicFiles.forEach(file => {
     }
 });
 
+// Check the database: connection, pgvector, migrations, admin login
+async function checkDatabase() {
+    console.log('\n🗄️  Checking database:');
+    if (!process.env.DATABASE_URL) {
+        errors.push('DATABASE_URL not set - add your Postgres connection string to .env');
+        return;
+    }
+    if (!packagesInstalled) {
+        return;
+    }
+
+    const db = require('./db');
+    const migrate = require('./migrate');
+    try {
+        const version = await db.pool.query('SELECT version()');
+        console.log(`✓ Connected: ${version.rows[0].version.split(',')[0]}`);
+
+        const vector = await db.pool.query(`
+            SELECT
+                (SELECT extversion FROM pg_extension WHERE extname = 'vector') as installed,
+                (SELECT default_version FROM pg_available_extensions WHERE name = 'vector') as available
+        `);
+        const { installed, available } = vector.rows[0];
+        if (installed) {
+            console.log(`✓ pgvector ${installed} installed`);
+        } else if (available) {
+            console.log(`✓ pgvector ${available} available (installed by the migrations)`);
+        } else {
+            errors.push('pgvector is not available on this Postgres server - install it (Neon has it built in)');
+        }
+
+        const status = await migrate.getStatus();
+        const applied = status.migrations.filter(m => m.appliedAt).length;
+        if (status.pending.length === 0) {
+            console.log(`✓ All ${applied} migrations applied`);
+        } else if (applied === 0) {
+            errors.push('Database has no migrations applied - run: npm run migrate');
+        } else {
+            errors.push(`${status.pending.length} pending migration(s) (${status.pending.join(', ')}) - run: npm run migrate`);
+        }
+        status.migrations.filter(m => m.modified).forEach(m => {
+            warnings.push(`Migration ${m.version}_${m.name} was edited after it was applied`);
+        });
+
+        if (applied > 0) {
+            const admins = await db.pool.query('SELECT COUNT(*)::int as count FROM admin_users');
+            if (admins.rows[0].count > 0) {
+                console.log(`✓ ${admins.rows[0].count} admin login(s)`);
+            } else {
+                errors.push('No admin login - run: npm run admin-reset');
+            }
+        }
+    } catch (e) {
+        errors.push(`Database check failed: ${e.message}`);
+    } finally {
+        await db.pool.end();
+    }
+}
+
 function printSummary() {
     console.log('\n' + '='.repeat(50));
-    
+
     if (errors.length === 0 && warnings.length === 0) {
         console.log('✅ All checks passed! Your app is ready to run.');
         console.log('\nStart the server with: npm start');
@@ -98,26 +145,26 @@ function printSummary() {
             console.log('\n❌ ERRORS (must fix):');
             errors.forEach(err => console.log(`   - ${err}`));
         }
-        
+
         if (warnings.length > 0) {
             console.log('\n⚠️  WARNINGS (should address):');
             warnings.forEach(warn => console.log(`   - ${warn}`));
         }
-        
+
         console.log('\nFix the issues above and run this test again.');
     }
-    
+
     console.log('\n' + '='.repeat(50));
     console.log('\n📖 Quick Start Guide:');
-    console.log('1. Copy .env.example to .env and add your OpenAI API key');
-    console.log('2. Run: npm run init-db');
+    console.log('1. Copy .env.example to .env and set DATABASE_URL and your OpenAI API key');
+    console.log('2. Run: npm run migrate');
     console.log('3. Run: npm start');
     console.log('4. Open http://localhost:3000 in your browser');
     console.log('\n🔐 Admin Panel: http://localhost:3000/admin.html');
-    console.log('   Default login: admin@rotary.local / rotary2024');
+    console.log('   Default login: admin / admin (reset with: npm run admin-reset)');
 }
 
-// If database check is synchronous or fails, print summary here
-if (!fs.existsSync(dbPath)) {
-    // Summary already printed above for missing database
-}
\ No newline at end of file
+checkDatabase().then(() => {
+    printSummary();
+    process.exit(errors.length > 0 ? 1 : 0);
+});
@@ -0,0 +1,155 @@
+// tests/admin-accounts.test.js - Admin accounts, roles and passwords (admin-auth.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+
+describe('admin accounts', () => {
+  let harness;
+  let owner;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    owner = harness.client();
+    await loginAdmin(owner);
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  // Create an account as the owner and log a new client in with it, past the forced password change
+  async function adminWithRole(role) {
+    const email = `${role}@example.com`;
+    const created = await owner.post('/api/admin/admins', { email, name: role, role });
+    assert.equal(created.status, 200);
+
+    const client = harness.client();
+    await client.post('/api/admin/login', { email, password: created.body.temporaryPassword });
+    const changed = await client.post('/api/admin/password', {
+      currentPassword: created.body.temporaryPassword,
+      newPassword: `${role}-password`
+    });
+    assert.equal(changed.status, 200);
+    return { client, adminId: created.body.admin.admin_id };
+  }
+
+  it('invites an admin with a temporary password that must be changed first', async () => {
+    const created = await owner.post('/api/admin/admins', { email: 'Sam@Example.com', name: 'Sam', role: 'organizer' });
+
+    assert.equal(created.status, 200);
+    assert.equal(created.body.admin.email, 'sam@example.com');
+    assert.equal(created.body.admin.must_change_password, true);
+    assert.equal(created.body.admin.password_hash, undefined);
+
+    const sam = harness.client();
+    const login = await sam.post('/api/admin/login', { email: 'sam@example.com', password: created.body.temporaryPassword });
+    assert.equal(login.body.mustChangePassword, true);
+    assert.equal(login.body.role, 'organizer');
+
+    assert.equal((await sam.get('/api/admin/events')).status, 403);
+    assert.equal((await sam.get('/api/admin/me')).body.must_change_password, true);
+
+    const tooShort = await sam.post('/api/admin/password', { currentPassword: created.body.temporaryPassword, newPassword: 'short' });
+    assert.equal(tooShort.status, 400);
+
+    const changed = await sam.post('/api/admin/password', { currentPassword: created.body.temporaryPassword, newPassword: 'a-new-password' });
+    assert.equal(changed.status, 200);
+    assert.equal((await sam.get('/api/admin/events')).status, 200);
+  });
+
+  it('refuses a duplicate email or an unknown role', async () => {
+    assert.equal((await owner.post('/api/admin/admins', { email: 'admin', role: 'organizer' })).status, 409);
+    assert.equal((await owner.post('/api/admin/admins', { email: 'x@example.com', role: 'king' })).status, 400);
+  });
+
+  it('needs the current password to change it and ends the other sessions', async () => {
+    const other = harness.client();
+    await loginAdmin(other);
+
+    assert.equal((await owner.post('/api/admin/password', { currentPassword: 'wrong', newPassword: 'a-new-password' })).status, 400);
+
+    const response = await owner.post('/api/admin/password', { currentPassword: 'admin', newPassword: 'a-new-password' });
+
+    assert.equal(response.body.otherSessionsEnded, 1);
+    assert.equal((await owner.get('/api/admin/events')).status, 200);
+    assert.equal((await other.get('/api/admin/events')).status, 401);
+  });
+
+  it('lets a volunteer read but not change anything', async () => {
+    const { client } = await adminWithRole('volunteer');
+    const { memberId } = await registerMember(harness.client(), { name: 'Ann' });
+    await waitForEmbeddings([memberId]);
+
+    assert.equal((await client.get('/api/admin/members')).status, 200);
+    assert.equal((await client.get(`/api/member/${memberId}`)).status, 200);
+
+    assert.equal((await client.post('/api/admin/events', { name: 'Spring Mixer' })).status, 403);
+    assert.equal((await client.delete(`/api/admin/member/${memberId}`)).status, 403);
+    assert.equal((await client.put(`/api/member/${memberId}`, { name: 'Changed' })).status, 403);
+    assert.equal((await client.post(`/api/generate-top3/${memberId}`)).status, 403);
+    assert.equal((await client.get('/api/admin/admins')).status, 403);
+  });
+
+  it('lets an organizer run the event but not wipe it or manage admins', async () => {
+    const { client } = await adminWithRole('organizer');
+
+    assert.equal((await client.post('/api/admin/events', { name: 'Spring Mixer' })).status, 200);
+    assert.equal((await client.delete('/api/admin/members/all')).status, 403);
+    assert.equal((await client.post('/api/admin/reset-matches')).status, 403);
+    assert.equal((await client.post('/api/admin/admins', { email: 'y@example.com' })).status, 403);
+  });
+
+  it('changes a role and applies it on the next request', async () => {
+    const { client, adminId } = await adminWithRole('volunteer');
+    assert.equal((await client.post('/api/admin/events', { name: 'Spring Mixer' })).status, 403);
+
+    const updated = await owner.patch(`/api/admin/admins/${adminId}`, { role: 'organizer' });
+
+    assert.equal(updated.body.admin.role, 'organizer');
+    assert.equal((await client.post('/api/admin/events', { name: 'Spring Mixer' })).status, 200);
+  });
+
+  it('disables an account, logging it out and refusing its logins', async () => {
+    const { client, adminId } = await adminWithRole('organizer');
+
+    await owner.patch(`/api/admin/admins/${adminId}`, { disabled: true });
+
+    assert.equal((await client.get('/api/admin/events')).status, 401);
+    assert.equal((await client.post('/api/admin/login', { email: 'organizer@example.com', password: 'organizer-password' })).status, 403);
+
+    await owner.patch(`/api/admin/admins/${adminId}`, { disabled: false });
+    assert.equal((await client.post('/api/admin/login', { email: 'organizer@example.com', password: 'organizer-password' })).status, 200);
+  });
+
+  it('never leaves the app without an active owner', async () => {
+    assert.equal((await owner.patch('/api/admin/admins/admin-1', { role: 'organizer' })).status, 409);
+    assert.equal((await owner.patch('/api/admin/admins/admin-1', { disabled: true })).status, 409);
+
+    await owner.post('/api/admin/admins', { email: 'second@example.com', role: 'owner' });
+    assert.equal((await owner.patch('/api/admin/admins/admin-1', { role: 'organizer' })).status, 200);
+  });
+
+  it('resets a forgotten password to a new temporary one', async () => {
+    const { client, adminId } = await adminWithRole('organizer');
+
+    const reset = await owner.post(`/api/admin/admins/${adminId}/reset-password`);
+
+    assert.equal((await client.get('/api/admin/events')).status, 401);
+    const login = await client.post('/api/admin/login', { email: 'organizer@example.com', password: reset.body.temporaryPassword });
+    assert.equal(login.body.mustChangePassword, true);
+  });
+
+  it('forces a change of the seeded admin/admin password', async () => {
+    await harness.db.run(`UPDATE admin_users SET must_change_password = true WHERE admin_id = 'admin-1'`);
+    const client = harness.client();
+
+    const login = await client.post('/api/admin/login', { email: 'admin', password: 'admin' });
+
+    assert.equal(login.body.mustChangePassword, true);
+    assert.equal((await client.get('/api/admin/members')).status, 403);
+  });
+});
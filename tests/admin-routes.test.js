@@ -0,0 +1,294 @@
+// tests/admin-routes.test.js - Admin login and the /api/admin routes
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+
+// Every route that must refuse a visitor without an admin session
+const PROTECTED_ROUTES = [
+  ['GET', '/api/admin/events'],
+  ['POST', '/api/admin/events'],
+  ['PATCH', '/api/admin/events/event-default'],
+  ['GET', '/api/admin/ai-usage'],
+  ['GET', '/api/admin/scoring-profile'],
+  ['GET', '/api/admin/scoring-profile/1'],
+  ['POST', '/api/admin/scoring-profile'],
+  ['GET', '/api/admin/members'],
+  ['POST', '/api/admin/member/member-x/access-link'],
+  ['GET', '/api/admin/intro-report'],
+  ['DELETE', '/api/admin/member/member-x'],
+  ['DELETE', '/api/admin/members/all'],
+  ['POST', '/api/admin/reset-matches'],
+  ['GET', '/api/admin/audit-log'],
+  ['GET', '/api/admin/research-cache'],
+  ['DELETE', '/api/admin/research-cache'],
+  ['GET', '/api/admin/embedding-status'],
+  ['POST', '/api/admin/generate-all-embeddings'],
+  ['GET', '/api/admin/me'],
+  ['POST', '/api/admin/password'],
+  ['GET', '/api/admin/admins'],
+  ['POST', '/api/admin/admins'],
+  ['PATCH', '/api/admin/admins/admin-1'],
+  ['POST', '/api/admin/admins/admin-1/reset-password'],
+  ['GET', '/api/debug/matches/member-x']
+];
+
+describe('admin routes', () => {
+  let harness;
+  let client;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  describe('authentication', () => {
+    it('refuses every admin route without a session', async () => {
+      for (const [method, url] of PROTECTED_ROUTES) {
+        const response = await client.request(method, url, { body: method === 'GET' ? undefined : {} });
+        assert.equal(response.status, 401, `${method} ${url}`);
+      }
+    });
+
+    it('rejects an unknown admin and a wrong password', async () => {
+      assert.equal((await client.post('/api/admin/login', { email: 'nobody', password: 'admin' })).status, 401);
+      assert.equal((await client.post('/api/admin/login', { email: 'admin', password: 'wrong' })).status, 401);
+      assert.equal((await client.get('/api/admin/session-check')).body.isAuthenticated, false);
+    });
+
+    it('keeps the admin logged in until logout', async () => {
+      await loginAdmin(client);
+
+      assert.equal((await client.get('/api/admin/session-check')).body.isAuthenticated, true);
+      assert.equal((await client.get('/api/admin/events')).status, 200);
+
+      await client.post('/api/admin/logout');
+
+      assert.equal((await client.get('/api/admin/events')).status, 401);
+    });
+  });
+
+  describe('events', () => {
+    beforeEach(async () => {
+      await loginAdmin(client);
+    });
+
+    it('creates an event with a slug built from its name and date', async () => {
+      const response = await client.post('/api/admin/events', { name: 'Spring Mixer', event_date: '2026-04-01', location: 'Hall' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.event.slug, 'spring-mixer-2026-04-01');
+
+      const list = await client.get('/api/admin/events');
+      assert.deepEqual(list.body.map(event => event.slug).sort(), ['default', 'spring-mixer-2026-04-01']);
+    });
+
+    it('refuses a blank name and a duplicate slug', async () => {
+      assert.equal((await client.post('/api/admin/events', { name: '  ' })).status, 400);
+      assert.equal((await client.post('/api/admin/events', { name: 'Mixer', slug: 'default' })).status, 409);
+    });
+
+    it('closes registration and sets the AI budget', async () => {
+      const response = await client.patch('/api/admin/events/event-default', { is_active: false, ai_budget_usd: '2.5', ai_budget_mode: 'refuse' });
+
+      assert.equal(response.status, 200);
+      const event = await harness.db.get('SELECT is_active, ai_budget_usd::float as budget, ai_budget_mode FROM events WHERE event_id = $1', ['event-default']);
+      assert.deepEqual(event, { is_active: false, budget: 2.5, ai_budget_mode: 'refuse' });
+    });
+
+    it('validates event updates', async () => {
+      assert.equal((await client.patch('/api/admin/events/event-default', { ai_budget_usd: -1 })).status, 400);
+      assert.equal((await client.patch('/api/admin/events/event-default', { ai_budget_mode: 'panic' })).status, 400);
+      assert.equal((await client.patch('/api/admin/events/event-default', {})).body.error, 'Nothing to update');
+      assert.equal((await client.patch('/api/admin/events/event-missing', { is_active: true })).status, 404);
+    });
+  });
+
+  describe('AI usage', () => {
+    it('reports spend per member and stage with the budget', async () => {
+      await loginAdmin(client);
+      await harness.db.run(`
+        INSERT INTO ai_usage (event_id, member_id, kind, stage, provider, model, prompt_tokens, completion_tokens, total_tokens, cost_usd)
+        VALUES ('event-default', 'member-x', 'chat', 'fact-check', 'stub', 'stub-chat', 100, 50, 150, 0.25)
+      `);
+
+      const response = await client.get('/api/admin/ai-usage');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.totals, { calls: 1, tokens: 150, cost_usd: 0.25 });
+      assert.equal(response.body.byStage[0].stage, 'fact-check');
+      assert.equal(response.body.budget.spentUsd, 0.25);
+      assert.equal(response.body.events[0].event_id, 'event-default');
+      assert.equal((await client.get('/api/admin/ai-usage?event=nope')).status, 404);
+    });
+  });
+
+  describe('scoring profile', () => {
+    beforeEach(async () => {
+      await loginAdmin(client);
+    });
+
+    it('shows the profile in effect and its versions', async () => {
+      const response = await client.get('/api/admin/scoring-profile');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.event.event_id, 'event-default');
+      assert.ok(response.body.profile.weights);
+      assert.equal((await client.get('/api/admin/scoring-profile/9999')).status, 404);
+      assert.equal((await client.get('/api/admin/scoring-profile/latest')).status, 404);
+    });
+
+    it('saves edited weights as a new version for the event', async () => {
+      const current = (await client.get('/api/admin/scoring-profile')).body.profile;
+      const weights = { universal: 25, semantic: 25, complementary: 20, market: 10, geographic: 5, strategic: 15 };
+
+      const response = await client.post('/api/admin/scoring-profile', { ...current, weights, note: 'More semantic' });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.profile.weights, weights);
+      assert.equal((await client.get('/api/admin/scoring-profile')).body.profile.version, response.body.profile.version);
+      assert.equal((await client.get(`/api/admin/scoring-profile/${response.body.profile.version}`)).status, 200);
+    });
+
+    it('rejects weights that do not add up to 100', async () => {
+      const current = (await client.get('/api/admin/scoring-profile')).body.profile;
+
+      const response = await client.post('/api/admin/scoring-profile', { ...current, weights: { ...current.weights, universal: 90 } });
+
+      assert.equal(response.status, 400);
+      assert.ok(response.body.errors.length > 0);
+    });
+  });
+
+  describe('members', () => {
+    it('lists the members of an event without internal columns', async () => {
+      await registerMember(client, { name: 'Ann' });
+      await loginAdmin(client);
+
+      const response = await client.get('/api/admin/members');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.length, 1);
+      assert.equal(response.body[0].name, 'Ann');
+      assert.equal(response.body[0].token_version, undefined);
+    });
+
+    it('issues access links and revokes the old ones on rotate', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      await loginAdmin(client);
+
+      const issued = await client.post(`/api/admin/member/${ann.memberId}/access-link`, {});
+      assert.equal(issued.status, 200);
+      assert.equal(issued.body.rotated, false);
+      assert.ok(issued.body.link.includes(encodeURIComponent(ann.memberId)));
+
+      const rotated = await client.post(`/api/admin/member/${ann.memberId}/access-link`, { rotate: true });
+      assert.equal(rotated.body.rotated, true);
+
+      const visitor = harness.client();
+      assert.equal((await visitor.get(`/api/member/${ann.memberId}`, { token: ann.accessToken })).status, 403);
+      assert.equal((await visitor.get(`/api/member/${ann.memberId}`, { token: rotated.body.token })).status, 200);
+      assert.equal((await client.post('/api/admin/member/member-missing/access-link', {})).status, 404);
+    });
+
+    it('reports embedding status', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      await waitForEmbeddings([ann.memberId]);
+      await harness.db.run(`INSERT INTO members (member_id, event_id, name, org, role, industry, city) VALUES ('member-bare', 'event-default', 'Bare', 'Bare Co', 'Owner', 'Retail', 'Springfield')`);
+      await loginAdmin(client);
+
+      const response = await client.get('/api/admin/embedding-status');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.totalMembers, 2);
+      assert.equal(response.body.withEmbeddings, 1);
+      assert.deepEqual(response.body.missingList.map(member => member.id), ['member-bare']);
+    });
+
+    it('generates the missing embeddings', async () => {
+      await harness.db.run(`INSERT INTO members (member_id, event_id, name, org, role, industry, city) VALUES ('member-bare', 'event-default', 'Bare', 'Bare Co', 'Owner', 'Retail', 'Springfield')`);
+      await loginAdmin(client);
+
+      const response = await client.post('/api/admin/generate-all-embeddings');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.generated, 1);
+      assert.equal((await client.post('/api/admin/generate-all-embeddings')).body.total, 0);
+    });
+
+    it('deletes one member and then everyone in the event', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      await registerMember(client, { name: 'Bob' });
+      await loginAdmin(client);
+
+      assert.equal((await client.delete(`/api/admin/member/${ann.memberId}`)).status, 200);
+      assert.deepEqual((await client.get('/db/count')).body, { members: 1 });
+
+      assert.equal((await client.delete('/api/admin/members/all')).status, 200);
+      assert.deepEqual((await client.get('/db/count')).body, { members: 0 });
+    });
+  });
+
+  describe('intros and research', () => {
+    let ann;
+    let bob;
+
+    beforeEach(async () => {
+      ann = await registerMember(client, { name: 'Ann' });
+      bob = await registerMember(client, { name: 'Bob' });
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score)
+        VALUES ('intro-1', $1, $2, 'top3', 60)
+      `, [ann.memberId, bob.memberId]);
+      await loginAdmin(client);
+    });
+
+    it('reports the intro request funnel', async () => {
+      await client.post('/api/intros/intro-1/request');
+
+      const response = await client.get('/api/admin/intro-report');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.totals.generated, 1);
+      assert.equal(response.body.totals.requested, 1);
+      assert.equal(response.body.totals.pending, 1);
+      assert.equal(response.body.recent[0].to_status, 'requested');
+    });
+
+    it('resets the matches and member research but keeps industry research', async () => {
+      await harness.db.run(`
+        INSERT INTO research_cache (cache_key, stage, member_a, member_b, result, expires_at)
+        VALUES ('pair', 'complementary-value', $1, $2, '{}', NOW() + INTERVAL '1 day'),
+               ('industry', 'industry-context', NULL, NULL, '{}', NOW() + INTERVAL '1 day')
+      `, [ann.memberId, bob.memberId]);
+
+      const response = await client.post('/api/admin/reset-matches');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.membersRetained, 2);
+      assert.deepEqual(await harness.db.all('SELECT intro_id FROM intros WHERE deleted_at IS NULL'), []);
+      assert.deepEqual(await harness.db.all('SELECT cache_key FROM research_cache'), [{ cache_key: 'industry' }]);
+    });
+
+    it('shows research cache stats and clears expired or all entries', async () => {
+      await harness.db.run(`
+        INSERT INTO research_cache (cache_key, stage, result, expires_at)
+        VALUES ('fresh', 'industry-context', '{}', NOW() + INTERVAL '1 day'),
+               ('old', 'industry-context', '{}', NOW() - INTERVAL '1 day')
+      `);
+
+      const stats = await client.get('/api/admin/research-cache');
+      assert.deepEqual(stats.body.stages, [{ stage: 'industry-context', entries: 1, expired: 1, hits: 0 }]);
+
+      assert.equal((await client.delete('/api/admin/research-cache')).body.removed, 1);
+      assert.equal((await client.delete('/api/admin/research-cache?all=true')).body.removed, 1);
+    });
+  });
+});
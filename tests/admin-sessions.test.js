@@ -0,0 +1,112 @@
+// tests/admin-sessions.test.js - Admin sessions persisted in admin_sessions (session-store.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, loginAdmin } = require('./helpers/app');
+const { createApp } = require('../app');
+const { PostgresSessionStore } = require('../session-store');
+
+describe('admin sessions', () => {
+  let harness;
+  let client;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  async function login(baseUrl, headers = {}) {
+    const response = await fetch(`${baseUrl}/api/admin/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ email: 'admin', password: 'admin' })
+    });
+    return response.headers.get('set-cookie');
+  }
+
+  it('stores the session with where it came from', async () => {
+    await loginAdmin(client);
+
+    const rows = await harness.db.all('SELECT admin_id, data, ip_address, expires_at FROM admin_sessions');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].admin_id, 'admin-1');
+    assert.equal(JSON.parse(rows[0].data).adminId, 'admin-1');
+    assert.ok(rows[0].ip_address);
+    assert.ok(new Date(rows[0].expires_at) > new Date());
+  });
+
+  it('does not store sessions of visitors who never logged in', async () => {
+    await client.get('/api/admin/session-check');
+    await client.post('/api/admin/login', { email: 'admin', password: 'wrong' });
+
+    assert.deepEqual(await harness.db.all('SELECT session_id FROM admin_sessions'), []);
+  });
+
+  it('keeps the admin logged in across a restart', async () => {
+    const cookie = (await login(harness.baseUrl)).split(';')[0];
+
+    // A second app instance shares nothing with the first except the database
+    const server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/admin/events`, { headers: { Cookie: cookie } });
+      assert.equal(response.status, 200);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('removes the session on logout', async () => {
+    await loginAdmin(client);
+
+    await client.post('/api/admin/logout');
+
+    assert.deepEqual(await harness.db.all('SELECT session_id FROM admin_sessions'), []);
+  });
+
+  it('lists the active sessions and marks the current one', async () => {
+    await loginAdmin(client);
+    await loginAdmin(harness.client());
+
+    const response = await client.get('/api/admin/sessions');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.length, 2);
+    assert.equal(response.body.filter(item => item.current).length, 1);
+    assert.ok(response.body.every(item => item.session_id === undefined));
+  });
+
+  it('logs out everywhere', async () => {
+    const other = harness.client();
+    await loginAdmin(client);
+    await loginAdmin(other);
+
+    const response = await client.post('/api/admin/sessions/logout-all');
+
+    assert.equal(response.body.loggedOut, 2);
+    assert.equal((await client.get('/api/admin/events')).status, 401);
+    assert.equal((await other.get('/api/admin/events')).status, 401);
+  });
+
+  it('ignores and prunes expired sessions', async () => {
+    await loginAdmin(client);
+    await harness.db.run(`UPDATE admin_sessions SET expires_at = NOW() - INTERVAL '1 minute'`);
+
+    assert.equal((await client.get('/api/admin/events')).status, 401);
+
+    const removed = await new PostgresSessionStore().pruneExpired();
+    assert.equal(removed, 1);
+  });
+
+  it('marks the cookie secure only behind HTTPS', async () => {
+    assert.ok(!/;\s*secure/i.test(await login(harness.baseUrl)));
+    assert.match(await login(harness.baseUrl, { 'X-Forwarded-Proto': 'https' }), /;\s*secure/i);
+  });
+});
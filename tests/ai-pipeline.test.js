@@ -0,0 +1,195 @@
+// tests/ai-pipeline.test.js - The research pipeline against a stubbed LLM client
+// No network: chat replies come from llm/fixtures via the stub provider, wrapped so
+// each test can see which stages ran and make a stage fail.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/test-db');
+const llm = require('../llm');
+const { createStubProvider } = require('../llm/stub-provider');
+const { cleanArrayField, researchComplementaryValue } = require('../ai-pipeline/complementary-value');
+const { cachedComplementaryValue, generateMatchRationale, generateSimpleRationale } = require('../ai-pipeline');
+
+// Stub provider that records the stage and prompts of every chat call.
+// replies = { stage: json | Error } overrides the fixture for that stage.
+function recordingProvider(replies = {}) {
+  const stub = createStubProvider();
+  const calls = [];
+  const prompts = [];
+
+  return {
+    ...stub,
+    calls,
+    prompts,
+    async chat(request) {
+      calls.push(request.stage);
+      prompts.push({ stage: request.stage, text: request.messages.map(message => message.content).join('\n') });
+      const reply = replies[request.stage];
+      if (reply instanceof Error) throw reply;
+      if (reply) {
+        const content = JSON.stringify(reply);
+        return { content, json: reply, model: 'stub-chat', usage: { promptTokens: 10, completionTokens: 10, totalTokens: 20 } };
+      }
+      return stub.chat(request);
+    }
+  };
+}
+
+const ann = {
+  member_id: 'member-ann',
+  name: 'Ann',
+  org: 'Ann Builders',
+  role: 'Owner',
+  industry: 'Construction',
+  city: 'Springfield',
+  current_constraint: 'Finding new clients',
+  assets: 'project management',
+  needs: 'marketing',
+  fun_fact: 'Sails'
+};
+const bob = {
+  member_id: 'member-bob',
+  name: 'Bob',
+  org: 'Bob Digital',
+  role: 'Founder',
+  industry: 'Marketing',
+  city: 'Springfield',
+  current_constraint: 'Scaling delivery',
+  assets: 'digital marketing',
+  needs: 'project management',
+  fun_fact: 'Bakes bread'
+};
+// Same industries and city as Ann and Bob, different companies
+const carl = { ...ann, member_id: 'member-carl', name: 'Carl', org: 'Carl Renovations', current_constraint: 'Cash flow' };
+const dee = { ...bob, member_id: 'member-dee', name: 'Dee', org: 'Dee Media', current_constraint: 'Hiring designers' };
+const research = { creative_collaboration_ideas: ['Referral swap'], value_rating: 'medium' };
+
+describe('cleanArrayField', () => {
+  it('returns arrays unchanged and empty values as []', () => {
+    assert.deepEqual(cleanArrayField(['a', 'b']), ['a', 'b']);
+    assert.deepEqual(cleanArrayField(null), []);
+    assert.deepEqual(cleanArrayField(undefined), []);
+    assert.deepEqual(cleanArrayField('   '), []);
+  });
+
+  it('turns an object with numeric keys into an array in key order', () => {
+    assert.deepEqual(cleanArrayField({ 10: 'ten', 2: 'two', 1: 'one' }), ['one', 'two', 'ten']);
+  });
+
+  it('wraps other objects and strings in a single-item array', () => {
+    assert.deepEqual(cleanArrayField({ idea: 'Joint workshop' }), ['{"idea":"Joint workshop"}']);
+    assert.deepEqual(cleanArrayField('Joint workshop'), ['Joint workshop']);
+  });
+});
+
+describe('AI pipeline', () => {
+  before(async () => {
+    await testDb.migrate();
+  });
+
+  // research_cache rows reference the members they describe
+  beforeEach(async () => {
+    await testDb.reset();
+    for (const member of [ann, bob, carl, dee]) {
+      await testDb.run(
+        `INSERT INTO members (member_id, event_id, name, org, role, industry, city) VALUES ($1, 'event-default', $2, $3, $4, $5, $6)`,
+        [member.member_id, member.name, member.org, member.role, member.industry, member.city]
+      );
+    }
+  });
+
+  after(async () => {
+    await testDb.close();
+  });
+
+  it('cleans the arrays in Stage 0 research', async () => {
+    llm.setProvider(recordingProvider({
+      'complementary-value': {
+        creative_collaboration_ideas: { 1: 'Co-host a workshop', 2: 'Referral swap' },
+        top_3_opportunities: 'Joint bid',
+        value_rating: 'high'
+      }
+    }));
+
+    const result = await researchComplementaryValue(ann, bob);
+
+    assert.deepEqual(result.creative_collaboration_ideas, ['Co-host a workshop', 'Referral swap']);
+    assert.deepEqual(result.top_3_opportunities, ['Joint bid']);
+    assert.equal(result.value_rating, 'high');
+  });
+
+  it('runs Stages 1-4 and returns the fact-checked introduction', async () => {
+    const provider = recordingProvider();
+    llm.setProvider(provider);
+
+    const result = await generateMatchRationale(ann, bob, research);
+
+    assert.deepEqual(provider.calls, ['industry-context', 'company-research', 'match-rationale', 'fact-check']);
+    assert.ok(result.rationale_ops);
+    assert.ok(result.creative_angle);
+    assert.ok(result.intro_basis);
+  });
+
+  it('reuses cached Stage 1-2 research for the same pair in either direction', async () => {
+    const provider = recordingProvider();
+    llm.setProvider(provider);
+
+    await generateMatchRationale(ann, bob, research);
+    await generateMatchRationale(bob, ann, research);
+
+    assert.equal(provider.calls.filter(stage => stage === 'industry-context').length, 1);
+    assert.equal(provider.calls.filter(stage => stage === 'company-research').length, 1);
+    assert.equal(provider.calls.filter(stage => stage === 'match-rationale').length, 2);
+  });
+
+  it('shares Stage 1 research across pairs without anything from their profiles', async () => {
+    const provider = recordingProvider();
+    llm.setProvider(provider);
+
+    await generateMatchRationale(ann, bob, research);
+    await generateMatchRationale(carl, dee, research);
+
+    const industryPrompts = provider.prompts.filter(prompt => prompt.stage === 'industry-context');
+    assert.equal(industryPrompts.length, 1);
+    for (const member of [ann, bob, carl, dee]) {
+      assert.ok(!industryPrompts[0].text.includes(member.org));
+      assert.ok(!industryPrompts[0].text.includes(member.current_constraint));
+    }
+    // Company research is per pair
+    assert.equal(provider.calls.filter(stage => stage === 'company-research').length, 2);
+  });
+
+  it('caches Stage 0 research per pair', async () => {
+    const provider = recordingProvider();
+    llm.setProvider(provider);
+
+    const first = await cachedComplementaryValue(ann, bob);
+    const second = await cachedComplementaryValue(bob, ann);
+
+    assert.deepEqual(second, first);
+    assert.deepEqual(provider.calls, ['complementary-value']);
+  });
+
+  it('falls back to the simple rationale when a stage fails', async () => {
+    llm.setProvider(recordingProvider({ 'match-rationale': new Error('Synthesis timeout after 90 seconds') }));
+
+    const result = await generateMatchRationale(ann, bob, research);
+
+    assert.deepEqual(result, generateSimpleRationale(ann, bob));
+  });
+});
+
+describe('generateSimpleRationale', () => {
+  it('leads with an asset that meets a need', () => {
+    const result = generateSimpleRationale(ann, bob);
+
+    assert.equal(result.rationale_ops, "Bob's digital marketing can help with your need for marketing");
+    assert.equal(result.creative_angle, 'Connect over shared interests');
+    assert.ok(result.intro_basis.includes('Finding new clients'));
+  });
+
+  it('falls back to the industries when nothing lines up', () => {
+    const result = generateSimpleRationale({ ...ann, needs: 'legal advice' }, { ...bob, assets: 'catering', needs: 'bookkeeping' });
+
+    assert.equal(result.rationale_ops, 'Both in Construction and Marketing, potential for collaboration');
+  });
+});
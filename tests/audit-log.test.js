@@ -0,0 +1,108 @@
+// tests/audit-log.test.js - Audit log of destructive and administrative actions (audit-log.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin } = require('./helpers/app');
+
+describe('audit log', () => {
+  let harness;
+  let client;
+  let ann;
+  let bob;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+    ann = await registerMember(client, { name: 'Ann' });
+    bob = await registerMember(client, { name: 'Bob' });
+    await harness.db.run(`
+      INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score)
+      VALUES ('intro-1', $1, $2, 'top3', 60), ('intro-2', $2, $1, 'top3', 55)
+    `, [ann.memberId, bob.memberId]);
+    await loginAdmin(client);
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  it('records who deleted a member, from where, and the rows removed', async () => {
+    await client.delete(`/api/admin/member/${ann.memberId}`, { headers: { 'User-Agent': 'audit-test' } });
+
+    const { entries } = (await client.get('/api/admin/audit-log')).body;
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].action, 'member.delete');
+    assert.equal(entries[0].admin_id, 'admin-1');
+    assert.equal(entries[0].admin_email, 'admin');
+    assert.equal(entries[0].target_id, ann.memberId);
+    assert.equal(entries[0].target_label, 'Ann (Ann Co)');
+    assert.equal(entries[0].event_id, 'event-default');
+    assert.deepEqual(entries[0].affected, { members: 1, intros: 2 });
+    assert.match(entries[0].details.trashId, /^trash-/);
+    assert.equal(entries[0].method, 'DELETE');
+    assert.equal(entries[0].user_agent, 'audit-test');
+    assert.ok(entries[0].ip_address);
+  });
+
+  it('records a reset and a wipe, and keeps them after the wipe', async () => {
+    await client.post('/api/admin/reset-matches');
+    await client.delete('/api/admin/members/all');
+
+    const { entries } = (await client.get('/api/admin/audit-log')).body;
+
+    assert.deepEqual(entries.map(entry => entry.action), ['members.delete_all', 'matches.reset']);
+    assert.deepEqual(entries[0].affected, { members: 2, intros: 0 });
+    assert.deepEqual(entries[1].affected, { intros: 2, research_cache: 0 });
+  });
+
+  it('refuses to change or remove entries', async () => {
+    await client.delete(`/api/admin/member/${ann.memberId}`);
+
+    await assert.rejects(harness.db.run(`UPDATE audit_log SET admin_email = 'someone-else'`), /append-only/);
+    await assert.rejects(harness.db.run('DELETE FROM audit_log'), /append-only/);
+    assert.equal((await harness.db.all('SELECT audit_id FROM audit_log')).length, 1);
+  });
+
+  it('does not record refused or failed actions', async () => {
+    await client.delete('/api/admin/member/member-missing');
+
+    assert.deepEqual((await client.get('/api/admin/audit-log')).body.entries, []);
+  });
+
+  it('filters by action, admin, date and pages back', async () => {
+    await client.post('/api/admin/events', { name: 'Spring Mixer' });
+    await client.delete(`/api/admin/member/${ann.memberId}`);
+    await client.delete(`/api/admin/member/${bob.memberId}`);
+
+    const deletes = (await client.get('/api/admin/audit-log?action=member.delete')).body;
+    assert.equal(deletes.entries.length, 2);
+    assert.deepEqual(deletes.filters.actions, [{ action: 'event.create', count: 1 }, { action: 'member.delete', count: 2 }]);
+    assert.deepEqual(deletes.filters.admins, [{ admin_id: 'admin-1', admin_email: 'admin' }]);
+
+    const older = (await client.get(`/api/admin/audit-log?limit=1&before=${deletes.entries[0].audit_id}`)).body;
+    assert.equal(older.entries[0].target_id, ann.memberId);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    assert.deepEqual((await client.get(`/api/admin/audit-log?from=${tomorrow}`)).body.entries, []);
+    assert.equal((await client.get('/api/admin/audit-log?from=last-week')).status, 400);
+    assert.equal((await client.get('/api/admin/audit-log?before=abc')).status, 400);
+    assert.equal((await client.get('/api/admin/audit-log?limit=0')).status, 400);
+    assert.equal((await client.get('/api/admin/audit-log?limit=-5')).status, 400);
+    assert.equal((await client.get('/api/admin/audit-log?admin=admin-other')).body.entries.length, 0);
+  });
+
+  it('records account changes', async () => {
+    const created = await client.post('/api/admin/admins', { email: 'sam@example.com', role: 'volunteer' });
+    await client.patch(`/api/admin/admins/${created.body.admin.admin_id}`, { disabled: true });
+
+    const { entries } = (await client.get('/api/admin/audit-log')).body;
+
+    assert.deepEqual(entries.map(entry => entry.action), ['admin.update', 'admin.create']);
+    assert.deepEqual(entries[0].details, { previousRole: 'volunteer', disabled: true });
+    assert.equal(entries[1].target_label, 'sam@example.com');
+  });
+});
@@ -0,0 +1,186 @@
+// tests/duplicates.test.js - Duplicate registrations and member merges (duplicates.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+const duplicates = require('../duplicates');
+const duplicatesRepo = require('../repositories/duplicates');
+
+describe('duplicates', () => {
+  let harness;
+  let client;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  function addIntro(introId, forMemberId, toMemberId, tier, score, status) {
+    return harness.db.run(`
+      INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, status, rationale_ops)
+      VALUES ($1, $2, $3, $4, $5, $6, 'Rationale')
+    `, [introId, forMemberId, toMemberId, tier, score, status]);
+  }
+
+  it('scores names and organizations regardless of case, punctuation and word order', () => {
+    assert.equal(duplicates.textSimilarity('ann smith', 'smith ann'), 1);
+    assert.ok(duplicates.textSimilarity('ann smith', 'ann smyth') >= 0.85);
+    assert.ok(duplicates.textSimilarity('ann smith', 'bob jones') < 0.5);
+  });
+
+  it('flags a re-registration by email or by a similar name at a similar organization', async () => {
+    const first = await registerMember(client, { name: 'Ann Smith', org: 'Smith Builders' });
+    assert.equal(first.possibleDuplicate, false);
+
+    const sameEmail = await registerMember(client, { name: 'Annie', org: 'Elsewhere', email: 'ANN.SMITH@example.com' });
+    const similarName = await registerMember(client, { name: 'Smith, Ann', org: 'Smith Builders Inc.', email: 'ann@other.com' });
+    const someoneElse = await registerMember(client, { name: 'Bob Jones', org: 'Jones Legal' });
+
+    assert.equal(sameEmail.possibleDuplicate, true);
+    assert.equal(similarName.possibleDuplicate, true);
+    assert.equal(someoneElse.possibleDuplicate, false);
+  });
+
+  it('lists pairs for the admin, including near-identical embeddings, until dismissed', async () => {
+    const ann = await registerMember(client, { name: 'Ann' });
+    const annAgain = await registerMember(client, { name: 'Ann', email: 'ann@new.com' });
+    const carl = await registerMember(client, { name: 'Carl' });
+    await waitForEmbeddings([ann.memberId, annAgain.memberId, carl.memberId]);
+    await harness.db.run(`
+      UPDATE vectors SET embedding = (SELECT embedding FROM vectors WHERE member_id = $1) WHERE member_id = $2
+    `, [ann.memberId, carl.memberId]);
+    await loginAdmin(client);
+
+    const { pairs } = (await client.get('/api/admin/duplicates')).body;
+
+    const ids = pair => pair.members.map(member => member.member_id).sort();
+    const byEmbeddingOnly = pairs.find(pair => ids(pair).includes(carl.memberId) && ids(pair).includes(ann.memberId));
+    assert.deepEqual(byEmbeddingOnly.reasons, ['embedding']);
+    const reRegistration = pairs.find(pair => ids(pair).join() === [ann.memberId, annAgain.memberId].sort().join());
+    assert.deepEqual(reRegistration.reasons, ['name_org', 'embedding']);
+
+    const dismissed = await client.post('/api/admin/duplicates/dismiss', { memberIds: [carl.memberId, ann.memberId] });
+    assert.equal(dismissed.status, 200);
+
+    const after = (await client.get('/api/admin/duplicates')).body.pairs;
+    assert.equal(after.some(pair => ids(pair).includes(carl.memberId) && ids(pair).includes(ann.memberId)), false);
+  });
+
+  it('merges a profile into another, re-pointing intros and dropping its vector', async () => {
+    const ann = await registerMember(client, { name: 'Ann' });
+    const annAgain = await registerMember(client, { name: 'Ann', city: 'Shelbyville' });
+    const bob = await registerMember(client, { name: 'Bob' });
+    await waitForEmbeddings([ann.memberId, annAgain.memberId, bob.memberId]);
+
+    await addIntro('intro-old', ann.memberId, bob.memberId, 'top3', 70, 'draft');
+    await addIntro('intro-new', annAgain.memberId, bob.memberId, 'top3', 60, 'requested');
+    await addIntro('intro-bob', bob.memberId, annAgain.memberId, 'brainstorm', 50, 'draft');
+    await addIntro('intro-self', ann.memberId, annAgain.memberId, 'brainstorm', 90, 'draft');
+    await loginAdmin(client);
+
+    const response = await client.post('/api/admin/members/merge', {
+      keepId: ann.memberId,
+      mergeId: annAgain.memberId,
+      fields: { city: 'Shelbyville' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.member.city, 'Shelbyville');
+    assert.equal(response.body.reembedded, true);
+    assert.deepEqual(response.body.intros, { moved: 2, dropped: 2 });
+    assert.equal(response.body.affected.vectors, 1);
+
+    // The request got further than the draft, so it wins the Ann -> Bob slot
+    const rows = await harness.db.all('SELECT intro_id, for_member_id, to_member_id, status FROM intros ORDER BY intro_id');
+    assert.deepEqual(rows.map(row => [row.intro_id, row.for_member_id, row.to_member_id, row.status]), [
+      ['intro-bob', bob.memberId, ann.memberId, 'draft'],
+      ['intro-new', ann.memberId, bob.memberId, 'requested']
+    ]);
+
+    assert.equal(await harness.db.get('SELECT 1 FROM members WHERE member_id = $1', [annAgain.memberId]), null);
+    assert.equal(await harness.db.get('SELECT 1 FROM vectors WHERE member_id = $1', [annAgain.memberId]), null);
+    assert.ok(await harness.db.get('SELECT 1 FROM vectors WHERE member_id = $1', [ann.memberId]));
+    // The merged profile's embedding spend now counts against the kept one
+    const usage = await harness.db.all('SELECT member_id FROM ai_usage WHERE kind = $1', ['embedding']);
+    assert.ok(usage.length >= 3);
+    assert.ok(usage.every(row => [ann.memberId, bob.memberId].includes(row.member_id)));
+
+    const entry = (await client.get('/api/admin/audit-log?action=members.merge')).body.entries[0];
+    assert.equal(entry.details.mergedMember.member_id, annAgain.memberId);
+  });
+
+  it('gives the kept member the merged one\'s table seats', async () => {
+    const ann = await registerMember(client, { name: 'Ann' });
+    const annAgain = await registerMember(client, { name: 'Ann', city: 'Shelbyville' });
+    const bob = await registerMember(client, { name: 'Bob' });
+    const carl = await registerMember(client, { name: 'Carl' });
+    const dee = await registerMember(client, { name: 'Dee' });
+    await waitForEmbeddings([ann.memberId, annAgain.memberId, bob.memberId, carl.memberId, dee.memberId]);
+    // Round 1: only the second profile is seated; round 2: both are
+    await harness.db.run(`
+      INSERT INTO round_schedules (schedule_id, event_id, table_count, table_size, round_count)
+      VALUES ('schedule-1', 'event-default', 2, 2, 2)
+    `);
+    await harness.db.run(`
+      INSERT INTO round_seats (schedule_id, round, table_number, member_id)
+      VALUES ('schedule-1', 1, 1, $2), ('schedule-1', 1, 1, $3), ('schedule-1', 1, 2, $4), ('schedule-1', 1, 2, $5),
+             ('schedule-1', 2, 1, $1), ('schedule-1', 2, 1, $4), ('schedule-1', 2, 2, $2), ('schedule-1', 2, 2, $3)
+    `, [ann.memberId, annAgain.memberId, bob.memberId, carl.memberId, dee.memberId]);
+    await loginAdmin(client);
+
+    const response = await client.post('/api/admin/members/merge', { keepId: ann.memberId, mergeId: annAgain.memberId });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.affected.roundSeats, 1);
+    const seats = await harness.db.all('SELECT round, table_number FROM round_seats WHERE member_id = $1 ORDER BY round', [ann.memberId]);
+    assert.deepEqual(seats, [{ round: 1, table_number: 1 }, { round: 2, table_number: 1 }]);
+    assert.equal((await harness.db.get('SELECT COUNT(*)::int as count FROM round_seats')).count, 7);
+  });
+
+  it('rolls the whole merge back when a step fails', async (t) => {
+    const ann = await registerMember(client, { name: 'Ann' });
+    const annAgain = await registerMember(client, { name: 'Ann', city: 'Shelbyville' });
+    const bob = await registerMember(client, { name: 'Bob' });
+    await waitForEmbeddings([ann.memberId, annAgain.memberId, bob.memberId]);
+    await addIntro('intro-new', annAgain.memberId, bob.memberId, 'top3', 60, 'requested');
+    await loginAdmin(client);
+    t.mock.method(duplicatesRepo, 'removeMergedMember', async () => {
+      throw new Error('connection lost');
+    });
+
+    const response = await client.post('/api/admin/members/merge', { keepId: ann.memberId, mergeId: annAgain.memberId });
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await harness.db.get("SELECT for_member_id FROM intros WHERE intro_id = 'intro-new'"), { for_member_id: annAgain.memberId });
+    assert.ok(await harness.db.get('SELECT 1 FROM members WHERE member_id = $1', [annAgain.memberId]));
+  });
+
+  it('still registers the member when the duplicate check fails', async (t) => {
+    t.mock.method(duplicates, 'findForMember', async () => {
+      throw new Error('connection lost');
+    });
+
+    const ann = await registerMember(client, { name: 'Ann' });
+
+    assert.equal(ann.possibleDuplicate, false);
+    assert.ok(await harness.db.get('SELECT 1 FROM members WHERE member_id = $1', [ann.memberId]));
+  });
+
+  it('refuses to merge a member with itself or across events', async () => {
+    const ann = await registerMember(client, { name: 'Ann' });
+    await loginAdmin(client);
+    const created = await client.post('/api/admin/events', { name: 'Spring Mixer' });
+    const other = await registerMember(harness.client(), { name: 'Ann', event: created.body.event.slug });
+
+    assert.equal((await client.post('/api/admin/members/merge', { keepId: ann.memberId, mergeId: ann.memberId })).status, 400);
+    assert.equal((await client.post('/api/admin/members/merge', { keepId: ann.memberId, mergeId: other.memberId })).status, 400);
+    assert.equal((await client.post('/api/admin/members/merge', { keepId: ann.memberId, mergeId: 'member-missing' })).status, 404);
+  });
+});
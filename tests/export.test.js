@@ -0,0 +1,89 @@
+// tests/export.test.js - CSV, JSON and PDF exports of an event's intros (intro-export.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+
+const BREAKDOWN = JSON.stringify({ total: 72, semantic: 30, research: { complementary: 'Shared clients' } });
+
+describe('intro export', () => {
+  let harness;
+  let client;
+  let ann;
+  let bob;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+    ann = await registerMember(client, { name: 'Ann' });
+    bob = await registerMember(client, { name: 'Bob', org: '=Bob Co' });
+    await waitForEmbeddings([ann.memberId, bob.memberId]);
+    await harness.db.run(`
+      INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, score_breakdown, rationale_ops, creative_angle, intro_basis, status)
+      VALUES ('intro-1', $1, $2, 'top3', 72, $3, 'Bob needs builders, "Ann" builds', 'Co-host a site tour', 'Both in Springfield', 'accepted'),
+             ('intro-2', $2, $1, 'brainstorm', 65, $3, 'Referrals', 'Joint bid', 'Same club', 'draft')
+    `, [ann.memberId, bob.memberId, BREAKDOWN]);
+    await loginAdmin(client);
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  it('exports every intro as CSV', async () => {
+    const response = await client.get('/api/admin/export/intros.csv');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename=".*-intros\.csv"/);
+
+    const lines = response.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.equal(lines.length, 3);
+    assert.ok(lines[0].startsWith('Intro ID,For,For Organization,Introduced To'));
+    assert.ok(lines[1].startsWith("intro-1,Ann,Ann Co,Bob,'=Bob Co,top3,72,accepted,\"Bob needs builders, \"\"Ann\"\" builds\""));
+  });
+
+  it('exports JSON with the parsed score breakdown and the members', async () => {
+    const response = await client.get('/api/admin/export/intros.json');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.intros.length, 2);
+    assert.deepEqual(response.body.intros[0].score_breakdown, JSON.parse(BREAKDOWN));
+    assert.deepEqual(response.body.members.map(member => member.name).sort(), ['Ann', 'Bob']);
+    assert.equal(response.body.members[0].token_version, undefined);
+
+    const entry = (await client.get('/api/admin/audit-log?action=intros.export')).body.entries[0];
+    assert.deepEqual(entry.details, { format: 'json' });
+  });
+
+  it('leaves intros in the trash out', async () => {
+    await client.delete(`/api/admin/member/${bob.memberId}`);
+
+    const response = await client.get('/api/admin/export/intros.json');
+
+    assert.deepEqual(response.body.intros, []);
+  });
+
+  it('renders a Top 3 PDF for one member or the whole event', async () => {
+    const one = await client.get(`/api/admin/export/top3.pdf?member=${ann.memberId}`);
+    assert.equal(one.status, 200);
+    assert.equal(one.headers.get('content-type'), 'application/pdf');
+    assert.ok(one.body.startsWith('%PDF'));
+
+    const everyone = await client.get('/api/admin/export/top3.pdf');
+    assert.equal(everyone.status, 200);
+    assert.match(everyone.body, /\/Count 2\b/); // One page per member
+
+    assert.equal((await client.get('/api/admin/export/top3.pdf?member=member-missing')).status, 404);
+  });
+
+  it('needs an admin session', async () => {
+    const anonymous = harness.client();
+
+    assert.equal((await anonymous.get('/api/admin/export/intros.csv')).status, 401);
+    assert.equal((await anonymous.get(`/api/admin/export/top3.pdf?member=${ann.memberId}`)).status, 401);
+  });
+});
@@ -0,0 +1,181 @@
+// tests/generate.test.js - End-to-end Top 3 and brainstorm generation against the stub LLM
+// Runs the real job handlers (match-generation.js) and checks what ends up in the
+// intros table: scores, the stored breakdown, research and rationales.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, waitForEmbeddings, waitForJob } = require('./helpers/app');
+const llm = require('../llm');
+const { createStubProvider } = require('../llm/stub-provider');
+const { generateSimpleRationale } = require('../ai-pipeline');
+
+const FACTORS = [
+  'Universal Business Potential',
+  'Semantic Profile Similarity',
+  'Complementary Value Exchange',
+  'Market Alignment',
+  'Geographic & Logistical Synergy',
+  'Strategic Growth Opportunities'
+];
+
+const PROFILES = [
+  { name: 'Ann', industry: 'Construction', assets: 'Project management, permitting', needs: 'Marketing' },
+  { name: 'Bob', industry: 'Marketing', assets: 'Digital marketing, SEO', needs: 'Project management' },
+  { name: 'Cy', industry: 'Finance', assets: 'Bookkeeping, tax planning', needs: 'More customers' },
+  { name: 'Dee', industry: 'Legal', assets: 'Contract review', needs: 'Bookkeeping' },
+  { name: 'Eve', industry: 'Hospitality', assets: 'Event catering', needs: 'Social media' }
+];
+
+describe('match generation', () => {
+  let harness;
+  let client;
+  let registered;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    llm.setProvider(createStubProvider());
+    client = harness.client();
+    registered = {};
+    for (const profile of PROFILES) {
+      registered[profile.name] = await registerMember(client, profile);
+    }
+    await waitForEmbeddings(Object.values(registered).map(member => member.memberId));
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  async function generate(kind, member) {
+    const response = await client.post(`/api/generate-${kind}/${member.memberId}`, undefined, { token: member.accessToken });
+    assert.equal(response.status, 202);
+    return waitForJob(client, response.body.jobId, member.accessToken);
+  }
+
+  async function introsFor(member, tier) {
+    const rows = await harness.db.all(`
+      SELECT i.*, m.name FROM intros i JOIN members m ON i.to_member_id = m.member_id
+      WHERE i.for_member_id = $1 AND i.tier = $2
+      ORDER BY i.score DESC
+    `, [member.memberId, tier]);
+    return rows.map(row => ({ ...row, breakdown: JSON.parse(row.score_breakdown) }));
+  }
+
+  it('writes three researched Top 3 intros with their score breakdown', async () => {
+    const ann = registered.Ann;
+
+    const job = await generate('top3', ann);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.failed, 0);
+
+    const intros = await introsFor(ann, 'top3');
+    assert.equal(intros.length, 3);
+    for (const intro of intros) {
+      assert.equal(intro.status, 'draft');
+      assert.ok(intro.rationale_ops);
+      assert.ok(intro.creative_angle);
+      assert.ok(intro.intro_basis);
+      assert.ok(intro.scoring_profile_version);
+
+      assert.equal(intro.breakdown.score, intro.score);
+      assert.deepEqual(intro.breakdown.fullBreakdown.map(category => category.factor), FACTORS);
+      assert.equal(intro.breakdown.fullBreakdown.reduce((sum, category) => sum + category.points, 0), intro.score);
+      assert.equal(intro.breakdown.summary.earned, intro.score);
+      assert.ok(intro.breakdown.breakdown.length > 0);
+
+      // Stage 0 research is stored and counted in the complementary score
+      assert.equal(intro.breakdown.complementaryValueResearch.value_rating, 'Medium');
+      const complementary = intro.breakdown.fullBreakdown.find(category => category.factor === 'Complementary Value Exchange');
+      assert.equal(complementary.researchBacked, true);
+    }
+  });
+
+  it('shows the Top 3 on the member page', async () => {
+    const ann = registered.Ann;
+    await generate('top3', ann);
+
+    const page = await client.get(`/api/member/${ann.memberId}`, { token: ann.accessToken });
+
+    assert.equal(page.body.top3.length, 3);
+    assert.equal(page.body.jobs.top3.status, 'completed');
+  });
+
+  it('writes brainstorm intros for everyone outside the Top 3', async () => {
+    const ann = registered.Ann;
+    await generate('top3', ann);
+    const top3 = (await introsFor(ann, 'top3')).map(intro => intro.name);
+
+    const job = await generate('brainstorm', ann);
+
+    assert.equal(job.status, 'completed');
+    const brainstorm = await introsFor(ann, 'brainstorm');
+    assert.equal(brainstorm.length, 1);
+    assert.ok(!top3.includes(brainstorm[0].name));
+    assert.equal(brainstorm[0].breakdown.fullBreakdown.length, 6);
+    assert.ok(brainstorm[0].breakdown.complementaryValueResearch);
+  });
+
+  it('records the AI calls against the member and event', async () => {
+    const ann = registered.Ann;
+
+    await generate('top3', ann);
+
+    const usage = await harness.db.all(`
+      SELECT stage, COUNT(*)::int as calls FROM ai_usage
+      WHERE member_id = $1 AND event_id = 'event-default' AND kind = 'chat'
+      GROUP BY stage ORDER BY stage
+    `, [ann.memberId]);
+    const stages = Object.fromEntries(usage.map(row => [row.stage, row.calls]));
+    assert.equal(stages['complementary-value'], 4);
+    assert.equal(stages['match-rationale'], 3);
+    assert.equal(stages['fact-check'], 3);
+  });
+
+  it('falls back to the simple rationale when synthesis fails', async () => {
+    const stub = createStubProvider();
+    llm.setProvider({
+      ...stub,
+      chat: async (request) => {
+        if (request.stage === 'match-rationale') throw new Error('Synthesis timeout after 90 seconds');
+        return stub.chat(request);
+      }
+    });
+    const ann = registered.Ann;
+
+    const job = await generate('top3', ann);
+
+    assert.equal(job.failed, 0);
+    const intros = await introsFor(ann, 'top3');
+    assert.equal(intros.length, 3);
+    for (const intro of intros) {
+      const match = await harness.db.get('SELECT * FROM members WHERE member_id = $1', [intro.to_member_id]);
+      const member = await harness.db.get('SELECT * FROM members WHERE member_id = $1', [ann.memberId]);
+      assert.equal(intro.rationale_ops, generateSimpleRationale(member, match).rationale_ops);
+    }
+  });
+
+  it('writes score-only intros without AI calls once the budget is spent', async () => {
+    await harness.db.run(`UPDATE events SET ai_budget_usd = 0.01, ai_budget_mode = 'degrade' WHERE event_id = 'event-default'`);
+    await harness.db.run(`
+      INSERT INTO ai_usage (event_id, member_id, kind, stage, provider, model, total_tokens, cost_usd)
+      VALUES ('event-default', 'member-other', 'chat', 'fact-check', 'stub', 'stub-chat', 100, 0.02)
+    `);
+    const ann = registered.Ann;
+
+    const job = await generate('brainstorm', ann);
+
+    assert.equal(job.status, 'completed');
+    const brainstorm = await introsFor(ann, 'brainstorm');
+    assert.equal(brainstorm.length, 4);
+    for (const intro of brainstorm) {
+      assert.equal(intro.breakdown.complementaryValueResearch, null);
+      assert.equal(intro.breakdown.fullBreakdown.length, 6);
+    }
+    const calls = await harness.db.get(`SELECT COUNT(*)::int as count FROM ai_usage WHERE member_id = $1 AND kind = 'chat'`, [ann.memberId]);
+    assert.equal(calls.count, 0);
+  });
+});
@@ -0,0 +1,213 @@
+// tests/group-matching.test.js - Working groups: the group search and the 'groups' job (group-matching.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings, waitForJob } = require('./helpers/app');
+const scoringProfile = require('../scoring-profile');
+const members = require('../repositories/members');
+const groupIntros = require('../repositories/group-intros');
+const { findGroups } = require('../group-matching');
+
+// Ann, Bob and Carl each have what another one of them needs; Dee and Eve don't fit in
+const PROFILES = {
+  Ann: { needs: 'Marketing', assets: 'Accounting' },
+  Bob: { needs: 'Funding', assets: 'Marketing' },
+  Carl: { needs: 'Accounting', assets: 'Funding' },
+  Dee: { needs: 'Catering', assets: 'Plumbing' },
+  Eve: { needs: 'Catering', assets: 'Plumbing' }
+};
+
+describe('working groups', () => {
+  describe('findGroups', () => {
+    const profile = scoringProfile.compileProfile(scoringProfile.DEFAULT_PROFILE);
+    const people = Object.entries(PROFILES).map(([name, fields]) => ({
+      member_id: name.toLowerCase(), name, org: `${name} Co`, industry: 'Construction', embedding: null, ...fields
+    }));
+
+    it('puts the members whose assets cover each other\'s needs together', () => {
+      const [ann, ...pool] = people;
+
+      const groups = findGroups(ann, pool, profile);
+
+      assert.deepEqual(groups[0].memberIds, ['ann', 'bob', 'carl']);
+      assert.equal(groups[0].coverage.percentage, 100);
+      assert.deepEqual(groups[0].roles[0], { memberId: 'ann', gives: ['Accounting'], gets: ['Marketing'] });
+    });
+
+    it('suggests groups of three to five that share at most one other member', () => {
+      const [ann, ...pool] = people;
+
+      const groups = findGroups(ann, pool, profile);
+
+      assert.ok(groups.length > 1);
+      groups.forEach((group, idx) => {
+        assert.equal(group.memberIds[0], 'ann');
+        assert.ok(group.memberIds.length >= 3 && group.memberIds.length <= 5);
+        groups.slice(idx + 1).forEach(other => {
+          assert.ok(group.memberIds.slice(1).filter(memberId => other.memberIds.includes(memberId)).length <= 1);
+        });
+      });
+      assert.deepEqual(findGroups(ann, pool.slice(0, 1), profile), []);
+    });
+  });
+
+  describe('POST /api/generate-groups/:memberId', () => {
+    let harness;
+    let client;
+    let people;
+
+    before(async () => {
+      harness = await startApp();
+    });
+
+    beforeEach(async () => {
+      await harness.db.reset();
+      client = harness.client();
+      people = [];
+      for (const [name, fields] of Object.entries(PROFILES)) {
+        people.push(await registerMember(client, { name, ...fields }));
+      }
+      await waitForEmbeddings(people.map(person => person.memberId));
+    });
+
+    after(async () => {
+      await harness.close();
+    });
+
+    async function generateGroups(person) {
+      const response = await client.post(`/api/generate-groups/${person.memberId}`, undefined, { token: person.accessToken });
+      assert.equal(response.status, 202);
+      return waitForJob(client, response.body.jobId, person.accessToken);
+    }
+
+    async function memberGroups(person) {
+      return (await client.get(`/api/member/${person.memberId}`, { token: person.accessToken })).body.groups;
+    }
+
+    it('writes group intros with the members\' roles and a group rationale', async () => {
+      const [ann, bob, carl] = people;
+
+      const job = await generateGroups(ann);
+
+      assert.equal(job.status, 'completed');
+      const groups = await memberGroups(ann);
+      assert.equal(groups.length, job.completed);
+      assert.deepEqual(groups[0].members.map(member => member.member_id), [ann.memberId, bob.memberId, carl.memberId]);
+      assert.deepEqual(groups[0].members[0], {
+        member_id: ann.memberId, name: 'Ann', org: 'Ann Co', role: 'Owner', city: 'Springfield', industry: 'Construction',
+        gives: 'Accounting', gets: 'Marketing'
+      });
+      assert.match(groups[0].rationale_ops, /Offline demo rationale/);
+      assert.equal(JSON.parse(groups[0].score_breakdown).coverage.covered, 3);
+    });
+
+    it('replaces the earlier groups when generated again', async () => {
+      const [ann] = people;
+
+      await generateGroups(ann);
+      const first = await memberGroups(ann);
+      await generateGroups(ann);
+      const second = await memberGroups(ann);
+
+      assert.equal(second.length, first.length);
+      assert.ok(second.every(group => !first.some(earlier => earlier.group_intro_id === group.group_intro_id)));
+    });
+
+    it('keeps the earlier groups when every new group fails', async (t) => {
+      const [ann] = people;
+      await generateGroups(ann);
+      const first = await memberGroups(ann);
+
+      // The other group members disappear while the job runs
+      const findById = members.findById;
+      t.mock.method(members, 'findById', async (memberId) => (memberId === ann.memberId ? findById(memberId) : null));
+      const job = await generateGroups(ann);
+
+      assert.equal(job.completed, 0);
+      assert.ok(job.failed > 0);
+      assert.deepEqual((await memberGroups(ann)).map(group => group.group_intro_id), first.map(group => group.group_intro_id));
+    });
+
+    it('keeps the earlier groups when writing the new ones fails partway', async (t) => {
+      const [ann] = people;
+      await generateGroups(ann);
+      const first = await memberGroups(ann);
+      assert.ok(first.length > 1);
+
+      const save = groupIntros.save;
+      let calls = 0;
+      t.mock.method(groupIntros, 'save', async (group, conn) => {
+        if (++calls === 2) throw new Error('connection lost');
+        return save(group, conn);
+      });
+      const job = await generateGroups(ann);
+
+      assert.equal(job.status, 'failed');
+      assert.deepEqual((await memberGroups(ann)).map(group => group.group_intro_id), first.map(group => group.group_intro_id));
+    });
+
+    it('moves groups to the trash with the event\'s matches and restores them', async () => {
+      const [ann] = people;
+      await generateGroups(ann);
+      const groups = await memberGroups(ann);
+      await loginAdmin(client);
+
+      const reset = await client.post('/api/admin/reset-matches');
+      assert.equal(reset.status, 200);
+      assert.deepEqual(await memberGroups(ann), []);
+
+      const restored = await client.post(`/api/admin/trash/${reset.body.trashId}/restore`);
+      assert.equal(restored.body.restored.intros, groups.length);
+      assert.equal((await memberGroups(ann)).length, groups.length);
+    });
+
+    it('moves groups with a participant to the trash and restores them', async () => {
+      const [ann, bob] = people;
+      await generateGroups(ann);
+      const withBob = (await memberGroups(ann)).filter(group => group.members.some(member => member.member_id === bob.memberId));
+      assert.ok(withBob.length > 0);
+      await loginAdmin(client);
+
+      const deleted = await client.delete(`/api/admin/member/${bob.memberId}`);
+      assert.equal(deleted.status, 200);
+      const left = await memberGroups(ann);
+      assert.ok(left.every(group => !withBob.some(other => other.group_intro_id === group.group_intro_id)));
+
+      await client.post(`/api/admin/trash/${deleted.body.trashId}/restore`);
+      assert.equal((await memberGroups(ann)).filter(group => group.members.some(member => member.member_id === bob.memberId)).length, withBob.length);
+    });
+
+    it('keeps the groups through a merge and drops those left with two people', async () => {
+      const [ann, bob, carl] = people;
+      await generateGroups(ann);
+      const before = await memberGroups(ann);
+      const bobAgain = await registerMember(client, { name: 'Bob Again', ...PROFILES.Bob });
+      await loginAdmin(client);
+
+      // Bob's rows move to his second profile, so the groups keep all their members
+      const merged = await client.post('/api/admin/members/merge', { keepId: bobAgain.memberId, mergeId: bob.memberId });
+      assert.equal(merged.status, 200);
+      const after = await memberGroups(ann);
+      assert.equal(after.length, before.length);
+      assert.deepEqual(after.map(group => group.members.length), before.map(group => group.members.length));
+      assert.ok(after.every(group => !group.members.some(member => member.member_id === bob.memberId)));
+      assert.deepEqual(after[0].members.map(member => member.member_id), [ann.memberId, bobAgain.memberId, carl.memberId]);
+
+      // Folding Carl into Bob's profile leaves Ann + Bob, which is no longer a group
+      const folded = await client.post('/api/admin/members/merge', { keepId: bobAgain.memberId, mergeId: carl.memberId });
+      assert.ok(folded.body.groups.dropped >= 1);
+      assert.ok((await memberGroups(ann)).every(group => group.members.length >= 3));
+    });
+
+    it('reports no groups job until one has run', async () => {
+      const [ann] = people;
+      const page = (await client.get(`/api/member/${ann.memberId}`, { token: ann.accessToken })).body;
+      assert.deepEqual(page.jobs, { top3: null, brainstorm: null, groups: null });
+    });
+
+    it('needs the member\'s token', async () => {
+      const [ann, bob] = people;
+      assert.equal((await client.post(`/api/generate-groups/${ann.memberId}`)).status, 401);
+      assert.equal((await client.post(`/api/generate-groups/${ann.memberId}`, undefined, { token: bob.accessToken })).status, 403);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// tests/helpers/app.js - Starts the real app on a random port against the test database
+// Usage: const harness = await startApp() in before(), harness.close() in after().
+// AI calls go to the deterministic stub provider (llm/stub-provider.js) unless a test
+// swaps in its own with llm.setProvider().
+const testDb = require('./test-db');
+const llm = require('../../llm');
+const { createStubProvider } = require('../../llm/stub-provider');
+
+process.env.MEMBER_TOKEN_SECRET = process.env.MEMBER_TOKEN_SECRET || 'test-member-token-secret';
+
+// A fetch wrapper that keeps the session cookie, like a browser tab
+function createClient(baseUrl) {
+  let cookie = null;
+
+  async function request(method, url, { body, token, headers = {} } = {}) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...(token ? { 'X-Member-Token': token } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (static pages, redirects) - keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  return {
+    request,
+    get: (url, options) => request('GET', url, options),
+    post: (url, body, options = {}) => request('POST', url, { ...options, body }),
+    put: (url, body, options = {}) => request('PUT', url, { ...options, body }),
+    patch: (url, body, options = {}) => request('PATCH', url, { ...options, body }),
+    delete: (url, options) => request('DELETE', url, options),
+    clearCookies: () => { cookie = null; }
+  };
+}
+
+async function startApp() {
+  llm.setProvider(createStubProvider());
+  await testDb.migrate();
+
+  const { createApp } = require('../../app');
+  const server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    db: testDb,
+    client: () => createClient(baseUrl),
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      await testDb.close();
+    }
+  };
+}
+
+// Register through the public route. Returns { memberId, eventId, accessToken }.
+async function registerMember(client, fields = {}) {
+  const name = fields.name || 'Test Member';
+  const response = await client.post('/api/register', {
+    name,
+    org: `${name} Co`,
+    role: 'Owner',
+    industry: 'Construction',
+    city: 'Springfield',
+    rev_driver: 'Project contracts',
+    current_constraint: 'Finding new clients',
+    assets: 'Commercial builds, permitting know-how',
+    needs: 'Referrals from architects',
+    fun_fact: 'Plays the trumpet',
+    email: `${name.toLowerCase().replace(/\s+/g, '.')}@example.com`,
+    ...fields
+  });
+  if (response.status !== 200) {
+    throw new Error(`Registration failed (${response.status}): ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+}
+
+// Log in with the admin account created by migration 001 (admin / admin)
+async function loginAdmin(client) {
+  const response = await client.post('/api/admin/login', { email: 'admin', password: 'admin' });
+  if (response.status !== 200) {
+    throw new Error(`Admin login failed (${response.status})`);
+  }
+  return response;
+}
+
+// Embeddings are generated in the background after registration
+async function waitForEmbeddings(memberIds) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const row = await testDb.get('SELECT COUNT(*)::int as count FROM vectors WHERE member_id = ANY($1)', [memberIds]);
+    if (row.count === memberIds.length) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Embeddings were not generated');
+}
+
+// Poll a generation job until it completes or fails
+async function waitForJob(client, jobId, token) {
+  for (let attempt = 0; attempt < 300; attempt++) {
+    const response = await client.get(`/api/jobs/${jobId}`, { token });
+    if (['completed', 'failed'].includes(response.body.status)) return response.body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+module.exports = {
+  startApp,
+  createClient,
+  registerMember,
+  loginAdmin,
+  waitForEmbeddings,
+  waitForJob
+};
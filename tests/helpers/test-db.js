@@ -0,0 +1,116 @@
+// tests/helpers/test-db.js - In-process Postgres (PGlite + pgvector) standing in for db.js
+// Require this before anything that loads ../../db.js: it swaps that module for the
+// same get/all/run/query API on an empty in-memory database, so every test file gets
+// its own schema built by the real migrations (migrate.js).
+// The app logs every step; set TEST_LOGS=1 to see that output.
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { vector } = require('@electric-sql/pglite-pgvector');
+
+const pg = new PGlite({ extensions: { vector } });
+
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+// Parameterised statements go through query(); migrations and other multi-statement
+// scripts only work through exec(), which returns one result per statement
+async function query(text, params) {
+  if (params && params.length > 0) {
+    const result = await pg.query(text, params);
+    return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+  }
+  const results = await pg.exec(text);
+  const last = results[results.length - 1] || { rows: [] };
+  return { rows: last.rows, rowCount: last.affectedRows ?? last.rows.length };
+}
+
+async function get(text, params) {
+  const result = await query(text, params);
+  return result.rows[0] || null;
+}
+
+async function all(text, params) {
+  const result = await query(text, params);
+  return result.rows;
+}
+
+async function run(text, params) {
+  const result = await query(text, params);
+  return {
+    lastID: result.rows[0]?.id,
+    changes: result.rowCount
+  };
+}
+
+// PGlite queues every other query until the transaction is done, like a dedicated client
+async function transaction(fn) {
+  return pg.transaction(async (client) => fn({
+    get: async (text, params) => (await client.query(text, params)).rows[0] || null,
+    all: async (text, params) => (await client.query(text, params)).rows,
+    run: async (text, params) => {
+      const result = await client.query(text, params);
+      return { lastID: result.rows[0]?.id, changes: result.affectedRows ?? result.rows.length };
+    }
+  }));
+}
+
+// PGlite is a single connection, so every "client" shares it
+const pool = {
+  query,
+  connect: async () => ({ query, release: () => {} }),
+  end: async () => {}
+};
+
+const dbPath = require.resolve(path.join(__dirname, '..', '..', 'db.js'));
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: { pool, query, get, all, run, transaction, testConnection: async () => true }
+};
+
+// bcrypt hash of "admin", as seeded by 001_init.sql
+const SEEDED_ADMIN_HASH = '$2b$10$E1EIts/AegZ0fXn7lWN8peLqcoJZAM6hq6eMO8JcJyXl9ukcL/sJW';
+
+// Build the schema with the app's own migrations
+async function migrate() {
+  await require('../../migrate').up();
+}
+
+// Empty every table that tests write to (schema and the default event stay). The seeded
+// admin/admin owner is kept, without the forced password change so tests can log in directly.
+async function reset() {
+  await pg.exec(`
+    TRUNCATE intro_status_history, intros, group_intro_members, group_intros, vectors, research_cache,
+      ai_usage, admin_sessions, generation_job_items, generation_jobs, duplicate_dismissals, round_seats,
+      round_schedules, members, scoring_profiles, trash;
+    DELETE FROM events WHERE event_id <> 'event-default';
+    UPDATE events SET is_active = true, ai_budget_usd = NULL, ai_budget_mode = NULL;
+    DELETE FROM admin_users WHERE admin_id <> 'admin-1';
+    -- audit_log is append-only; replica mode skips the trigger that guards it
+    SET session_replication_role = replica;
+    TRUNCATE audit_log;
+    SET session_replication_role = DEFAULT;
+    UPDATE admin_users
+    SET role = 'owner', disabled_at = NULL, must_change_password = false,
+        password_hash = '${SEEDED_ADMIN_HASH}'
+    WHERE admin_id = 'admin-1';
+  `);
+}
+
+async function close() {
+  await pg.close();
+}
+
+module.exports = {
+  pg,
+  query,
+  get,
+  all,
+  run,
+  migrate,
+  reset,
+  close
+};
@@ -0,0 +1,136 @@
+// tests/import.test.js - CSV / XLSX attendee import (member-import.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+const members = require('../repositories/members');
+
+const CSV = [
+  'Full Name,Company,Job Title,Industry,City,Email,What I Need',
+  'Cara Diaz,Diaz Legal,Partner,Legal,Springfield,cara@example.com,"Clients, mostly small firms"',
+  'Dan Eze,Eze Bakery,Owner,Food,Shelbyville,ann@EXAMPLE.com,',
+  'Bob,bob co,Owner,Construction,Springfield,,',
+  'Cara Diaz,Diaz Legal,Associate,Legal,Springfield,,',
+  'Eve Fox,Fox Media,Director,Media,,eve@example.com,',
+  'Gus Hill,Hill Farms,Owner,Agriculture,Ogdenville,not-an-email,'
+].join('\r\n');
+
+function upload(content, extra = {}) {
+  return { filename: 'attendees.csv', content: Buffer.from(content).toString('base64'), ...extra };
+}
+
+describe('member import', () => {
+  let harness;
+  let client;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+    const ann = await registerMember(client, { name: 'Ann' });
+    const bob = await registerMember(client, { name: 'Bob' });
+    await waitForEmbeddings([ann.memberId, bob.memberId]);
+    await loginAdmin(client);
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  it('previews a CSV with a suggested mapping without writing anything', async () => {
+    const response = await client.post('/api/admin/import', upload(CSV));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dryRun, true);
+    assert.deepEqual(response.body.mapping, {
+      name: 'Full Name', org: 'Company', role: 'Job Title', industry: 'Industry', city: 'City', email: 'Email', needs: 'What I Need'
+    });
+    assert.deepEqual(response.body.summary, { total: 6, new: 1, duplicate: 3, invalid: 2 });
+
+    const [cara, dan, bob, caraAgain, eve, gus] = response.body.rows;
+    assert.equal(cara.status, 'new');
+    assert.equal(cara.row, 2);
+    assert.equal(cara.fields.needs, 'Clients, mostly small firms');
+    assert.equal(dan.duplicateOf.name, 'Ann'); // Same email, any case
+    assert.equal(bob.duplicateOf.name, 'Bob'); // Same name + org
+    assert.deepEqual(caraAgain.duplicateOf, { row: 2, name: 'Cara Diaz', org: 'Diaz Legal' });
+    assert.deepEqual(eve.errors, ['Missing city']);
+    assert.deepEqual(gus.errors, ['Invalid email']);
+
+    assert.equal((await client.get('/db/count')).body.members, 2);
+  });
+
+  it('imports only the new rows and generates their embeddings', async () => {
+    const response = await client.post('/api/admin/import', upload(CSV, { dryRun: false }));
+
+    assert.equal(response.body.imported, 1);
+    assert.equal(response.body.rows.length, 5);
+    await waitForEmbeddings(response.body.memberIds);
+
+    const names = (await client.get('/api/admin/members')).body.map(member => member.name).sort();
+    assert.deepEqual(names, ['Ann', 'Bob', 'Cara Diaz']);
+
+    const entry = (await client.get('/api/admin/audit-log?action=members.import')).body.entries[0];
+    assert.deepEqual(entry.affected, { members: 1 });
+    assert.equal(entry.details.duplicate, 3);
+  });
+
+  it('imports nothing when a row fails to save', async (t) => {
+    const csv = [
+      'Name,Org,Role,Industry,City',
+      'Cara Diaz,Diaz Legal,Partner,Legal,Springfield',
+      'Dan Eze,Eze Bakery,Owner,Food,Shelbyville',
+      'Eve Fox,Fox Media,Director,Media,Ogdenville'
+    ].join('\n');
+    const create = members.create;
+    let calls = 0;
+    t.mock.method(members, 'create', async (eventId, fields, conn) => {
+      if (++calls === 2) throw new Error('connection lost');
+      return create(eventId, fields, conn);
+    });
+
+    const response = await client.post('/api/admin/import', upload(csv, { dryRun: false }));
+
+    assert.equal(response.status, 500);
+    assert.equal((await client.get('/db/count')).body.members, 2);
+    assert.deepEqual((await client.get('/api/admin/audit-log?action=members.import')).body.entries, []);
+  });
+
+  it('reads an XLSX file with a mapping chosen by the admin', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Attendees');
+    sheet.addRow(['Attendee', 'Firm', 'Position', 'Sector', 'Town', 'Home town']);
+    sheet.addRow(['Ivy Jones', 'Jones & Co', 'Founder', 'Retail', 'Capital City', 'Springfield']);
+    const content = Buffer.from(await workbook.xlsx.writeBuffer()).toString('base64');
+
+    const suggested = await client.post('/api/admin/import', { filename: 'people.xlsx', content });
+    assert.deepEqual(suggested.body.unmappedRequired, ['org']);
+    assert.equal(suggested.body.rows[0].status, 'invalid');
+
+    const response = await client.post('/api/admin/import', {
+      filename: 'people.xlsx',
+      content,
+      mapping: { name: 'Attendee', org: 'Firm', role: 'Position', industry: 'Sector', city: 'Home town' },
+      dryRun: false
+    });
+
+    assert.equal(response.body.imported, 1);
+    const member = await harness.db.get('SELECT * FROM members WHERE member_id = $1', [response.body.memberIds[0]]);
+    assert.equal(member.org, 'Jones & Co');
+    assert.equal(member.city, 'Springfield');
+  });
+
+  it('rejects unknown file types and needs the organizer role', async () => {
+    assert.equal((await client.post('/api/admin/import', { filename: 'people.pdf', content: 'JVBERi0=' })).status, 400);
+    assert.equal((await client.post('/api/admin/import', { filename: 'people.xlsx', content: 'bm90IGEgemlw' })).status, 400);
+
+    assert.equal((await harness.client().post('/api/admin/import', upload(CSV))).status, 401);
+    await harness.db.run(`INSERT INTO admin_users (admin_id, email, password_hash, role) SELECT 'admin-vol', 'vol', password_hash, 'volunteer' FROM admin_users WHERE admin_id = 'admin-1'`);
+    const volunteer = harness.client();
+    await volunteer.post('/api/admin/login', { email: 'vol', password: 'admin' });
+    assert.equal((await volunteer.post('/api/admin/import', upload(CSV))).status, 403);
+  });
+});
@@ -0,0 +1,187 @@
+// tests/intro-feedback.test.js - Member feedback on intros and the calibration report (intro-feedback.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+const { suggestWeights, isPositive } = require('../intro-feedback');
+
+// A stored score breakdown where each category scored the given share of its maximum
+function breakdown(shares) {
+  const factors = {
+    universal: ['Universal Business Potential', 30],
+    semantic: ['Semantic Profile Similarity', 20],
+    complementary: ['Complementary Value Exchange', 20],
+    market: ['Market Alignment', 15],
+    geographic: ['Geographic & Logistical Synergy', 5],
+    strategic: ['Strategic Growth Opportunities', 10]
+  };
+  return JSON.stringify({
+    fullBreakdown: Object.entries(factors).map(([key, [factor, maxPoints]]) => ({
+      factor, maxPoints, points: Math.round((shares[key] ?? 0.5) * maxPoints)
+    }))
+  });
+}
+
+describe('intro feedback', () => {
+  let harness;
+  let client;
+  let people;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+    people = [];
+    for (const name of ['Ann', 'Bob', 'Carl', 'Dee']) {
+      people.push(await registerMember(client, { name }));
+    }
+    await waitForEmbeddings(people.map(person => person.memberId));
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  // One top3 intro per ordered pair of members (up to 12), in order
+  async function insertIntros(count, breakdownFor = () => breakdown({})) {
+    const pairs = people.flatMap(a => people.filter(b => b !== a).map(b => [a, b]));
+    const introIds = [];
+    for (const [idx, [a, b]] of pairs.slice(0, count).entries()) {
+      const introId = `intro-${idx + 1}`;
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, score_breakdown, rationale_ops, status)
+        VALUES ($1, $2, $3, 'top3', 70, $4, 'Worth meeting', 'draft')
+      `, [introId, a.memberId, b.memberId, breakdownFor(idx)]);
+      introIds.push(introId);
+    }
+    return introIds;
+  }
+
+  async function storedFeedback(introId) {
+    return harness.db.get('SELECT feedback_rating, feedback_outcome, feedback_at FROM intros WHERE intro_id = $1', [introId]);
+  }
+
+  describe('POST /api/intros/:introId/feedback', () => {
+    it('saves the rating and outcome for the member the intro was written for', async () => {
+      const [ann] = people;
+      const [introId] = await insertIntros(1);
+
+      const rated = await client.post(`/api/intros/${introId}/feedback`, { rating: 'up' }, { token: ann.accessToken });
+      assert.equal(rated.status, 200);
+      assert.deepEqual(rated.body, { success: true, introId, rating: 'up', outcome: null });
+
+      // Leaving the rating out keeps it
+      const met = await client.post(`/api/intros/${introId}/feedback`, { outcome: 'referral' }, { token: ann.accessToken });
+      assert.deepEqual(met.body, { success: true, introId, rating: 'up', outcome: 'referral' });
+      const stored = await storedFeedback(introId);
+      assert.equal(stored.feedback_outcome, 'referral');
+      assert.ok(stored.feedback_at);
+    });
+
+    it('clears feedback set to null', async () => {
+      const [ann] = people;
+      const [introId] = await insertIntros(1);
+      await client.post(`/api/intros/${introId}/feedback`, { rating: 'down', outcome: 'met' }, { token: ann.accessToken });
+
+      const cleared = await client.post(`/api/intros/${introId}/feedback`, { rating: null, outcome: null }, { token: ann.accessToken });
+
+      assert.equal(cleared.status, 200);
+      assert.deepEqual(await storedFeedback(introId), { feedback_rating: null, feedback_outcome: null, feedback_at: null });
+    });
+
+    it('rejects unknown ratings and outcomes', async () => {
+      const [ann] = people;
+      const [introId] = await insertIntros(1);
+
+      assert.equal((await client.post(`/api/intros/${introId}/feedback`, { rating: 'meh' }, { token: ann.accessToken })).status, 400);
+      assert.equal((await client.post(`/api/intros/${introId}/feedback`, { outcome: 'lunch' }, { token: ann.accessToken })).status, 400);
+      assert.equal((await client.post(`/api/intros/${introId}/feedback`, {}, { token: ann.accessToken })).status, 400);
+      assert.equal((await client.post('/api/intros/intro-missing/feedback', { rating: 'up' }, { token: ann.accessToken })).status, 404);
+      assert.equal((await storedFeedback(introId)).feedback_at, null);
+    });
+
+    it('only lets the member the intro was written for give feedback', async () => {
+      const [, bob] = people;
+      const [introId] = await insertIntros(1);
+
+      assert.equal((await client.post(`/api/intros/${introId}/feedback`, { rating: 'up' })).status, 401);
+      assert.equal((await client.post(`/api/intros/${introId}/feedback`, { rating: 'up' }, { token: bob.accessToken })).status, 403);
+    });
+  });
+
+  describe('GET /api/admin/calibration-report', () => {
+    // The first half went well and scored high on complementary value and low on
+    // semantic similarity; the second half the other way round
+    async function rateIntros(count) {
+      const introIds = await insertIntros(count, idx => (idx < count / 2
+        ? breakdown({ complementary: 0.9, semantic: 0.2 })
+        : breakdown({ complementary: 0.2, semantic: 0.8 })));
+      for (const [idx, introId] of introIds.entries()) {
+        const [rating, outcome] = idx < count / 2 ? ['up', 'follow_up'] : ['down', 'met'];
+        await harness.db.run('UPDATE intros SET feedback_rating = $2, feedback_outcome = $3, feedback_at = NOW() WHERE intro_id = $1', [introId, rating, outcome]);
+      }
+    }
+
+    it('correlates each score category with the intros that went well and suggests weights', async () => {
+      await rateIntros(12);
+      await loginAdmin(client);
+
+      const response = await client.get('/api/admin/calibration-report');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.feedback, {
+        total: 12, positive: 6, ratings: { up: 6, down: 6 }, outcomes: { met: 6, follow_up: 6, referral: 0, deal: 0 }
+      });
+      const factors = Object.fromEntries(response.body.factors.map(factor => [factor.key, factor]));
+      assert.deepEqual(
+        [factors.complementary.positiveAverage, factors.complementary.otherAverage, factors.complementary.correlation],
+        [90, 20, 1]
+      );
+      assert.equal(factors.semantic.correlation, -1);
+      assert.equal(factors.market.correlation, null); // Scored the same everywhere
+      assert.deepEqual(response.body.suggestedWeights, {
+        universal: 30, semantic: 10, complementary: 30, market: 15, geographic: 5, strategic: 10
+      });
+    });
+
+    it('holds back suggested weights until enough intros have feedback', async () => {
+      await rateIntros(8);
+      await loginAdmin(client);
+
+      const response = await client.get('/api/admin/calibration-report');
+
+      assert.equal(response.body.feedback.total, 8);
+      assert.equal(response.body.factors.find(factor => factor.key === 'complementary').correlation, 1);
+      assert.equal(response.body.suggestedWeights, null);
+    });
+
+    it('needs an admin session', async () => {
+      assert.equal((await client.get('/api/admin/calibration-report')).status, 401);
+    });
+  });
+
+  describe('isPositive', () => {
+    it('goes by the rating when there is one and by the outcome otherwise', () => {
+      assert.equal(isPositive({ feedback_rating: 'up', feedback_outcome: 'met' }), true);
+      assert.equal(isPositive({ feedback_rating: 'down', feedback_outcome: 'deal' }), false);
+      assert.equal(isPositive({ feedback_rating: null, feedback_outcome: 'referral' }), true);
+      assert.equal(isPositive({ feedback_rating: null, feedback_outcome: 'met' }), false);
+      assert.equal(isPositive({ feedback_rating: null, feedback_outcome: null }), false);
+    });
+  });
+
+  describe('suggestWeights', () => {
+    it('keeps the weights whole and summing to 100', () => {
+      const weights = { universal: 30, semantic: 20, complementary: 20, market: 15, geographic: 5, strategic: 10 };
+
+      const suggested = suggestWeights(weights, { universal: 0.3, semantic: -0.45, complementary: 0.8, market: null, geographic: 0.1, strategic: -0.2 });
+
+      assert.equal(Object.values(suggested).reduce((sum, value) => sum + value, 0), 100);
+      assert.ok(Object.values(suggested).every(Number.isInteger));
+      assert.ok(suggested.complementary > weights.complementary);
+      assert.ok(suggested.semantic < weights.semantic);
+    });
+  });
+});
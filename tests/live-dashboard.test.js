@@ -0,0 +1,155 @@
+// tests/live-dashboard.test.js - The projector dashboard's event stream (live-dashboard.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, waitForEmbeddings } = require('./helpers/app');
+const liveDashboard = require('../live-dashboard');
+const dashboard = require('../repositories/dashboard');
+
+// Reads Server-Sent Events off a fetch response: next(type) resolves with the data of
+// the next event of that type
+async function openStream(url) {
+  const controller = new AbortController();
+  const response = await fetch(url, { signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const received = [];
+
+  async function next(type, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const index = received.findIndex(event => event.type === type);
+      if (index !== -1) return received.splice(index, 1)[0].data;
+      if (Date.now() > deadline) throw new Error(`No '${type}' event within ${timeoutMs}ms`);
+
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Stream closed');
+      buffer += decoder.decode(value, { stream: true });
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const chunk = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const eventType = chunk.match(/^event: (.*)$/m);
+        const data = chunk.match(/^data: (.*)$/m);
+        if (eventType && data) received.push({ type: eventType[1], data: JSON.parse(data[1]) });
+      }
+    }
+  }
+
+  return { response, next, close: () => controller.abort() };
+}
+
+describe('live dashboard', () => {
+  let harness;
+  let client;
+  let stream;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  async function closeStream() {
+    stream.close();
+    // Wait for the server to notice, so the next test starts without subscribers
+    for (let i = 0; i < 50 && liveDashboard.subscriberCount('event-default') > 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  it('starts with a snapshot, then pushes registrations and fresh stats', async () => {
+    stream = await openStream(`${harness.baseUrl}/api/dashboard/stream?event=default`);
+    try {
+      assert.equal(stream.response.headers.get('content-type'), 'text/event-stream');
+      const snapshot = await stream.next('snapshot');
+      assert.equal(snapshot.event.slug, 'default');
+      assert.equal(snapshot.stats.total_members, 0);
+
+      const ann = await registerMember(client, { name: 'Ann' });
+
+      const registered = await stream.next('activity');
+      assert.equal(registered.type, 'member.registered');
+      assert.equal(registered.name, 'Ann');
+      assert.equal(registered.action, 'registered');
+
+      const embedded = await stream.next('activity');
+      assert.equal(embedded.type, 'embedding.completed');
+
+      const stats = await stream.next('stats');
+      assert.equal(stats.total_members, 1);
+      await waitForEmbeddings([ann.memberId]);
+    } finally {
+      await closeStream();
+    }
+  });
+
+  it('stamps acknowledged_at when an intro is accepted and reports it on the feed', async () => {
+    const ann = await registerMember(client, { name: 'Ann' });
+    const bob = await registerMember(client, { name: 'Bob' });
+    await waitForEmbeddings([ann.memberId, bob.memberId]);
+    await harness.db.run(`
+      INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, status)
+      VALUES ('intro-1', $1, $2, 'top3', 60, 'draft')
+    `, [ann.memberId, bob.memberId]);
+
+    stream = await openStream(`${harness.baseUrl}/api/dashboard/stream`);
+    try {
+      await stream.next('snapshot');
+
+      await client.post('/api/intros/intro-1/request', undefined, { token: ann.accessToken });
+      const requested = await stream.next('activity');
+      assert.equal(requested.type, 'intro.requested');
+      assert.equal(requested.action, 'requested an introduction');
+
+      const requestedRow = await harness.db.get('SELECT acknowledged_at FROM intros WHERE intro_id = $1', ['intro-1']);
+      assert.equal(requestedRow.acknowledged_at, null);
+
+      await client.post('/api/intros/intro-1/accept', undefined, { token: bob.accessToken });
+      const accepted = await stream.next('activity');
+      assert.equal(accepted.type, 'intro.accepted');
+      assert.equal(accepted.name, 'Ann');
+
+      const row = await harness.db.get('SELECT acknowledged_at FROM intros WHERE intro_id = $1', ['intro-1']);
+      assert.ok(row.acknowledged_at);
+
+      const feed = (await client.get('/api/dashboard/stats')).body.recentActivity;
+      assert.equal(feed[0].type, 'intro.accepted');
+      assert.equal(new Date(feed[0].timestamp).getTime(), new Date(row.acknowledged_at).getTime());
+    } finally {
+      await closeStream();
+    }
+  });
+
+  it('404s for an unknown event and stops publishing once nobody watches', async () => {
+    const response = await fetch(`${harness.baseUrl}/api/dashboard/stream?event=nope`);
+    assert.equal(response.status, 404);
+    await response.text();
+
+    stream = await openStream(`${harness.baseUrl}/api/dashboard/stream`);
+    await stream.next('snapshot');
+    assert.equal(liveDashboard.subscriberCount('event-default'), 1);
+    await closeStream();
+    assert.equal(liveDashboard.subscriberCount('event-default'), 0);
+  });
+
+  it('ends the stream and unsubscribes when the snapshot fails', async (t) => {
+    t.mock.method(dashboard, 'getStats', async () => {
+      throw new Error('connection lost');
+    });
+
+    const response = await fetch(`${harness.baseUrl}/api/dashboard/stream`);
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), ''); // Ended without a snapshot
+    assert.equal(liveDashboard.subscriberCount('event-default'), 0);
+  });
+});
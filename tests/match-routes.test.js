@@ -0,0 +1,208 @@
+// tests/match-routes.test.js - Generation jobs, intro requests, the scoring debugger and the dashboard
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../llm');
+const { createStubProvider } = require('../llm/stub-provider');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings, waitForJob } = require('./helpers/app');
+
+describe('match routes', () => {
+  let harness;
+  let client;
+  let ann;
+  let bob;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    llm.setProvider(createStubProvider());
+    client = harness.client();
+    ann = await registerMember(client, { name: 'Ann' });
+    bob = await registerMember(client, { name: 'Bob', industry: 'Marketing', assets: 'Digital marketing', needs: 'Project management' });
+    await waitForEmbeddings([ann.memberId, bob.memberId]);
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  describe('POST /api/generate-top3/:memberId and /api/generate-brainstorm/:memberId', () => {
+    for (const kind of ['top3', 'brainstorm']) {
+      it(`checks access before starting a ${kind} job`, async () => {
+        const url = `/api/generate-${kind}/${ann.memberId}`;
+
+        assert.equal((await client.post(url)).status, 401);
+        assert.equal((await client.post(url, undefined, { token: bob.accessToken })).status, 403);
+
+        await loginAdmin(client);
+        assert.equal((await client.post(`/api/generate-${kind}/member-missing`)).status, 404);
+      });
+
+      it(`refuses a ${kind} job once the event budget is spent in refuse mode`, async () => {
+        await harness.db.run(`UPDATE events SET ai_budget_usd = 0.01, ai_budget_mode = 'refuse' WHERE event_id = 'event-default'`);
+        await harness.db.run(`
+          INSERT INTO ai_usage (event_id, member_id, kind, stage, provider, model, total_tokens, cost_usd)
+          VALUES ('event-default', $1, 'chat', 'fact-check', 'stub', 'stub-chat', 100, 0.02)
+        `, [ann.memberId]);
+
+        const response = await client.post(`/api/generate-${kind}/${ann.memberId}`, undefined, { token: ann.accessToken });
+
+        assert.equal(response.status, 402);
+      });
+    }
+
+    it('reuses the unfinished job on a double click', async () => {
+      await harness.db.run(`
+        INSERT INTO generation_jobs (job_id, member_id, kind, message) VALUES ('job-queued', $1, 'top3', 'Queued')
+      `, [ann.memberId]);
+
+      const response = await client.post(`/api/generate-top3/${ann.memberId}`, undefined, { token: ann.accessToken });
+
+      assert.equal(response.status, 202);
+      assert.equal(response.body.jobId, 'job-queued');
+
+      await waitForJob(client, 'job-queued', ann.accessToken);
+    });
+  });
+
+  describe('jobs', () => {
+    it('shows a job only to its member', async () => {
+      const { body } = await client.post(`/api/generate-top3/${ann.memberId}`, undefined, { token: ann.accessToken });
+
+      const job = await waitForJob(client, body.jobId, ann.accessToken);
+
+      assert.equal(job.status, 'completed');
+      assert.ok(job.items.length > 0);
+      assert.equal((await client.get(`/api/jobs/${body.jobId}`, { token: bob.accessToken })).status, 403);
+      assert.equal((await client.get('/api/jobs/job-missing', { token: ann.accessToken })).status, 404);
+    });
+
+    it('streams progress as Server-Sent Events until the job finishes', async () => {
+      const { body } = await client.post(`/api/generate-brainstorm/${ann.memberId}`, undefined, { token: ann.accessToken });
+
+      // EventSource passes the token in the query string
+      const response = await fetch(`${harness.baseUrl}/api/jobs/${body.jobId}/events?token=${encodeURIComponent(ann.accessToken)}`);
+      const stream = await response.text();
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/event-stream/);
+      const snapshots = stream.split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => JSON.parse(line.slice('data: '.length)));
+      assert.ok(snapshots.length > 0);
+      assert.equal(snapshots[snapshots.length - 1].status, 'completed');
+    });
+
+    it('retries the candidates that failed', async () => {
+      const stub = createStubProvider();
+      llm.setProvider({
+        ...stub,
+        chat: async (request) => {
+          if (request.stage === 'complementary-value') throw new Error('Upstream timeout');
+          return stub.chat(request);
+        }
+      });
+
+      const { body } = await client.post(`/api/generate-brainstorm/${ann.memberId}`, undefined, { token: ann.accessToken });
+      const failed = await waitForJob(client, body.jobId, ann.accessToken);
+      assert.equal(failed.failed, 1);
+      assert.equal(failed.items[0].error, 'Upstream timeout');
+
+      llm.setProvider(stub);
+      const retry = await client.post(`/api/jobs/${body.jobId}/retry`, undefined, { token: ann.accessToken });
+      assert.equal(retry.status, 202);
+
+      const retried = await waitForJob(client, body.jobId, ann.accessToken);
+      assert.equal(retried.failed, 0);
+      assert.equal(retried.completed, 1);
+      assert.equal(retried.items[0].attempts, 2);
+      assert.equal((await client.post('/api/jobs/job-missing/retry', undefined, { token: ann.accessToken })).status, 404);
+    });
+  });
+
+  describe('POST /api/intros/:introId/:action', () => {
+    beforeEach(async () => {
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score)
+        VALUES ('intro-1', $1, $2, 'top3', 60)
+      `, [ann.memberId, bob.memberId]);
+    });
+
+    it('rejects unknown actions and intros', async () => {
+      assert.equal((await client.post('/api/intros/intro-1/approve', undefined, { token: ann.accessToken })).status, 404);
+      assert.equal((await client.post('/api/intros/intro-missing/request', undefined, { token: ann.accessToken })).status, 404);
+    });
+
+    it('only lets each side take its own step', async () => {
+      assert.equal((await client.post('/api/intros/intro-1/request', undefined, { token: bob.accessToken })).status, 403);
+
+      await client.post('/api/intros/intro-1/request', undefined, { token: ann.accessToken });
+
+      assert.equal((await client.post('/api/intros/intro-1/accept', undefined, { token: ann.accessToken })).status, 403);
+    });
+
+    it('shares contact details once the request is accepted', async () => {
+      const requested = await client.post('/api/intros/intro-1/request', undefined, { token: ann.accessToken });
+      assert.deepEqual(requested.body, { success: true, introId: 'intro-1', status: 'requested' });
+
+      const incoming = (await client.get(`/api/member/${bob.memberId}`, { token: bob.accessToken })).body.incomingRequests;
+      assert.equal(incoming[0].intro_id, 'intro-1');
+      assert.equal(incoming[0].contact_email, null);
+
+      const accepted = await client.post('/api/intros/intro-1/accept', undefined, { token: bob.accessToken });
+      assert.equal(accepted.body.status, 'accepted');
+
+      const top3 = (await client.get(`/api/member/${ann.memberId}`, { token: ann.accessToken })).body.top3;
+      assert.equal(top3[0].contact_email, 'bob@example.com');
+
+      const history = await harness.db.all('SELECT from_status, to_status, actor_type FROM intro_status_history WHERE intro_id = $1 ORDER BY history_id', ['intro-1']);
+      assert.deepEqual(history, [
+        { from_status: 'draft', to_status: 'requested', actor_type: 'member' },
+        { from_status: 'requested', to_status: 'accepted', actor_type: 'member' }
+      ]);
+    });
+
+    it('refuses to answer an intro twice', async () => {
+      await client.post('/api/intros/intro-1/request', undefined, { token: ann.accessToken });
+      await client.post('/api/intros/intro-1/decline', undefined, { token: bob.accessToken });
+
+      const response = await client.post('/api/intros/intro-1/accept', undefined, { token: bob.accessToken });
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.status, 'declined');
+    });
+  });
+
+  describe('GET /api/debug/matches/:memberId', () => {
+    it('scores every candidate for an admin', async () => {
+      await loginAdmin(client);
+
+      const response = await client.get(`/api/debug/matches/${ann.memberId}`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.member.hasEmbedding, true);
+      assert.deepEqual(response.body.candidates.map(candidate => candidate.name), ['Bob']);
+      assert.equal(response.body.candidates[0].fullBreakdown.length, 6);
+      assert.equal(response.body.summary.totalCandidates, 1);
+      assert.equal((await client.get('/api/debug/matches/member-missing')).status, 404);
+    });
+  });
+
+  describe('GET /api/dashboard/stats', () => {
+    it('counts members and intros for the event', async () => {
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, status, responded_at, acknowledged_at)
+        VALUES ('intro-1', $1, $2, 'top3', 60, 'accepted', NOW(), NOW())
+      `, [ann.memberId, bob.memberId]);
+
+      const response = await client.get('/api/dashboard/stats?event=default');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.stats, { total_members: 2, total_top3: 1, total_brainstorm: 0, total_accepted: 1 });
+      assert.equal(response.body.recentActivity[0].action, 'made an introduction');
+      assert.equal((await client.get('/api/dashboard/stats?event=nope')).status, 404);
+    });
+  });
+});
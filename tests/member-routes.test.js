@@ -0,0 +1,243 @@
+// tests/member-routes.test.js - Public pages, registration and the member's own routes
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings, waitForJob } = require('./helpers/app');
+const { resolveSecret } = require('../member-auth');
+
+describe('member routes', () => {
+  let harness;
+  let client;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  describe('app', () => {
+    it('redirects / to the registration page', async () => {
+      const response = await client.get('/');
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.get('location'), '/reg.html');
+    });
+
+    it('serves the static pages', async () => {
+      const response = await client.get('/reg.html');
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /html/);
+    });
+
+    it('reports health and member count', async () => {
+      assert.equal((await client.get('/healthz')).status, 200);
+      assert.deepEqual((await client.get('/db/count')).body, { members: 0 });
+    });
+
+    it('refuses to sign member links with a default key in production', () => {
+      assert.throws(() => resolveSecret({ NODE_ENV: 'production' }), /MEMBER_TOKEN_SECRET/);
+      assert.equal(resolveSecret({ NODE_ENV: 'production', SESSION_SECRET: 'configured' }), 'configured');
+
+      const random = resolveSecret({});
+      assert.equal(random.length, 64);
+      assert.notEqual(resolveSecret({}), random);
+    });
+  });
+
+  describe('GET /api/events/:slug', () => {
+    it('returns the public event fields', async () => {
+      const response = await client.get('/api/events/default');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(Object.keys(response.body).sort(), ['event_date', 'event_id', 'is_active', 'location', 'name', 'slug']);
+      assert.equal(response.body.event_id, 'event-default');
+    });
+
+    it('returns 404 for an unknown event', async () => {
+      assert.equal((await client.get('/api/events/nope')).status, 404);
+    });
+  });
+
+  describe('POST /api/register', () => {
+    it('registers into the current event and returns a private token', async () => {
+      const response = await client.post('/api/register', { name: 'Ann', org: 'Ann Co', role: 'Owner', industry: 'Retail', city: 'Springfield' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.equal(response.body.eventId, 'event-default');
+      assert.match(response.body.memberId, /^member-/);
+      assert.ok(response.body.accessToken);
+
+      const member = await harness.db.get('SELECT name, event_id FROM members WHERE member_id = $1', [response.body.memberId]);
+      assert.deepEqual(member, { name: 'Ann', event_id: 'event-default' });
+    });
+
+    it('generates the embedding in the background', async () => {
+      const { memberId } = await registerMember(client, { name: 'Ann' });
+
+      await waitForEmbeddings([memberId]);
+    });
+
+    it('registers into the event named by its slug', async () => {
+      await harness.db.run(`INSERT INTO events (event_id, slug, name) VALUES ('event-spring', 'spring', 'Spring Mixer')`);
+
+      const { eventId } = await registerMember(client, { name: 'Ann', event: 'spring' });
+
+      assert.equal(eventId, 'event-spring');
+    });
+
+    it('refuses unknown and closed events', async () => {
+      await harness.db.run(`INSERT INTO events (event_id, slug, name, is_active) VALUES ('event-closed', 'closed', 'Closed', false)`);
+
+      assert.equal((await client.post('/api/register', { name: 'Ann', event: 'nope' })).status, 404);
+      assert.equal((await client.post('/api/register', { name: 'Ann', event: 'closed' })).status, 403);
+    });
+  });
+
+  describe('GET /api/member/:memberId', () => {
+    it('requires the member token', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      const bob = await registerMember(client, { name: 'Bob' });
+
+      assert.equal((await client.get(`/api/member/${ann.memberId}`)).status, 401);
+      assert.equal((await client.get(`/api/member/${ann.memberId}`, { token: 'forged.token' })).status, 403);
+      assert.equal((await client.get(`/api/member/${ann.memberId}`, { token: bob.accessToken })).status, 403);
+    });
+
+    it('returns the member page without internal columns', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+
+      const response = await client.get(`/api/member/${ann.memberId}`, { token: ann.accessToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.member.name, 'Ann');
+      assert.equal(response.body.member.token_version, undefined);
+      assert.equal(response.body.event.slug, 'default');
+      assert.deepEqual(response.body.top3, []);
+      assert.deepEqual(response.body.brainstorm, []);
+      assert.deepEqual(response.body.incomingRequests, []);
+      assert.equal(response.body.staleIntros, 0);
+    });
+
+    it('lets an admin open any member page', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      await loginAdmin(client);
+
+      assert.equal((await client.get(`/api/member/${ann.memberId}`)).status, 200);
+      assert.equal((await client.get('/api/member/member-missing')).status, 404);
+    });
+  });
+
+  describe('PUT /api/member/:memberId', () => {
+    it('requires the member token', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+
+      assert.equal((await client.put(`/api/member/${ann.memberId}`, { org: 'New Co' })).status, 401);
+    });
+
+    it('refuses to empty a required field', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+
+      const response = await client.put(`/api/member/${ann.memberId}`, { org: '  ' }, { token: ann.accessToken });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'org cannot be empty');
+    });
+
+    it('does nothing when no field changed', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+
+      const response = await client.put(`/api/member/${ann.memberId}`, { name: 'Ann' }, { token: ann.accessToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.reembedded, false);
+    });
+
+    it('keeps the embedding and intros for a contact-only change', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      await waitForEmbeddings([ann.memberId]);
+
+      const response = await client.put(`/api/member/${ann.memberId}`, { email: 'new@example.com', consent: false }, { token: ann.accessToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.reembedded, false);
+      assert.equal(response.body.member.email, 'new@example.com');
+      assert.equal(response.body.member.consent, false);
+    });
+
+    it('re-embeds and marks intros stale after a profile change', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      const bob = await registerMember(client, { name: 'Bob' });
+      await waitForEmbeddings([ann.memberId, bob.memberId]);
+      const before = await harness.db.get('SELECT embedding::text as embedding FROM vectors WHERE member_id = $1', [ann.memberId]);
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score)
+        VALUES ('intro-1', $1, $2, 'top3', 50), ('intro-2', $2, $1, 'top3', 50)
+      `, [ann.memberId, bob.memberId]);
+
+      const response = await client.put(`/api/member/${ann.memberId}`, { needs: 'Bookkeeping help' }, { token: ann.accessToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.reembedded, true);
+      assert.equal(response.body.staleIntros, 2);
+      assert.equal(response.body.member.needs, 'Bookkeeping help');
+
+      const after = await harness.db.get('SELECT embedding::text as embedding FROM vectors WHERE member_id = $1', [ann.memberId]);
+      assert.notEqual(after.embedding, before.embedding);
+    });
+  });
+
+  describe('POST /api/member/:memberId/rematch', () => {
+    it('clears stale draft intros, keeps answered ones and starts a Top 3 job', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      const bob = await registerMember(client, { name: 'Bob' });
+      const cy = await registerMember(client, { name: 'Cy' });
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, status, stale_at)
+        VALUES ('intro-draft', $1, $2, 'top3', 50, 'draft', NOW()), ('intro-accepted', $1, $3, 'top3', 50, 'accepted', NOW())
+      `, [ann.memberId, bob.memberId, cy.memberId]);
+
+      const response = await client.post(`/api/member/${ann.memberId}/rematch`, undefined, { token: ann.accessToken });
+
+      assert.equal(response.status, 202);
+      assert.equal(response.body.clearedIntros, 1);
+      assert.ok(response.body.jobId);
+
+      const kept = await harness.db.all('SELECT intro_id FROM intros WHERE for_member_id = $1', [ann.memberId]);
+      assert.ok(kept.some(intro => intro.intro_id === 'intro-accepted'));
+      assert.ok(!kept.some(intro => intro.intro_id === 'intro-draft'));
+
+      const job = await waitForJob(client, response.body.jobId, ann.accessToken);
+      assert.equal(job.kind, 'top3');
+    });
+
+    it('is refused once the event is over its AI budget in refuse mode', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+      const bob = await registerMember(client, { name: 'Bob' });
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, status, stale_at)
+        VALUES ('intro-draft', $1, $2, 'top3', 50, 'draft', NOW())
+      `, [ann.memberId, bob.memberId]);
+      await harness.db.run("UPDATE events SET ai_budget_usd = 0, ai_budget_mode = 'refuse' WHERE event_id = 'event-default'");
+
+      const response = await client.post(`/api/member/${ann.memberId}/rematch`, undefined, { token: ann.accessToken });
+
+      assert.equal(response.status, 402);
+      assert.ok(await harness.db.get("SELECT 1 FROM intros WHERE intro_id = 'intro-draft'"));
+      assert.equal((await harness.db.get('SELECT COUNT(*)::int as count FROM generation_jobs')).count, 0);
+    });
+
+    it('requires the member token', async () => {
+      const ann = await registerMember(client, { name: 'Ann' });
+
+      assert.equal((await client.post(`/api/member/${ann.memberId}/rematch`)).status, 401);
+    });
+  });
+});
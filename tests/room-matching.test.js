@@ -0,0 +1,176 @@
+// tests/room-matching.test.js - "Match the room": the assignment and the admin route (room-matching.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+const { assign } = require('../room-matching');
+const intros = require('../repositories/intros');
+
+function recommendedCounts(pairs, size) {
+  const counts = new Array(size).fill(0);
+  pairs.forEach(([, j]) => counts[j]++);
+  return counts;
+}
+
+describe('room matching', () => {
+  describe('assign', () => {
+    it('spreads recommendations when everyone prefers the same member', () => {
+      // Everyone's favourite is member 0
+      const weights = [0, 1, 2, 3, 4].map(i => [0, 1, 2, 3, 4].map(j => {
+        if (i === j) return null;
+        return j === 0 ? 90 : 50 + j;
+      }));
+
+      const { pairs, received } = assign(weights, { demand: [2, 2, 2, 2, 2], capacity: [2, 2, 2, 2, 2] });
+
+      assert.deepEqual(received, [2, 2, 2, 2, 2]);
+      assert.deepEqual(recommendedCounts(pairs, 5), [2, 2, 2, 2, 2]);
+    });
+
+    it('maximizes the total value within the limits', () => {
+      // 0 and 1 are each other's best match; 2 is best served by 3 and 3 by 2
+      const weights = [
+        [null, 80, 40, 40],
+        [80, null, 40, 40],
+        [40, 40, null, 70],
+        [40, 40, 70, null]
+      ];
+
+      const { pairs } = assign(weights, { demand: [1, 1, 1, 1], capacity: [1, 1, 1, 1] });
+
+      assert.deepEqual(pairs.map(pair => pair.join('>')).sort(), ['0>1', '1>0', '2>3', '3>2']);
+    });
+
+    it('falls back to every option when the shortlists all point at the same people', () => {
+      const weights = [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => (i === j ? null : 100 - j * 10)));
+
+      const { received } = assign(weights, { demand: [1, 1, 1, 1], capacity: [1, 1, 1, 1], candidatesPerMember: 1 });
+
+      assert.deepEqual(received, [1, 1, 1, 1]);
+    });
+  });
+
+  describe('POST /api/admin/match-room', () => {
+    let harness;
+    let client;
+    let people;
+
+    before(async () => {
+      harness = await startApp();
+    });
+
+    beforeEach(async () => {
+      await harness.db.reset();
+      client = harness.client();
+      people = [];
+      for (const name of ['Ann', 'Bob', 'Carl', 'Dee', 'Eve']) {
+        people.push(await registerMember(client, { name }));
+      }
+      await waitForEmbeddings(people.map(person => person.memberId));
+      await loginAdmin(client);
+    });
+
+    after(async () => {
+      await harness.close();
+    });
+
+    async function top3Rows() {
+      return harness.db.all("SELECT for_member_id, to_member_id, status FROM intros WHERE tier = 'top3' AND deleted_at IS NULL");
+    }
+
+    it('previews the plan without writing anything', async () => {
+      const response = await client.post('/api/admin/match-room', { minMatches: 2, maxRecommended: 2 });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.dryRun, true);
+      assert.deepEqual(response.body.settings, { minMatches: 2, maxRecommended: 2 });
+      assert.equal(response.body.summary.members, 5);
+      assert.equal(response.body.summary.intros, 10);
+      assert.equal(response.body.summary.room.maxRecommended, 2);
+      assert.equal(response.body.summary.room.neverRecommended, 0);
+      assert.ok(response.body.assignments.every(assignment => assignment.matches.length === 2));
+      assert.deepEqual(await top3Rows(), []);
+    });
+
+    it('writes Top 3 intros for everyone within the cap and never recommends members without consent', async () => {
+      const [ann, , , , eve] = people;
+      await harness.db.run('UPDATE members SET consent = false WHERE member_id = $1', [eve.memberId]);
+
+      const response = await client.post('/api/admin/match-room', { minMatches: 3, maxRecommended: 4, dryRun: false });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.written.created, 15);
+      const rows = await top3Rows();
+      assert.equal(rows.length, 15);
+      assert.ok(rows.every(row => row.to_member_id !== eve.memberId));
+      for (const person of people) {
+        assert.equal(rows.filter(row => row.for_member_id === person.memberId).length, 3);
+        assert.ok(rows.filter(row => row.to_member_id === person.memberId).length <= 4);
+      }
+
+      const page = (await client.get(`/api/member/${ann.memberId}`, { token: ann.accessToken })).body;
+      assert.equal(page.top3.length, 3);
+      assert.ok(page.top3[0].rationale_ops);
+
+      const entry = (await client.get('/api/admin/audit-log?action=matches.room')).body.entries[0];
+      assert.equal(entry.details.created, 15);
+    });
+
+    it('keeps requested intros and moves drafts outside the plan to the trash', async () => {
+      const [ann, bob, carl] = people;
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, status)
+        VALUES ('intro-requested', $1, $2, 'top3', 60, 'requested'), ('intro-draft', $1, $3, 'top3', 90, 'draft')
+      `, [ann.memberId, bob.memberId, carl.memberId]);
+
+      const response = await client.post('/api/admin/match-room', { minMatches: 1, maxRecommended: 2, dryRun: false });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.written.replaced, 1);
+      const annRows = (await top3Rows()).filter(row => row.for_member_id === ann.memberId);
+      assert.deepEqual(annRows, [{ for_member_id: ann.memberId, to_member_id: bob.memberId, status: 'requested' }]);
+
+      const restored = await client.post(`/api/admin/trash/${response.body.written.trashId}/restore`);
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.restored.intros, 1);
+    });
+
+    it('matches members whose embedding is not ready yet on their profiles', async () => {
+      const [ann] = people;
+      await harness.db.run('DELETE FROM vectors WHERE member_id = $1', [ann.memberId]);
+
+      const response = await client.post('/api/admin/match-room', { minMatches: 3, maxRecommended: 4, dryRun: false });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.withoutEmbedding.map(member => member.member_id), [ann.memberId]);
+      assert.equal(response.body.summary.members, 5);
+      assert.equal((await top3Rows()).filter(row => row.for_member_id === ann.memberId).length, 3);
+    });
+
+    it('writes nothing when saving an intro fails partway', async (t) => {
+      const [ann, , carl] = people;
+      await harness.db.run(`
+        INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, status)
+        VALUES ('intro-draft', $1, $2, 'top3', 1, 'draft')
+      `, [ann.memberId, carl.memberId]);
+      const save = intros.save;
+      let calls = 0;
+      t.mock.method(intros, 'save', async (...args) => {
+        if (++calls === 5) throw new Error('connection lost');
+        return save(...args);
+      });
+
+      const response = await client.post('/api/admin/match-room', { minMatches: 3, maxRecommended: 4, dryRun: false });
+
+      assert.equal(response.status, 500);
+      assert.deepEqual(await top3Rows(), [{ for_member_id: ann.memberId, to_member_id: carl.memberId, status: 'draft' }]);
+      assert.equal((await harness.db.get('SELECT COUNT(*)::int as count FROM trash')).count, 0);
+    });
+
+    it('checks the limits and the role', async () => {
+      assert.equal((await client.post('/api/admin/match-room', { minMatches: 4 })).status, 400);
+      assert.equal((await client.post('/api/admin/match-room', { minMatches: 3, maxRecommended: 2 })).status, 400);
+      assert.equal((await client.post('/api/admin/match-room?event=nope', {})).status, 404);
+      assert.equal((await harness.client().post('/api/admin/match-room', {})).status, 401);
+    });
+  });
+});
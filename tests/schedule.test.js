@@ -0,0 +1,156 @@
+// tests/schedule.test.js - Speed-networking table rounds (round-scheduler.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Small limits, so the 9-member event below can run into them
+process.env.PAIR_SCORING_MAX_MEMBERS = '10';
+process.env.SCHEDULE_MAX_SEATS = '27';
+
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+const { tableSizes, planRounds } = require('../round-scheduler');
+const members = require('../repositories/members');
+
+// Every pair seated together more than once across a plan of member indexes
+function repeats(plan) {
+  const met = new Set();
+  let count = 0;
+  for (const round of plan) {
+    for (const table of round) {
+      table.forEach((a, idx) => table.slice(idx + 1).forEach(b => {
+        const key = [a, b].sort().join('|');
+        if (met.has(key)) count++;
+        met.add(key);
+      }));
+    }
+  }
+  return count;
+}
+
+describe('table rounds', () => {
+  describe('planRounds', () => {
+    it('uses as few tables as fit everyone, evenly filled', () => {
+      assert.deepEqual(tableSizes(10, 5, 4), [4, 3, 3]);
+      assert.deepEqual(tableSizes(12, 3, 4), [4, 4, 4]);
+      assert.deepEqual(tableSizes(7, 4, 2), [3, 2, 2]); // Nobody left alone at a fourth table
+      assert.deepEqual(tableSizes(3, 2, 2), [3]);
+    });
+
+    it('seats everyone each round without repeat pairs and mixes industries', () => {
+      const value = Array.from({ length: 9 }, (_, i) => Array.from({ length: 9 }, (_, j) => (i === j ? 0 : 50 + ((i * j) % 7))));
+      const industries = Array.from({ length: 9 }, (_, i) => ['Law', 'Banking', 'Construction'][i % 3]);
+
+      const plan = planRounds(value, industries, { tables: 3, tableSize: 3, rounds: 3 });
+
+      assert.equal(plan.length, 3);
+      for (const round of plan) {
+        assert.deepEqual(round.flat().sort((a, b) => a - b), [...Array(9).keys()]);
+        for (const table of round) {
+          assert.equal(new Set(table.map(member => industries[member])).size, table.length);
+        }
+      }
+      assert.equal(repeats(plan), 0);
+    });
+  });
+
+  describe('admin and member routes', () => {
+    let harness;
+    let client;
+    let people;
+
+    before(async () => {
+      harness = await startApp();
+    });
+
+    beforeEach(async () => {
+      await harness.db.reset();
+      client = harness.client();
+      people = [];
+      const industries = ['Law', 'Banking', 'Construction'];
+      for (let idx = 0; idx < 9; idx++) {
+        people.push(await registerMember(client, { name: `Member ${idx + 1}`, industry: industries[idx % 3] }));
+      }
+      await waitForEmbeddings(people.map(person => person.memberId));
+      await loginAdmin(client);
+    });
+
+    after(async () => {
+      await harness.close();
+    });
+
+    it('plans, shows and prints the rounds, and each member sees their tables', async () => {
+      assert.equal((await client.get('/api/admin/schedule')).body.schedule, null);
+      assert.equal((await client.get('/api/admin/export/schedule.pdf')).status, 404);
+
+      const response = await client.post('/api/admin/schedule', { tables: 4, tableSize: 3, rounds: 2 });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.rounds.length, 2);
+      assert.deepEqual(response.body.rounds[0].tables.map(table => table.members.length), [3, 3, 3]);
+      assert.equal(response.body.summary.members, 9);
+      assert.equal(response.body.summary.repeatPairs, 0);
+      assert.equal(response.body.summary.industryClashes, 0);
+
+      const [first] = people;
+      const page = (await client.get(`/api/member/${first.memberId}`, { token: first.accessToken })).body;
+      assert.equal(page.rounds.length, 2);
+      assert.equal(page.rounds[0].round, 1);
+      assert.equal(page.rounds[0].tablemates.length, 2);
+      const table = response.body.rounds[0].tables.find(entry => entry.members.some(member => member.member_id === first.memberId));
+      assert.equal(page.rounds[0].table, table.table);
+
+      const pdf = await client.get('/api/admin/export/schedule.pdf');
+      assert.equal(pdf.status, 200);
+      assert.match(pdf.body, /\/Count 3\b/); // A page per round and the seat list
+
+      const entry = (await client.get('/api/admin/audit-log?action=schedule.create')).body.entries[0];
+      assert.deepEqual(entry.details, { tables: 4, tableSize: 3, rounds: 2 });
+    });
+
+    it('replaces the plan when rounds are planned again', async () => {
+      await client.post('/api/admin/schedule', { tables: 3, tableSize: 3, rounds: 3 });
+      await client.post('/api/admin/schedule', { tables: 3, tableSize: 3, rounds: 1 });
+
+      const [first] = people;
+      const page = (await client.get(`/api/member/${first.memberId}`, { token: first.accessToken })).body;
+      assert.equal(page.rounds.length, 1);
+      assert.equal((await harness.db.get('SELECT COUNT(*)::int as count FROM round_seats')).count, 9);
+    });
+
+    it('keeps the previous plan when saving the new one fails', async (t) => {
+      await client.post('/api/admin/schedule', { tables: 3, tableSize: 3, rounds: 2 });
+      const before = await harness.db.get('SELECT schedule_id FROM round_schedules');
+
+      // A member who is gone by the time the seats are written
+      const listForEvent = members.listForEvent;
+      t.mock.method(members, 'listForEvent', async (eventId) => [
+        ...await listForEvent(eventId), { member_id: 'member-gone', name: 'Gone', industry: 'Retail' }
+      ]);
+      const response = await client.post('/api/admin/schedule', { tables: 4, tableSize: 3, rounds: 1 });
+
+      assert.equal(response.status, 500);
+      assert.deepEqual(await harness.db.get('SELECT schedule_id FROM round_schedules'), before);
+      assert.equal((await harness.db.get('SELECT COUNT(*)::int as count FROM round_seats')).count, 18);
+    });
+
+    it('refuses events and plans too large to work out in one request', async () => {
+      assert.equal((await client.post('/api/admin/schedule', { tables: 3, tableSize: 3, rounds: 3 })).status, 200);
+      const tooManyRounds = await client.post('/api/admin/schedule', { tables: 3, tableSize: 3, rounds: 4 });
+      assert.equal(tooManyRounds.status, 400);
+      assert.match(tooManyRounds.body.error, /more than the 27 seats/);
+
+      await registerMember(client, { name: 'Member 10' });
+      await registerMember(client, { name: 'Member 11' });
+      const tooManyMembers = await client.post('/api/admin/schedule', { tables: 4, tableSize: 3, rounds: 1 });
+      assert.equal(tooManyMembers.status, 400);
+      assert.match(tooManyMembers.body.error, /limited to 10 members/);
+      assert.equal((await client.post('/api/admin/match-room', { dryRun: true })).status, 400);
+    });
+
+    it('refuses settings that cannot seat everyone, and needs an organizer', async () => {
+      assert.equal((await client.post('/api/admin/schedule', { tables: 2, tableSize: 4, rounds: 2 })).status, 400);
+      assert.equal((await client.post('/api/admin/schedule', { tables: 3, tableSize: 1, rounds: 2 })).status, 400);
+      assert.equal((await client.post('/api/admin/schedule', { tables: 3, tableSize: 3, rounds: 0 })).status, 400);
+      assert.equal((await harness.client().post('/api/admin/schedule', { tables: 3, tableSize: 3, rounds: 1 })).status, 401);
+    });
+  });
+});
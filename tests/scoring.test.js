@@ -0,0 +1,197 @@
+// tests/scoring.test.js - Unit tests for the 100-point match score (scoring.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { cosineSimilarity, matchesNeedAsset, calculateMatchScore, defaultScoringProfile } = require('../scoring');
+const scoringProfile = require('../scoring-profile');
+
+const FACTORS = [
+  'Universal Business Potential',
+  'Semantic Profile Similarity',
+  'Complementary Value Exchange',
+  'Market Alignment',
+  'Geographic & Logistical Synergy',
+  'Strategic Growth Opportunities'
+];
+
+function member(overrides = {}) {
+  return {
+    member_id: 'member-a',
+    name: 'Alex',
+    org: 'Alex Builders',
+    role: 'Owner',
+    industry: 'Construction',
+    city: 'Springfield',
+    rev_driver: 'Commercial contracts',
+    current_constraint: 'Finding new clients',
+    assets: 'permitting, project management',
+    needs: 'marketing, bookkeeping',
+    fun_fact: 'Plays the trumpet',
+    ...overrides
+  };
+}
+
+const alex = member();
+const sam = member({
+  member_id: 'member-b',
+  name: 'Sam',
+  org: 'Sam Digital',
+  role: 'Founder',
+  industry: 'Marketing',
+  rev_driver: 'B2B agency retainers',
+  current_constraint: 'Need more construction clients',
+  assets: 'digital marketing, seo',
+  needs: 'project management'
+});
+
+function factor(result, name) {
+  return result.fullBreakdown.find(category => category.factor === name);
+}
+
+describe('cosineSimilarity', () => {
+  it('is 1 for vectors pointing the same way', () => {
+    assert.ok(Math.abs(cosineSimilarity([1, 2, 3], [2, 4, 6]) - 1) < 1e-9);
+  });
+
+  it('is 0 for orthogonal vectors and -1 for opposite ones', () => {
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.ok(Math.abs(cosineSimilarity([1, 2], [-1, -2]) + 1) < 1e-9);
+  });
+
+  it('returns 0 for missing, mismatched or all-zero vectors', () => {
+    assert.equal(cosineSimilarity(null, [1, 2]), 0);
+    assert.equal(cosineSimilarity([1, 2], [1, 2, 3]), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 2]), 0);
+  });
+});
+
+describe('matchesNeedAsset', () => {
+  it('matches when one side contains the other', () => {
+    assert.equal(matchesNeedAsset('marketing', 'digital marketing'), true);
+    assert.equal(matchesNeedAsset('seo audit', 'seo'), true);
+  });
+
+  it('matches need and asset from the same keyword cluster', () => {
+    assert.equal(matchesNeedAsset('seo help', 'social media management'), true);
+    assert.equal(matchesNeedAsset('raising capital', 'venture investment'), true);
+  });
+
+  it('matches common business need patterns', () => {
+    assert.equal(matchesNeedAsset('more customers', 'crm setup'), true);
+    assert.equal(matchesNeedAsset('review my contract', 'attorney'), true);
+  });
+
+  it('does not match unrelated need and asset', () => {
+    assert.equal(matchesNeedAsset('plumbing', 'pastry baking'), false);
+  });
+
+  it('uses the clusters of the profile it is given', () => {
+    const profile = scoringProfile.compileProfile({
+      ...scoringProfile.DEFAULT_PROFILE,
+      keywordClusters: { plumbing: ['pipes', 'drains'] }
+    });
+
+    assert.equal(matchesNeedAsset('plumbing', 'drains and pipes'), false);
+    assert.equal(matchesNeedAsset('plumbing', 'drains and pipes', profile), true);
+  });
+});
+
+describe('calculateMatchScore', () => {
+  it('scores a member against themselves as 0', () => {
+    const result = calculateMatchScore(alex, alex, 1);
+
+    assert.equal(result.score, 0);
+    assert.deepEqual(result.fullBreakdown, []);
+    assert.equal(result.summary.grade, 'N/A');
+  });
+
+  it('breaks the score into six categories worth 100 points in total', () => {
+    const result = calculateMatchScore(alex, sam, 0.6);
+
+    assert.deepEqual(result.fullBreakdown.map(category => category.factor), FACTORS);
+    assert.equal(result.fullBreakdown.reduce((sum, category) => sum + category.maxPoints, 0), 100);
+    assert.equal(result.score, result.fullBreakdown.reduce((sum, category) => sum + category.points, 0));
+    assert.equal(result.summary.earned, result.score);
+    assert.equal(result.summary.possible, 100);
+    assert.equal(result.profileVersion, defaultScoringProfile.version);
+  });
+
+  it('gives every pair the universal baseline', () => {
+    const result = calculateMatchScore(alex, sam, 0);
+
+    assert.equal(factor(result, 'Universal Business Potential').points, 30);
+    assert.ok(result.score >= 30);
+  });
+
+  it('turns embedding similarity into up to 20 points', () => {
+    const low = factor(calculateMatchScore(alex, sam, 0.1), 'Semantic Profile Similarity');
+    const high = factor(calculateMatchScore(alex, sam, 0.9), 'Semantic Profile Similarity');
+
+    assert.equal(low.points, 2);
+    assert.equal(high.points, 18);
+    assert.equal(high.rawSimilarity, '0.9000');
+    assert.equal(high.status, 'strong');
+  });
+
+  it('awards complementary points for each asset that meets a need', () => {
+    const result = calculateMatchScore(alex, sam, 0.5);
+    const complementary = factor(result, 'Complementary Value Exchange');
+
+    assert.ok(complementary.points >= 8);
+    assert.equal(complementary.researchBacked, false);
+    assert.ok(result.matches.some(match => match.includes('"project management" addresses their need')));
+    assert.ok(result.matches.some(match => match.includes('addresses your need for "marketing"')));
+  });
+
+  it('gives no complementary points when nothing lines up', () => {
+    const quiet = member({ member_id: 'member-c', assets: 'pastry baking', needs: 'sourdough starter', current_constraint: '' });
+    const other = member({ member_id: 'member-d', assets: 'violin lessons', needs: 'sheet music', current_constraint: '' });
+
+    assert.equal(factor(calculateMatchScore(quiet, other, 0.5), 'Complementary Value Exchange').points, 0);
+  });
+
+  it('raises the complementary score from Stage 0 research', () => {
+    const research = {
+      creative_collaboration_ideas: ['Joint open house', 'Co-branded guide', 'Referral swap', 'Shared webinar'],
+      value_rating: 'high'
+    };
+    const quiet = member({ member_id: 'member-c', assets: 'pastry baking', needs: 'sourdough starter', current_constraint: '' });
+    const other = member({ member_id: 'member-d', assets: 'violin lessons', needs: 'sheet music', current_constraint: '' });
+
+    const complementary = factor(calculateMatchScore(quiet, other, 0.5, research), 'Complementary Value Exchange');
+
+    assert.equal(complementary.points, 16);
+    assert.equal(complementary.researchBacked, true);
+    assert.ok(complementary.details[0].includes('4 creative collaboration opportunities'));
+  });
+
+  it('gives the full geographic points only for the same city', () => {
+    const sameCity = factor(calculateMatchScore(alex, sam, 0.5), 'Geographic & Logistical Synergy');
+    const otherCity = factor(calculateMatchScore(alex, { ...sam, city: 'Shelbyville' }, 0.5), 'Geographic & Logistical Synergy');
+
+    assert.equal(sameCity.points, 5);
+    assert.equal(sameCity.status, 'local');
+    assert.equal(otherCity.points, 2);
+  });
+
+  it('rescales every category to the weights of the scoring profile', () => {
+    const profile = scoringProfile.compileProfile({
+      ...scoringProfile.DEFAULT_PROFILE,
+      weights: { universal: 40, semantic: 20, complementary: 20, market: 10, geographic: 0, strategic: 10 }
+    });
+
+    const result = calculateMatchScore(alex, sam, 0.5, null, profile);
+
+    assert.equal(factor(result, 'Universal Business Potential').points, 40);
+    assert.equal(factor(result, 'Geographic & Logistical Synergy').points, 0);
+    assert.equal(factor(result, 'Geographic & Logistical Synergy').maxPoints, 0);
+    assert.equal(result.fullBreakdown.reduce((sum, category) => sum + category.maxPoints, 0), 100);
+  });
+
+  it('never goes above 100', () => {
+    const research = { creative_collaboration_ideas: ['a', 'b', 'c', 'd', 'e'], value_rating: 'high' };
+    const result = calculateMatchScore(alex, sam, 1, research);
+
+    assert.ok(result.score <= 100);
+    assert.equal(result.summary.percentage, result.score);
+  });
+});
@@ -0,0 +1,170 @@
+// tests/trash.test.js - Soft delete, restore and purge of members and intros (trash.js)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, registerMember, loginAdmin, waitForEmbeddings } = require('./helpers/app');
+const trash = require('../trash');
+const intros = require('../repositories/intros');
+const trashRepo = require('../repositories/trash');
+const auditLog = require('../audit-log');
+
+const BREAKDOWN = JSON.stringify({ total: 72, research: { complementary: 'Shared clients' } });
+
+describe('trash', () => {
+  let harness;
+  let client;
+  let ann;
+  let bob;
+
+  before(async () => {
+    harness = await startApp();
+  });
+
+  beforeEach(async () => {
+    await harness.db.reset();
+    client = harness.client();
+    ann = await registerMember(client, { name: 'Ann' });
+    bob = await registerMember(client, { name: 'Bob' });
+    await waitForEmbeddings([ann.memberId, bob.memberId]);
+    await harness.db.run(`
+      INSERT INTO intros (intro_id, for_member_id, to_member_id, tier, score, score_breakdown)
+      VALUES ('intro-1', $1, $2, 'top3', 72, $3), ('intro-2', $2, $1, 'top3', 65, $3)
+    `, [ann.memberId, bob.memberId, BREAKDOWN]);
+    await loginAdmin(client);
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  async function trashItems() {
+    return (await client.get('/api/admin/trash')).body.items;
+  }
+
+  it('hides a deleted member everywhere and restores them with embedding and intros', async () => {
+    const deleted = await client.delete(`/api/admin/member/${ann.memberId}`);
+    assert.deepEqual(deleted.body.affected, { members: 1, intros: 2 });
+
+    assert.deepEqual((await client.get('/api/admin/members')).body.map(member => member.name), ['Bob']);
+    assert.equal((await client.get('/api/dashboard/stats')).body.stats.total_members, 1);
+    assert.equal((await client.get(`/api/member/${bob.memberId}`, { token: bob.accessToken })).body.top3.length, 0);
+    assert.equal((await harness.client().get(`/api/member/${ann.memberId}`, { token: ann.accessToken })).status, 403);
+
+    const [item] = await trashItems();
+    assert.equal(item.kind, 'member');
+    assert.equal(item.label, 'Ann (Ann Co)');
+    assert.equal(item.intro_count, 2);
+
+    const restored = await client.post(`/api/admin/trash/${item.trash_id}/restore`);
+
+    assert.deepEqual(restored.body.restored, { members: 1, intros: 2, vectors: 1 });
+    assert.deepEqual(await trashItems(), []);
+    const annPage = await harness.client().get(`/api/member/${ann.memberId}`, { token: ann.accessToken });
+    assert.equal(annPage.status, 200);
+    assert.equal(annPage.body.top3[0].score_breakdown, BREAKDOWN);
+    assert.ok(await harness.db.get('SELECT 1 FROM vectors WHERE member_id = $1 AND embedding IS NOT NULL', [ann.memberId]));
+  });
+
+  it('restores reset matches with their research', async () => {
+    await client.post('/api/admin/reset-matches');
+    assert.equal((await client.get(`/api/member/${ann.memberId}`)).body.top3.length, 0);
+
+    const [item] = await trashItems();
+    assert.equal(item.kind, 'event_matches');
+    await client.post(`/api/admin/trash/${item.trash_id}/restore`);
+
+    const rows = await harness.db.all('SELECT score_breakdown FROM intros WHERE deleted_at IS NULL');
+    assert.equal(rows.length, 2);
+    assert.ok(rows.every(row => row.score_breakdown === BREAKDOWN));
+  });
+
+  it('restores a whole event after deleting all members', async () => {
+    await client.delete('/api/admin/members/all');
+    assert.equal((await client.get('/db/count')).body.members, 0);
+
+    const [item] = await trashItems();
+    const restored = await client.post(`/api/admin/trash/${item.trash_id}/restore`);
+
+    assert.deepEqual(restored.body.restored, { members: 2, intros: 2, vectors: 2 });
+    assert.equal((await client.get('/db/count')).body.members, 2);
+  });
+
+  it('lets only an owner purge, and purging is for good', async () => {
+    await client.delete(`/api/admin/member/${ann.memberId}`);
+    const [item] = await trashItems();
+
+    await harness.db.run(`INSERT INTO admin_users (admin_id, email, password_hash, role) SELECT 'admin-org', 'org', password_hash, 'organizer' FROM admin_users WHERE admin_id = 'admin-1'`);
+    const organizer = harness.client();
+    await organizer.post('/api/admin/login', { email: 'org', password: 'admin' });
+    assert.equal((await organizer.delete(`/api/admin/trash/${item.trash_id}`)).status, 403);
+
+    const purged = await client.delete(`/api/admin/trash/${item.trash_id}`);
+
+    assert.deepEqual(purged.body.purged, { members: 1, intros: 2, vectors: 1 });
+    assert.equal(await harness.db.get('SELECT 1 FROM members WHERE member_id = $1', [ann.memberId]), null);
+    assert.equal((await client.post(`/api/admin/trash/${item.trash_id}/restore`)).status, 404);
+  });
+
+  it('refuses to restore past the retention window and purges expired batches', async () => {
+    await client.delete(`/api/admin/member/${ann.memberId}`);
+    const [item] = await trashItems();
+    await harness.db.run(`UPDATE trash SET deleted_at = NOW() - make_interval(days => $1 + 1)`, [trash.retentionDays]);
+
+    assert.equal((await client.post(`/api/admin/trash/${item.trash_id}/restore`)).status, 410);
+
+    assert.equal(await trash.purgeExpired(), 1);
+    assert.deepEqual(await trashItems(), []);
+    const entry = (await client.get('/api/admin/audit-log?action=trash.purge')).body.entries[0];
+    assert.equal(entry.admin_email, 'trash retention');
+  });
+
+  it('leaves the batch as it was when a restore or purge fails partway', async (t) => {
+    await client.delete(`/api/admin/member/${ann.memberId}`);
+    const [item] = await trashItems();
+    const restore = trashRepo.restore;
+    const purge = trashRepo.purge;
+    t.mock.method(trashRepo, 'restore', async (trashId, conn) => {
+      await restore(trashId, conn);
+      throw new Error('connection lost');
+    });
+    t.mock.method(trashRepo, 'purge', async (trashId, conn) => {
+      await purge(trashId, conn);
+      throw new Error('connection lost');
+    });
+
+    assert.equal((await client.post(`/api/admin/trash/${item.trash_id}/restore`)).status, 500);
+    assert.equal((await client.delete(`/api/admin/trash/${item.trash_id}`)).status, 500);
+
+    assert.deepEqual((await trashItems()).map(entry => entry.trash_id), [item.trash_id]);
+    const rows = await harness.db.all('SELECT trash_id FROM intros ORDER BY intro_id');
+    assert.deepEqual(rows.map(row => row.trash_id), [item.trash_id, item.trash_id]);
+    assert.equal((await harness.db.get('SELECT trash_id FROM members WHERE member_id = $1', [ann.memberId])).trash_id, item.trash_id);
+  });
+
+  it('keeps an expired batch when its audit record fails', async (t) => {
+    await client.delete(`/api/admin/member/${ann.memberId}`);
+    await harness.db.run(`UPDATE trash SET deleted_at = NOW() - make_interval(days => $1 + 1)`, [trash.retentionDays]);
+    t.mock.method(auditLog, 'record', async () => {
+      throw new Error('audit_log is unavailable');
+    });
+
+    assert.equal(await trash.purgeExpired(), 0);
+    assert.equal((await trashItems()).length, 1);
+    assert.ok(await harness.db.get('SELECT 1 FROM members WHERE member_id = $1', [ann.memberId]));
+  });
+
+  it('lets a new intro for the same pair replace the one in the trash', async () => {
+    await client.post('/api/admin/reset-matches');
+
+    await intros.save({
+      forMemberId: ann.memberId,
+      toMemberId: bob.memberId,
+      tier: 'top3',
+      score: 80,
+      scoreBreakdown: { total: 80 },
+      rationale: { rationale_ops: 'New', creative_angle: 'New', intro_basis: 'New' }
+    });
+
+    const rows = await harness.db.all('SELECT score, deleted_at FROM intros WHERE for_member_id = $1', [ann.memberId]);
+    assert.deepEqual(rows.map(row => [row.score, row.deleted_at]), [[80, null]]);
+  });
+});
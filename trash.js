@@ -0,0 +1,103 @@
+// trash.js - Trash bin for deleted members and reset matches
+// Deleting members or resetting matches soft-deletes the rows as one batch (see
+// repositories/trash.js), recoverable for TRASH_RETENTION_DAYS. After that the batch
+// is purged for good by a timer started in server.js. Owners can purge a batch earlier.
+const db = require('./db');
+const trashRepo = require('./repositories/trash');
+const auditLog = require('./audit-log');
+
+const retentionDays = process.env.TRASH_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 0
+  : 30;
+
+// How often expired batches are looked for
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// kind: 'member' (one member), 'event_members' (everyone in an event), 'event_matches' (an event's
+// intros, or only introIds of them). conn = a db.transaction() tx to trash as part of it.
+async function moveToTrash(kind, { eventId, memberId, introIds, label, deletedBy, conn }) {
+  const trashId = await trashRepo.createBatch({ kind, eventId, label, deletedBy }, conn);
+
+  let counts;
+  if (kind === 'member') {
+    counts = await trashRepo.trashMember(trashId, memberId, conn);
+  } else if (kind === 'event_members') {
+    counts = await trashRepo.trashEventMembers(trashId, eventId, conn);
+  } else if (introIds) {
+    counts = await trashRepo.trashIntroIds(trashId, introIds, conn);
+  } else {
+    counts = await trashRepo.trashEventIntros(trashId, eventId, conn);
+  }
+
+  await trashRepo.setCounts(trashId, counts, conn);
+  return { trashId, ...counts };
+}
+
+async function list(eventId) {
+  return trashRepo.list(eventId, retentionDays);
+}
+
+// Returns { error, status } when the batch can't be restored, otherwise the restored counts
+async function restore(trashId) {
+  const batch = await trashRepo.findById(trashId, retentionDays);
+  if (!batch) {
+    return { status: 404, error: 'Nothing in the trash with that id' };
+  }
+  if (batch.expired) {
+    return { status: 410, error: `This was deleted more than ${retentionDays} days ago and can no longer be restored` };
+  }
+
+  const restored = await db.transaction(tx => trashRepo.restore(trashId, tx));
+  return { batch, restored };
+}
+
+async function purge(trashId) {
+  const batch = await trashRepo.findById(trashId, retentionDays);
+  if (!batch) {
+    return { status: 404, error: 'Nothing in the trash with that id' };
+  }
+
+  const purged = await db.transaction(tx => trashRepo.purge(trashId, tx));
+  return { batch, purged };
+}
+
+// Purge every batch past the retention window, each with its audit record in one
+// transaction. Returns how many batches went.
+async function purgeExpired() {
+  try {
+    const expired = await trashRepo.listExpired(retentionDays);
+    for (const batch of expired) {
+      await db.transaction(async (tx) => {
+        const purged = await trashRepo.purge(batch.trash_id, tx);
+        await auditLog.record(null, 'trash.purge', {
+          actor: 'trash retention',
+          targetType: 'trash', targetId: batch.trash_id, targetLabel: batch.label, eventId: batch.event_id,
+          affected: purged,
+          details: { kind: batch.kind, expired: true },
+          conn: tx
+        });
+      });
+    }
+    if (expired.length > 0) console.log(`🧹 Purged ${expired.length} expired trash batch(es)`);
+    return expired.length;
+  } catch (error) {
+    console.error('Trash purge failed:', error.message);
+    return 0;
+  }
+}
+
+function startPurgeTimer() {
+  purgeExpired();
+  // unref() so the timer never keeps a script process alive
+  return setInterval(purgeExpired, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  retentionDays,
+  moveToTrash,
+  list,
+  restore,
+  purge,
+  purgeExpired,
+  startPurgeTimer
+};